@@ -0,0 +1,175 @@
+///////////////////////////////////////////////////////////////////////////////
+// benchmarks/trace-pipeline.js
+// Load-time benchmark for the trace path: parse -> IPC clone -> render scans
+//
+// Usage:
+//   npm run benchmark
+//   node benchmarks/trace-pipeline.js [samples] [runs]
+//
+// "before" replays the plain-Array pipeline (per-element DataView reads into
+// JS arrays, one maximum scan per consumer); "after" is the current typed-array
+// pipeline. IPC is modelled with v8.serialize/deserialize, the structured
+// clone algorithm Electron uses for webContents.send().
+///////////////////////////////////////////////////////////////////////////////
+
+const v8 = require('v8');
+const { performance } = require('perf_hooks');
+
+const ABIFParser = require('../js/abif/ABIFParser.js');
+const ABIFTypes = require('../js/abif/ABIFTypes.js');
+const { TraceArrays } = require('../js/chromatogram/TraceArrays.js');
+
+const SAMPLES = parseInt(process.argv[2], 10) || 60000;   // long 3730 run, raw data
+const RUNS = parseInt(process.argv[3], 10) || 15;
+const BASES = Math.floor(SAMPLES / 12);
+const CHANNELS = ['G', 'A', 'T', 'C'];
+
+///////////////////////////////////////////////////////////////////////////////
+// SYNTHETIC FILE
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Build an ABIF file with DATA_1-4, DATA_9-12, PBAS_1, PLOC_1, PCON_1 and FWO__1
+ */
+function buildFile() {
+    const tags = [];
+    const short = (values) => {
+        const bytes = new Uint8Array(values.length * 2);
+        const dv = new DataView(bytes.buffer);
+        values.forEach((v, i) => dv.setInt16(i * 2, v, false));
+        return bytes;
+    };
+    const trace = (seed) => Array.from({ length: SAMPLES }, (_, i) =>
+        Math.round(1000 + (900 * Math.sin((i + seed) / 6)) + (seed * 10)));
+
+    for (let n = 1; n <= 4; n++) tags.push({ name: 'DATA', number: n, type: 4, size: 2, bytes: short(trace(n)) });
+    for (let n = 9; n <= 12; n++) tags.push({ name: 'DATA', number: n, type: 4, size: 2, bytes: short(trace(n)) });
+    tags.push({ name: 'FWO_', number: 1, type: 2, size: 1, bytes: ABIFTypes.stringToCharArray('GATC') });
+    tags.push({ name: 'PBAS', number: 1, type: 2, size: 1,
+        bytes: ABIFTypes.stringToCharArray(Array.from({ length: BASES }, (_, i) => 'GATC'[i % 4]).join('')) });
+    tags.push({ name: 'PLOC', number: 1, type: 4, size: 2,
+        bytes: short(Array.from({ length: BASES }, (_, i) => (i * 12) + 6)) });
+    tags.push({ name: 'PCON', number: 1, type: 2, size: 1,
+        bytes: Uint8Array.from({ length: BASES }, (_, i) => 20 + (i % 40)) });
+
+    const dataSize = tags.reduce((sum, t) => sum + (t.bytes.length > 4 ? t.bytes.length : 0), 0);
+    const dirOffset = 128 + dataSize;
+    const out = new Uint8Array(dirOffset + (tags.length * 28));
+    const dv = new DataView(out.buffer);
+
+    ABIFTypes.writeString4(dv, 0, 'ABIF');
+    dv.setUint16(4, 101, false);
+    ABIFTypes.writeString4(dv, 6, 'tdir');
+    dv.setUint32(10, 1, false);
+    dv.setUint16(14, 1023, false);
+    dv.setUint16(16, 28, false);
+    dv.setUint32(18, tags.length, false);
+    dv.setUint32(22, tags.length * 28, false);
+    dv.setUint32(26, dirOffset, false);
+
+    let cursor = 128;
+    tags.forEach((t, i) => {
+        const entry = dirOffset + (i * 28);
+        ABIFTypes.writeString4(dv, entry, t.name);
+        dv.setUint32(entry + 4, t.number, false);
+        dv.setUint16(entry + 8, t.type, false);
+        dv.setUint16(entry + 10, t.size, false);
+        dv.setUint32(entry + 12, t.bytes.length / t.size, false);
+        dv.setUint32(entry + 16, t.bytes.length, false);
+        if (t.bytes.length > 4) {
+            out.set(t.bytes, cursor);
+            dv.setUint32(entry + 20, cursor, false);
+            cursor += t.bytes.length;
+        } else {
+            out.set(t.bytes, entry + 20);
+        }
+    });
+
+    return out.buffer;
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// PIPELINES
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Plain-Array reader as used before typed arrays
+ */
+function legacyReadShortArray(dataView, offset, count) {
+    const result = new Array(count);
+    for (let i = 0; i < count; i++) {
+        result[i] = ABIFTypes.toSignedShort(dataView.getUint16(offset + (i * 2), false));
+    }
+    return result;
+}
+
+/**
+ * for...of maximum scan, as each consumer did before
+ */
+function legacyMax(traces) {
+    let max = 0;
+    for (const base of CHANNELS) {
+        for (const value of traces[base]) {
+            if (value > max) max = value;
+        }
+    }
+    return max;
+}
+
+function before(buffer) {
+    const parser = new ABIFParser(buffer).parse();
+    const dv = parser.dataView;
+    const read = (number) => {
+        const entry = parser.findEntry('DATA', number);
+        return legacyReadShortArray(dv, entry.dataoffset, entry.numelements);
+    };
+    const load = (first) => {
+        const traces = {};
+        CHANNELS.forEach((base, i) => { traces[base] = read(first + i); });
+        return traces;
+    };
+
+    const traces = v8.deserialize(v8.serialize(load(9)));
+    const rawTraces = v8.deserialize(v8.serialize(load(1)));
+
+    // ChromatogramCanvas, Minimap and PngExporter each rescanned the traces
+    legacyMax(traces);
+    legacyMax(traces);
+    legacyMax(traces);
+    legacyMax(rawTraces);
+    return traces;
+}
+
+function after(buffer) {
+    const parser = new ABIFParser(buffer).parse();
+    const traces = v8.deserialize(v8.serialize(parser.getTraces()));
+    const rawTraces = v8.deserialize(v8.serialize(parser.getRawTraces()));
+
+    TraceArrays.maxValue(traces, CHANNELS);
+    TraceArrays.maxValue(traces, CHANNELS);
+    TraceArrays.maxValue(traces, CHANNELS);
+    TraceArrays.maxValue(rawTraces, CHANNELS);
+    return traces;
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// RUN
+///////////////////////////////////////////////////////////////////////////////
+
+function measure(label, fn, buffer) {
+    fn(buffer); // warm up
+    const times = [];
+    for (let i = 0; i < RUNS; i++) {
+        const start = performance.now();
+        fn(buffer);
+        times.push(performance.now() - start);
+    }
+    times.sort((a, b) => a - b);
+    const payload = v8.serialize(fn(buffer)).length;
+    return { pipeline: label, 'median ms': +times[Math.floor(times.length / 2)].toFixed(2),
+             'min ms': +times[0].toFixed(2), 'IPC bytes (processed)': payload };
+}
+
+const buffer = buildFile();
+console.log(`${SAMPLES} samples x 8 channels, ${BASES} bases, ${RUNS} runs (${(buffer.byteLength / 1024).toFixed(0)} KiB file)`);
+console.table([measure('before (Array)', before, buffer), measure('after (typed)', after, buffer)]);
@@ -0,0 +1,205 @@
+///////////////////////////////////////////////////////////////////////////////
+// ABIFAnonymizer.js
+// Blanks or replaces identifying text tags (user, LIMS, container,
+// instrument and run names) in a copy of an ABIF file
+///////////////////////////////////////////////////////////////////////////////
+
+// Types and the writer (the renderer only uses the tag list, so the writer may be missing there)
+const abifAnonymizerTypes = (typeof require !== 'undefined') ? require('./ABIFTypes.js') : window.ABIFTypes;
+const abifAnonymizerWriter = (typeof require !== 'undefined') ? require('./ABIFWriter.js') : window.ABIFWriter;
+
+/**
+ * Tags that can identify people, samples or instruments. A tag without a
+ * number covers every number of that name. `selected` marks the default
+ * selection; sample names and wells are often needed to make sense of a
+ * shared trace, so they are only removed on request.
+ */
+const ANONYMIZER_TAGS = [
+    { name: 'User', label: 'User name', selected: true },
+    { name: 'CMNT', label: 'Sample comment', selected: true },
+    { name: 'LIMS', label: 'LIMS sample ID', selected: true },
+    { name: 'CTID', label: 'Container (plate) ID', selected: true },
+    { name: 'CTNM', label: 'Container (plate) name', selected: true },
+    { name: 'CtOw', label: 'Container owner', selected: true },
+    { name: 'MCHN', label: 'Instrument name and serial number', selected: true },
+    { name: 'HCFG', number: 3, label: 'Instrument name (CE configuration)', selected: true },
+    { name: 'RunN', label: 'Run name', selected: true },
+    { name: 'SMPL', label: 'Sample name', selected: false },
+    { name: 'TUBE', label: 'Well position', selected: false }
+];
+
+/**
+ * ABIF Anonymizer
+ * Writes a copy of a parsed file in which the selected text tags are blanked,
+ * or replaced by a pattern, and reports every value it removed. Traces,
+ * base calls and all other tags are copied byte-for-byte.
+ *
+ * Replacement patterns may use {tag} (e.g. CMNT_1) and {name} (e.g. CMNT).
+ *
+ * Usage:
+ *   const { buffer, report } = ABIFAnonymizer.anonymize(parser, { tags: ['User', 'LIMS'], pattern: 'REMOVED' });
+ *   console.log(ABIFAnonymizer.formatReport(report));
+ */
+class ABIFAnonymizer {
+
+    /**
+     * Tags the anonymizer knows about, with their default selection
+     * @returns {Object[]} [{ key, name, number, label, selected }]
+     */
+    static defaultTags() {
+        return ANONYMIZER_TAGS.map(tag => ({
+            key: tag.number ? `${tag.name}_${tag.number}` : tag.name,
+            name: tag.name,
+            number: tag.number || null,
+            label: tag.label,
+            selected: tag.selected
+        }));
+    }
+
+    /**
+     * Anonymize a parsed file
+     * @param {ABIFParser} parser - Parsed source file
+     * @param {Object} options - Options
+     * @param {string[]} [options.tags] - Keys of the tags to remove (see defaultTags()); defaults to the default selection
+     * @param {string} [options.pattern] - Replacement text; blank (or omitted) blanks the tags
+     * @returns {Object} { buffer: ArrayBuffer, report }
+     */
+    static anonymize(parser, options = {}) {
+        if (!abifAnonymizerWriter) {
+            throw new Error('ABIFAnonymizer requires ABIFWriter');
+        }
+
+        const known = ABIFAnonymizer.defaultTags();
+        const keys = options.tags || known.filter(tag => tag.selected).map(tag => tag.key);
+        const pattern = options.pattern || '';
+        const writer = new abifAnonymizerWriter(parser);
+
+        const report = {
+            pattern: pattern,
+            entries: [],
+            missing: []
+        };
+
+        for (const key of keys) {
+            const tag = known.find(t => t.key === key) || ABIFAnonymizer._parseKey(key);
+            const entries = parser.directory.filter(entry =>
+                entry.name === tag.name && (tag.number === null || entry.number === tag.number));
+
+            if (entries.length === 0) {
+                report.missing.push(key);
+                continue;
+            }
+
+            for (const entry of entries) {
+                report.entries.push(ABIFAnonymizer._anonymizeEntry(parser, writer, entry, tag.label, pattern));
+            }
+        }
+
+        return { buffer: writer.toArrayBuffer(), report };
+    }
+
+    /**
+     * Format a report as text
+     * @param {Object} report - Report from anonymize()
+     * @param {string} [fileName] - Source file name for the heading
+     * @returns {string} Report text
+     */
+    static formatReport(report, fileName) {
+        const lines = [
+            `Anonymization report${fileName ? ` for ${fileName}` : ''}`,
+            'This report lists the removed values; keep it with the original file, not the anonymized copy.',
+            ''
+        ];
+
+        for (const entry of report.entries) {
+            const action = entry.action === 'replaced' ? `replaced with "${entry.replacement}"` : entry.action;
+            lines.push(`${entry.tag} (${entry.label}): ${action}`);
+            if (entry.action !== 'skipped') {
+                lines.push(`    removed: "${entry.original}"`);
+            } else {
+                lines.push(`    ${entry.reason}`);
+            }
+        }
+
+        if (report.entries.length === 0) {
+            lines.push('No identifying tags were found.');
+        }
+        if (report.missing.length > 0) {
+            lines.push('', `Not present in the file: ${report.missing.join(', ')}`);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Anonymize a parsed file and write the copy to disk (Node.js/Electron)
+     * @param {ABIFParser} parser - Parsed source file
+     * @param {Object} options - See anonymize()
+     * @param {string} filePath - Destination path
+     * @returns {Promise<Object>} Report
+     */
+    static async writeToPath(parser, options, filePath) {
+        const fs = require('fs').promises;
+        const { buffer, report } = ABIFAnonymizer.anonymize(parser, options);
+        await fs.writeFile(filePath, Buffer.from(buffer));
+        return report;
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // HELPERS
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Blank or replace one tag
+     * @private
+     */
+    static _anonymizeEntry(parser, writer, entry, label, pattern) {
+        const tag = `${entry.name}_${entry.number}`;
+        const { PSTRING, CSTRING, CHAR } = abifAnonymizerTypes.ABIF_TYPE_CODES;
+
+        if (![PSTRING, CSTRING, CHAR].includes(entry.elementtype)) {
+            return { tag, label, action: 'skipped', reason: `not a text tag (element type ${entry.elementtype})` };
+        }
+
+        const original = parser.getTagText(entry.name, entry.number) || '';
+        const replacement = pattern
+            .replace(/\{tag\}/g, tag)
+            .replace(/\{name\}/g, entry.name);
+
+        writer.setStringTag(entry.name, entry.number, replacement);
+
+        return {
+            tag,
+            label,
+            action: replacement ? 'replaced' : 'blanked',
+            original,
+            replacement
+        };
+    }
+
+    /**
+     * Tag name and number of a key ('CMNT' or 'CMNT_2')
+     * @private
+     */
+    static _parseKey(key) {
+        const match = /^(.{4})(?:_(\d+))?$/.exec(key);
+        if (!match) {
+            throw new Error(`Invalid tag key: ${key}`);
+        }
+        return { name: match[1], number: match[2] ? parseInt(match[2], 10) : null, label: key };
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron main process
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ABIFAnonymizer;
+}
+
+// For use in browser/renderer process
+if (typeof window !== 'undefined') {
+    window.ABIFAnonymizer = ABIFAnonymizer;
+}
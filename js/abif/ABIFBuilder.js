@@ -0,0 +1,376 @@
+///////////////////////////////////////////////////////////////////////////////
+// ABIFBuilder.js
+// Builds synthetic ABIF files from JavaScript values, for test fixtures and
+// examples that cannot ship real (large, often confidential) AB1 files
+///////////////////////////////////////////////////////////////////////////////
+
+// Import types if in Node.js environment
+// (renderer scripts share one global scope, where ABIFTypes.js already declares ABIFTypes)
+const abifBuilderTypes = (typeof require !== 'undefined') ? require('./ABIFTypes.js') : window.ABIFTypes;
+
+/**
+ * Fixed layout constants of the ABIF container
+ */
+const ABIF_BUILDER_HEADER_SIZE = 128;
+const ABIF_BUILDER_ENTRY_SIZE = 28;
+
+/**
+ * DATA tag numbers of the four base channels, in filter wheel order
+ */
+const ABIF_BUILDER_CHANNELS = {
+    analyzed: [9, 10, 11, 12],
+    raw: [1, 2, 3, 4]
+};
+
+/**
+ * ABIF Builder
+ * Collects tags as typed values and serializes them as a complete ABIF file:
+ * the 128-byte header, the data blocks and the directory, with data of up
+ * to 4 bytes stored inline in the directory entry, as instruments do.
+ *
+ * Element types are given by code or by name ('short', 'pString', ...). Values
+ * take the shape ABIFParser.getTagData() returns for the type (see
+ * ABIFTypes.encodeValue()), so a parsed value can be fed back unchanged.
+ *
+ * Directory fields and header fields can be overridden to build damaged
+ * files, and build() can truncate the output.
+ *
+ * Usage:
+ *   const buffer = new ABIFBuilder()
+ *       .setTraces({ G: [...], A: [...], T: [...], C: [...] })
+ *       .setCalls({ sequence: 'GATC', qualityScores: [40, 40, 40, 40], peakLocations: [6, 18, 30, 42] })
+ *       .setTag('SMPL', 1, 'pString', 'Sample 1')
+ *       .build();
+ *   const parser = new ABIFParser(buffer).parse();
+ */
+class ABIFBuilder {
+
+    /**
+     * Create an ABIFBuilder instance
+     * @param {Object} [options] - Options
+     * @param {number} [options.version] - ABIF version (101 = 1.01)
+     */
+    constructor(options = {}) {
+        this.version = options.version || 101;
+        this.entries = [];
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // TAGS
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Replace (or add) a tag
+     * @param {string} name - 4-character tag name
+     * @param {number} number - Tag number
+     * @param {number|string} type - Element type code or name
+     * @param {*} value - Value to encode (see ABIFTypes.encodeValue())
+     * @param {Object} [overrides] - Directory fields written instead of the computed ones
+     *                               (elementsize, numelements, datasize, dataoffset, datahandle)
+     * @returns {ABIFBuilder} Returns this for chaining
+     */
+    setTag(name, number, type, value, overrides = {}) {
+        const elementtype = ABIFBuilder.typeCode(type);
+        const { bytes, elementsize } = abifBuilderTypes.encodeValue(elementtype, value);
+        return this.setRawTag(name, number, elementtype, elementsize, bytes, overrides);
+    }
+
+    /**
+     * Replace (or add) a tag with already-encoded bytes
+     * @param {string} name - 4-character tag name
+     * @param {number} number - Tag number
+     * @param {number|string} type - Element type code or name
+     * @param {number} elementsize - Size of one element in bytes
+     * @param {Uint8Array|number[]} bytes - Encoded data
+     * @param {Object} [overrides] - See setTag()
+     * @returns {ABIFBuilder} Returns this for chaining
+     */
+    setRawTag(name, number, type, elementsize, bytes, overrides = {}) {
+        const entry = this._createEntry(name, number, type, elementsize, bytes, overrides);
+        const index = this.entries.findIndex(e => e.name === name && e.number === number);
+
+        if (index >= 0) {
+            this.entries[index] = entry;
+        } else {
+            this.entries.push(entry);
+        }
+        return this;
+    }
+
+    /**
+     * Add a tag even when one with the same name and number exists
+     * (damaged files sometimes list a tag twice)
+     * @param {string} name - 4-character tag name
+     * @param {number} number - Tag number
+     * @param {number|string} type - Element type code or name
+     * @param {*} value - Value to encode
+     * @param {Object} [overrides] - See setTag()
+     * @returns {ABIFBuilder} Returns this for chaining
+     */
+    addTag(name, number, type, value, overrides = {}) {
+        const elementtype = ABIFBuilder.typeCode(type);
+        const { bytes, elementsize } = abifBuilderTypes.encodeValue(elementtype, value);
+        this.entries.push(this._createEntry(name, number, elementtype, elementsize, bytes, overrides));
+        return this;
+    }
+
+    /**
+     * Remove a tag
+     * @param {string} name - 4-character tag name
+     * @param {number} number - Tag number
+     * @returns {ABIFBuilder} Returns this for chaining
+     */
+    removeTag(name, number) {
+        this.entries = this.entries.filter(e => !(e.name === name && e.number === number));
+        return this;
+    }
+
+    /**
+     * Set the four base traces and the filter wheel order
+     * @param {Object} traces - Trace values keyed by base (A, C, G, T)
+     * @param {Object} [options] - Options
+     * @param {string} [options.order] - Base of each channel in DATA order (FWO_1), default 'GATC'
+     * @param {boolean} [options.raw] - Write raw data (DATA_1-4) instead of analyzed data (DATA_9-12)
+     * @returns {ABIFBuilder} Returns this for chaining
+     */
+    setTraces(traces, options = {}) {
+        const order = options.order || 'GATC';
+        const numbers = options.raw ? ABIF_BUILDER_CHANNELS.raw : ABIF_BUILDER_CHANNELS.analyzed;
+
+        order.split('').forEach((base, i) => {
+            if (traces[base]) {
+                this.setTag('DATA', numbers[i], 'short', traces[base]);
+            }
+        });
+
+        if (options.order || !this.entries.some(e => e.name === 'FWO_' && e.number === 1)) {
+            this.setTag('FWO_', 1, 'char', order);
+        }
+        return this;
+    }
+
+    /**
+     * Set a set of base calls
+     * @param {Object} calls - { sequence, qualityScores, peakLocations } (each optional)
+     * @param {number} [number] - Tag number: 1 for the current calls, 2 for the basecaller's
+     * @returns {ABIFBuilder} Returns this for chaining
+     */
+    setCalls(calls, number = 1) {
+        if (calls.sequence !== undefined) {
+            this.setTag('PBAS', number, 'char', calls.sequence);
+        }
+        if (calls.qualityScores !== undefined) {
+            this.setTag('PCON', number, 'char', calls.qualityScores);
+        }
+        if (calls.peakLocations !== undefined) {
+            this.setTag('PLOC', number, 'short', calls.peakLocations);
+        }
+        return this;
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // SERIALIZATION
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Serialize the file
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.directoryFirst] - Write the directory before the data blocks
+     * @param {Object} [options.header] - Header fields written instead of the computed ones
+     *                                    (filetype, version, name, number, elementtype,
+     *                                    elementsize, numelements, datasize, dataoffset)
+     * @param {number} [options.truncate] - Number of bytes cut from the end
+     * @returns {ArrayBuffer} ABIF file
+     */
+    build(options = {}) {
+        const dataSize = this.entries.reduce((sum, e) => sum + (e.bytes.length > 4 ? e.bytes.length : 0), 0);
+        const directorySize = this.entries.length * ABIF_BUILDER_ENTRY_SIZE;
+        const directoryOffset = options.directoryFirst ? ABIF_BUILDER_HEADER_SIZE : ABIF_BUILDER_HEADER_SIZE + dataSize;
+        let cursor = options.directoryFirst ? ABIF_BUILDER_HEADER_SIZE + directorySize : ABIF_BUILDER_HEADER_SIZE;
+
+        const buffer = new ArrayBuffer(ABIF_BUILDER_HEADER_SIZE + dataSize + directorySize);
+        const out = new Uint8Array(buffer);
+        const dv = new DataView(buffer);
+
+        const header = Object.assign({
+            filetype:    'ABIF',
+            version:     this.version,
+            name:        'tdir',
+            number:      1,
+            elementtype: abifBuilderTypes.ABIF_TYPE_CODES.DIRECTORY,
+            elementsize: ABIF_BUILDER_ENTRY_SIZE,
+            numelements: this.entries.length,
+            datasize:    directorySize,
+            dataoffset:  directoryOffset
+        }, options.header);
+
+        abifBuilderTypes.writeString4(dv, 0, header.filetype);
+        dv.setUint16(4, header.version, false);
+        abifBuilderTypes.writeString4(dv, 6, header.name);
+        dv.setUint32(10, header.number, false);
+        dv.setUint16(14, header.elementtype, false);
+        dv.setUint16(16, header.elementsize, false);
+        dv.setUint32(18, header.numelements, false);
+        dv.setUint32(22, header.datasize, false);
+        dv.setUint32(26, header.dataoffset, false);
+
+        this.entries.forEach((entry, i) => {
+            let dataoffset;
+            if (entry.bytes.length > 4) {
+                out.set(entry.bytes, cursor);
+                dataoffset = cursor;
+                cursor += entry.bytes.length;
+            } else {
+                // Inline: left-aligned in the 4-byte offset field
+                const inline = new Uint8Array(4);
+                inline.set(entry.bytes);
+                dataoffset = new DataView(inline.buffer).getUint32(0, false);
+            }
+
+            const fields = Object.assign({
+                elementsize: entry.elementsize,
+                numelements: entry.elementsize > 0 ? Math.floor(entry.bytes.length / entry.elementsize) : entry.bytes.length,
+                datasize:    entry.bytes.length,
+                dataoffset:  dataoffset,
+                datahandle:  0
+            }, entry.overrides);
+
+            const offset = directoryOffset + (i * ABIF_BUILDER_ENTRY_SIZE);
+            abifBuilderTypes.writeString4(dv, offset, entry.name);
+            dv.setUint32(offset + 4, entry.number, false);
+            dv.setUint16(offset + 8, entry.elementtype, false);
+            dv.setUint16(offset + 10, fields.elementsize, false);
+            dv.setUint32(offset + 12, fields.numelements, false);
+            dv.setUint32(offset + 16, fields.datasize, false);
+            dv.setUint32(offset + 20, fields.dataoffset, false);
+            dv.setUint32(offset + 24, fields.datahandle, false);
+        });
+
+        return options.truncate ? buffer.slice(0, Math.max(0, buffer.byteLength - options.truncate)) : buffer;
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // STATIC HELPERS
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Element type code of a type code or name
+     * @param {number|string} type - Type code, or name as in ABIF_TYPE_NAMES ('short', 'pString', ...)
+     * @returns {number} Type code
+     * @throws {Error} If the name is unknown
+     */
+    static typeCode(type) {
+        if (typeof type === 'number') return type;
+
+        const names = abifBuilderTypes.ABIF_TYPE_NAMES;
+        const code = Object.keys(names).find(c => names[c].toLowerCase() === String(type).toLowerCase());
+        if (code === undefined) {
+            throw new Error(`Unknown ABIF element type: ${type}`);
+        }
+        return parseInt(code, 10);
+    }
+
+    /**
+     * Create a builder from a plain description
+     * @param {Object} spec - { version, traces, rawTraces, order, calls, basecallerCalls,
+     *                        tags: [{ name, number, type, value, bytes, elementsize, overrides }] }
+     *                        (a tag with `bytes` is written as given, with elementsize 1 unless set)
+     * @returns {ABIFBuilder} Builder
+     */
+    static fromObject(spec) {
+        const builder = new ABIFBuilder({ version: spec.version });
+
+        if (spec.traces) builder.setTraces(spec.traces, { order: spec.order });
+        if (spec.rawTraces) builder.setTraces(spec.rawTraces, { order: spec.order, raw: true });
+        if (spec.calls) builder.setCalls(spec.calls, 1);
+        if (spec.basecallerCalls) builder.setCalls(spec.basecallerCalls, 2);
+
+        for (const tag of spec.tags || []) {
+            if (tag.bytes) {
+                builder.setRawTag(tag.name, tag.number, tag.type, tag.elementsize || 1, tag.bytes, tag.overrides);
+            } else {
+                builder.setTag(tag.name, tag.number, tag.type, tag.value, tag.overrides);
+            }
+        }
+        return builder;
+    }
+
+    /**
+     * Create a builder holding a read: one Gaussian peak per base on the
+     * channel of its base, with the calls, peak locations and qualities
+     * @param {string} sequence - Bases (A, C, G, T; other letters get no peak)
+     * @param {Object} [options] - Options
+     * @param {number} [options.spacing] - Scans between peaks (default 12)
+     * @param {number} [options.height] - Peak height (default 1000)
+     * @param {number} [options.width] - Peak standard deviation in scans (default 2.5)
+     * @param {number} [options.quality] - Quality of every base (default 40)
+     * @param {string} [options.order] - Filter wheel order (default 'GATC')
+     * @returns {ABIFBuilder} Builder
+     */
+    static syntheticRead(sequence, options = {}) {
+        const spacing = options.spacing || 12;
+        const height = options.height || 1000;
+        const width = options.width || 2.5;
+        const quality = options.quality !== undefined ? options.quality : 40;
+        const length = (sequence.length + 1) * spacing;
+
+        const traces = { A: new Array(length).fill(0), C: new Array(length).fill(0), G: new Array(length).fill(0), T: new Array(length).fill(0) };
+        const peakLocations = [];
+
+        for (let i = 0; i < sequence.length; i++) {
+            const peak = Math.round((i + 0.5) * spacing);
+            const trace = traces[sequence[i].toUpperCase()];
+            peakLocations.push(peak);
+            if (!trace) continue;
+
+            const reach = Math.ceil(width * 4);
+            for (let x = Math.max(0, peak - reach); x <= Math.min(length - 1, peak + reach); x++) {
+                trace[x] += Math.round(height * Math.exp(-((x - peak) ** 2) / (2 * width * width)));
+            }
+        }
+
+        return new ABIFBuilder()
+            .setTraces(traces, { order: options.order })
+            .setCalls({
+                sequence: sequence,
+                qualityScores: new Array(sequence.length).fill(quality),
+                peakLocations: peakLocations
+            });
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // HELPERS
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Create a tag entry
+     * @private
+     */
+    _createEntry(name, number, type, elementsize, bytes, overrides) {
+        if (typeof name !== 'string' || name.length !== 4) {
+            throw new Error(`Tag name must be 4 characters: "${name}"`);
+        }
+        return {
+            name: name,
+            number: number,
+            elementtype: ABIFBuilder.typeCode(type),
+            elementsize: elementsize,
+            bytes: bytes instanceof Uint8Array ? bytes : Uint8Array.from(bytes),
+            overrides: overrides || {}
+        };
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron main process
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ABIFBuilder;
+}
+
+// For use in browser/renderer process
+if (typeof window !== 'undefined') {
+    window.ABIFBuilder = ABIFBuilder;
+}
@@ -0,0 +1,267 @@
+///////////////////////////////////////////////////////////////////////////////
+// ABIFChannels.js
+// Channel model of a trace file: dye, wavelength, base or role, and color
+// Shared by the chromatogram viewer, the minimap and the PNG exporter
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Trace colors of the four bases (the usual Sanger palette, as in
+ * NUCLEOTIDE_COLORS, which the viewer also uses for base call letters)
+ */
+const CHANNEL_BASE_COLORS = {
+    'G': '#000000',  // Black
+    'A': '#00CC00',  // Green
+    'T': '#FF0000',  // Red
+    'C': '#0000FF'   // Blue
+};
+
+/**
+ * Filter wheel order of dye-terminator chemistries (BigDye, dRhodamine),
+ * which is also the order of their emission wavelengths: G < A < T < C
+ */
+const CHANNEL_DEFAULT_BASE_ORDER = ['G', 'A', 'T', 'C'];
+
+/**
+ * Display key and color of fragment analysis dyes by emission wavelength:
+ * [upper wavelength bound (nm), key, color]. Yellow dyes are drawn in black
+ * so they stay visible on white.
+ */
+const CHANNEL_DYE_COLORS = [
+    [535,      'blue',   '#0000FF'],   // 6-FAM
+    [565,      'green',  '#00A000'],   // VIC, HEX, JOE
+    [585,      'yellow', '#000000'],   // NED, TAMRA
+    [630,      'red',    '#FF0000'],   // PET, ROX
+    [Infinity, 'orange', '#FF8000']    // LIZ
+];
+
+/**
+ * Dye colors in channel order, for dyes without a usable wavelength
+ */
+const CHANNEL_DYE_PALETTE = [
+    ['blue',   '#0000FF'],
+    ['green',  '#00A000'],
+    ['yellow', '#000000'],
+    ['red',    '#FF0000'],
+    ['orange', '#FF8000'],
+    ['purple', '#8000C0']
+];
+
+/**
+ * Dyes used to label fragment analysis size standards
+ */
+const CHANNEL_STANDARD_DYES = /LIZ|ROX/i;
+
+/**
+ * ABIF Channels
+ * Builds the channel model of a file from its dye tags: DySN_1 (dye set),
+ * DyeN_n (dye names), DyeW_n (emission wavelengths) and FWO__1 (filter
+ * wheel order). Each channel has:
+ *   key        - Trace key (the base for sequencing channels, a color name
+ *                such as 'blue' for fragment analysis dyes)
+ *   dye        - Dye number (1-based)
+ *   name       - Dye name, or null
+ *   wavelength - Emission wavelength in nm, or null
+ *   base       - Base called from this channel, or null
+ *   role       - 'base', 'sample' (fragment dye), 'standard' (size standard dye)
+ *                or 'other' (extra dye of a sequencing run)
+ *   color      - Display color
+ *   data       - DATA tag numbers: { raw, analyzed }
+ *
+ * When FWO__1 is missing or malformed, sequencing bases are assigned by
+ * wavelength, and by the default G/A/T/C order when wavelengths are
+ * missing too. `orderSource` records which was used.
+ *
+ * Usage:
+ *   const model = ABIFChannels.fromParser(parser);
+ *   for (const channel of model.channels) console.log(channel.key, channel.name, channel.color);
+ */
+class ABIFChannels {
+
+    /**
+     * Build the channel model of a parsed ABIF file
+     * @param {ABIFParser} parser - Parsed ABIF file
+     * @returns {Object} Model: { dyeSet, chemistry: 'sequencing'|'fragment', orderSource, channels }
+     */
+    static fromParser(parser) {
+        const fragment = parser.isFragmentFile();
+        const count = fragment ? parser.getDyeCount() : Math.max(4, parser.getDyeCount());
+        const dyeSet = parser.getTagData('DySN', 1);
+
+        const dyes = [];
+        for (let dye = 1; dye <= count; dye++) {
+            const name = parser.getTagData('DyeN', dye);
+            const wavelength = parser.getTagData('DyeW', dye);
+            dyes.push({
+                dye: dye,
+                name: typeof name === 'string' && name.trim() ? name.trim() : null,
+                wavelength: typeof wavelength === 'number' && wavelength > 0 ? wavelength : null,
+                data: {
+                    raw: dye <= 4 ? dye : 100 + dye,
+                    analyzed: dye <= 4 ? 8 + dye : 200 + dye
+                }
+            });
+        }
+
+        const model = fragment
+            ? ABIFChannels._fragmentChannels(dyes)
+            : ABIFChannels._sequencingChannels(dyes, parser.getTagData('FWO_', 1));
+
+        return {
+            dyeSet: typeof dyeSet === 'string' ? dyeSet : '',
+            chemistry: fragment ? 'fragment' : 'sequencing',
+            orderSource: model.orderSource,
+            channels: model.channels
+        };
+    }
+
+    /**
+     * Build the channel model of a format that only stores a base order (SCF, ZTR)
+     * @param {string[]} order - Bases in channel order
+     * @returns {Object} Model (see fromParser)
+     */
+    static fromBaseOrder(order) {
+        return {
+            dyeSet: '',
+            chemistry: 'sequencing',
+            orderSource: 'file',
+            channels: order.map((base, index) => ({
+                key: base,
+                dye: index + 1,
+                name: null,
+                wavelength: null,
+                base: base,
+                role: 'base',
+                color: CHANNEL_BASE_COLORS[base] || '#808080',
+                data: null
+            }))
+        };
+    }
+
+    /**
+     * Read a filter wheel order (FWO__1)
+     * @param {string|number|TypedArray|null} value - Tag value (text or character codes)
+     * @returns {string[]|null} Four bases, or null when missing or not a permutation of G, A, T, C
+     */
+    static parseFilterWheelOrder(value) {
+        let text = '';
+        if (typeof value === 'string') {
+            text = value;
+        } else if (typeof value === 'number') {
+            text = String.fromCharCode(value);
+        } else if (value && typeof value.length === 'number') {
+            text = String.fromCharCode(...Array.from(value).slice(0, 8));
+        }
+
+        const bases = text.trim().toUpperCase().slice(0, 4).split('');
+        const valid = bases.length === 4 && [...bases].sort().join('') === 'ACGT';
+        return valid ? bases : null;
+    }
+
+    /**
+     * Display key and color of a fragment analysis dye from its wavelength
+     * @param {number} wavelength - Emission wavelength (nm)
+     * @returns {Object} { key, color }
+     */
+    static colorForWavelength(wavelength) {
+        const [, key, color] = CHANNEL_DYE_COLORS.find(([limit]) => wavelength < limit);
+        return { key, color };
+    }
+
+    /**
+     * Keys of the channels in display order
+     * @param {Object} model - Channel model
+     * @returns {string[]} Channel keys
+     */
+    static keys(model) {
+        return model.channels.filter(c => c.role !== 'other').map(c => c.key);
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // CHEMISTRIES
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Sequencing: the first four dyes are bases, any further dye is 'other'
+     * @private
+     */
+    static _sequencingChannels(dyes, filterWheelOrder) {
+        const first = dyes.slice(0, 4);
+        let bases = ABIFChannels.parseFilterWheelOrder(filterWheelOrder);
+        let orderSource = 'FWO_';
+
+        if (!bases) {
+            const wavelengths = first.map(d => d.wavelength);
+            if (wavelengths.every(w => w) && new Set(wavelengths).size === 4) {
+                // Terminator dyes emit in base order, so rank the channels by wavelength
+                const ranked = [...first].sort((a, b) => a.wavelength - b.wavelength);
+                bases = first.map(d => CHANNEL_DEFAULT_BASE_ORDER[ranked.indexOf(d)]);
+                orderSource = 'wavelength';
+            } else {
+                bases = CHANNEL_DEFAULT_BASE_ORDER.slice();
+                orderSource = 'default';
+            }
+        }
+
+        const channels = dyes.map((dye, index) => {
+            if (index < 4) {
+                return { key: bases[index], ...dye, base: bases[index], role: 'base', color: CHANNEL_BASE_COLORS[bases[index]] };
+            }
+            return {
+                key: `dye${dye.dye}`,
+                ...dye,
+                base: null,
+                role: 'other',
+                color: dye.wavelength ? ABIFChannels.colorForWavelength(dye.wavelength).color : '#808080'
+            };
+        });
+
+        return { orderSource, channels };
+    }
+
+    /**
+     * Fragment analysis: every dye is a sample dye except the size standard
+     * (the last LIZ or ROX dye, or the last dye when none is named)
+     * @private
+     */
+    static _fragmentChannels(dyes) {
+        let standard = -1;
+        dyes.forEach((dye, index) => {
+            if (dye.name && CHANNEL_STANDARD_DYES.test(dye.name)) standard = index;
+        });
+        if (standard < 0) standard = dyes.length - 1;
+
+        const used = new Set();
+        const channels = dyes.map((dye, index) => {
+            let display = dye.wavelength ? ABIFChannels.colorForWavelength(dye.wavelength) : null;
+            if (!display || used.has(display.key)) {
+                const free = CHANNEL_DYE_PALETTE.find(([key]) => !used.has(key));
+                display = free ? { key: free[0], color: free[1] } : { key: `dye${dye.dye}`, color: '#808080' };
+            }
+            used.add(display.key);
+
+            return {
+                key: display.key,
+                ...dye,
+                base: null,
+                role: index === standard ? 'standard' : 'sample',
+                color: display.color
+            };
+        });
+
+        return { orderSource: null, channels };
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron main process
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ABIFChannels;
+}
+
+// For use in browser/renderer process
+if (typeof window !== 'undefined') {
+    window.ABIFChannels = ABIFChannels;
+}
@@ -0,0 +1,435 @@
+///////////////////////////////////////////////////////////////////////////////
+// ABIFDiff.js
+// Tag-by-tag comparison of two ABIF files, with a base-level alignment of
+// their PBAS_1 sequences
+///////////////////////////////////////////////////////////////////////////////
+
+// Import types if in Node.js environment
+// (renderer scripts share one global scope, where ABIFTypes.js already declares ABIFTypes)
+const abifDiffTypes = (typeof require !== 'undefined') ? require('./ABIFTypes.js') : window.ABIFTypes;
+
+// Sequence aligner (only needed by compare(), which runs in the main process)
+const abifDiffAligner = (typeof require !== 'undefined')
+    ? require('../editor/BasecallComparison.js').BasecallComparison
+    : window.BasecallComparison;
+
+/**
+ * Characters of text shown around a change, and the longest changed text kept
+ */
+const ABIF_DIFF_CONTEXT = 20;
+const ABIF_DIFF_MAX_TEXT = 80;
+
+/**
+ * Bases per line of a formatted alignment
+ */
+const ABIF_DIFF_LINE_WIDTH = 60;
+
+/**
+ * ABIF Diff
+ * Compares the directories of two parsed files. Every tag is 'added' (only in
+ * the second file), 'removed' (only in the first), 'changed' or 'unchanged',
+ * and changed tags are summarized by kind:
+ *   numeric - length of both arrays, number of differing elements, largest absolute difference
+ *   text    - the changed part of char arrays and strings, with some context
+ *   binary  - size of both blocks and number of differing bytes
+ *   value   - both values formatted as text (dates, times, structures, type changes)
+ *
+ * Usage:
+ *   const diff = ABIFDiff.compare(parserA, parserB);
+ *   console.log(ABIFDiff.formatReport(diff, 'old.ab1', 'new.ab1'));
+ */
+class ABIFDiff {
+
+    /**
+     * Compare two parsed files
+     * @param {ABIFParser} parserA - First (older) file
+     * @param {ABIFParser} parserB - Second (newer) file
+     * @returns {Object} { tags, counts, sequence }
+     */
+    static compare(parserA, parserB) {
+        const keysA = new Set(parserA.listTags());
+        const keysB = new Set(parserB.listTags());
+        const keys = parserA.listTags().concat(parserB.listTags().filter(key => !keysA.has(key)));
+
+        const tags = [];
+        const counts = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+
+        for (const key of keys) {
+            const entryA = keysA.has(key) ? ABIFDiff._entry(parserA, key) : null;
+            const entryB = keysB.has(key) ? ABIFDiff._entry(parserB, key) : null;
+            const tag = ABIFDiff._compareTag(parserA, entryA, parserB, entryB);
+
+            counts[tag.status]++;
+            tags.push(tag);
+        }
+
+        return {
+            tags: tags,
+            counts: counts,
+            sequence: ABIFDiff.alignSequences(parserA.getSequence(), parserB.getSequence())
+        };
+    }
+
+    /**
+     * Align two base call sequences by edit distance
+     * @param {string} sequenceA - First sequence
+     * @param {string} sequenceB - Second sequence
+     * @returns {Object|null} { lengthA, lengthB, alignedA, alignedB, counts, identity, error }, or null when neither file has calls
+     */
+    static alignSequences(sequenceA, sequenceB) {
+        sequenceA = sequenceA || '';
+        sequenceB = sequenceB || '';
+        if (!sequenceA && !sequenceB) return null;
+
+        const result = {
+            lengthA: sequenceA.length,
+            lengthB: sequenceB.length,
+            alignedA: '',
+            alignedB: '',
+            counts: { match: 0, substitution: 0, insertion: 0, deletion: 0 },
+            identity: 0,
+            error: null
+        };
+
+        // B is the edited read: insertions are bases only in B, deletions bases only in A
+        let comparison;
+        try {
+            comparison = abifDiffAligner.compare({ sequence: sequenceB }, { sequence: sequenceA });
+        } catch (error) {
+            result.error = error.message;
+            return result;
+        }
+
+        let alignedA = '';
+        let alignedB = '';
+        for (const column of comparison.columns) {
+            alignedA += column.original >= 0 ? sequenceA[column.original] : '-';
+            alignedB += column.edited >= 0 ? sequenceB[column.edited] : '-';
+            result.counts[column.type]++;
+        }
+
+        result.alignedA = alignedA;
+        result.alignedB = alignedB;
+        result.identity = comparison.columns.length > 0 ? result.counts.match / comparison.columns.length : 1;
+        return result;
+    }
+
+    /**
+     * One-line description of a compared tag
+     * @param {Object} tag - Entry of compare().tags
+     * @returns {string} Description
+     */
+    static describe(tag) {
+        const detail = tag.detail;
+
+        if (tag.status === 'added') return `added (${tag.typeB}): ${detail.b}`;
+        if (tag.status === 'removed') return `removed (${tag.typeA}): ${detail.a}`;
+        if (tag.status === 'unchanged') return 'unchanged';
+
+        switch (tag.kind) {
+            case 'numeric':
+            case 'binary': {
+                const unit = (count) => `${tag.kind === 'binary' ? 'byte' : 'element'}${count === 1 ? '' : 's'}`;
+                const length = detail.lengthA === detail.lengthB
+                    ? `${detail.lengthA} ${unit(detail.lengthA)}`
+                    : `${detail.lengthA} → ${detail.lengthB} ${unit(detail.lengthB)}`;
+                const parts = [length];
+                if (detail.differing > 0) {
+                    parts.push(`${detail.differing} differ from index ${detail.firstDifference}`);
+                }
+                if (tag.kind === 'numeric' && detail.maxAbsDiff > 0) {
+                    parts.push(`max abs diff ${ABIFDiff._formatNumber(detail.maxAbsDiff)}`);
+                }
+                return parts.join(', ');
+            }
+            case 'text':
+                return `at ${detail.offset}: ${detail.before}[-${detail.removed}-]{+${detail.inserted}+}${detail.after}` +
+                    (detail.lengthA !== detail.lengthB ? ` (${detail.lengthA} → ${detail.lengthB} chars)` : '');
+            default:
+                return tag.typeA !== tag.typeB
+                    ? `${tag.typeA} ${detail.a} → ${tag.typeB} ${detail.b}`
+                    : `${detail.a} → ${detail.b}`;
+        }
+    }
+
+    /**
+     * Format a sequence alignment as numbered blocks
+     * (a line of each sequence with a '|' under every matching base)
+     * @param {Object} sequence - compare().sequence
+     * @param {number} [width] - Alignment columns per block
+     * @returns {string[]} Lines
+     */
+    static formatAlignment(sequence, width = ABIF_DIFF_LINE_WIDTH) {
+        const lines = [];
+        if (!sequence || sequence.error) return lines;
+
+        const digits = String(Math.max(sequence.lengthA, sequence.lengthB, 1)).length;
+        let positionA = 0;
+        let positionB = 0;
+
+        for (let start = 0; start < sequence.alignedA.length; start += width) {
+            const a = sequence.alignedA.slice(start, start + width);
+            const b = sequence.alignedB.slice(start, start + width);
+
+            let marks = '';
+            for (let i = 0; i < a.length; i++) {
+                marks += a[i] !== '-' && b[i] !== '-' && a[i].toUpperCase() === b[i].toUpperCase() ? '|' : ' ';
+            }
+
+            const basesA = a.replace(/-/g, '').length;
+            const basesB = b.replace(/-/g, '').length;
+            const label = (position, bases) => String(bases > 0 ? position + 1 : position).padStart(digits);
+
+            lines.push(`A ${label(positionA, basesA)} ${a} ${positionA + basesA}`);
+            lines.push(`  ${' '.repeat(digits)} ${marks}`);
+            lines.push(`B ${label(positionB, basesB)} ${b} ${positionB + basesB}`);
+            lines.push('');
+
+            positionA += basesA;
+            positionB += basesB;
+        }
+        return lines;
+    }
+
+    /**
+     * Format a comparison as a text report
+     * @param {Object} diff - Output of compare()
+     * @param {string} nameA - First file name
+     * @param {string} nameB - Second file name
+     * @param {boolean} [includeUnchanged] - List unchanged tags too
+     * @returns {string} Report text
+     */
+    static formatReport(diff, nameA, nameB, includeUnchanged = false) {
+        const { added, removed, changed, unchanged } = diff.counts;
+        const lines = [
+            `A: ${nameA}`,
+            `B: ${nameB}`,
+            '',
+            `Tags: ${changed} changed, ${added} added, ${removed} removed, ${unchanged} unchanged`,
+            ''
+        ];
+
+        const symbols = { added: '+', removed: '-', changed: '~', unchanged: '=' };
+        for (const tag of diff.tags) {
+            if (tag.status === 'unchanged' && !includeUnchanged) continue;
+            lines.push(`${symbols[tag.status]} ${tag.key.padEnd(8)} ${ABIFDiff.describe(tag)}`);
+        }
+
+        const sequence = diff.sequence;
+        if (sequence) {
+            lines.push('', 'PBAS_1 alignment');
+            if (sequence.error) {
+                lines.push(`  ${sequence.error}`);
+            } else {
+                const { match, substitution, insertion, deletion } = sequence.counts;
+                lines.push(`  ${sequence.lengthA} bases in A, ${sequence.lengthB} in B; ${match} identical ` +
+                    `(${(sequence.identity * 100).toFixed(1)}%), ${substitution} substituted, ` +
+                    `${insertion} only in B, ${deletion} only in A`, '');
+                lines.push(...ABIFDiff.formatAlignment(sequence));
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // TAG COMPARISON
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Compare one tag of the two files
+     * @private
+     */
+    static _compareTag(parserA, entryA, parserB, entryB) {
+        const entry = entryA || entryB;
+        const tag = {
+            key: `${entry.name}_${entry.number}`,
+            name: entry.name,
+            number: entry.number,
+            status: 'unchanged',
+            kind: null,
+            typeA: entryA ? abifDiffTypes.getTypeName(entryA.elementtype) : null,
+            typeB: entryB ? abifDiffTypes.getTypeName(entryB.elementtype) : null,
+            detail: null
+        };
+
+        if (!entryA || !entryB) {
+            tag.status = entryA ? 'removed' : 'added';
+            tag.kind = 'value';
+            tag.detail = {
+                a: entryA ? ABIFDiff._preview(parserA, entryA) : null,
+                b: entryB ? ABIFDiff._preview(parserB, entryB) : null
+            };
+            return tag;
+        }
+
+        const valueA = parserA.getTagData(entryA.name, entryA.number);
+        const valueB = parserB.getTagData(entryB.name, entryB.number);
+        const textA = ABIFDiff._text(valueA, entryA);
+        const textB = ABIFDiff._text(valueB, entryB);
+
+        if (entryA.elementtype !== entryB.elementtype) {
+            tag.kind = 'value';
+            tag.detail = { a: ABIFDiff._preview(parserA, entryA), b: ABIFDiff._preview(parserB, entryB) };
+        } else if (textA !== null && textB !== null) {
+            tag.kind = 'text';
+            tag.detail = textA === textB ? null : ABIFDiff._textDiff(textA, textB);
+        } else if (ABIFDiff._isNumeric(valueA) && ABIFDiff._isNumeric(valueB)) {
+            const detail = ABIFDiff._numericDiff(ABIFDiff._array(valueA), ABIFDiff._array(valueB));
+            tag.kind = 'numeric';
+            tag.detail = detail.differing > 0 ? detail : null;
+        } else if (valueA && valueB && valueA.bytes && valueB.bytes) {
+            const detail = ABIFDiff._numericDiff(valueA.bytes, valueB.bytes);
+            tag.kind = 'binary';
+            tag.detail = detail.differing > 0 ? detail : null;
+        } else {
+            const a = abifDiffTypes.formatValue(valueA, entryA.elementtype);
+            const b = abifDiffTypes.formatValue(valueB, entryB.elementtype);
+            tag.kind = 'value';
+            tag.detail = a === b ? null : { a: ABIFDiff._truncate(a), b: ABIFDiff._truncate(b) };
+        }
+
+        if (tag.detail) tag.status = 'changed';
+        return tag;
+    }
+
+    /**
+     * Locate the changed part of two texts (common prefix and suffix removed)
+     * @private
+     */
+    static _textDiff(a, b) {
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        return {
+            lengthA: a.length,
+            lengthB: b.length,
+            offset: start,
+            before: ABIFDiff._clean(a.slice(Math.max(0, start - ABIF_DIFF_CONTEXT), start)),
+            removed: ABIFDiff._truncate(a.slice(start, endA)),
+            inserted: ABIFDiff._truncate(b.slice(start, endB)),
+            after: ABIFDiff._clean(a.slice(endA, endA + ABIF_DIFF_CONTEXT))
+        };
+    }
+
+    /**
+     * Summarize the difference of two numeric arrays over their common length
+     * @private
+     */
+    static _numericDiff(a, b) {
+        const common = Math.min(a.length, b.length);
+        let differing = Math.abs(a.length - b.length);
+        let firstDifference = a.length !== b.length ? common : -1;
+        let maxAbsDiff = 0;
+
+        for (let i = 0; i < common; i++) {
+            if (a[i] === b[i] || (Number.isNaN(a[i]) && Number.isNaN(b[i]))) continue;
+            differing++;
+            if (firstDifference < 0 || i < firstDifference) firstDifference = i;
+            const difference = Math.abs(a[i] - b[i]);
+            if (difference > maxAbsDiff) maxAbsDiff = difference;
+        }
+
+        return { lengthA: a.length, lengthB: b.length, differing, firstDifference, maxAbsDiff };
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // HELPERS
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Directory entry of a tag key
+     * @private
+     */
+    static _entry(parser, key) {
+        const split = key.lastIndexOf('_');
+        return parser.findEntry(key.slice(0, split), parseInt(key.slice(split + 1), 10));
+    }
+
+    /**
+     * Text of a char array, pString or cString tag (null for other types)
+     * @private
+     */
+    static _text(value, entry) {
+        const { CHAR, PSTRING, CSTRING } = abifDiffTypes.ABIF_TYPE_CODES;
+        if (value === null || value === undefined) return null;
+
+        if (entry.elementtype === PSTRING || entry.elementtype === CSTRING) return String(value);
+        if (entry.elementtype === CHAR) {
+            return typeof value === 'number' ? String.fromCharCode(value) : abifDiffTypes.charArrayToString(value);
+        }
+        if (value.bytes && typeof value.text === 'string') return value.text;
+        return null;
+    }
+
+    /**
+     * Short text of a tag value
+     * @private
+     */
+    static _preview(parser, entry) {
+        const value = parser.getTagData(entry.name, entry.number);
+        return ABIFDiff._truncate(abifDiffTypes.formatValue(value, entry.elementtype));
+    }
+
+    /**
+     * Check for numeric data (a number or a numeric array)
+     * @private
+     */
+    static _isNumeric(value) {
+        return typeof value === 'number' || (abifDiffTypes.isNumericArray(value) && Array.from(value.slice(0, 1)).every(v => typeof v === 'number'));
+    }
+
+    /**
+     * Numeric value as an array (single-element tags decode to a number)
+     * @private
+     */
+    static _array(value) {
+        return typeof value === 'number' ? [value] : value;
+    }
+
+    /**
+     * Shorten text for display, with control characters made visible
+     * @private
+     */
+    static _truncate(text) {
+        const clean = ABIFDiff._clean(text);
+        return clean.length > ABIF_DIFF_MAX_TEXT ? `${clean.slice(0, ABIF_DIFF_MAX_TEXT)}…` : clean;
+    }
+
+    /**
+     * Replace line breaks and other control characters
+     * @private
+     */
+    static _clean(text) {
+        return String(text).replace(/\r?\n/g, '⏎').replace(/[\u0000-\u001f]/g, '·');
+    }
+
+    /**
+     * Format a difference with up to 4 significant decimals
+     * @private
+     */
+    static _formatNumber(value) {
+        return Number.isInteger(value) ? String(value) : String(parseFloat(value.toPrecision(4)));
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron main process
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ABIFDiff;
+}
+
+// For use in browser/renderer process
+if (typeof window !== 'undefined') {
+    window.ABIFDiff = ABIFDiff;
+}
@@ -0,0 +1,194 @@
+///////////////////////////////////////////////////////////////////////////////
+// ABIFEncoding.js
+// Detection of the text encoding of ABIF string tags (sample names, comments)
+///////////////////////////////////////////////////////////////////////////////
+
+// Import types if in Node.js environment
+// (renderer scripts share one global scope, where ABIFTypes.js already declares ABIFTypes)
+const abifEncodingTypes = (typeof require !== 'undefined') ? require('./ABIFTypes.js') : window.ABIFTypes;
+
+/**
+ * Text encodings that string tags are decoded with: ABIF stores no encoding,
+ * so strings are in the code page of the instrument PC that wrote them
+ */
+const ABIF_TEXT_ENCODINGS = [
+    { id: 'utf-8',        label: 'UTF-8' },
+    { id: 'windows-1252', label: 'Windows-1252 (Western European)' },
+    { id: 'shift_jis',    label: 'Shift_JIS (Japanese)' }
+];
+
+/**
+ * Accented letters of Windows-1252 that occur in names and words
+ */
+const ABIF_LATIN_LETTER = /[À-ÖØ-öø-ÿŠšŒœŽžŸ]/;
+
+/**
+ * Windows-1252 symbols that occur in comments (currency, quotes, dashes, units)
+ */
+const ABIF_LATIN_SYMBOL = /[€‘’“”–—°±²³µ·×÷«»§¨´¸¹º¼½¾¿¡¢£¥©®]/;
+
+/**
+ * Japanese characters: CJK punctuation, hiragana, katakana and ideographs
+ */
+const ABIF_JAPANESE_KANA = /[　-ヿ]/;
+const ABIF_JAPANESE_KANJI = /[一-鿿㐀-䶿]/;
+
+/**
+ * Full-width forms (Ｓａｍｐｌｅ１) and half-width katakana (ｻﾝﾌﾟﾙ)
+ */
+const ABIF_FULLWIDTH = /[！-～]/;
+const ABIF_HALFWIDTH_KANA = /[｡-ﾟ]/;
+
+/**
+ * ABIF Encoding
+ * Picks the encoding of a file's string tags from their bytes. Valid UTF-8
+ * with non-ASCII characters is taken as UTF-8, since other encodings rarely
+ * form valid UTF-8 sequences by accident. Otherwise the bytes are decoded as
+ * Windows-1252 and as Shift_JIS, and the decoding whose non-ASCII characters
+ * look more like real text wins: accented letters next to other letters for
+ * Windows-1252, kana and kanji for Shift_JIS. Files whose strings are plain
+ * ASCII read the same in every encoding and are reported as UTF-8.
+ *
+ * Usage:
+ *   const result = ABIFEncoding.detect([sampleNameBytes, commentBytes]);
+ *   console.log(result.encoding, result.detected);
+ *   const text = ABIFEncoding.decode(bytes, result.encoding);
+ */
+class ABIFEncoding {
+
+    /**
+     * Encodings that can be chosen as a per-file override
+     * @returns {Object[]} { id, label } of each encoding
+     */
+    static encodings() {
+        return ABIF_TEXT_ENCODINGS.map(encoding => ({ ...encoding }));
+    }
+
+    /**
+     * Check that an encoding is one of ABIF_TEXT_ENCODINGS
+     * @param {string} encoding - Encoding ID
+     * @returns {boolean} True if supported
+     */
+    static isSupported(encoding) {
+        return ABIF_TEXT_ENCODINGS.some(e => e.id === encoding);
+    }
+
+    /**
+     * Display label of an encoding
+     * @param {string} encoding - Encoding ID
+     * @returns {string} Label, or the ID itself if unknown
+     */
+    static label(encoding) {
+        const known = ABIF_TEXT_ENCODINGS.find(e => e.id === encoding);
+        return known ? known.label : String(encoding);
+    }
+
+    /**
+     * Decode text bytes
+     * @param {Uint8Array} bytes - Encoded text
+     * @param {string} encoding - Encoding ID
+     * @returns {string} Decoded text
+     */
+    static decode(bytes, encoding) {
+        return abifEncodingTypes.decodeText(bytes, encoding);
+    }
+
+    /**
+     * Detect the encoding of a file's text
+     * @param {Uint8Array[]} samples - Bytes of the file's string tags
+     * @returns {Object} { encoding, detected, scores }; `detected` is false when
+     *                   every sample is ASCII and the encoding is the default
+     */
+    static detect(samples) {
+        const encoded = samples.filter(bytes => bytes.some(b => b >= 0x80));
+        if (encoded.length === 0) {
+            return { encoding: 'utf-8', detected: false, scores: {} };
+        }
+
+        if (encoded.every(bytes => ABIFEncoding._decodes(bytes, 'utf-8'))) {
+            return { encoding: 'utf-8', detected: true, scores: { 'utf-8': 1 } };
+        }
+
+        // Invalid sequences decode to U+FFFD, which scores nothing, so a string
+        // cut off inside a Shift_JIS character does not rule the encoding out
+        const scores = {};
+        for (const encoding of ['windows-1252', 'shift_jis']) {
+            let points = 0;
+            let characters = 0;
+            for (const bytes of encoded) {
+                const score = ABIFEncoding._score(ABIFEncoding.decode(bytes, encoding), encoding);
+                points += score.points;
+                characters += score.characters;
+            }
+            scores[encoding] = characters > 0 ? points / characters : 0;
+        }
+
+        const best = (scores.shift_jis > scores['windows-1252']) ? 'shift_jis' : 'windows-1252';
+        return { encoding: best, detected: true, scores: scores };
+    }
+
+    /**
+     * Check that bytes form valid text in an encoding
+     * @returns {boolean} True if the bytes decode without errors
+     * @private
+     */
+    static _decodes(bytes, encoding) {
+        try {
+            new TextDecoder(encoding, { fatal: true }).decode(bytes);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Score how much the non-ASCII characters of a decoding look like text
+     * in the encoding's language: 2 for a likely character, less for
+     * characters that occur in text but also turn up in misdecodings
+     * @returns {Object} { points, characters } over the non-ASCII characters
+     * @private
+     */
+    static _score(text, encoding) {
+        const chars = Array.from(text);
+        const isLetter = (c) => c !== undefined && (/[A-Za-z]/.test(c) || ABIF_LATIN_LETTER.test(c));
+
+        let points = 0;
+        let characters = 0;
+        chars.forEach((c, i) => {
+            if (c.charCodeAt(0) < 0x80) return;
+            characters++;
+
+            if (encoding === 'windows-1252') {
+                if (ABIF_LATIN_LETTER.test(c)) {
+                    points += (isLetter(chars[i - 1]) || isLetter(chars[i + 1])) ? 2 : 1;
+                } else if (ABIF_LATIN_SYMBOL.test(c)) {
+                    points += 0.5;
+                }
+            } else if (ABIF_JAPANESE_KANA.test(c)) {
+                points += 2;
+            } else if (ABIF_JAPANESE_KANJI.test(c) || ABIF_FULLWIDTH.test(c)) {
+                points += 1.5;
+            } else if (ABIF_HALFWIDTH_KANA.test(c)) {
+                // Accented Windows-1252 letters also decode as single half-width kana
+                const run = ABIF_HALFWIDTH_KANA.test(chars[i - 1] || '') || ABIF_HALFWIDTH_KANA.test(chars[i + 1] || '');
+                points += run ? 2 : 0.25;
+            }
+        });
+
+        return { points, characters };
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron main process
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ABIFEncoding;
+}
+
+// For use in browser/renderer process
+if (typeof window !== 'undefined') {
+    window.ABIFEncoding = ABIFEncoding;
+}
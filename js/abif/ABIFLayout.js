@@ -0,0 +1,244 @@
+///////////////////////////////////////////////////////////////////////////////
+// ABIFLayout.js
+// Byte-level map of an ABIF file for the hex viewer
+// Labels the header, directory entries and tag data blocks by file offset
+///////////////////////////////////////////////////////////////////////////////
+
+// Import types if in Node.js environment
+let ABIFTypes;
+if (typeof require !== 'undefined') {
+    ABIFTypes = require('./ABIFTypes.js');
+} else if (typeof window !== 'undefined' && window.ABIFTypes) {
+    ABIFTypes = window.ABIFTypes;
+}
+
+/**
+ * Fixed layout constants of the ABIF container
+ */
+const ABIF_HEADER_SIZE = 128;        // Header block, including the tdir entry
+const ABIF_DIR_ENTRY_SIZE = 28;      // Size of one directory entry
+
+/**
+ * Header fields: [label, offset, length, reader]
+ */
+const ABIF_HEADER_FIELDS = [
+    ['File type',            0,  4,  h => h.filetype],
+    ['Version',              4,  2,  h => `${h.version} (${(h.version / 100).toFixed(2)})`],
+    ['Directory tag name',   6,  4,  h => h.name],
+    ['Directory tag number', 10, 4,  h => String(h.number)],
+    ['Element type',         14, 2,  h => `${h.elementtype} (${ABIFTypes.getTypeName(h.elementtype)})`],
+    ['Element size',         16, 2,  h => String(h.elementsize)],
+    ['Number of entries',    18, 4,  h => String(h.numelements)],
+    ['Directory size',       22, 4,  h => String(h.datasize)],
+    ['Directory offset',     26, 4,  h => String(h.dataoffset)],
+    ['Data handle',          30, 4,  h => String(h.datahandle)],
+    ['Reserved',             34, 94, () => '']
+];
+
+/**
+ * ABIF Layout
+ * Describes which bytes of a parsed file belong to which structure. Each
+ * region has a kind ('header', 'directory', 'entry', 'data' or 'unused'),
+ * a byte range and, for the header and directory entries, the decoded
+ * fields that make it up. Bytes not referenced by any structure are
+ * reported as 'unused' regions.
+ *
+ * Usage:
+ *   const layout = ABIFLayout.describe(parser);
+ *   for (const region of layout.regions) console.log(region.label, region.start, region.length);
+ */
+class ABIFLayout {
+
+    /**
+     * Describe the layout of a parsed file
+     * @param {ABIFParser} parser - Parsed ABIF file
+     * @returns {Object} Layout: { fileSize, regions }
+     */
+    static describe(parser) {
+        return new ABIFLayout(parser).build();
+    }
+
+    /**
+     * Create an ABIFLayout instance
+     * @param {ABIFParser} parser - Parsed ABIF file
+     */
+    constructor(parser) {
+        if (!parser || !parser.header) {
+            throw new Error('ABIFLayout requires a parsed ABIFParser');
+        }
+
+        this.parser = parser;
+        this.fileSize = parser.buffer.byteLength;
+    }
+
+    /**
+     * Build the region list
+     * @returns {Object} Layout: { fileSize, regions } with regions sorted by offset
+     */
+    build() {
+        const regions = [this._headerRegion()];
+
+        const directory = this._directoryRegion();
+        if (directory) regions.push(directory);
+
+        this.parser.directory.forEach((entry, index) => {
+            regions.push(...this._entryRegions(entry, index));
+        });
+
+        regions.push(...this._unusedRegions(regions));
+        regions.sort((a, b) => (a.start - b.start) || (b.length - a.length));
+
+        return { fileSize: this.fileSize, regions };
+    }
+
+    /**
+     * The 128-byte header
+     * @private
+     */
+    _headerRegion() {
+        const header = this.parser.header;
+
+        return {
+            id: 'header',
+            kind: 'header',
+            label: 'ABIF header',
+            start: 0,
+            length: Math.min(ABIF_HEADER_SIZE, this.fileSize),
+            fields: ABIF_HEADER_FIELDS.map(([label, offset, length, read]) => ({
+                label, start: offset, length, value: read(header)
+            }))
+        };
+    }
+
+    /**
+     * The directory as a whole (clipped to the end of the file)
+     * @private
+     */
+    _directoryRegion() {
+        const { dataoffset, numelements } = this.parser.header;
+        if (dataoffset >= this.fileSize) return null;
+
+        const length = Math.min(numelements * ABIF_DIR_ENTRY_SIZE, this.fileSize - dataoffset);
+
+        return {
+            id: 'directory',
+            kind: 'directory',
+            label: `Directory (${numelements} entries)`,
+            start: dataoffset,
+            length: length
+        };
+    }
+
+    /**
+     * A directory entry and, unless its value is inline, its data block
+     * @param {Object} entry - Directory entry (with entryoffset)
+     * @param {number} index - Position in the directory
+     * @returns {Object[]} One or two regions
+     * @private
+     */
+    _entryRegions(entry, index) {
+        const key = `${entry.name}_${entry.number}`;
+        const typeName = ABIFTypes.getTypeName(entry.elementtype);
+        const inline = entry.datasize <= 4;
+        const value = this._formatValue(entry);
+
+        const regions = [{
+            id: `entry:${index}`,
+            kind: 'entry',
+            key: key,
+            label: `${key} directory entry`,
+            start: entry.entryoffset,
+            length: ABIF_DIR_ENTRY_SIZE,
+            inline: inline,
+            value: inline ? value : undefined,
+            fields: [
+                { label: 'Tag name',      start: 0,  length: 4, value: entry.name },
+                { label: 'Tag number',    start: 4,  length: 4, value: String(entry.number) },
+                { label: 'Element type',  start: 8,  length: 2, value: `${entry.elementtype} (${typeName})` },
+                { label: 'Element size',  start: 10, length: 2, value: String(entry.elementsize) },
+                { label: 'Elements',      start: 12, length: 4, value: String(entry.numelements) },
+                { label: 'Data size',     start: 16, length: 4, value: String(entry.datasize) },
+                inline
+                    ? { label: 'Inline value', start: 20, length: 4, value: value }
+                    : { label: 'Data offset',  start: 20, length: 4, value: String(entry.dataoffset) },
+                { label: 'Data handle',   start: 24, length: 4, value: String(entry.datahandle) }
+            ]
+        }];
+
+        if (!inline) {
+            regions.push({
+                id: `data:${index}`,
+                kind: 'data',
+                key: key,
+                label: `${key} data (${typeName} × ${entry.numelements})`,
+                start: entry.dataoffset,
+                length: Math.min(entry.datasize, Math.max(0, this.fileSize - entry.dataoffset)),
+                value: value
+            });
+        }
+
+        return regions;
+    }
+
+    /**
+     * Decoded value of an entry, shortened for display
+     * @private
+     */
+    _formatValue(entry) {
+        let text;
+        try {
+            text = ABIFTypes.formatValue(this.parser.getTagData(entry.name, entry.number), entry.elementtype);
+        } catch (error) {
+            return `(cannot decode: ${error.message})`;
+        }
+        return text.length > 200 ? `${text.slice(0, 200)}…` : text;
+    }
+
+    /**
+     * Byte ranges not covered by any region
+     * @param {Object[]} regions - Known regions
+     * @returns {Object[]} Unused regions
+     * @private
+     */
+    _unusedRegions(regions) {
+        const ranges = regions
+            .filter(r => r.length > 0)
+            .map(r => [r.start, r.start + r.length])
+            .sort((a, b) => a[0] - b[0]);
+
+        const unused = [];
+        let cursor = 0;
+
+        const addGap = (start, end) => {
+            unused.push({
+                id: `unused:${start}`,
+                kind: 'unused',
+                label: `Unreferenced bytes (${end - start})`,
+                start: start,
+                length: end - start
+            });
+        };
+
+        for (const [start, end] of ranges) {
+            if (start > cursor) addGap(cursor, start);
+            cursor = Math.max(cursor, end);
+        }
+        if (cursor < this.fileSize) addGap(cursor, this.fileSize);
+
+        return unused;
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron main process
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ABIFLayout;
+}
+
+// For use in browser/renderer process
+if (typeof window !== 'undefined') {
+    window.ABIFLayout = ABIFLayout;
+}
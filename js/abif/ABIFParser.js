@@ -12,6 +12,49 @@ if (typeof require !== 'undefined') {
     ABIFTypes = window.ABIFTypes;
 }
 
+// Import validator if in Node.js environment
+// (renderer scripts share one global scope, where ABIFValidator.js already declares ABIFValidator)
+const abifValidator = (typeof require !== 'undefined') ? require('./ABIFValidator.js') : window.ABIFValidator;
+
+// Import channel model builder (same shared scope as above)
+const abifChannels = (typeof require !== 'undefined') ? require('./ABIFChannels.js') : window.ABIFChannels;
+
+// Import XML reader for the run module and analysis protocol tags (same shared scope as above)
+const abifXml = (typeof require !== 'undefined') ? require('./ABIFXml.js') : window.ABIFXml;
+
+// Import text encoding detection for string tags (same shared scope as above)
+const abifEncoding = (typeof require !== 'undefined') ? require('./ABIFEncoding.js') : window.ABIFEncoding;
+
+/**
+ * Run condition settings: names used in the run module / analysis protocol
+ * XML (matched ignoring case and separators) and the tag used when the XML
+ * has no such setting
+ */
+const ABIF_RUN_CONDITIONS = {
+    runVoltage:        { names: ['Run_Voltage', 'DC_Run_Voltage'], tag: ['EPVt', 1] },
+    runTime:           { names: ['Run_Time', 'DC_Run_Time'] },
+    injectionVoltage:  { names: ['Injection_Voltage', 'DC_Injection_Voltage', 'Inj_Voltage'], tag: ['InVt', 1] },
+    injectionTime:     { names: ['Injection_Time', 'DC_Injection_Time', 'Inj_Time'], tag: ['InSc', 1] },
+    temperature:       { names: ['Oven_Temperature', 'DC_Oven_Temperature', 'Temperature'], tag: ['Tmpr', 1] },
+    polymer:           { names: ['Polymer', 'Polymer_Type', 'Polymer_Name'] },
+    arrayLength:       { names: ['Array_Length', 'Capillary_Array_Length', 'Capillary_Length'], tag: ['LNTD', 1] },
+    baseCaller:        { names: ['Basecaller_Name', 'Base_Caller_Name', 'Basecaller', 'Base_Caller', 'Basecaller_File'], tag: ['SPAC', 2] },
+    baseCallerVersion: { names: ['Basecaller_Version', 'Base_Caller_Version'], tag: ['SVER', 2] },
+    mobilityFile:      { names: ['Mobility_File', 'Mobility_File_Name', 'Dye_Mobility_File'], tag: ['PDMF', 2] }
+};
+
+/**
+ * Run telemetry logged during electrophoresis (DATA_5-8): display key, DATA tag
+ * number, label, unit, factor from stored value to unit, and the setting tag
+ * (with its own factor) the series is compared with
+ */
+const ABIF_TELEMETRY_SERIES = [
+    { key: 'voltage',     number: 5, label: 'EP voltage',  unit: 'kV', scale: 0.01, setting: ['EPVt', 1, 0.001] },  // Stored as volts/10
+    { key: 'current',     number: 6, label: 'EP current',  unit: 'mA', scale: 1 },
+    { key: 'power',       number: 7, label: 'Laser power', unit: 'mW', scale: 1 },
+    { key: 'temperature', number: 8, label: 'Temperature', unit: '°C', scale: 1, setting: ['Tmpr', 1, 1] }
+];
+
 /**
  * ABIF File Parser
  * Parses Applied Biosystems AB1/ABIF binary files into structured JavaScript objects
@@ -21,8 +64,12 @@ class ABIFParser {
     /**
      * Create an ABIFParser instance
      * @param {ArrayBuffer} arrayBuffer - The raw binary file data
+     * @param {Object} [options] - Parser options
+     * @param {boolean} [options.salvage] - Load intact entries of a damaged file instead of throwing
+     * @param {string} [options.encoding] - Text encoding of string tags (see ABIFEncoding);
+     *                                      detected from the file if omitted or 'auto'
      */
-    constructor(arrayBuffer) {
+    constructor(arrayBuffer, options = {}) {
         if (!arrayBuffer || !(arrayBuffer instanceof ArrayBuffer)) {
             throw new Error('ABIFParser requires an ArrayBuffer');
         }
@@ -32,6 +79,11 @@ class ABIFParser {
         this.header = null;
         this.directory = [];
         this.tags = {};  // Parsed tag data cache
+        this.salvage = !!options.salvage;
+        this.validation = null;  // ABIFValidator report
+        this.encodingOverride = (options.encoding && options.encoding !== 'auto') ? options.encoding : null;
+        this.textEncoding = null;  // { encoding, source }, set by parse()
+        this._channelModel = null;  // ABIFChannels model, built on first use
         this._parsed = false;
     }
     
@@ -42,18 +94,26 @@ class ABIFParser {
     /**
      * Parse the entire ABIF file
      * @returns {ABIFParser} Returns this for chaining
-     * @throws {Error} If file is not valid ABIF format
+     * @throws {Error} If file is not valid ABIF format, or is damaged and salvage
+     *                 mode is off. The error's `report` holds the validation report.
      */
     parse() {
         if (this._parsed) return this;
         
-        this.header = this._parseHeader();
+        this.validation = abifValidator.validate(this.buffer);
         
-        if (this.header.filetype !== 'ABIF') {
-            throw new Error(`Invalid ABIF file: expected "ABIF" magic number, got "${this.header.filetype}"`);
+        if (this.validation.fatal || (!this.validation.valid && !this.salvage)) {
+            const first = this.validation.issues.find(i => i.severity === 'error');
+            const error = new Error(`Invalid ABIF file: ${first ? first.message : 'validation failed'}`);
+            error.report = this.validation;
+            throw error;
         }
         
-        this.directory = this._parseDirectory();
+        this.header = this._parseHeader();
+        
+        // Salvage mode keeps only the entries whose data lies inside the file
+        this.directory = this.salvage ? this.validation.entries : this._parseDirectory();
+        this.textEncoding = this._resolveTextEncoding();
         this._parsed = true;
         
         return this;
@@ -89,7 +149,7 @@ class ABIFParser {
     _parseDirectory() {
         const entries = [];
         const dirOffset = this.header.dataoffset;
-        const entrySize = this.header.elementsize; // Should be 28
+        const entrySize = 28; // Fixed, like ABIFValidator; a wrong header elementsize is only a warning
         const numEntries = this.header.numelements;
         
         for (let i = 0; i < numEntries; i++) {
@@ -103,11 +163,12 @@ class ABIFParser {
     /**
      * Parse a single directory entry (28 bytes)
      * @param {number} offset - Byte offset of the entry
+     * @param {DataView} [dataView] - View to read from (defaults to the file)
      * @returns {Object} Directory entry object
      * @private
      */
-    _parseDirectoryEntry(offset) {
-        const dv = this.dataView;
+    _parseDirectoryEntry(offset, dataView) {
+        const dv = dataView || this.dataView;
         
         return {
             name:         ABIFTypes.readString4(dv, offset),      // 4-char tag name
@@ -117,7 +178,8 @@ class ABIFParser {
             numelements:  dv.getUint32(offset + 12, false),       // Number of elements
             datasize:     dv.getUint32(offset + 16, false),       // Total data size
             dataoffset:   dv.getUint32(offset + 20, false),       // Data offset or inline data
-            datahandle:   dv.getUint32(offset + 24, false)        // Reserved
+            datahandle:   dv.getUint32(offset + 24, false),       // Reserved
+            entryoffset:  offset                                  // Position of this entry
         };
     }
     
@@ -236,25 +298,81 @@ class ABIFParser {
                 return ABIFTypes.readTime(dataView, offset);
                 
             case ABIFTypes.ABIF_TYPE_CODES.PSTRING: // 18
-                return ABIFTypes.readPString(dataView, offset, datasize);
+                return ABIFTypes.readPString(dataView, offset, datasize, this._encoding());
                 
             case ABIFTypes.ABIF_TYPE_CODES.CSTRING: // 19
-                return ABIFTypes.readCString(dataView, offset, datasize);
+                return ABIFTypes.readCString(dataView, offset, datasize, this._encoding());
+                
+            case ABIFTypes.ABIF_TYPE_CODES.RATIONAL: // 6
+                return this._extractStructArray(dataView, offset, numelements, 8, ABIFTypes.readRational);
+                
+            case ABIFTypes.ABIF_TYPE_CODES.BCD:      // 9
+                return this._extractStructArray(dataView, offset, numelements, elementsize, ABIFTypes.readBCD);
+                
+            case ABIFTypes.ABIF_TYPE_CODES.THUMB:    // 12
+                return this._extractStructArray(dataView, offset, numelements, 10, ABIFTypes.readThumb);
+                
+            case ABIFTypes.ABIF_TYPE_CODES.BOOL:     // 13
+                return this._extractStructArray(dataView, offset, numelements, 1, ABIFTypes.readBool);
+                
+            case ABIFTypes.ABIF_TYPE_CODES.POINT:    // 14
+                return this._extractStructArray(dataView, offset, numelements, 4, ABIFTypes.readPoint);
+                
+            case ABIFTypes.ABIF_TYPE_CODES.RECT:     // 15
+                return this._extractStructArray(dataView, offset, numelements, 8, ABIFTypes.readRect);
+                
+            case ABIFTypes.ABIF_TYPE_CODES.VPOINT:   // 16
+                return this._extractStructArray(dataView, offset, numelements, 8, ABIFTypes.readVPoint);
+                
+            case ABIFTypes.ABIF_TYPE_CODES.VRECT:    // 17
+                return this._extractStructArray(dataView, offset, numelements, 16, ABIFTypes.readVRect);
+                
+            case ABIFTypes.ABIF_TYPE_CODES.TAG:      // 20
+                return this._extractStructArray(dataView, offset, numelements, 8, ABIFTypes.readTag);
+                
+            case ABIFTypes.ABIF_TYPE_CODES.DIRECTORY: // 1023
+                return this._extractStructArray(dataView, offset, numelements, 28,
+                    (dv, entryOffset) => this._parseDirectoryEntry(entryOffset, dv));
+                
+            case ABIFTypes.ABIF_TYPE_CODES.DELTA_COMP: // 128 (legacy)
+            case ABIFTypes.ABIF_TYPE_CODES.LZW_COMP:   // 256 (legacy)
+            case ABIFTypes.ABIF_TYPE_CODES.DELTA_LZW:  // 384 (legacy)
+                return ABIFTypes.readOpaqueBlock(dataView, offset, datasize, elementtype);
                 
             default:
-                // Unknown type - return raw bytes as hex string
+                // User-defined types (>= 1024) often hold embedded XML or ZIP data
+                if (ABIFTypes.isUserType(elementtype)) {
+                    return ABIFTypes.readOpaqueBlock(dataView, offset, datasize, elementtype);
+                }
+                
+                // Undocumented type - return raw bytes as hex string
                 console.warn(`Unknown ABIF element type: ${elementtype} for tag ${entry.name}_${entry.number}`);
                 return this._extractRawBytes(dataView, offset, datasize);
         }
     }
     
+    /**
+     * Extract an array of fixed-size structured elements
+     * @param {DataView} dataView - DataView to read from
+     * @param {number} offset - Starting offset
+     * @param {number} count - Number of elements
+     * @param {number} size - Size of one element in bytes
+     * @param {Function} reader - ABIFTypes element reader
+     * @returns {Array|*} Array of decoded elements, or single element if count is 1
+     * @private
+     */
+    _extractStructArray(dataView, offset, count, size, reader) {
+        const result = ABIFTypes.readStructArray(dataView, offset, count, size, reader);
+        return (count === 1) ? result[0] : result;
+    }
+    
     /**
      * Extract a typed array of values
      * @param {DataView} dataView - DataView to read from
      * @param {number} offset - Starting offset
      * @param {number} count - Number of elements
      * @param {string} type - Type name ('byte', 'char', 'word', 'short', 'long', 'float', 'double')
-     * @returns {number[]|number} Array of values, or single value if count is 1
+     * @returns {TypedArray|number} Typed array of values, or single value if count is 1
      * @private
      */
     _extractTypedArray(dataView, offset, count, type) {
@@ -311,54 +429,128 @@ class ABIFParser {
     ///////////////////////////////////////////////////////////////////////////
     
     /**
-     * Get the filter wheel order (maps channels to nucleotides)
-     * @returns {string[]} Array of 4 nucleotide characters ['G', 'A', 'T', 'C'] or similar
+     * Get the channel model: dye name, wavelength, base or role and display
+     * color of every dye channel (see ABIFChannels)
+     * @returns {Object} { dyeSet, chemistry, orderSource, channels }
      */
-    getChannelOrder() {
-        const fwo = this.getTagData('FWO_', 1);
-        if (!fwo) return ['G', 'A', 'T', 'C']; // Default order
-        
-        // FWO__1 contains ASCII codes for the nucleotides
-        if (Array.isArray(fwo)) {
-            return fwo.map(code => String.fromCharCode(code));
+    getChannelModel() {
+        if (!this._channelModel) {
+            this._channelModel = abifChannels.fromParser(this);
         }
-        return ['G', 'A', 'T', 'C'];
+        return this._channelModel;
     }
     
     /**
-     * Get the processed trace data for all four channels
-     * @returns {Object} Object with G, A, T, C arrays of intensity values
+     * Get the trace keys in channel order. For sequencing files these are
+     * the bases in filter wheel order (FWO__1, or inferred from the dye
+     * wavelengths when it is missing or malformed).
+     * @returns {string[]} Channel keys, e.g. ['G', 'A', 'T', 'C']
+     */
+    getChannelOrder() {
+        return abifChannels.keys(this.getChannelModel());
+    }
+    
+    /**
+     * Get the processed trace data of every channel
+     * @returns {Object} Object with Int16Arrays of intensity values by channel key (G, A, T, C)
      */
     getTraces() {
-        const order = this.getChannelOrder();
+        return this._channelTraces('analyzed');
+    }
+    
+    /**
+     * Get the raw (unprocessed) trace data of every channel
+     * @returns {Object} Object with Int16Arrays of intensity values by channel key (G, A, T, C)
+     */
+    getRawTraces() {
+        return this._channelTraces('raw');
+    }
+    
+    /**
+     * Collect the DATA entries of the displayed channels
+     * DATA_1-4 (raw) and DATA_9-12 (processed) hold dyes 1-4,
+     * DATA_105+ and DATA_205+ hold dyes 5 and up.
+     * @param {string} source - 'raw' or 'analyzed'
+     * @returns {Object} Int16Arrays by channel key
+     * @private
+     */
+    _channelTraces(source) {
         const traces = {};
         
-        // DATA_9 through DATA_12 are the processed traces
-        for (let i = 0; i < 4; i++) {
-            const channelData = this.getTagData('DATA', 9 + i);
-            const nucleotide = order[i];
-            traces[nucleotide] = channelData || [];
+        for (const channel of this.getChannelModel().channels) {
+            if (channel.role === 'other') continue;
+            const channelData = this.getTagData('DATA', channel.data[source]);
+            traces[channel.key] = ABIFTypes.isNumericArray(channelData) ? channelData : new Int16Array(0);
         }
         
         return traces;
     }
     
+    ///////////////////////////////////////////////////////////////////////////
+    // FRAGMENT ANALYSIS DATA
+    ///////////////////////////////////////////////////////////////////////////
+    
     /**
-     * Get the raw (unprocessed) trace data for all four channels
-     * @returns {Object} Object with G, A, T, C arrays of intensity values
+     * Check whether this is a fragment analysis (.fsa) file rather than a
+     * sequencing read: there are no base calls, and the run names a size
+     * standard (StdF_1), has five or more dyes (Dye#_1) or a fifth dye
+     * channel (DATA_105/DATA_205). Reads without calls and without that
+     * evidence are sequencing reads whose basecaller failed or never ran.
+     * @returns {boolean} True for fragment analysis files
      */
-    getRawTraces() {
-        const order = this.getChannelOrder();
-        const traces = {};
+    isFragmentFile() {
+        if (this.findEntry('PBAS', 1) || this.findEntry('PBAS', 2)) return false;
+        if (this.findEntry('StdF', 1)) return true;
+        
+        const dyes = this.getTagData('Dye#', 1);
+        if (typeof dyes === 'number' && dyes >= 5) return true;
+        
+        return !!(this.findEntry('DATA', 105) || this.findEntry('DATA', 205));
+    }
+    
+    /**
+     * Get the number of dyes in the run
+     * Uses Dye#_1 when present, otherwise counts the dye data channels.
+     * @returns {number} Number of dyes (at least 4)
+     */
+    getDyeCount() {
+        const count = this.getTagData('Dye#', 1);
+        if (typeof count === 'number' && count > 0) return count;
         
-        // DATA_1 through DATA_4 are the raw traces
-        for (let i = 0; i < 4; i++) {
-            const channelData = this.getTagData('DATA', 1 + i);
-            const nucleotide = order[i];
-            traces[nucleotide] = channelData || [];
+        let dyes = 4;
+        while (this.findEntry('DATA', 101 + dyes) || this.findEntry('DATA', 201 + dyes)) {
+            dyes++;
         }
+        return dyes;
+    }
+    
+    /**
+     * Get the data channel of every dye
+     * Analyzed data is used when every dye has it, raw data otherwise.
+     * @returns {Object} { source: 'analyzed'|'raw', dyeSet, sizeStandard, channels }
+     *                   where channels are channel model entries with their `tag` and `data`
+     */
+    getDyeChannels() {
+        const model = this.getChannelModel();
+        const source = model.channels.every(c => this.findEntry('DATA', c.data.analyzed)) ? 'analyzed' : 'raw';
         
-        return traces;
+        const channels = model.channels.map(channel => {
+            const number = channel.data[source];
+            const data = this.getTagData('DATA', number);
+            return {
+                ...channel,
+                name: channel.name || `Dye ${channel.dye}`,
+                tag: ABIFParser.getTagKey('DATA', number),
+                data: ABIFTypes.isNumericArray(data) ? data : new Int16Array(0)
+            };
+        });
+        
+        return {
+            source: source,
+            dyeSet: model.dyeSet,
+            sizeStandard: this.getTagData('StdF', 1) || '',
+            channels: channels
+        };
     }
     
     /**
@@ -369,7 +561,7 @@ class ABIFParser {
         const pbas = this.getTagData('PBAS', 1);
         if (!pbas) return '';
         
-        if (Array.isArray(pbas)) {
+        if (ABIFTypes.isNumericArray(pbas)) {
             return ABIFTypes.charArrayToString(pbas);
         }
         return pbas;
@@ -383,7 +575,7 @@ class ABIFParser {
         const pbas = this.getTagData('PBAS', 2);
         if (!pbas) return '';
         
-        if (Array.isArray(pbas)) {
+        if (ABIFTypes.isNumericArray(pbas)) {
             return ABIFTypes.charArrayToString(pbas);
         }
         return pbas;
@@ -391,50 +583,97 @@ class ABIFParser {
     
     /**
      * Get the base calls as an array of ASCII codes
-     * @returns {number[]} Array of ASCII codes
+     * @returns {Uint8Array} ASCII codes
      */
     getBaseCalls() {
-        return this.getTagData('PBAS', 1) || [];
+        return this.getTagData('PBAS', 1) || new Uint8Array(0);
     }
     
     /**
      * Get the secondary base at each position
-     * @returns {number[]} Array of ASCII codes
+     * @returns {Uint8Array} ASCII codes
      */
     getSecondaryBaseCalls() {
-        return this.getTagData('P2BA', 1) || [];
+        return this.getTagData('P2BA', 1) || new Uint8Array(0);
+    }
+    
+    /**
+     * Get the amplitude of the primary peak at each base (P1AM)
+     * @returns {Int16Array} Peak amplitudes
+     */
+    getPrimaryAmplitudes() {
+        return this.getTagData('P1AM', 1) || new Int16Array(0);
+    }
+    
+    /**
+     * Get the amplitude of the secondary peak at each base (P2AM)
+     * @returns {Int16Array} Peak amplitudes
+     */
+    getSecondaryAmplitudes() {
+        return this.getTagData('P2AM', 1) || new Int16Array(0);
+    }
+    
+    /**
+     * Get the secondary calls with the peak amplitudes they were called from
+     * @returns {Object|null} { bases, primaryAmplitudes, secondaryAmplitudes }, or null when the file has no P2BA
+     */
+    getSecondaryCalls() {
+        const calls = this.getSecondaryBaseCalls();
+        if (calls.length === 0) return null;
+        
+        return {
+            bases: typeof calls === 'string' ? calls : ABIFTypes.charArrayToString(calls),
+            primaryAmplitudes: this.getPrimaryAmplitudes(),
+            secondaryAmplitudes: this.getSecondaryAmplitudes()
+        };
     }
     
     /**
      * Get peak locations (x-coordinates for each base call)
-     * @returns {number[]} Array of peak positions
+     * @returns {Int16Array} Peak positions (trace sample indices)
      */
     getPeakLocations() {
-        return this.getTagData('PLOC', 1) || [];
+        return this.getTagData('PLOC', 1) || new Int16Array(0);
     }
     
     /**
      * Get secondary peak locations
-     * @returns {number[]} Array of peak positions
+     * @returns {Int16Array} Peak positions (trace sample indices)
      */
     getSecondaryPeakLocations() {
-        return this.getTagData('PLOC', 2) || [];
+        return this.getTagData('PLOC', 2) || new Int16Array(0);
     }
     
     /**
      * Get quality scores (Phred-like confidence values)
-     * @returns {number[]} Array of quality scores (0-255)
+     * @returns {Uint8Array} Quality scores (0-255)
      */
     getQualityScores() {
-        return this.getTagData('PCON', 1) || [];
+        return this.getTagData('PCON', 1) || new Uint8Array(0);
     }
     
     /**
      * Get secondary quality scores
-     * @returns {number[]} Array of quality scores (0-255)
+     * @returns {Uint8Array} Quality scores (0-255)
      */
     getSecondaryQualityScores() {
-        return this.getTagData('PCON', 2) || [];
+        return this.getTagData('PCON', 2) || new Uint8Array(0);
+    }
+    
+    /**
+     * Get the basecaller's own calls (PBAS_2, PLOC_2, PCON_2), which stay
+     * unchanged when the primary calls (PBAS_1...) are edited
+     * @returns {Object|null} { sequence, peakLocations, qualityScores }, or null when the file has no PBAS_2
+     */
+    getBasecallerCalls() {
+        const sequence = this.getSecondarySequence();
+        if (!sequence) return null;
+        
+        return {
+            sequence: sequence,
+            peakLocations: this.getSecondaryPeakLocations(),
+            qualityScores: this.getSecondaryQualityScores()
+        };
     }
     
     /**
@@ -443,7 +682,7 @@ class ABIFParser {
      */
     getSequenceLength() {
         const seq = this.getBaseCalls();
-        return Array.isArray(seq) ? seq.length : 0;
+        return ABIFTypes.isNumericArray(seq) ? seq.length : 0;
     }
     
     /**
@@ -452,7 +691,7 @@ class ABIFParser {
      */
     getTraceLength() {
         const data = this.getTagData('DATA', 9);
-        return Array.isArray(data) ? data.length : 0;
+        return ABIFTypes.isNumericArray(data) ? data.length : 0;
     }
     
     /**
@@ -462,27 +701,33 @@ class ABIFParser {
     getMetadata() {
         return {
             // Sample info
-            sampleName:     this.getTagData('SMPL', 1) || '',
-            sampleComment:  this.getTagData('CMNT', 1) || '',
+            sampleName:     this.getTagText('SMPL', 1) || '',
+            sampleComment:  this.getTagText('CMNT', 1) || '',
             
             // Run info
-            runName:        this.getTagData('RunN', 1) || '',
+            runName:        this.getTagText('RunN', 1) || '',
             runStartDate:   this.getTagData('RUND', 1),
             runStartTime:   this.getTagData('RUNT', 1),
             runEndDate:     this.getTagData('RUND', 2),
             runEndTime:     this.getTagData('RUNT', 2),
             
             // Machine info
-            machineName:    this.getTagData('MCHN', 1) || '',
-            machineModel:   this.getTagData('MODL', 1) || '',
+            machineName:    this.getTagText('MCHN', 1) || '',
+            machineModel:   this.getTagText('MODL', 1) || '',
             
             // Lane/Well info
             lane:           this.getTagData('LANE', 1),
-            well:           this.getTagData('TUBE', 1) || '',
+            well:           this.getTagText('TUBE', 1) || '',
             
             // Analysis info
             baseCaller:     this.getTagData('SPAC', 1),  // Base spacing
-            dyeSet:         this.getTagData('DySN', 1) || '',
+            dyeSet:         this.getTagText('DySN', 1) || '',
+            
+            // Run conditions (run module and analysis protocol XML)
+            runConditions:  this.getRunConditions(),
+            
+            // Encoding the string tags were decoded with
+            textEncoding:   this.textEncoding,
             
             // Sequence info
             sequenceLength: this.getSequenceLength(),
@@ -515,15 +760,15 @@ class ABIFParser {
     }
     
     /**
-     * Get a summary of unknown element types encountered
+     * Get a summary of undocumented element types encountered
+     * (user-defined types >= 1024 and legacy types are documented and not reported)
      * @returns {Object} Map of tag names to unknown type codes
      */
     getUnknownTypes() {
         const unknown = {};
-        const knownTypes = Object.values(ABIFTypes.ABIF_TYPE_CODES);
         
         for (const entry of this.directory) {
-            if (!knownTypes.includes(entry.elementtype)) {
+            if (!ABIFTypes.isDocumentedType(entry.elementtype)) {
                 unknown[ABIFParser.getTagKey(entry.name, entry.number)] = entry.elementtype;
             }
         }
@@ -538,6 +783,284 @@ class ABIFParser {
     listTags() {
         return this.directory.map(e => ABIFParser.getTagKey(e.name, e.number));
     }
+
+    /**
+     * Describe every directory entry (for the tag inspector)
+     * @param {number} previewLength - Maximum length of the value preview
+     * @returns {Object[]} One summary per entry with key, name, number, elementtype,
+     *                     typeName, numelements, datasize, dataoffset (null when the
+     *                     data is stored inline) and preview
+     */
+    getTagSummaries(previewLength = 80) {
+        return this.directory.map(entry => {
+            const text = ABIFTypes.formatValue(this.getTagData(entry.name, entry.number), entry.elementtype);
+
+            return {
+                key: ABIFParser.getTagKey(entry.name, entry.number),
+                name: entry.name,
+                number: entry.number,
+                elementtype: entry.elementtype,
+                typeName: ABIFTypes.getTypeName(entry.elementtype),
+                numelements: entry.numelements,
+                datasize: entry.datasize,
+                dataoffset: entry.datasize <= 4 ? null : entry.dataoffset,
+                preview: text.length > previewLength ? `${text.slice(0, previewLength)}…` : text
+            };
+        });
+    }
+    
+    ///////////////////////////////////////////////////////////////////////////
+    // TEXT ENCODING
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Set the text encoding of the string tags, overriding the detected one
+     * Decoded tags are dropped from the cache so they are read again.
+     * @param {string|null} encoding - Encoding ID (see ABIFEncoding), or null / 'auto' to detect it
+     * @returns {ABIFParser} Returns this for chaining
+     */
+    setTextEncoding(encoding) {
+        if (encoding && encoding !== 'auto' && !abifEncoding.isSupported(encoding)) {
+            throw new Error(`Unsupported text encoding: ${encoding}`);
+        }
+
+        this.encodingOverride = (encoding && encoding !== 'auto') ? encoding : null;
+        this.tags = {};
+        this._channelModel = null;
+        if (this._parsed) {
+            this.textEncoding = this._resolveTextEncoding();
+        }
+        return this;
+    }
+
+    /**
+     * Pick the encoding of the string tags: the override, or the one detected
+     * from the pString, cString and text char tags
+     * @returns {Object} { encoding, source: 'override' | 'detected' | 'default' }
+     * @private
+     */
+    _resolveTextEncoding() {
+        if (this.encodingOverride) {
+            return { encoding: this.encodingOverride, source: 'override' };
+        }
+
+        const samples = this.directory.map(entry => this._textBytes(entry)).filter(Boolean);
+        const result = abifEncoding.detect(samples);
+        return { encoding: result.encoding, source: result.detected ? 'detected' : 'default' };
+    }
+
+    /**
+     * Encoding to decode string tags with
+     * @private
+     */
+    _encoding() {
+        return this.textEncoding ? this.textEncoding.encoding : 'utf-8';
+    }
+
+    /**
+     * Raw bytes of a string tag, without the length byte or terminator
+     * Char tags count as text unless they hold control bytes (PCON qualities,
+     * binary blobs).
+     * @param {Object} entry - Directory entry
+     * @returns {Uint8Array|null} Text bytes, or null if the tag is not text
+     * @private
+     */
+    _textBytes(entry) {
+        const codes = ABIFTypes.ABIF_TYPE_CODES;
+        if (![codes.CHAR, codes.PSTRING, codes.CSTRING].includes(entry.elementtype)) return null;
+
+        let bytes;
+        if (entry.datasize <= 4) {
+            const inline = new Uint8Array(4);
+            new DataView(inline.buffer).setUint32(0, entry.dataoffset, false);
+            bytes = inline.subarray(0, entry.datasize);
+        } else {
+            bytes = new Uint8Array(this.buffer, entry.dataoffset, entry.datasize);
+        }
+
+        if (entry.elementtype === codes.PSTRING) {
+            return bytes.subarray(1, 1 + Math.min(bytes[0] || 0, bytes.length - 1));
+        }
+
+        const end = bytes.indexOf(0);
+        const text = (end >= 0) ? bytes.subarray(0, end) : bytes;
+        if (entry.elementtype === codes.CHAR && text.some(b => b < 0x20 && b !== 0x09 && b !== 0x0A && b !== 0x0D)) {
+            return null;
+        }
+        return text;
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // EMBEDDED XML, RUN CONDITIONS AND TELEMETRY
+    ///////////////////////////////////////////////////////////////////////////
+    
+    /**
+     * Get a text tag (char array, pString or cString) as a string
+     * @param {string} name - 4-character tag name
+     * @param {number} number - Tag number
+     * @returns {string|null} Text, or null when the tag is missing or not text
+     */
+    getTagText(name, number) {
+        const value = this.getTagData(name, number);
+        if (typeof value === 'string') return value;
+        if (ArrayBuffer.isView(value)) {
+            return ABIFTypes.decodeText(value, this._encoding()).replace(/\u0000+$/, '');
+        }
+        return null;
+    }
+    
+    /**
+     * Parse a tag holding an XML document
+     * @param {string} name - 4-character tag name
+     * @param {number} number - Tag number
+     * @returns {Object|null} Root element (see ABIFXml.parse), or null when the tag is missing or holds no XML
+     */
+    getXmlTag(name, number) {
+        const text = this.getTagText(name, number);
+        return text && text.includes('<') ? abifXml.parse(text) : null;
+    }
+    
+    /**
+     * Get the run module (RMdX_1): electrophoresis settings of the run
+     * @returns {Object|null} { name, version, root, settings, data }, or null when the file has none
+     */
+    getRunModule() {
+        return this._xmlDocument('RMdX', 'RMdN', 'RMdV');
+    }
+    
+    /**
+     * Get the analysis protocol (APrX_1): base caller and analysis settings
+     * @returns {Object|null} { name, version, root, settings, data }, or null when the file has none
+     */
+    getAnalysisProtocol() {
+        return this._xmlDocument('APrX', 'APrN', 'APrV');
+    }
+    
+    /**
+     * Get the run conditions from the run module and analysis protocol,
+     * falling back on the matching tags (EPVt, InVt, InSc, Tmpr, LNTD, SPAC_2,
+     * SVER_2, PDMF_2) for settings the XML does not have
+     * @returns {Object} { runModule, analysisProtocol, runVoltage (kV), runTime (s),
+     *                   injectionVoltage (kV), injectionTime (s), temperature (°C), polymer,
+     *                   arrayLength (cm), baseCaller, baseCallerVersion, mobilityFile };
+     *                   missing values are null
+     */
+    getRunConditions() {
+        const runModule = this.getRunModule();
+        const protocol = this.getAnalysisProtocol();
+        
+        // Run settings are looked up in the run module first, analysis settings in the protocol first
+        const runFirst = [runModule, protocol].filter(Boolean).map(d => d.settings);
+        const analysisFirst = [...runFirst].reverse();
+        
+        const setting = (field, sources) => {
+            for (const settings of sources) {
+                const value = abifXml.lookup(settings, ABIF_RUN_CONDITIONS[field].names);
+                if (value !== null) return value;
+            }
+            const tag = ABIF_RUN_CONDITIONS[field].tag;
+            if (!tag) return null;
+            const value = this.getTagData(tag[0], tag[1]);
+            return typeof value === 'string' || typeof value === 'number' ? value : null;
+        };
+        const number = (value) => {
+            const parsed = parseFloat(value);
+            return Number.isFinite(parsed) ? parsed : null;
+        };
+        const text = (value) => (value === null || value === '' ? null : String(value).trim());
+        // Run modules give voltages in kV, the EPVt and InVt tags in volts
+        const kilovolts = (value) => (value !== null && value > 100 ? value / 1000 : value);
+        
+        // SPAC_2 holds the base caller name in newer files only (older ones store a spacing there)
+        const baseCaller = setting('baseCaller', analysisFirst);
+        
+        return {
+            runModule:         runModule ? runModule.name : text(this.getTagText('RMdN', 1)),
+            analysisProtocol:  protocol ? protocol.name : text(this.getTagText('APrN', 1)),
+            runVoltage:        kilovolts(number(setting('runVoltage', runFirst))),
+            runTime:           number(setting('runTime', runFirst)),
+            injectionVoltage:  kilovolts(number(setting('injectionVoltage', runFirst))),
+            injectionTime:     number(setting('injectionTime', runFirst)),
+            temperature:       number(setting('temperature', runFirst)),
+            polymer:           text(setting('polymer', runFirst)),
+            arrayLength:       number(setting('arrayLength', runFirst)),
+            baseCaller:        typeof baseCaller === 'string' ? text(baseCaller) : null,
+            baseCallerVersion: text(setting('baseCallerVersion', analysisFirst)),
+            mobilityFile:      text(setting('mobilityFile', analysisFirst) || this.getTagText('PDMF', 1))
+        };
+    }
+    
+    /**
+     * Get the run telemetry: voltage, current, laser power and temperature
+     * logged during the run, indexed by scan. A series with fewer points
+     * than the run has scans covers the run evenly (`scansPerPoint`).
+     * @returns {Object} { scanCount, series: [{ key, label, unit, tag, values, scansPerPoint,
+     *                   min, max, setpoint }], injection: { voltage (kV), time (s) } }
+     */
+    getTelemetry() {
+        const scans = this.getTagData('SCAN', 1) || this.getTagData('Scan', 1);
+        const raw = this.getTagData('DATA', 1);
+        const scanCount = typeof scans === 'number' && scans > 0
+            ? scans
+            : (ABIFTypes.isNumericArray(raw) ? raw.length : this.getTraceLength());
+        
+        const series = [];
+        for (const definition of ABIF_TELEMETRY_SERIES) {
+            const data = this.getTagData('DATA', definition.number);
+            if (!ABIFTypes.isNumericArray(data) || data.length === 0) continue;
+            
+            const values = Float32Array.from(data, value => value * definition.scale);
+            let min = Infinity;
+            let max = -Infinity;
+            for (const value of values) {
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+            
+            const setting = definition.setting ? this.getTagData(definition.setting[0], definition.setting[1]) : null;
+            series.push({
+                key: definition.key,
+                label: definition.label,
+                unit: definition.unit,
+                tag: ABIFParser.getTagKey('DATA', definition.number),
+                values: values,
+                scansPerPoint: scanCount > 0 ? scanCount / values.length : 1,
+                min: min,
+                max: max,
+                setpoint: typeof setting === 'number' ? setting * definition.setting[2] : null
+            });
+        }
+        
+        const injectionVoltage = this.getTagData('InVt', 1);
+        const injectionTime = this.getTagData('InSc', 1);
+        
+        return {
+            scanCount: scanCount,
+            series: series,
+            injection: {
+                voltage: typeof injectionVoltage === 'number' ? injectionVoltage / 1000 : null,
+                time: typeof injectionTime === 'number' ? injectionTime : null
+            }
+        };
+    }
+    
+    /**
+     * Read an XML document tag together with its name and version tags
+     * @private
+     */
+    _xmlDocument(xmlName, nameTag, versionTag) {
+        const root = this.getXmlTag(xmlName, 1);
+        if (!root) return null;
+        
+        const settings = abifXml.settings(root);
+        return {
+            name: this.getTagText(nameTag, 1) || abifXml.lookup(settings, ['Name']) || '',
+            version: this.getTagText(versionTag, 1) || abifXml.lookup(settings, ['Version']) || '',
+            root: root.name,
+            settings: settings,
+            data: abifXml.toObject(root)
+        };
+    }
     
     ///////////////////////////////////////////////////////////////////////////
     // STATIC FACTORY METHODS
@@ -568,16 +1091,17 @@ class ABIFParser {
     /**
      * Create parser from a file path (Node.js/Electron)
      * @param {string} filePath - Path to the AB1 file
+     * @param {Object} [options] - Parser options (see constructor)
      * @returns {Promise<ABIFParser>} Promise resolving to parsed ABIFParser
      */
-    static async fromPath(filePath) {
+    static async fromPath(filePath, options = {}) {
         const fs = require('fs').promises;
         const buffer = await fs.readFile(filePath);
         const arrayBuffer = buffer.buffer.slice(
             buffer.byteOffset,
             buffer.byteOffset + buffer.byteLength
         );
-        const parser = new ABIFParser(arrayBuffer);
+        const parser = new ABIFParser(arrayBuffer, options);
         parser.parse();
         return parser;
     }
@@ -585,16 +1109,17 @@ class ABIFParser {
     /**
      * Create parser from a file path (synchronous, Node.js/Electron)
      * @param {string} filePath - Path to the AB1 file
+     * @param {Object} [options] - Parser options (see constructor)
      * @returns {ABIFParser} Parsed ABIFParser instance
      */
-    static fromPathSync(filePath) {
+    static fromPathSync(filePath, options = {}) {
         const fs = require('fs');
         const buffer = fs.readFileSync(filePath);
         const arrayBuffer = buffer.buffer.slice(
             buffer.byteOffset,
             buffer.byteOffset + buffer.byteLength
         );
-        const parser = new ABIFParser(arrayBuffer);
+        const parser = new ABIFParser(arrayBuffer, options);
         parser.parse();
         return parser;
     }
@@ -33,6 +33,26 @@ const ABIF_TAGS = {
         category: 'trace',
         importance: 'high'
     },
+    'DATA_5': {
+        description: 'Measured EP voltage during run (volts/10)',
+        category: 'run',
+        importance: 'low'
+    },
+    'DATA_6': {
+        description: 'Measured EP current during run (mA)',
+        category: 'run',
+        importance: 'low'
+    },
+    'DATA_7': {
+        description: 'Measured laser power during run (mW)',
+        category: 'run',
+        importance: 'low'
+    },
+    'DATA_8': {
+        description: 'Measured oven temperature during run (°C)',
+        category: 'run',
+        importance: 'low'
+    },
     'DATA_9': {
         description: 'Processed/analyzed channel 1 data',
         category: 'trace',
@@ -58,6 +78,11 @@ const ABIF_TAGS = {
         category: 'trace',
         importance: 'low'
     },
+    'DATA_205': {
+        description: 'Analyzed data for 5th dye (fragment analysis)',
+        category: 'trace',
+        importance: 'low'
+    },
     
     ///////////////////////////////////////////////////////////////////////////
     // BASE CALLING
@@ -143,6 +168,11 @@ const ABIF_TAGS = {
         category: 'dye',
         importance: 'low'
     },
+    'DyeN_5': {
+        description: 'Dye 5 name (usually the size standard dye)',
+        category: 'dye',
+        importance: 'low'
+    },
     'DyeW_1': {
         description: 'Dye 1 wavelength',
         category: 'dye',
@@ -163,6 +193,21 @@ const ABIF_TAGS = {
         category: 'dye',
         importance: 'low'
     },
+    'DyeW_5': {
+        description: 'Dye 5 wavelength',
+        category: 'dye',
+        importance: 'low'
+    },
+    'Dye#_1': {
+        description: 'Number of dyes',
+        category: 'dye',
+        importance: 'low'
+    },
+    'StdF_1': {
+        description: 'Size standard file name (fragment analysis)',
+        category: 'dye',
+        importance: 'low'
+    },
     
     ///////////////////////////////////////////////////////////////////////////
     // SAMPLE INFORMATION
@@ -238,6 +283,31 @@ const ABIF_TAGS = {
         category: 'run',
         importance: 'low'
     },
+    'SCAN_1': {
+        description: 'Number of scans',
+        category: 'run',
+        importance: 'low'
+    },
+    'LNTD_1': {
+        description: 'Length to detector (cm)',
+        category: 'run',
+        importance: 'low'
+    },
+    'RMdN_1': {
+        description: 'Run module name',
+        category: 'run',
+        importance: 'low'
+    },
+    'RMdV_1': {
+        description: 'Run module version',
+        category: 'run',
+        importance: 'low'
+    },
+    'RMdX_1': {
+        description: 'Run module XML string',
+        category: 'run',
+        importance: 'low'
+    },
     
     ///////////////////////////////////////////////////////////////////////////
     // INSTRUMENT INFORMATION
@@ -318,6 +388,16 @@ const ABIF_TAGS = {
         category: 'analysis',
         importance: 'low'
     },
+    'PDMF_1': {
+        description: 'Mobility file chosen at collection',
+        category: 'analysis',
+        importance: 'low'
+    },
+    'PDMF_2': {
+        description: 'Mobility file used in analysis',
+        category: 'analysis',
+        importance: 'low'
+    },
     'phQL_1': {
         description: 'Quality level',
         category: 'analysis',
@@ -393,16 +473,6 @@ const ABIF_TAGS = {
         category: 'signal',
         importance: 'low'
     },
-    'RMdX_1': {
-        description: 'Reserved',
-        category: 'signal',
-        importance: 'low'
-    },
-    'RMdN_1': {
-        description: 'Reserved',
-        category: 'signal',
-        importance: 'low'
-    },
     
     ///////////////////////////////////////////////////////////////////////////
     // GEL/POLYMER INFORMATION
@@ -8,50 +8,86 @@
  * These codes identify the data type stored in each directory entry
  */
 const ABIF_TYPE_CODES = {
-    BYTE:    1,   // Unsigned 8-bit integer
-    CHAR:    2,   // 8-bit character
-    WORD:    3,   // Unsigned 16-bit integer
-    SHORT:   4,   // Signed 16-bit integer
-    LONG:    5,   // Signed 32-bit integer
-    FLOAT:   7,   // 32-bit IEEE 754 float
-    DOUBLE:  8,   // 64-bit IEEE 754 double
-    DATE:    10,  // Date: year(2) + month(1) + day(1)
-    TIME:    11,  // Time: hour(1) + min(1) + sec(1) + hsec(1)
-    PSTRING: 18,  // Pascal string (length-prefixed)
-    CSTRING: 19   // C string (null-terminated)
+    BYTE:       1,     // Unsigned 8-bit integer
+    CHAR:       2,     // 8-bit character
+    WORD:       3,     // Unsigned 16-bit integer
+    SHORT:      4,     // Signed 16-bit integer
+    LONG:       5,     // Signed 32-bit integer
+    RATIONAL:   6,     // numerator(4) + denominator(4)
+    FLOAT:      7,     // 32-bit IEEE 754 float
+    DOUBLE:     8,     // 64-bit IEEE 754 double
+    BCD:        9,     // Binary-coded decimal (legacy)
+    DATE:       10,    // Date: year(2) + month(1) + day(1)
+    TIME:       11,    // Time: hour(1) + min(1) + sec(1) + hsec(1)
+    THUMB:      12,    // Thumbprint: d(4) + u(4) + c(1) + n(1)
+    BOOL:       13,    // Boolean (1 byte)
+    POINT:      14,    // Point: v(2) + h(2)
+    RECT:       15,    // Rectangle: top(2) + left(2) + bottom(2) + right(2)
+    VPOINT:     16,    // Point: v(4) + h(4)
+    VRECT:      17,    // Rectangle: top(4) + left(4) + bottom(4) + right(4)
+    PSTRING:    18,    // Pascal string (length-prefixed)
+    CSTRING:    19,    // C string (null-terminated)
+    TAG:        20,    // Tag reference: name(4) + number(4)
+    DELTA_COMP: 128,   // Delta compressed data (legacy)
+    LZW_COMP:   256,   // LZW compressed data (legacy)
+    DELTA_LZW:  384,   // Delta + LZW compressed data (legacy)
+    DIRECTORY:  1023,  // Directory entry (28 bytes)
+    USER:       1024   // First user-defined type code; all codes >= 1024 are user-defined
 };
 
 /**
  * Type code to human-readable name mapping
  */
 const ABIF_TYPE_NAMES = {
-    1:  'byte',
-    2:  'char',
-    3:  'word',
-    4:  'short',
-    5:  'long',
-    7:  'float',
-    8:  'double',
-    10: 'date',
-    11: 'time',
-    18: 'pString',
-    19: 'cString'
+    1:    'byte',
+    2:    'char',
+    3:    'word',
+    4:    'short',
+    5:    'long',
+    6:    'rational',
+    7:    'float',
+    8:    'double',
+    9:    'BCD',
+    10:   'date',
+    11:   'time',
+    12:   'thumb',
+    13:   'bool',
+    14:   'point',
+    15:   'rect',
+    16:   'vPoint',
+    17:   'vRect',
+    18:   'pString',
+    19:   'cString',
+    20:   'tag',
+    128:  'deltaComp',
+    256:  'LZWComp',
+    384:  'deltaLZW',
+    1023: 'directory'
 };
 
 /**
  * Element sizes in bytes for fixed-size types
  */
 const ABIF_TYPE_SIZES = {
-    1:  1,  // byte
-    2:  1,  // char
-    3:  2,  // word
-    4:  2,  // short
-    5:  4,  // long
-    7:  4,  // float
-    8:  8,  // double
-    10: 4,  // date
-    11: 4   // time
-    // pString and cString are variable length
+    1:    1,   // byte
+    2:    1,   // char
+    3:    2,   // word
+    4:    2,   // short
+    5:    4,   // long
+    6:    8,   // rational
+    7:    4,   // float
+    8:    8,   // double
+    10:   4,   // date
+    11:   4,   // time
+    12:   10,  // thumb
+    13:   1,   // bool
+    14:   4,   // point
+    15:   8,   // rect
+    16:   8,   // vPoint
+    17:   16,  // vRect
+    20:   8,   // tag
+    1023: 28   // directory
+    // BCD, pString, cString, legacy and user-defined types are variable length
 };
 
 ///////////////////////////////////////////////////////////////////////////////
@@ -102,13 +138,17 @@ function readString4(dataView, offset) {
  * @param {DataView} dataView - The DataView to read from
  * @param {number} offset - Byte offset to start reading
  * @param {number} maxLength - Maximum bytes available
+ * @param {string} [encoding] - Text encoding (see decodeText); one character per byte if omitted
  * @returns {string} The extracted string
  */
-function readPString(dataView, offset, maxLength) {
+function readPString(dataView, offset, maxLength, encoding) {
     if (maxLength < 1) return '';
     const length = dataView.getUint8(offset);
-    let str = '';
     const actualLength = Math.min(length, maxLength - 1);
+    if (encoding) {
+        return decodeText(new Uint8Array(dataView.buffer, dataView.byteOffset + offset + 1, actualLength), encoding);
+    }
+    let str = '';
     for (let i = 0; i < actualLength; i++) {
         str += String.fromCharCode(dataView.getUint8(offset + 1 + i));
     }
@@ -120,14 +160,20 @@ function readPString(dataView, offset, maxLength) {
  * @param {DataView} dataView - The DataView to read from
  * @param {number} offset - Byte offset to start reading
  * @param {number} maxLength - Maximum bytes available
+ * @param {string} [encoding] - Text encoding (see decodeText); one character per byte if omitted
  * @returns {string} The extracted string (excluding null terminator)
  */
-function readCString(dataView, offset, maxLength) {
+function readCString(dataView, offset, maxLength, encoding) {
+    let length = 0;
+    while (length < maxLength && dataView.getUint8(offset + length) !== 0) {
+        length++;
+    }
+    if (encoding) {
+        return decodeText(new Uint8Array(dataView.buffer, dataView.byteOffset + offset, length), encoding);
+    }
     let str = '';
-    for (let i = 0; i < maxLength; i++) {
-        const charCode = dataView.getUint8(offset + i);
-        if (charCode === 0) break;
-        str += String.fromCharCode(charCode);
+    for (let i = 0; i < length; i++) {
+        str += String.fromCharCode(dataView.getUint8(offset + i));
     }
     return str;
 }
@@ -190,14 +236,10 @@ function readTime(dataView, offset) {
  * @param {DataView} dataView - The DataView to read from
  * @param {number} offset - Byte offset to start reading
  * @param {number} count - Number of elements to read
- * @returns {number[]} Array of byte values
+ * @returns {Uint8Array} Byte values (a copy, independent of the file buffer)
  */
 function readByteArray(dataView, offset, count) {
-    const result = new Array(count);
-    for (let i = 0; i < count; i++) {
-        result[i] = dataView.getUint8(offset + i);
-    }
-    return result;
+    return new Uint8Array(dataView.buffer, dataView.byteOffset + offset, count).slice();
 }
 
 /**
@@ -205,7 +247,7 @@ function readByteArray(dataView, offset, count) {
  * @param {DataView} dataView - The DataView to read from
  * @param {number} offset - Byte offset to start reading
  * @param {number} count - Number of elements to read
- * @returns {number[]} Array of character codes
+ * @returns {Uint8Array} Character codes
  */
 function readCharArray(dataView, offset, count) {
     // Same as byte array - characters stored as ASCII codes
@@ -217,10 +259,10 @@ function readCharArray(dataView, offset, count) {
  * @param {DataView} dataView - The DataView to read from
  * @param {number} offset - Byte offset to start reading
  * @param {number} count - Number of elements to read
- * @returns {number[]} Array of word values
+ * @returns {Uint16Array} Word values
  */
 function readWordArray(dataView, offset, count) {
-    const result = new Array(count);
+    const result = new Uint16Array(count);
     for (let i = 0; i < count; i++) {
         result[i] = dataView.getUint16(offset + (i * 2), false); // Big-endian
     }
@@ -232,13 +274,12 @@ function readWordArray(dataView, offset, count) {
  * @param {DataView} dataView - The DataView to read from
  * @param {number} offset - Byte offset to start reading
  * @param {number} count - Number of elements to read
- * @returns {number[]} Array of signed short values
+ * @returns {Int16Array} Signed short values
  */
 function readShortArray(dataView, offset, count) {
-    const result = new Array(count);
+    const result = new Int16Array(count);
     for (let i = 0; i < count; i++) {
-        const unsigned = dataView.getUint16(offset + (i * 2), false); // Big-endian
-        result[i] = toSignedShort(unsigned);
+        result[i] = dataView.getInt16(offset + (i * 2), false); // Big-endian
     }
     return result;
 }
@@ -248,13 +289,12 @@ function readShortArray(dataView, offset, count) {
  * @param {DataView} dataView - The DataView to read from
  * @param {number} offset - Byte offset to start reading
  * @param {number} count - Number of elements to read
- * @returns {number[]} Array of signed long values
+ * @returns {Int32Array} Signed long values
  */
 function readLongArray(dataView, offset, count) {
-    const result = new Array(count);
+    const result = new Int32Array(count);
     for (let i = 0; i < count; i++) {
-        const unsigned = dataView.getUint32(offset + (i * 4), false); // Big-endian
-        result[i] = toSignedLong(unsigned);
+        result[i] = dataView.getInt32(offset + (i * 4), false); // Big-endian
     }
     return result;
 }
@@ -264,10 +304,10 @@ function readLongArray(dataView, offset, count) {
  * @param {DataView} dataView - The DataView to read from
  * @param {number} offset - Byte offset to start reading
  * @param {number} count - Number of elements to read
- * @returns {number[]} Array of float values
+ * @returns {Float32Array} Float values
  */
 function readFloatArray(dataView, offset, count) {
-    const result = new Array(count);
+    const result = new Float32Array(count);
     for (let i = 0; i < count; i++) {
         result[i] = dataView.getFloat32(offset + (i * 4), false); // Big-endian
     }
@@ -279,29 +319,530 @@ function readFloatArray(dataView, offset, count) {
  * @param {DataView} dataView - The DataView to read from
  * @param {number} offset - Byte offset to start reading
  * @param {number} count - Number of elements to read
- * @returns {number[]} Array of double values
+ * @returns {Float64Array} Double values
  */
 function readDoubleArray(dataView, offset, count) {
-    const result = new Array(count);
+    const result = new Float64Array(count);
     for (let i = 0; i < count; i++) {
         result[i] = dataView.getFloat64(offset + (i * 8), false); // Big-endian
     }
     return result;
 }
 
+/**
+ * Check whether a value is a numeric array (plain array or typed array)
+ * Numeric ABIF tags are decoded to typed arrays; edited data may be plain arrays.
+ * @param {*} value - Value to test
+ * @returns {boolean} True for arrays and typed arrays
+ */
+function isNumericArray(value) {
+    return Array.isArray(value) || (ArrayBuffer.isView(value) && !(value instanceof DataView));
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// STRUCTURED ELEMENT READERS
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Read a rational number (type 6)
+ * @param {DataView} dataView - The DataView to read from
+ * @param {number} offset - Byte offset to start reading
+ * @returns {Object} Object with numerator, denominator properties
+ */
+function readRational(dataView, offset) {
+    return {
+        numerator: dataView.getInt32(offset, false),
+        denominator: dataView.getInt32(offset + 4, false)
+    };
+}
+
+/**
+ * Read a binary-coded decimal number (type 9)
+ * Each byte holds two decimal digits, most significant nibble first.
+ * @param {DataView} dataView - The DataView to read from
+ * @param {number} offset - Byte offset to start reading
+ * @param {number} size - Number of bytes in the element
+ * @returns {number} Decoded value (NaN if a nibble is not a decimal digit)
+ */
+function readBCD(dataView, offset, size) {
+    let digits = '';
+    for (let i = 0; i < size; i++) {
+        const byte = dataView.getUint8(offset + i);
+        const high = byte >> 4;
+        const low = byte & 0x0F;
+        if (high > 9 || low > 9) return NaN;
+        digits += `${high}${low}`;
+    }
+    return digits ? parseInt(digits, 10) : NaN;
+}
+
+/**
+ * Read a thumbprint (type 12)
+ * Format: d(4) + u(4) + c(1) + n(1)
+ * @param {DataView} dataView - The DataView to read from
+ * @param {number} offset - Byte offset to start reading
+ * @returns {Object} Object with d, u, c, n properties
+ */
+function readThumb(dataView, offset) {
+    return {
+        d: dataView.getInt32(offset, false),
+        u: dataView.getInt32(offset + 4, false),
+        c: dataView.getUint8(offset + 8),
+        n: dataView.getUint8(offset + 9)
+    };
+}
+
+/**
+ * Read a boolean (type 13)
+ * @param {DataView} dataView - The DataView to read from
+ * @param {number} offset - Byte offset to start reading
+ * @returns {boolean} True for any non-zero byte
+ */
+function readBool(dataView, offset) {
+    return dataView.getUint8(offset) !== 0;
+}
+
+/**
+ * Read a point with 16-bit coordinates (type 14)
+ * @param {DataView} dataView - The DataView to read from
+ * @param {number} offset - Byte offset to start reading
+ * @returns {Object} Object with v, h properties
+ */
+function readPoint(dataView, offset) {
+    return {
+        v: dataView.getInt16(offset, false),
+        h: dataView.getInt16(offset + 2, false)
+    };
+}
+
+/**
+ * Read a rectangle with 16-bit coordinates (type 15)
+ * @param {DataView} dataView - The DataView to read from
+ * @param {number} offset - Byte offset to start reading
+ * @returns {Object} Object with top, left, bottom, right properties
+ */
+function readRect(dataView, offset) {
+    return {
+        top: dataView.getInt16(offset, false),
+        left: dataView.getInt16(offset + 2, false),
+        bottom: dataView.getInt16(offset + 4, false),
+        right: dataView.getInt16(offset + 6, false)
+    };
+}
+
+/**
+ * Read a point with 32-bit coordinates (type 16)
+ * @param {DataView} dataView - The DataView to read from
+ * @param {number} offset - Byte offset to start reading
+ * @returns {Object} Object with v, h properties
+ */
+function readVPoint(dataView, offset) {
+    return {
+        v: dataView.getInt32(offset, false),
+        h: dataView.getInt32(offset + 4, false)
+    };
+}
+
+/**
+ * Read a rectangle with 32-bit coordinates (type 17)
+ * @param {DataView} dataView - The DataView to read from
+ * @param {number} offset - Byte offset to start reading
+ * @returns {Object} Object with top, left, bottom, right properties
+ */
+function readVRect(dataView, offset) {
+    return {
+        top: dataView.getInt32(offset, false),
+        left: dataView.getInt32(offset + 4, false),
+        bottom: dataView.getInt32(offset + 8, false),
+        right: dataView.getInt32(offset + 12, false)
+    };
+}
+
+/**
+ * Read a tag reference (type 20)
+ * @param {DataView} dataView - The DataView to read from
+ * @param {number} offset - Byte offset to start reading
+ * @returns {Object} Object with name, number properties
+ */
+function readTag(dataView, offset) {
+    return {
+        name: readString4(dataView, offset),
+        number: dataView.getInt32(offset + 4, false)
+    };
+}
+
+/**
+ * Read an array of fixed-size structured elements
+ * @param {DataView} dataView - The DataView to read from
+ * @param {number} offset - Byte offset to start reading
+ * @param {number} count - Number of elements to read
+ * @param {number} size - Size of one element in bytes
+ * @param {Function} reader - Element reader, called as reader(dataView, offset, size)
+ * @returns {Array} Array of decoded elements
+ */
+function readStructArray(dataView, offset, count, size, reader) {
+    const result = new Array(count);
+    for (let i = 0; i < count; i++) {
+        result[i] = reader(dataView, offset + (i * size), size);
+    }
+    return result;
+}
+
+/**
+ * Read a user-defined (type >= 1024) or legacy compressed data block
+ * Embedded XML and ZIP payloads are recognized from their first bytes.
+ * @param {DataView} dataView - The DataView to read from
+ * @param {number} offset - Byte offset to start reading
+ * @param {number} length - Number of bytes to read
+ * @param {number} typeCode - ABIF element type code
+ * @returns {Object} Object with elementtype, typeName, format ('xml', 'zip', 'text' or 'binary'), size, bytes and text (for xml/text)
+ */
+function readOpaqueBlock(dataView, offset, length, typeCode) {
+    const bytes = new Uint8Array(length);
+    for (let i = 0; i < length; i++) {
+        bytes[i] = dataView.getUint8(offset + i);
+    }
+
+    const result = {
+        elementtype: typeCode,
+        typeName: getTypeName(typeCode),
+        format: detectPayloadFormat(bytes),
+        size: length,
+        bytes: bytes
+    };
+
+    if (result.format === 'xml' || result.format === 'text') {
+        result.text = readFixedString(dataView, offset, length);
+    }
+
+    return result;
+}
+
+/**
+ * Guess the format of an opaque payload from its leading bytes
+ * @param {Uint8Array} bytes - Payload bytes
+ * @returns {string} 'xml', 'zip', 'text' or 'binary'
+ */
+function detectPayloadFormat(bytes) {
+    if (bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04) {
+        return 'zip';
+    }
+
+    // Skip a UTF-8 byte order mark and leading whitespace
+    let i = (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) ? 3 : 0;
+    while (i < bytes.length && (bytes[i] === 0x20 || bytes[i] === 0x09 || bytes[i] === 0x0A || bytes[i] === 0x0D)) i++;
+    if (bytes[i] === 0x3C) { // '<'
+        return 'xml';
+    }
+
+    if (bytes.length > 0) {
+        let printable = 0;
+        for (const b of bytes) {
+            if (b === 0 || b === 0x09 || b === 0x0A || b === 0x0D || (b >= 0x20 && b < 0x7F)) printable++;
+        }
+        if (printable === bytes.length) return 'text';
+    }
+
+    return 'binary';
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// DATA ENCODING
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Write a 4-character ASCII string into a DataView
+ * @param {DataView} dataView - The DataView to write to
+ * @param {number} offset - Byte offset to start writing
+ * @param {string} str - String to write (padded with spaces / truncated to 4)
+ */
+function writeString4(dataView, offset, str) {
+    const padded = (str || '').padEnd(4, ' ');
+    for (let i = 0; i < 4; i++) {
+        dataView.setUint8(offset + i, padded.charCodeAt(i) & 0xFF);
+    }
+}
+
+/**
+ * Convert a string to an array of 8-bit character codes
+ * @param {string} str - The string to convert
+ * @returns {number[]} Array of character codes
+ */
+function stringToCharArray(str) {
+    const result = new Array(str.length);
+    for (let i = 0; i < str.length; i++) {
+        result[i] = str.charCodeAt(i) & 0xFF;
+    }
+    return result;
+}
+
+/**
+ * Encode an array of values as big-endian bytes for a numeric element type
+ * @param {number} typeCode - ABIF element type code (byte, char, word, short, long, float, double)
+ * @param {number[]|string} values - Values to encode (strings allowed for char/byte)
+ * @returns {Uint8Array} Encoded bytes
+ * @throws {Error} If the type code has no fixed-size numeric encoding
+ */
+function encodeArray(typeCode, values) {
+    if (typeof values === 'string') {
+        values = stringToCharArray(values);
+    }
+
+    const size = ABIF_TYPE_SIZES[typeCode];
+    const count = values.length;
+    const bytes = new Uint8Array(count * (size || 0));
+    const dv = new DataView(bytes.buffer);
+
+    switch (typeCode) {
+        case ABIF_TYPE_CODES.BYTE:
+        case ABIF_TYPE_CODES.CHAR:
+            for (let i = 0; i < count; i++) dv.setUint8(i, values[i] & 0xFF);
+            break;
+        case ABIF_TYPE_CODES.WORD:
+            for (let i = 0; i < count; i++) dv.setUint16(i * 2, values[i], false);
+            break;
+        case ABIF_TYPE_CODES.SHORT:
+            for (let i = 0; i < count; i++) dv.setInt16(i * 2, values[i], false);
+            break;
+        case ABIF_TYPE_CODES.LONG:
+            for (let i = 0; i < count; i++) dv.setInt32(i * 4, values[i], false);
+            break;
+        case ABIF_TYPE_CODES.FLOAT:
+            for (let i = 0; i < count; i++) dv.setFloat32(i * 4, values[i], false);
+            break;
+        case ABIF_TYPE_CODES.DOUBLE:
+            for (let i = 0; i < count; i++) dv.setFloat64(i * 8, values[i], false);
+            break;
+        default:
+            throw new Error(`Cannot encode ABIF element type ${typeCode} as a numeric array`);
+    }
+
+    return bytes;
+}
+
+/**
+ * Encode a Pascal string (length byte followed by the characters)
+ * Text longer than 255 characters is truncated.
+ * @param {string} str - Text to encode (one byte per character)
+ * @returns {Uint8Array} Encoded bytes
+ */
+function encodePString(str) {
+    const chars = stringToCharArray(str.substring(0, 255));
+    const bytes = new Uint8Array(chars.length + 1);
+    bytes[0] = chars.length;
+    bytes.set(chars, 1);
+    return bytes;
+}
+
+/**
+ * Encode a C string (the characters followed by a null terminator)
+ * @param {string} str - Text to encode (one byte per character)
+ * @returns {Uint8Array} Encoded bytes
+ */
+function encodeCString(str) {
+    const chars = stringToCharArray(str);
+    const bytes = new Uint8Array(chars.length + 1);
+    bytes.set(chars, 0);
+    return bytes;
+}
+
+/**
+ * Encode structured elements (rational, date, time, thumb, bool, point,
+ * rect, vPoint, vRect, tag) with the field names the readers return
+ * @param {number} typeCode - ABIF element type code
+ * @param {Object|Object[]} values - One element or an array of elements
+ * @returns {Uint8Array} Encoded bytes
+ * @throws {Error} If the type code is not a structured type
+ */
+function encodeStructArray(typeCode, values) {
+    const list = Array.isArray(values) ? values : [values];
+    const size = ABIF_TYPE_SIZES[typeCode];
+    const bytes = new Uint8Array(list.length * (size || 0));
+    const dv = new DataView(bytes.buffer);
+
+    list.forEach((value, i) => {
+        const offset = i * size;
+
+        switch (typeCode) {
+            case ABIF_TYPE_CODES.RATIONAL:
+                dv.setInt32(offset, value.numerator, false);
+                dv.setInt32(offset + 4, value.denominator, false);
+                break;
+            case ABIF_TYPE_CODES.DATE:
+                dv.setUint16(offset, value.year, false);
+                dv.setUint8(offset + 2, value.month);
+                dv.setUint8(offset + 3, value.day);
+                break;
+            case ABIF_TYPE_CODES.TIME:
+                dv.setUint8(offset, value.hour);
+                dv.setUint8(offset + 1, value.minute);
+                dv.setUint8(offset + 2, value.second);
+                dv.setUint8(offset + 3, value.hsecond || 0);
+                break;
+            case ABIF_TYPE_CODES.THUMB:
+                dv.setInt32(offset, value.d, false);
+                dv.setInt32(offset + 4, value.u, false);
+                dv.setUint8(offset + 8, value.c);
+                dv.setUint8(offset + 9, value.n);
+                break;
+            case ABIF_TYPE_CODES.BOOL:
+                dv.setUint8(offset, value ? 1 : 0);
+                break;
+            case ABIF_TYPE_CODES.POINT:
+                dv.setInt16(offset, value.v, false);
+                dv.setInt16(offset + 2, value.h, false);
+                break;
+            case ABIF_TYPE_CODES.RECT:
+                dv.setInt16(offset, value.top, false);
+                dv.setInt16(offset + 2, value.left, false);
+                dv.setInt16(offset + 4, value.bottom, false);
+                dv.setInt16(offset + 6, value.right, false);
+                break;
+            case ABIF_TYPE_CODES.VPOINT:
+                dv.setInt32(offset, value.v, false);
+                dv.setInt32(offset + 4, value.h, false);
+                break;
+            case ABIF_TYPE_CODES.VRECT:
+                dv.setInt32(offset, value.top, false);
+                dv.setInt32(offset + 4, value.left, false);
+                dv.setInt32(offset + 8, value.bottom, false);
+                dv.setInt32(offset + 12, value.right, false);
+                break;
+            case ABIF_TYPE_CODES.TAG:
+                writeString4(dv, offset, value.name);
+                dv.setInt32(offset + 4, value.number, false);
+                break;
+            default:
+                throw new Error(`Cannot encode ABIF element type ${typeCode} as a structure`);
+        }
+    });
+
+    return bytes;
+}
+
+/**
+ * Encode binary-coded decimal numbers (type 9), two digits per byte
+ * All elements get the size of the longest one.
+ * @param {number|number[]} values - Non-negative integers
+ * @returns {Object} { bytes: Uint8Array, elementsize }
+ */
+function encodeBCD(values) {
+    const list = Array.isArray(values) ? values : [values];
+    const digits = list.map(v => String(Math.trunc(Math.abs(v))));
+    const elementsize = Math.max(1, ...digits.map(d => Math.ceil(d.length / 2)));
+    const bytes = new Uint8Array(list.length * elementsize);
+
+    digits.forEach((d, i) => {
+        const padded = d.padStart(elementsize * 2, '0');
+        for (let j = 0; j < elementsize; j++) {
+            bytes[(i * elementsize) + j] = (parseInt(padded[j * 2], 10) << 4) | parseInt(padded[(j * 2) + 1], 10);
+        }
+    });
+
+    return { bytes, elementsize };
+}
+
+/**
+ * Encode a value of any element type, as ABIFParser.getTagData() would return it
+ * Numbers and arrays for numeric types (strings for char/byte), objects for
+ * structured types, strings for pString/cString, and a Uint8Array (or text)
+ * for legacy compressed and user-defined blocks.
+ * @param {number} typeCode - ABIF element type code
+ * @param {*} value - Value to encode
+ * @returns {Object} { bytes: Uint8Array, elementsize }
+ */
+function encodeValue(typeCode, value) {
+    switch (typeCode) {
+        case ABIF_TYPE_CODES.BYTE:
+        case ABIF_TYPE_CODES.CHAR:
+        case ABIF_TYPE_CODES.WORD:
+        case ABIF_TYPE_CODES.SHORT:
+        case ABIF_TYPE_CODES.LONG:
+        case ABIF_TYPE_CODES.FLOAT:
+        case ABIF_TYPE_CODES.DOUBLE:
+            return {
+                bytes: encodeArray(typeCode, typeof value === 'number' ? [value] : value),
+                elementsize: ABIF_TYPE_SIZES[typeCode]
+            };
+
+        case ABIF_TYPE_CODES.BCD:
+            return encodeBCD(value);
+
+        case ABIF_TYPE_CODES.PSTRING:
+            return { bytes: encodePString(String(value)), elementsize: 1 };
+
+        case ABIF_TYPE_CODES.CSTRING:
+            return { bytes: encodeCString(String(value)), elementsize: 1 };
+
+        case ABIF_TYPE_CODES.DIRECTORY:
+            throw new Error('Directory entries cannot be encoded as tag data');
+
+        default:
+            if (ABIF_TYPE_SIZES[typeCode]) {
+                return { bytes: encodeStructArray(typeCode, value), elementsize: ABIF_TYPE_SIZES[typeCode] };
+            }
+            // Legacy compressed, user-defined and undocumented types are opaque bytes
+            return {
+                bytes: typeof value === 'string' ? Uint8Array.from(stringToCharArray(value)) : Uint8Array.from(value),
+                elementsize: 1
+            };
+    }
+}
+
 ///////////////////////////////////////////////////////////////////////////////
 // UTILITY FUNCTIONS
 ///////////////////////////////////////////////////////////////////////////////
 
 /**
  * Convert an array of ASCII codes to a string
- * @param {number[]} charArray - Array of ASCII character codes
+ * @param {number[]|Uint8Array} charArray - ASCII character codes
  * @returns {string} The resulting string
  */
 function charArrayToString(charArray) {
     return String.fromCharCode.apply(null, charArray);
 }
 
+/**
+ * Characters of bytes 0x80-0x9F in Windows-1252, which differ from ISO-8859-1
+ * (undefined bytes keep their C1 control code)
+ */
+const WINDOWS_1252_HIGH = '\u20AC\u0081\u201A\u0192\u201E\u2026\u2020\u2021\u02C6\u2030\u0160\u2039\u0152\u008D\u017D\u008F' +
+                          '\u0090\u2018\u2019\u201C\u201D\u2022\u2013\u2014\u02DC\u2122\u0161\u203A\u0153\u009D\u017E\u0178';
+
+/**
+ * Decode text bytes in a given encoding
+ * Windows-1252 is decoded here, since Node's TextDecoder reads it as
+ * ISO-8859-1. Other encodings fall back to one character per byte when the
+ * runtime has no decoder for them.
+ * @param {Uint8Array} bytes - Encoded text
+ * @param {string} encoding - WHATWG encoding label ('utf-8', 'windows-1252', 'shift_jis', ...)
+ * @returns {string} The decoded string
+ */
+function decodeText(bytes, encoding) {
+    if (String(encoding).toLowerCase() === 'windows-1252') {
+        let str = '';
+        for (let i = 0; i < bytes.length; i++) {
+            const b = bytes[i];
+            str += (b >= 0x80 && b <= 0x9F) ? WINDOWS_1252_HIGH[b - 0x80] : String.fromCharCode(b);
+        }
+        return str;
+    }
+
+    let decoder = null;
+    try {
+        decoder = new TextDecoder(encoding);
+    } catch (error) {
+        decoder = null;
+    }
+    if (decoder) return decoder.decode(bytes);
+
+    let str = '';
+    for (let i = 0; i < bytes.length; i++) {
+        str += String.fromCharCode(bytes[i]);
+    }
+    return str;
+}
+
 /**
  * Format a date object as ISO string (YYYY-MM-DD)
  * @param {Object} dateObj - Object with year, month, day properties
@@ -327,13 +868,71 @@ function formatTime(timeObj) {
     return `${hour}:${minute}:${second}.${hsecond}`;
 }
 
+/**
+ * Format a decoded tag value as text
+ * Char data is shown as a string, dates and times in their usual notation,
+ * numeric arrays as comma-separated values and opaque blocks by their text
+ * (embedded XML) or their size.
+ * @param {*} value - Decoded value as returned by ABIFParser.getTagData()
+ * @param {number} typeCode - ABIF element type code of the tag
+ * @returns {string} Text representation
+ */
+function formatValue(value, typeCode) {
+    if (value === null || value === undefined) return '';
+
+    if (typeCode === ABIF_TYPE_CODES.CHAR) {
+        if (typeof value === 'number') return String.fromCharCode(value);
+        if (ArrayBuffer.isView(value)) return charArrayToString(value);
+    }
+
+    if (ArrayBuffer.isView(value)) {
+        return Array.from(value).join(', ');
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(v => formatValue(v, typeCode)).join('; ');
+    }
+
+    if (typeof value === 'object') {
+        if (typeCode === ABIF_TYPE_CODES.DATE) return formatDate(value);
+        if (typeCode === ABIF_TYPE_CODES.TIME) return formatTime(value);
+        if (value.bytes) {
+            return (value.text !== undefined) ? value.text : `<${value.format} data, ${value.size} bytes>`;
+        }
+        return JSON.stringify(value);
+    }
+
+    return String(value);
+}
+
 /**
  * Get the type name for a given type code
  * @param {number} typeCode - ABIF element type code
  * @returns {string} Human-readable type name
  */
 function getTypeName(typeCode) {
-    return ABIF_TYPE_NAMES[typeCode] || `unknown(${typeCode})`;
+    if (ABIF_TYPE_NAMES[typeCode]) return ABIF_TYPE_NAMES[typeCode];
+    if (isUserType(typeCode)) return `user(${typeCode})`;
+    return `unknown(${typeCode})`;
+}
+
+/**
+ * Check whether a type code is in the user-defined range (>= 1024)
+ * @param {number} typeCode - ABIF element type code
+ * @returns {boolean} True for user-defined types
+ */
+function isUserType(typeCode) {
+    return typeCode >= ABIF_TYPE_CODES.USER;
+}
+
+/**
+ * Check whether a type code is defined by the ABIF specification
+ * (including legacy and user-defined types)
+ * @param {number} typeCode - ABIF element type code
+ * @returns {boolean} True if the type is documented
+ */
+function isDocumentedType(typeCode) {
+    return ABIF_TYPE_NAMES[typeCode] !== undefined || isUserType(typeCode);
 }
 
 /**
@@ -379,13 +978,42 @@ if (typeof module !== 'undefined' && module.exports) {
         readLongArray,
         readFloatArray,
         readDoubleArray,
+        isNumericArray,
+        
+        // Structured element readers
+        readRational,
+        readBCD,
+        readThumb,
+        readBool,
+        readPoint,
+        readRect,
+        readVPoint,
+        readVRect,
+        readTag,
+        readStructArray,
+        readOpaqueBlock,
+        detectPayloadFormat,
+        
+        // Encoders
+        writeString4,
+        stringToCharArray,
+        encodeArray,
+        encodePString,
+        encodeCString,
+        encodeStructArray,
+        encodeBCD,
+        encodeValue,
         
         // Utilities
         charArrayToString,
+        decodeText,
         formatDate,
         formatTime,
+        formatValue,
         getTypeName,
-        getTypeSize
+        getTypeSize,
+        isUserType,
+        isDocumentedType
     };
 }
 
@@ -419,12 +1047,41 @@ if (typeof window !== 'undefined') {
         readLongArray,
         readFloatArray,
         readDoubleArray,
+        isNumericArray,
+        
+        // Structured element readers
+        readRational,
+        readBCD,
+        readThumb,
+        readBool,
+        readPoint,
+        readRect,
+        readVPoint,
+        readVRect,
+        readTag,
+        readStructArray,
+        readOpaqueBlock,
+        detectPayloadFormat,
+        
+        // Encoders
+        writeString4,
+        stringToCharArray,
+        encodeArray,
+        encodePString,
+        encodeCString,
+        encodeStructArray,
+        encodeBCD,
+        encodeValue,
         
         // Utilities
         charArrayToString,
+        decodeText,
         formatDate,
         formatTime,
+        formatValue,
         getTypeName,
-        getTypeSize
+        getTypeSize,
+        isUserType,
+        isDocumentedType
     };
 }
@@ -0,0 +1,354 @@
+///////////////////////////////////////////////////////////////////////////////
+// ABIFValidator.js
+// Structural validation for ABIF files
+// Checks the header, directory and data blocks before anything is decoded
+///////////////////////////////////////////////////////////////////////////////
+
+// Import types if in Node.js environment
+// (renderer scripts share one global scope, where ABIFParser.js already declares ABIFTypes)
+const abifTypes = (typeof require !== 'undefined') ? require('./ABIFTypes.js') : window.ABIFTypes;
+
+/**
+ * Validation constants
+ */
+const ABIF_HEADER_LENGTH = 128;
+const ABIF_ENTRY_LENGTH = 28;
+
+/**
+ * Tags needed to display a read; missing ones are reported as warnings
+ */
+const ABIF_ESSENTIAL_TAGS = ['PBAS_1', 'PLOC_1', 'DATA_9', 'DATA_10', 'DATA_11', 'DATA_12'];
+
+/**
+ * Issue severities
+ */
+const SEVERITY = {
+    ERROR:   'error',    // Data is unusable or would be read out of bounds
+    WARNING: 'warning'   // Data is readable but inconsistent with the specification
+};
+
+/**
+ * ABIF File Validator
+ * Walks the header and directory with bounds checks and returns a report of
+ * typed issues instead of throwing. The report's `entries` list contains only
+ * the directory entries whose data lies inside the file, which is what
+ * ABIFParser uses in salvage mode.
+ *
+ * Usage:
+ *   const report = ABIFValidator.validate(arrayBuffer);
+ *   if (!report.valid) console.table(report.issues);
+ */
+class ABIFValidator {
+
+    /**
+     * Create an ABIFValidator instance
+     * @param {ArrayBuffer} arrayBuffer - The raw binary file data
+     */
+    constructor(arrayBuffer) {
+        if (!arrayBuffer || !(arrayBuffer instanceof ArrayBuffer)) {
+            throw new Error('ABIFValidator requires an ArrayBuffer');
+        }
+
+        this.buffer = arrayBuffer;
+        this.dataView = new DataView(arrayBuffer);
+        this.issues = [];
+        this.entries = [];
+        this.fatal = false;
+    }
+
+    /**
+     * Validate a buffer
+     * @param {ArrayBuffer} arrayBuffer - The raw binary file data
+     * @returns {Object} Validation report (see run())
+     */
+    static validate(arrayBuffer) {
+        return new ABIFValidator(arrayBuffer).run();
+    }
+
+    /**
+     * Run all checks
+     * @returns {Object} Report: { valid, fatal, fileSize, errors, warnings, issues, entries }
+     */
+    run() {
+        this.issues = [];
+        this.entries = [];
+        this.fatal = false;
+
+        const header = this._checkHeader();
+        if (header) {
+            this._checkDirectory(header);
+            this._checkEssentialTags();
+        }
+
+        const errors = this.issues.filter(i => i.severity === SEVERITY.ERROR).length;
+
+        return {
+            valid:    errors === 0,
+            fatal:    this.fatal,
+            fileSize: this.buffer.byteLength,
+            errors:   errors,
+            warnings: this.issues.length - errors,
+            issues:   this.issues.slice(),
+            entries:  this.entries.slice()
+        };
+    }
+
+    /**
+     * Record an issue
+     * @param {string} severity - 'error' or 'warning'
+     * @param {string} code - Machine-readable issue code
+     * @param {string} message - Human-readable description
+     * @param {string|null} tag - Tag key (e.g. "DATA_9"), if the issue concerns one entry
+     * @param {number|null} offset - Byte offset the issue refers to
+     * @private
+     */
+    _addIssue(severity, code, message, tag = null, offset = null) {
+        this.issues.push({ severity, code, message, tag, offset });
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // CHECKS
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Check the 128-byte header and the tdir entry
+     * @returns {Object|null} Header fields, or null if the header is unusable
+     * @private
+     */
+    _checkHeader() {
+        const size = this.buffer.byteLength;
+        const dv = this.dataView;
+
+        if (size < ABIF_HEADER_LENGTH) {
+            this.fatal = true;
+            this._addIssue(SEVERITY.ERROR, 'header_truncated',
+                `File is ${size} bytes; the ABIF header alone is ${ABIF_HEADER_LENGTH} bytes`, null, 0);
+            return null;
+        }
+
+        const filetype = abifTypes.readString4(dv, 0);
+        if (filetype !== 'ABIF') {
+            this.fatal = true;
+            this._addIssue(SEVERITY.ERROR, 'bad_magic',
+                `Expected "ABIF" magic number, found "${filetype}"`, null, 0);
+            return null;
+        }
+
+        const header = {
+            version:     dv.getUint16(4, false),
+            name:        abifTypes.readString4(dv, 6),
+            elementtype: dv.getUint16(14, false),
+            elementsize: dv.getUint16(16, false),
+            numelements: dv.getUint32(18, false),
+            datasize:    dv.getUint32(22, false),
+            dataoffset:  dv.getUint32(26, false)
+        };
+
+        if (header.version < 100 || header.version >= 200) {
+            this._addIssue(SEVERITY.WARNING, 'unexpected_version',
+                `Unexpected ABIF version ${header.version} (expected 1.xx)`, null, 4);
+        }
+
+        if (header.name !== 'tdir') {
+            this._addIssue(SEVERITY.WARNING, 'bad_directory_name',
+                `Directory entry is named "${header.name}" instead of "tdir"`, null, 6);
+        }
+
+        if (header.elementtype !== abifTypes.ABIF_TYPE_CODES.DIRECTORY) {
+            this._addIssue(SEVERITY.WARNING, 'bad_directory_type',
+                `Directory element type is ${header.elementtype} instead of ${abifTypes.ABIF_TYPE_CODES.DIRECTORY}`, null, 14);
+        }
+
+        if (header.elementsize !== ABIF_ENTRY_LENGTH) {
+            this._addIssue(SEVERITY.WARNING, 'bad_directory_element_size',
+                `Directory element size is ${header.elementsize} instead of ${ABIF_ENTRY_LENGTH}`, null, 16);
+        }
+
+        if (header.datasize !== header.numelements * ABIF_ENTRY_LENGTH) {
+            this._addIssue(SEVERITY.WARNING, 'directory_size_mismatch',
+                `Directory size ${header.datasize} does not match ${header.numelements} entries of ${ABIF_ENTRY_LENGTH} bytes`, null, 22);
+        }
+
+        return header;
+    }
+
+    /**
+     * Check directory bounds and every entry's data
+     * @param {Object} header - Header fields from _checkHeader()
+     * @private
+     */
+    _checkDirectory(header) {
+        const size = this.buffer.byteLength;
+        const { dataoffset, numelements } = header;
+
+        if (dataoffset < ABIF_HEADER_LENGTH || dataoffset >= size) {
+            this.fatal = true;
+            this._addIssue(SEVERITY.ERROR, 'directory_out_of_bounds',
+                `Directory offset ${dataoffset} lies outside the file (${size} bytes)`, null, 26);
+            return;
+        }
+
+        // Entries are always 28 bytes; a wrong header elementsize is only a warning
+        const available = Math.floor((size - dataoffset) / ABIF_ENTRY_LENGTH);
+        let count = numelements;
+
+        if (numelements > available) {
+            this._addIssue(SEVERITY.ERROR, 'directory_truncated',
+                `Directory lists ${numelements} entries but only ${available} fit before the end of the file`,
+                null, dataoffset + (available * ABIF_ENTRY_LENGTH));
+            count = available;
+        }
+
+        const seen = new Set();
+
+        for (let i = 0; i < count; i++) {
+            const offset = dataoffset + (i * ABIF_ENTRY_LENGTH);
+            const entry = this._readEntry(offset);
+            const key = `${entry.name}_${entry.number}`;
+
+            if (this._checkEntry(entry, key, offset)) {
+                this.entries.push(entry);
+            }
+
+            if (seen.has(key)) {
+                this._addIssue(SEVERITY.WARNING, 'duplicate_tag',
+                    `Tag ${key} appears more than once; the first occurrence is used`, key, offset);
+            }
+            seen.add(key);
+        }
+    }
+
+    /**
+     * Check a single directory entry
+     * @param {Object} entry - Directory entry
+     * @param {string} key - Tag key
+     * @param {number} offset - Byte offset of the directory entry
+     * @returns {boolean} True if the entry's data can be read safely
+     * @private
+     */
+    _checkEntry(entry, key, offset) {
+        const size = this.buffer.byteLength;
+        const { elementtype, elementsize, numelements, datasize, dataoffset } = entry;
+
+        if (!/^[\x20-\x7E]{4}$/.test(entry.name)) {
+            this._addIssue(SEVERITY.WARNING, 'invalid_tag_name',
+                `Tag name contains non-printable characters`, key, offset);
+        }
+
+        if (elementsize * numelements !== datasize) {
+            this._addIssue(SEVERITY.WARNING, 'size_mismatch',
+                `elementsize × numelements (${elementsize} × ${numelements}) does not equal datasize ${datasize}`, key, offset + 16);
+        }
+
+        const expectedSize = abifTypes.getTypeSize(elementtype);
+        if (expectedSize && elementsize !== expectedSize) {
+            this._addIssue(SEVERITY.WARNING, 'element_size_mismatch',
+                `Element size ${elementsize} does not match ${abifTypes.getTypeName(elementtype)} (${expectedSize} bytes)`, key, offset + 10);
+        }
+
+        // Inline data (<= 4 bytes) lives in the entry itself
+        if (datasize <= 4) {
+            return this._checkDecodable(entry, key, offset);
+        }
+
+        if (dataoffset + datasize > size) {
+            this._addIssue(SEVERITY.ERROR, 'data_out_of_bounds',
+                `Data at ${dataoffset} (+${datasize} bytes) extends past the end of the file (${size} bytes)`, key, dataoffset);
+            return false;
+        }
+
+        if (dataoffset < ABIF_HEADER_LENGTH) {
+            this._addIssue(SEVERITY.WARNING, 'data_overlaps_header',
+                `Data offset ${dataoffset} overlaps the file header`, key, dataoffset);
+        }
+
+        return this._checkDecodable(entry, key, offset);
+    }
+
+    /**
+     * Make sure decoding numelements elements stays inside datasize
+     * (element readers use elementsize/numelements, not datasize)
+     * @private
+     */
+    _checkDecodable(entry, key, offset) {
+        const typeSize = abifTypes.getTypeSize(entry.elementtype);
+        if (!typeSize) return true;
+
+        if (typeSize * entry.numelements > entry.datasize) {
+            this._addIssue(SEVERITY.ERROR, 'elements_exceed_data',
+                `${entry.numelements} ${abifTypes.getTypeName(entry.elementtype)} elements need ${typeSize * entry.numelements} bytes but only ${entry.datasize} are stored`,
+                key, offset + 12);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Report tags that the viewer needs but the file lacks
+     * @private
+     */
+    _checkEssentialTags() {
+        const keys = new Set(this.entries.map(e => `${e.name}_${e.number}`));
+
+        for (const key of ABIF_ESSENTIAL_TAGS) {
+            if (!keys.has(key)) {
+                this._addIssue(SEVERITY.WARNING, 'missing_tag',
+                    `Tag ${key} is missing or unreadable`, key, null);
+            }
+        }
+    }
+
+    /**
+     * Read a 28-byte directory entry
+     * @private
+     */
+    _readEntry(offset) {
+        const dv = this.dataView;
+
+        return {
+            name:        abifTypes.readString4(dv, offset),
+            number:      dv.getUint32(offset + 4, false),
+            elementtype: dv.getUint16(offset + 8, false),
+            elementsize: dv.getUint16(offset + 10, false),
+            numelements: dv.getUint32(offset + 12, false),
+            datasize:    dv.getUint32(offset + 16, false),
+            dataoffset:  dv.getUint32(offset + 20, false),
+            datahandle:  dv.getUint32(offset + 24, false),
+            entryoffset: offset
+        };
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // FORMATTING
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Summarize a report as a single line
+     * @param {Object} report - Validation report
+     * @returns {string} Summary text
+     */
+    static summarize(report) {
+        if (!report) return '';
+        if (report.valid && report.warnings === 0) return 'No problems found';
+
+        const parts = [];
+        if (report.errors) parts.push(`${report.errors} error${report.errors === 1 ? '' : 's'}`);
+        if (report.warnings) parts.push(`${report.warnings} warning${report.warnings === 1 ? '' : 's'}`);
+        return parts.join(', ');
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron main process
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ABIFValidator;
+}
+
+// For use in browser/renderer process
+if (typeof window !== 'undefined') {
+    window.ABIFValidator = ABIFValidator;
+}
@@ -0,0 +1,422 @@
+///////////////////////////////////////////////////////////////////////////////
+// ABIFWriter.js
+// Binary serializer for ABIF (Applied Biosystems Information File) format
+// Writes edited and trimmed reads back out as valid .ab1 files
+///////////////////////////////////////////////////////////////////////////////
+
+// Import types if in Node.js environment
+let ABIFTypes;
+if (typeof require !== 'undefined') {
+    ABIFTypes = require('./ABIFTypes.js');
+} else if (typeof window !== 'undefined' && window.ABIFTypes) {
+    ABIFTypes = window.ABIFTypes;
+}
+
+/**
+ * Fixed layout constants of the ABIF container
+ */
+const ABIF_HEADER_SIZE = 128;        // Header block, including the tdir entry
+const ABIF_DIR_ENTRY_SIZE = 28;      // Size of one directory entry
+const ABIF_DIR_ELEMENT_TYPE = 1023;  // Element type of the tdir entry
+const ABIF_DEFAULT_VERSION = 101;    // Version 1.01
+
+/**
+ * ABIF File Writer
+ * Re-serializes a parsed ABIF file (header, directory and data blocks),
+ * replacing selected tags while copying every other tag byte-for-byte.
+ *
+ * Usage:
+ *   const writer = new ABIFWriter(parser);
+ *   writer.applyEdits({ sequence, qualityScores, peakLocations, traces });
+ *   const arrayBuffer = writer.toArrayBuffer();
+ */
+class ABIFWriter {
+
+    /**
+     * Create an ABIFWriter instance
+     * @param {ABIFParser} parser - Parsed source file
+     */
+    constructor(parser) {
+        if (!parser || !parser.buffer) {
+            throw new Error('ABIFWriter requires an ABIFParser instance');
+        }
+
+        parser.parse();
+
+        this.parser = parser;
+
+        // Working copy of the directory. `bytes` stays null for entries whose
+        // original data is copied unchanged from the source buffer.
+        this.entries = parser.directory.map(entry => ({
+            name:         entry.name,
+            number:       entry.number,
+            elementtype:  entry.elementtype,
+            elementsize:  entry.elementsize,
+            numelements:  entry.numelements,
+            datahandle:   entry.datahandle,
+            source:       entry,
+            bytes:        null
+        }));
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // TAG MANIPULATION
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Find a working directory entry
+     * @param {string} name - 4-character tag name
+     * @param {number} number - Tag number
+     * @returns {Object|null} Entry or null if not present
+     */
+    findEntry(name, number) {
+        return this.entries.find(e => e.name === name && e.number === number) || null;
+    }
+
+    /**
+     * Replace (or add) a tag with raw, already-encoded bytes
+     * @param {string} name - 4-character tag name
+     * @param {number} number - Tag number
+     * @param {number} elementtype - ABIF element type code
+     * @param {number} elementsize - Size of one element in bytes
+     * @param {Uint8Array} bytes - Encoded data
+     * @returns {ABIFWriter} Returns this for chaining
+     */
+    setTagBytes(name, number, elementtype, elementsize, bytes) {
+        if (!(bytes instanceof Uint8Array)) {
+            throw new Error(`Data for tag ${name}_${number} must be a Uint8Array`);
+        }
+
+        let entry = this.findEntry(name, number);
+        if (!entry) {
+            entry = { name, number, datahandle: 0, source: null };
+            this._insertEntry(entry);
+        }
+
+        entry.elementtype = elementtype;
+        entry.elementsize = elementsize;
+        entry.numelements = elementsize > 0 ? Math.floor(bytes.length / elementsize) : bytes.length;
+        entry.bytes = bytes;
+
+        return this;
+    }
+
+    /**
+     * Replace (or add) a numeric/char array tag
+     * @param {string} name - 4-character tag name
+     * @param {number} number - Tag number
+     * @param {number} elementtype - ABIF element type code (byte, char, word, short, long, float, double)
+     * @param {number[]|string} values - Values to encode
+     * @returns {ABIFWriter} Returns this for chaining
+     */
+    setTag(name, number, elementtype, values) {
+        const bytes = ABIFTypes.encodeArray(elementtype, values);
+        return this.setTagBytes(name, number, elementtype, ABIFTypes.getTypeSize(elementtype), bytes);
+    }
+
+    /**
+     * Replace (or add) a text tag, keeping the element type of an existing
+     * tag (pString, cString or char array); new tags are written as cStrings
+     * @param {string} name - 4-character tag name
+     * @param {number} number - Tag number
+     * @param {string} text - Text to encode
+     * @returns {ABIFWriter} Returns this for chaining
+     */
+    setStringTag(name, number, text) {
+        const { PSTRING, CSTRING, CHAR } = ABIFTypes.ABIF_TYPE_CODES;
+        const entry = this.findEntry(name, number);
+        const elementtype = entry && [PSTRING, CSTRING, CHAR].includes(entry.elementtype) ? entry.elementtype : CSTRING;
+
+        switch (elementtype) {
+            case PSTRING:
+                return this.setTagBytes(name, number, PSTRING, 1, ABIFTypes.encodePString(text));
+            case CHAR:
+                return this.setTag(name, number, CHAR, text);
+            default:
+                return this.setTagBytes(name, number, CSTRING, 1, ABIFTypes.encodeCString(text));
+        }
+    }
+
+    /**
+     * Copy an existing tag's current data to another tag key
+     * Does nothing if the source tag does not exist.
+     * @param {string} fromName - Source tag name
+     * @param {number} fromNumber - Source tag number
+     * @param {string} toName - Destination tag name
+     * @param {number} toNumber - Destination tag number
+     * @returns {ABIFWriter} Returns this for chaining
+     */
+    copyTag(fromName, fromNumber, toName, toNumber) {
+        const source = this.findEntry(fromName, fromNumber);
+        if (!source) return this;
+
+        return this.setTagBytes(
+            toName,
+            toNumber,
+            source.elementtype,
+            source.elementsize,
+            this._getEntryBytes(source).slice()
+        );
+    }
+
+    /**
+     * Remove a tag from the directory
+     * @param {string} name - 4-character tag name
+     * @param {number} number - Tag number
+     * @returns {boolean} True if a tag was removed
+     */
+    removeTag(name, number) {
+        const index = this.entries.findIndex(e => e.name === name && e.number === number);
+        if (index === -1) return false;
+        this.entries.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Apply read edits from the viewer to the basecall and trace tags
+     *
+     * PBAS_1 / PCON_1 / PLOC_1 receive the edited calls. If the file has no
+     * PBAS_2 / PCON_2 yet, the original calls are preserved there first so
+     * the basecaller output is never lost.
+     *
+     * @param {Object} edits - Edited read state (as returned by ChromatogramCanvas.getData())
+     * @param {string} [edits.sequence] - Edited base calls
+     * @param {number[]} [edits.qualityScores] - Quality value per base
+     * @param {number[]} [edits.peakLocations] - Peak scan position per base
+     * @param {Object} [edits.traces] - Processed traces keyed by base (DATA_9..12)
+     * @param {Object} [edits.rawTraces] - Raw traces keyed by base (DATA_1..4)
+     * @returns {ABIFWriter} Returns this for chaining
+     */
+    applyEdits(edits = {}) {
+        // Preserve the original calls before overwriting the primary set
+        if (edits.sequence !== undefined && !this.findEntry('PBAS', 2)) {
+            this.copyTag('PBAS', 1, 'PBAS', 2);
+        }
+        if (edits.qualityScores !== undefined && !this.findEntry('PCON', 2)) {
+            this.copyTag('PCON', 1, 'PCON', 2);
+        }
+
+        if (edits.sequence !== undefined) {
+            this.setTag('PBAS', 1, this._typeOf('PBAS', 1, ABIFTypes.ABIF_TYPE_CODES.CHAR), edits.sequence);
+        }
+        if (edits.qualityScores !== undefined) {
+            this.setTag('PCON', 1, this._typeOf('PCON', 1, ABIFTypes.ABIF_TYPE_CODES.CHAR), edits.qualityScores);
+        }
+        if (edits.peakLocations !== undefined) {
+            this.setTag('PLOC', 1, this._typeOf('PLOC', 1, ABIFTypes.ABIF_TYPE_CODES.SHORT), edits.peakLocations);
+        }
+
+        const channels = this.parser.getChannelModel().channels.filter(c => c.role !== 'other');
+
+        if (edits.traces) {
+            this._applyChannels(edits.traces, channels, 'analyzed');
+        }
+        if (edits.rawTraces) {
+            this._applyChannels(edits.rawTraces, channels, 'raw');
+        }
+
+        return this;
+    }
+
+    /**
+     * Write trace channels back to their DATA tags
+     * @param {Object} traces - Traces keyed by channel key (base)
+     * @param {Object[]} channels - Channel model entries (ABIFParser.getChannelModel())
+     * @param {string} source - 'analyzed' or 'raw'
+     * @private
+     */
+    _applyChannels(traces, channels, source) {
+        for (const channel of channels) {
+            const trace = traces[channel.key];
+            if (!trace) continue;
+
+            const number = channel.data[source];
+            const type = this._typeOf('DATA', number, ABIFTypes.ABIF_TYPE_CODES.SHORT);
+            this.setTag('DATA', number, type, trace);
+        }
+    }
+
+    /**
+     * Get the element type of an existing tag, or a default
+     * @private
+     */
+    _typeOf(name, number, defaultType) {
+        const entry = this.findEntry(name, number);
+        return entry && ABIFTypes.getTypeSize(entry.elementtype) ? entry.elementtype : defaultType;
+    }
+
+    /**
+     * Insert a new entry, keeping tags of the same name together
+     * @private
+     */
+    _insertEntry(entry) {
+        let insertAt = -1;
+        for (let i = 0; i < this.entries.length; i++) {
+            const e = this.entries[i];
+            if (e.name === entry.name && e.number < entry.number) {
+                insertAt = i + 1;
+            }
+        }
+
+        if (insertAt === -1) {
+            this.entries.push(entry);
+        } else {
+            this.entries.splice(insertAt, 0, entry);
+        }
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // SERIALIZATION
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Get the data bytes of an entry (replacement data or original bytes)
+     * @param {Object} entry - Working directory entry
+     * @returns {Uint8Array} Data bytes
+     * @private
+     */
+    _getEntryBytes(entry) {
+        if (entry.bytes) return entry.bytes;
+
+        const src = entry.source;
+
+        if (src.datasize <= 4) {
+            // Inline data lives in the dataoffset field itself
+            const inline = new Uint8Array(4);
+            new DataView(inline.buffer).setUint32(0, src.dataoffset, false);
+            return inline.subarray(0, src.datasize);
+        }
+
+        return new Uint8Array(this.parser.buffer, src.dataoffset, src.datasize);
+    }
+
+    /**
+     * Serialize the file
+     *
+     * Layout: 128-byte header, data blocks in directory order, then the
+     * directory itself (the same arrangement the instruments write).
+     *
+     * @returns {ArrayBuffer} Complete ABIF file
+     */
+    toArrayBuffer() {
+        const blocks = this.entries.map(entry => this._getEntryBytes(entry));
+
+        let dataSize = 0;
+        for (const bytes of blocks) {
+            if (bytes.length > 4) dataSize += bytes.length;
+        }
+
+        const dirOffset = ABIF_HEADER_SIZE + dataSize;
+        const dirSize = this.entries.length * ABIF_DIR_ENTRY_SIZE;
+        const buffer = new ArrayBuffer(dirOffset + dirSize);
+        const out = new Uint8Array(buffer);
+        const dv = new DataView(buffer);
+
+        // Header: keep the reserved area of the original, rewrite the tdir entry
+        const header = this.parser.header || {};
+        out.set(new Uint8Array(this.parser.buffer, 0, Math.min(ABIF_HEADER_SIZE, this.parser.buffer.byteLength)));
+        ABIFTypes.writeString4(dv, 0, 'ABIF');
+        dv.setUint16(4, header.version || ABIF_DEFAULT_VERSION, false);
+        this._writeDirectoryEntry(dv, 6, {
+            name:         'tdir',
+            number:       1,
+            elementtype:  ABIF_DIR_ELEMENT_TYPE,
+            elementsize:  ABIF_DIR_ENTRY_SIZE,
+            numelements:  this.entries.length,
+            datahandle:   0
+        }, dirSize, dirOffset);
+
+        // Data blocks
+        let cursor = ABIF_HEADER_SIZE;
+        const offsets = new Array(blocks.length);
+
+        for (let i = 0; i < blocks.length; i++) {
+            const bytes = blocks[i];
+            if (bytes.length > 4) {
+                out.set(bytes, cursor);
+                offsets[i] = cursor;
+                cursor += bytes.length;
+            } else {
+                // Inline: left-aligned in the 4-byte offset field
+                const inline = new Uint8Array(4);
+                inline.set(bytes);
+                offsets[i] = new DataView(inline.buffer).getUint32(0, false);
+            }
+        }
+
+        // Directory
+        for (let i = 0; i < this.entries.length; i++) {
+            this._writeDirectoryEntry(
+                dv,
+                dirOffset + (i * ABIF_DIR_ENTRY_SIZE),
+                this.entries[i],
+                blocks[i].length,
+                offsets[i]
+            );
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Write one 28-byte directory entry
+     * @param {DataView} dv - Output view
+     * @param {number} offset - Byte offset of the entry
+     * @param {Object} entry - Entry fields
+     * @param {number} datasize - Data size in bytes
+     * @param {number} dataoffset - Data offset, or inline data
+     * @private
+     */
+    _writeDirectoryEntry(dv, offset, entry, datasize, dataoffset) {
+        ABIFTypes.writeString4(dv, offset, entry.name);
+        dv.setUint32(offset + 4,  entry.number, false);
+        dv.setUint16(offset + 8,  entry.elementtype, false);
+        dv.setUint16(offset + 10, entry.elementsize, false);
+        dv.setUint32(offset + 12, entry.numelements, false);
+        dv.setUint32(offset + 16, datasize, false);
+        dv.setUint32(offset + 20, dataoffset, false);
+        dv.setUint32(offset + 24, entry.datahandle || 0, false);
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // STATIC HELPERS
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Serialize a parsed file with read edits applied
+     * @param {ABIFParser} parser - Parsed source file
+     * @param {Object} edits - See applyEdits()
+     * @returns {ArrayBuffer} Complete ABIF file
+     */
+    static writeWithEdits(parser, edits) {
+        return new ABIFWriter(parser).applyEdits(edits).toArrayBuffer();
+    }
+
+    /**
+     * Write a parsed file with edits to disk (Node.js/Electron)
+     * @param {ABIFParser} parser - Parsed source file
+     * @param {Object} edits - See applyEdits()
+     * @param {string} filePath - Destination path
+     * @returns {Promise<number>} Number of bytes written
+     */
+    static async writeToPath(parser, edits, filePath) {
+        const fs = require('fs').promises;
+        const arrayBuffer = ABIFWriter.writeWithEdits(parser, edits);
+        await fs.writeFile(filePath, Buffer.from(arrayBuffer));
+        return arrayBuffer.byteLength;
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron main process
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ABIFWriter;
+}
+
+// For use in browser/renderer process
+if (typeof window !== 'undefined') {
+    window.ABIFWriter = ABIFWriter;
+}
@@ -0,0 +1,232 @@
+///////////////////////////////////////////////////////////////////////////////
+// ABIFXml.js
+// Minimal XML reader for the instrument XML blobs stored in ABIF files
+// (run module RMdX_1, analysis protocol APrX_1, ...)
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Markup tokens: CDATA, comment, processing instruction / declaration,
+ * closing tag, opening or empty tag, text
+ */
+const ABIF_XML_TOKEN = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][\s\S]*?>|<\/\s*([^\s>]+)\s*>|<([^\s\/>!?]+)((?:\s+[^\s=\/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'))?)*)\s*(\/?)>|([^<]+)/g;
+
+/**
+ * Attribute inside an opening tag
+ */
+const ABIF_XML_ATTRIBUTE = /([^\s=\/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'))?/g;
+
+/**
+ * Predefined XML entities
+ */
+const ABIF_XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Child elements that name a setting in a name/value pair
+ * (<Parameter><Token>Run_Voltage</Token><Value>8.5</Value></Parameter>)
+ */
+const ABIF_XML_KEY_ELEMENTS = ['token', 'name', 'key', 'id', 'parametername'];
+
+/**
+ * ABIF XML
+ * Reads the XML documents that instruments embed in ABIF tags. There is no
+ * DTD or namespace handling: elements become { name, attributes, children, text }
+ * nodes, which can be turned into plain objects or flattened into settings.
+ * Unclosed or mismatched tags are closed where they stop making sense
+ * instead of failing, since these blobs are often truncated.
+ *
+ * Usage:
+ *   const root = ABIFXml.parse(xmlText);
+ *   const settings = ABIFXml.settings(root);
+ *   console.log(ABIFXml.lookup(settings, ['Run_Voltage']));
+ */
+class ABIFXml {
+
+    /**
+     * Parse an XML document
+     * @param {string} text - XML text
+     * @returns {Object|null} Root element { name, attributes, children, text }, or null when there is none
+     */
+    static parse(text) {
+        const document = { name: '#document', attributes: {}, children: [], text: '' };
+        const stack = [document];
+        const source = String(text || '').replace(/\u0000+$/, '');
+
+        ABIF_XML_TOKEN.lastIndex = 0;
+        let match;
+        while ((match = ABIF_XML_TOKEN.exec(source)) !== null) {
+            const [, cdata, closing, opening, attributes, empty, content] = match;
+            const parent = stack[stack.length - 1];
+
+            if (cdata !== undefined) {
+                parent.text += cdata;
+            } else if (content !== undefined) {
+                parent.text += ABIFXml.decodeEntities(content);
+            } else if (opening !== undefined) {
+                const element = {
+                    name: opening,
+                    attributes: ABIFXml._parseAttributes(attributes),
+                    children: [],
+                    text: ''
+                };
+                parent.children.push(element);
+                if (!empty) stack.push(element);
+            } else if (closing !== undefined) {
+                // Close up to the matching element; ignore stray closing tags
+                const index = stack.map(e => e.name).lastIndexOf(closing);
+                if (index > 0) stack.length = index;
+            }
+        }
+
+        ABIFXml._trimText(document);
+        return document.children[0] || null;
+    }
+
+    /**
+     * Replace XML entities and character references
+     * @param {string} text - Raw text
+     * @returns {string} Decoded text
+     */
+    static decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+            if (name[0] === '#') {
+                const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                return Number.isFinite(code) ? String.fromCodePoint(code) : entity;
+            }
+            return ABIF_XML_ENTITIES[name] !== undefined ? ABIF_XML_ENTITIES[name] : entity;
+        });
+    }
+
+    /**
+     * Convert an element to a plain object: leaf elements become their text,
+     * repeated child names become arrays and attributes are kept as '@name'
+     * @param {Object} element - Parsed element
+     * @returns {Object|string} Plain value
+     */
+    static toObject(element) {
+        const attributes = Object.entries(element.attributes);
+        if (element.children.length === 0 && attributes.length === 0) {
+            return element.text;
+        }
+
+        const object = {};
+        for (const [name, value] of attributes) {
+            object[`@${name}`] = value;
+        }
+        for (const child of element.children) {
+            const value = ABIFXml.toObject(child);
+            if (!(child.name in object)) {
+                object[child.name] = value;
+            } else if (Array.isArray(object[child.name])) {
+                object[child.name].push(value);
+            } else {
+                object[child.name] = [object[child.name], value];
+            }
+        }
+        if (element.text && element.children.length === 0) {
+            object['#text'] = element.text;
+        }
+        return object;
+    }
+
+    /**
+     * Flatten an element into settings: every leaf element by its own name,
+     * and every name/value pair (Token or Name with a Value) by its name.
+     * The first occurrence of a name wins.
+     * @param {Object} element - Parsed element
+     * @returns {Object} Setting values by name, in document order
+     */
+    static settings(element) {
+        const settings = {};
+        const add = (name, value) => {
+            if (name && !(name in settings)) settings[name] = value;
+        };
+
+        const walk = (node) => {
+            if (node.children.length === 0) {
+                add(node.name, node.text);
+                return;
+            }
+
+            const key = node.children.find(c => c.children.length === 0 && ABIF_XML_KEY_ELEMENTS.includes(ABIFXml.normalize(c.name)));
+            const value = node.children.find(c => c.children.length === 0 && ABIFXml.normalize(c.name) === 'value');
+            if (key && value && key.text) {
+                add(key.text, value.text);
+            }
+
+            node.children.forEach(walk);
+        };
+
+        if (element) walk(element);
+        return settings;
+    }
+
+    /**
+     * Find a setting by any of its names, ignoring case and separators
+     * (Run_Voltage, run-voltage and RunVoltage are the same name)
+     * @param {Object} settings - Output of settings()
+     * @param {string[]} names - Names to try, in order
+     * @returns {string|null} Value, or null when no name is present
+     */
+    static lookup(settings, names) {
+        const wanted = names.map(ABIFXml.normalize);
+        for (const target of wanted) {
+            for (const [name, value] of Object.entries(settings)) {
+                if (ABIFXml.normalize(name) === target && value !== '') return value;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Normalize a setting name for comparison
+     * @param {string} name - Setting name
+     * @returns {string} Lowercase name without separators
+     */
+    static normalize(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // HELPERS
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Parse the attributes of an opening tag
+     * @private
+     */
+    static _parseAttributes(text) {
+        const attributes = {};
+        if (!text) return attributes;
+
+        ABIF_XML_ATTRIBUTE.lastIndex = 0;
+        let match;
+        while ((match = ABIF_XML_ATTRIBUTE.exec(text)) !== null) {
+            const value = match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : '');
+            attributes[match[1]] = ABIFXml.decodeEntities(value);
+        }
+        return attributes;
+    }
+
+    /**
+     * Trim the whitespace around element text, recursively
+     * @private
+     */
+    static _trimText(element) {
+        element.text = element.text.trim();
+        element.children.forEach(child => ABIFXml._trimText(child));
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron main process
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ABIFXml;
+}
+
+// For use in browser/renderer process
+if (typeof window !== 'undefined') {
+    window.ABIFXml = ABIFXml;
+}
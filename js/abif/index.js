@@ -1,14 +1,20 @@
 ///////////////////////////////////////////////////////////////////////////////
 // js/abif/index.js
-// Main entry point for ABIF parsing modules
+// Main entry point for ABIF parsing and writing modules
 ///////////////////////////////////////////////////////////////////////////////
 
 const ABIFParser = require('./ABIFParser.js');
+const ABIFWriter = require('./ABIFWriter.js');
+const ABIFValidator = require('./ABIFValidator.js');
+const ABIFLayout = require('./ABIFLayout.js');
 const ABIFTypes = require('./ABIFTypes.js');
 const ABIFTags = require('./ABIFTags.js');
 
 module.exports = {
     ABIFParser,
+    ABIFWriter,
+    ABIFValidator,
+    ABIFLayout,
     ABIFTypes,
     ABIFTags,
     
@@ -0,0 +1,412 @@
+///////////////////////////////////////////////////////////////////////////////
+// BaseCaller.js
+// Base calling from processed traces, with phred-style quality estimates
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Channels that are called
+ */
+const BASE_CALLER_BASES = ['A', 'C', 'G', 'T'];
+
+/**
+ * Default settings of BaseCaller.call()
+ */
+const BASE_CALLER_DEFAULTS = {
+    peakThreshold: 0.1,    // Smallest peak, as a fraction of the tallest signal within 8 peak spacings
+    noiseFloor: 0.03,      // Smallest peak, as a fraction of the read's tall peaks (90th percentile); weaker positions are called N
+    spacingWindow: 41,     // Number of peak gaps whose median is the local peak spacing
+    maxQuality: 60
+};
+
+/**
+ * Weights of the trace parameters in the error probability of a call:
+ * a floor, the uncalled/called peak ratio at the call and its neighbours
+ * (3-peak window) and over a 7-peak window, irregular peak spacing, weak
+ * peaks and calls placed where no peak was seen (compressions)
+ */
+const BASE_CALLER_ERROR = {
+    base: 0.0001,
+    ratio: 0.3,
+    wideRatio: 0.05,
+    spacing: 0.05,
+    weak: 0.05,
+    inserted: 0.2
+};
+
+/**
+ * BaseCaller - Calls bases from the four processed traces
+ *
+ * Peaks are found in every channel; a peak counts where its channel is the
+ * tallest at that scan and it stands out from the signal around it. The
+ * expected peak spacing is the running median of the gaps between those
+ * peaks. Calls are then placed by walking the read one spacing at a time:
+ * each step takes the first strong peak between 0.5 and 1.5 spacings ahead,
+ * which skips split peaks, and places a call at the predicted position when
+ * there is none, which recovers bases hidden in compressions. The call is
+ * the tallest channel at the position, N where all channels are below the
+ * noise floor.
+ *
+ * Quality values follow Phred's approach of turning trace parameters
+ * (uncalled/called peak ratios over 3- and 7-peak windows, peak spacing
+ * irregularity, peak strength) into an error probability, with fixed
+ * weights instead of Phred's trained lookup table: they rank calls the same
+ * way but are not calibrated.
+ *
+ * Usage:
+ *   const calls = BaseCaller.call(parser.getTraces());
+ *   console.log(calls.sequence, calls.qualityScores, calls.peakLocations);
+ */
+class BaseCaller {
+
+    /**
+     * Call bases from processed traces
+     * @param {Object} traces - Traces keyed by base (A, C, G, T), as typed or plain arrays
+     * @param {Object} [options] - Settings (see BASE_CALLER_DEFAULTS)
+     * @returns {Object} { sequence, peakLocations, qualityScores, secondary: { bases,
+     *   primaryAmplitudes, secondaryAmplitudes }, spacing: { mean, min, max },
+     *   counts: { bases, inserted, uncalled } }
+     */
+    static call(traces, options = {}) {
+        const settings = { ...BASE_CALLER_DEFAULTS, ...options };
+
+        const missing = BASE_CALLER_BASES.filter(base => !traces || !traces[base]);
+        if (missing.length > 0) {
+            throw new Error(`Base calling needs the A, C, G and T traces (missing ${missing.join(', ')})`);
+        }
+
+        const length = Math.min(...BASE_CALLER_BASES.map(base => traces[base].length));
+        const envelope = BaseCaller._envelope(traces, length);
+
+        // Peaks of the channel that is tallest at their scan (the first of tied channels)
+        const taken = new Set();
+        const dominant = [];
+        for (const base of BASE_CALLER_BASES) {
+            for (const scan of BaseCaller.findPeaks(traces[base], length)) {
+                const height = traces[base][scan];
+                if (height > 0 && height >= envelope[scan] && !taken.has(scan)) {
+                    taken.add(scan);
+                    dominant.push({ scan, base, height });
+                }
+            }
+        }
+        dominant.sort((a, b) => a.scan - b.scan);
+
+        const floor = BaseCaller._percentile(dominant.map(p => p.height), 0.9) * settings.noiseFloor;
+        const strong = dominant.filter(p => p.height >= floor);
+        if (strong.length < 3) return BaseCaller._emptyResult();
+
+        // Peaks that stand out from the signal around them
+        const gaps = BaseCaller._gaps(strong.map(p => p.scan));
+        const roughSpacing = BaseCaller._percentile(gaps, 0.5);
+        const localMax = BaseCaller._slidingMax(envelope, Math.max(1, Math.round(8 * roughSpacing)));
+        const candidates = strong.filter(p => p.height >= settings.peakThreshold * localMax[p.scan]);
+        if (candidates.length < 3) return BaseCaller._emptyResult();
+
+        const spacing = BaseCaller.estimateSpacing(candidates.map(p => p.scan), length, settings.spacingWindow);
+        const positions = BaseCaller._placeCalls(candidates, spacing);
+
+        return BaseCaller._callPositions(traces, positions, spacing, localMax, floor, settings);
+    }
+
+    /**
+     * Find the local maxima of a trace (the middle of flat tops)
+     * @param {ArrayLike<number>} trace - Trace values
+     * @param {number} [length] - Number of scans to search (default: the whole trace)
+     * @returns {number[]} Scan of every peak
+     */
+    static findPeaks(trace, length = trace.length) {
+        const peaks = [];
+        let i = 1;
+        while (i < length - 1) {
+            if (trace[i] > trace[i - 1]) {
+                let end = i;
+                while (end < length - 1 && trace[end + 1] === trace[i]) end++;
+                if (end < length - 1 && trace[end + 1] < trace[i]) {
+                    peaks.push(Math.floor((i + end) / 2));
+                }
+                i = end + 1;
+            } else {
+                i++;
+            }
+        }
+        return peaks;
+    }
+
+    /**
+     * Expected peak spacing at every scan: the running median of the gaps
+     * between consecutive peaks, interpolated between gap midpoints, and at
+     * least 1 scan
+     * @param {number[]} scans - Peak scans, sorted
+     * @param {number} length - Number of scans
+     * @param {number} [window] - Number of gaps in the running median
+     * @returns {Float64Array} Spacing per scan
+     */
+    static estimateSpacing(scans, length, window = BASE_CALLER_DEFAULTS.spacingWindow) {
+        const spacing = new Float64Array(length);
+        const gaps = BaseCaller._gaps(scans);
+        if (gaps.length === 0) return spacing.fill(1);
+
+        const half = Math.floor(window / 2);
+        const points = gaps.map((gap, i) => ({
+            scan: (scans[i] + scans[i + 1]) / 2,
+            value: Math.max(1, BaseCaller._percentile(gaps.slice(Math.max(0, i - half), i + half + 1), 0.5))
+        }));
+
+        let next = 0;
+        for (let scan = 0; scan < length; scan++) {
+            while (next < points.length && points[next].scan < scan) next++;
+            if (next === 0) {
+                spacing[scan] = points[0].value;
+            } else if (next === points.length) {
+                spacing[scan] = points[points.length - 1].value;
+            } else {
+                const a = points[next - 1];
+                const b = points[next];
+                spacing[scan] = a.value + (b.value - a.value) * (scan - a.scan) / (b.scan - a.scan);
+            }
+        }
+        return spacing;
+    }
+
+    /**
+     * Walk the read one peak spacing at a time and place the calls
+     * @param {Object[]} candidates - Peaks { scan, base, height }, sorted by scan
+     * @param {Float64Array} spacing - Expected spacing per scan
+     * @returns {Object[]} { scan, base, observed } per call; base is null where no peak was seen
+     * @private
+     */
+    static _placeCalls(candidates, spacing) {
+        const last = candidates[candidates.length - 1].scan;
+        const positions = [{ scan: candidates[0].scan, base: candidates[0].base, observed: true }];
+
+        let scan = candidates[0].scan;
+        let next = 1;
+        // Every step moves at least one scan ahead, so the read has at most one call per scan
+        for (let count = 1; count < spacing.length; count++) {
+            const step = Math.max(1, spacing[scan]);
+            if (scan + step > last + step / 2) break;
+
+            while (next < candidates.length && candidates[next].scan <= scan + step / 2) next++;
+
+            // Peaks 0.5 to 1.5 spacings ahead; the first one of at least half the tallest wins
+            let end = next;
+            let tallest = 0;
+            while (end < candidates.length && candidates[end].scan <= scan + 1.5 * step) {
+                tallest = Math.max(tallest, candidates[end].height);
+                end++;
+            }
+            const peak = candidates.slice(next, end).find(p => p.height >= tallest / 2);
+
+            if (peak) {
+                positions.push({ scan: peak.scan, base: peak.base, observed: true });
+                scan = peak.scan;
+            } else {
+                scan = Math.min(spacing.length - 1, Math.max(scan + 1, Math.round(scan + step)));
+                positions.push({ scan, base: null, observed: false });
+            }
+        }
+        return positions;
+    }
+
+    /**
+     * Call the base and estimate the quality at every position
+     * @private
+     */
+    static _callPositions(traces, positions, spacing, localMax, floor, settings) {
+        const count = positions.length;
+        const primaryAmplitudes = new Uint16Array(count);
+        const secondaryAmplitudes = new Uint16Array(count);
+        const peakLocations = new Int32Array(count);
+        const ratios = new Float64Array(count);
+        let sequence = '';
+        let secondaryBases = '';
+        let uncalled = 0;
+
+        positions.forEach((position, i) => {
+            const { scan } = position;
+            const half = Math.max(1, Math.round(spacing[scan] / 4));
+
+            // Called channel: the peak seen here, or the tallest channel at the predicted position
+            const primary = position.base ||
+                BASE_CALLER_BASES.reduce((a, b) => (traces[b][scan] > traces[a][scan] ? b : a));
+
+            // Tallest other channel around the position
+            let secondary = null;
+            let secondaryHeight = 0;
+            for (const base of BASE_CALLER_BASES) {
+                if (base === primary) continue;
+                const height = BaseCaller._maxAround(traces[base], scan, half);
+                if (secondary === null || height > secondaryHeight) {
+                    secondary = base;
+                    secondaryHeight = height;
+                }
+            }
+
+            const height = Math.max(0, traces[primary][scan]);
+            const called = height >= floor;
+            if (!called) uncalled++;
+
+            sequence += called ? primary : 'N';
+            secondaryBases += secondary;
+            peakLocations[i] = scan;
+            primaryAmplitudes[i] = Math.min(65535, Math.round(height));
+            secondaryAmplitudes[i] = Math.min(65535, Math.round(Math.max(0, secondaryHeight)));
+            ratios[i] = height > 0 ? Math.min(1, Math.max(0, secondaryHeight) / height) : 1;
+        });
+
+        const qualityScores = new Uint8Array(count);
+        for (let i = 0; i < count; i++) {
+            if (sequence[i] === 'N') continue;
+
+            const error = BASE_CALLER_ERROR.base +
+                BASE_CALLER_ERROR.ratio * Math.pow(BaseCaller._windowMax(ratios, i, 1), 2) +
+                BASE_CALLER_ERROR.wideRatio * Math.pow(BaseCaller._windowMax(ratios, i, 3), 2) +
+                BASE_CALLER_ERROR.spacing * Math.pow(BaseCaller._spacingRatio(peakLocations, i, 3) - 1, 2) +
+                BASE_CALLER_ERROR.weak * Math.max(0, 1 - primaryAmplitudes[i] / (0.2 * localMax[peakLocations[i]])) +
+                (positions[i].observed ? 0 : BASE_CALLER_ERROR.inserted);
+
+            const quality = Math.round(-10 * Math.log10(Math.min(0.75, error)));
+            qualityScores[i] = Math.max(0, Math.min(settings.maxQuality, quality));
+        }
+
+        const gaps = BaseCaller._gaps(Array.from(peakLocations));
+        return {
+            sequence,
+            peakLocations,
+            qualityScores,
+            secondary: { bases: secondaryBases, primaryAmplitudes, secondaryAmplitudes },
+            spacing: {
+                mean: gaps.length > 0 ? gaps.reduce((a, b) => a + b, 0) / gaps.length : 0,
+                min: gaps.length > 0 ? Math.min(...gaps) : 0,
+                max: gaps.length > 0 ? Math.max(...gaps) : 0
+            },
+            counts: {
+                bases: count,
+                inserted: positions.filter(p => !p.observed).length,
+                uncalled: uncalled
+            }
+        };
+    }
+
+    /**
+     * Result for traces without a readable signal
+     * @private
+     */
+    static _emptyResult() {
+        return {
+            sequence: '',
+            peakLocations: new Int32Array(0),
+            qualityScores: new Uint8Array(0),
+            secondary: { bases: '', primaryAmplitudes: new Uint16Array(0), secondaryAmplitudes: new Uint16Array(0) },
+            spacing: { mean: 0, min: 0, max: 0 },
+            counts: { bases: 0, inserted: 0, uncalled: 0 }
+        };
+    }
+
+    /**
+     * Tallest channel value at every scan
+     * @private
+     */
+    static _envelope(traces, length) {
+        const envelope = new Float64Array(length);
+        for (let i = 0; i < length; i++) {
+            envelope[i] = Math.max(traces.A[i], traces.C[i], traces.G[i], traces.T[i]);
+        }
+        return envelope;
+    }
+
+    /**
+     * Maximum of values within a radius of every index
+     * @private
+     */
+    static _slidingMax(values, radius) {
+        const result = new Float64Array(values.length);
+        const deque = [];  // Indices with decreasing values
+        let head = 0;
+        let added = 0;
+        for (let i = 0; i < values.length; i++) {
+            while (added < values.length && added <= i + radius) {
+                while (deque.length > head && values[deque[deque.length - 1]] <= values[added]) deque.pop();
+                deque.push(added++);
+            }
+            while (deque[head] < i - radius) head++;
+            result[i] = values[deque[head]];
+        }
+        return result;
+    }
+
+    /**
+     * Largest trace value within a radius of a scan
+     * @private
+     */
+    static _maxAround(trace, scan, radius) {
+        let max = -Infinity;
+        for (let i = Math.max(0, scan - radius); i <= Math.min(trace.length - 1, scan + radius); i++) {
+            if (trace[i] > max) max = trace[i];
+        }
+        return max;
+    }
+
+    /**
+     * Largest value within a radius of an index
+     * @private
+     */
+    static _windowMax(values, index, radius) {
+        let max = 0;
+        for (let i = Math.max(0, index - radius); i <= Math.min(values.length - 1, index + radius); i++) {
+            if (values[i] > max) max = values[i];
+        }
+        return max;
+    }
+
+    /**
+     * Ratio of the widest to the narrowest peak gap within a radius of a call
+     * @private
+     */
+    static _spacingRatio(peakLocations, index, radius) {
+        let min = Infinity;
+        let max = 0;
+        for (let i = Math.max(1, index - radius); i <= Math.min(peakLocations.length - 1, index + radius); i++) {
+            const gap = peakLocations[i] - peakLocations[i - 1];
+            if (gap < min) min = gap;
+            if (gap > max) max = gap;
+        }
+        return (max > 0 && min > 0) ? max / min : 1;
+    }
+
+    /**
+     * Gaps between consecutive scans
+     * @private
+     */
+    static _gaps(scans) {
+        const gaps = [];
+        for (let i = 1; i < scans.length; i++) {
+            gaps.push(scans[i] - scans[i - 1]);
+        }
+        return gaps;
+    }
+
+    /**
+     * Percentile of a list of numbers (nearest rank)
+     * @private
+     */
+    static _percentile(values, fraction) {
+        if (values.length === 0) return 0;
+        const sorted = Array.from(values).sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BaseCaller };
+}
+
+// For use in browser
+if (typeof window !== 'undefined') {
+    window.BaseCaller = BaseCaller;
+}
@@ -0,0 +1,201 @@
+///////////////////////////////////////////////////////////////////////////////
+// HetDetector.js
+// Heterozygous position detection from secondary peaks under the base calls
+///////////////////////////////////////////////////////////////////////////////
+
+// Import IUPAC codes if in Node.js environment
+// (renderer scripts share one global scope, where MixedBases.js already declares MixedBases)
+const hetMixedBases = (typeof require !== 'undefined') ? require('../editor/MixedBases.js').MixedBases : window.MixedBases;
+
+/**
+ * Default thresholds of HetDetector.detect()
+ */
+const HET_DETECTOR_DEFAULTS = {
+    minRatio: 0.25,        // Smallest secondary/primary peak height ratio
+    minSnr: 3,             // Smallest secondary peak height over the local noise
+    minConfidence: 0.5,    // Smallest confidence score (0-1)
+    noiseWindow: 10        // Bases on each side whose secondary signal is the local noise
+};
+
+/**
+ * HetDetector - Finds candidate heterozygous positions
+ *
+ * At every called base the heights of the four channels are measured at
+ * the peak: each channel's height is the top of the peak the call sits on,
+ * found by climbing from the call's scan within 0.3 peak spacings. A
+ * channel that is still rising at the edge of that window is the flank of
+ * a neighbouring peak, and counts only its height at the call. The tallest
+ * channel other than the call is the secondary peak.
+ *
+ * The local noise is the median secondary height of the calls on either
+ * side (the higher of the two), so a secondary peak in a clean region
+ * stands out more than the same peak in a noisy one. A position is a
+ * candidate when its secondary peak reaches the ratio and signal-to-noise
+ * thresholds; the confidence (0-1) grows with the signal-to-noise ratio and
+ * drops when the secondary peak is off the primary one.
+ *
+ * Usage:
+ *   const result = HetDetector.detect({ sequence, peakLocations, traces }, { minRatio: 0.3 });
+ *   result.candidates.forEach(c => console.log(c.position, c.code, c.ratio, c.confidence));
+ */
+class HetDetector {
+
+    /**
+     * Default thresholds
+     * @returns {Object} A copy of HET_DETECTOR_DEFAULTS
+     */
+    static defaults() {
+        return { ...HET_DETECTOR_DEFAULTS };
+    }
+
+    /**
+     * Find the candidate heterozygous positions of a read
+     * @param {Object} data - { sequence, peakLocations, traces, qualityScores (optional) }
+     * @param {Object} [options] - Thresholds (see HET_DETECTOR_DEFAULTS)
+     * @returns {Object} { candidates, measured: number of positions measured, options }
+     */
+    static detect(data, options = {}) {
+        const settings = { ...HET_DETECTOR_DEFAULTS, ...options };
+        const measurements = HetDetector.measure(data, settings);
+
+        const candidates = measurements.filter(m => m && m.code &&
+            m.ratio >= settings.minRatio && m.snr >= settings.minSnr && m.confidence >= settings.minConfidence);
+
+        return {
+            candidates,
+            measured: measurements.filter(m => m).length,
+            options: settings
+        };
+    }
+
+    /**
+     * Measure the secondary peak at every call
+     * @param {Object} data - { sequence, peakLocations, traces, qualityScores (optional) }
+     * @param {Object} [options] - { noiseWindow }
+     * @returns {Array<Object|null>} Per base: { index, position, scan, base, secondaryBase, code,
+     *   primaryHeight, secondaryHeight, ratio, minorFraction, noise, snr, offset, confidence, quality };
+     *   null for calls other than A, C, G and T or without a peak location
+     */
+    static measure(data, options = {}) {
+        const noiseWindow = options.noiseWindow || HET_DETECTOR_DEFAULTS.noiseWindow;
+        const { sequence, peakLocations, traces, qualityScores } = data;
+        const channels = ['A', 'C', 'G', 'T'].filter(base => traces && traces[base] && traces[base].length > 0);
+
+        // Heights of every channel at every call
+        const radii = [];
+        const measurements = Array.from(sequence || '', (call, i) => {
+            const base = call.toUpperCase();
+            const scan = peakLocations ? peakLocations[i] : undefined;
+            if (!channels.includes(base) || scan === undefined || scan === null) return null;
+
+            const radius = Math.max(1, Math.round(0.3 * HetDetector._localSpacing(peakLocations, i)));
+            radii[i] = radius;
+            const primary = HetDetector._peakAt(traces[base], scan, radius);
+
+            let secondaryBase = null;
+            let secondary = { height: 0, offset: 0 };
+            for (const other of channels) {
+                if (other === base) continue;
+                const peak = HetDetector._peakAt(traces[other], scan, radius);
+                if (secondaryBase === null || peak.height > secondary.height) {
+                    secondaryBase = other;
+                    secondary = peak;
+                }
+            }
+
+            const primaryHeight = Math.max(0, primary.height);
+            const secondaryHeight = Math.max(0, secondary.height);
+            return {
+                index: i,
+                position: i + 1,
+                scan: scan,
+                base: base,
+                secondaryBase: secondaryBase,
+                code: secondaryBase ? hetMixedBases.code(base, secondaryBase) : null,
+                primaryHeight: primaryHeight,
+                secondaryHeight: secondaryHeight,
+                ratio: primaryHeight > 0 ? secondaryHeight / primaryHeight : 0,
+                minorFraction: (primaryHeight + secondaryHeight) > 0 ? secondaryHeight / (primaryHeight + secondaryHeight) : 0,
+                offset: secondary.offset,
+                quality: qualityScores && qualityScores[i] !== undefined ? qualityScores[i] : null
+            };
+        });
+
+        // Local noise, signal-to-noise ratio and confidence
+        measurements.forEach((m, i) => {
+            if (!m) return;
+
+            // The noisier side counts, so a clean stretch does not hide the start of a noisy one
+            const before = [];
+            const after = [];
+            for (let j = Math.max(0, i - noiseWindow); j <= Math.min(measurements.length - 1, i + noiseWindow); j++) {
+                if (j !== i && measurements[j]) (j < i ? before : after).push(measurements[j].secondaryHeight);
+            }
+            m.noise = Math.max(HetDetector._median(before), HetDetector._median(after), 0.02 * m.primaryHeight, 1);
+            m.snr = m.secondaryHeight / m.noise;
+
+            const snrScore = m.snr > 1 ? 1 - 1 / m.snr : 0;
+            const alignScore = 1 - 0.5 * Math.min(1, Math.abs(m.offset) / radii[i]);
+            m.confidence = Math.round(snrScore * alignScore * 100) / 100;
+        });
+
+        return measurements;
+    }
+
+    /**
+     * Top of the peak a scan sits on, within a radius; the height at the
+     * scan when the signal is still rising at the edge (a neighbour's flank)
+     * @returns {Object} { height, offset } with the offset of the top from the scan
+     * @private
+     */
+    static _peakAt(trace, scan, radius) {
+        let position = scan;
+        const step = (trace[scan + 1] > trace[scan]) ? 1 : (trace[scan - 1] > trace[scan]) ? -1 : 0;
+        if (step !== 0) {
+            while (Math.abs(position + step - scan) <= radius && trace[position + step] > trace[position]) {
+                position += step;
+            }
+            // Still rising at the edge of the window: not this call's peak
+            if (Math.abs(position - scan) === radius && trace[position + step] > trace[position]) {
+                return { height: trace[scan], offset: 0 };
+            }
+        }
+        return { height: trace[position], offset: position - scan };
+    }
+
+    /**
+     * Peak spacing around a call, from its neighbours' peak locations
+     * @private
+     */
+    static _localSpacing(peakLocations, index) {
+        const before = index > 0 ? peakLocations[index] - peakLocations[index - 1] : null;
+        const after = index < peakLocations.length - 1 ? peakLocations[index + 1] - peakLocations[index] : null;
+        const gaps = [before, after].filter(gap => gap !== null && gap > 0);
+        return gaps.length > 0 ? gaps.reduce((a, b) => a + b, 0) / gaps.length : 12;
+    }
+
+    /**
+     * Median of a list of numbers
+     * @private
+     */
+    static _median(values) {
+        if (values.length === 0) return 0;
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HetDetector };
+}
+
+// For use in browser
+if (typeof window !== 'undefined') {
+    window.HetDetector = HetDetector;
+}
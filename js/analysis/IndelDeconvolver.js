@@ -0,0 +1,359 @@
+///////////////////////////////////////////////////////////////////////////////
+// IndelDeconvolver.js
+// Decomposition of heterozygous indel traces into their two alleles
+///////////////////////////////////////////////////////////////////////////////
+
+// Import the peak measurements if in Node.js environment
+// (renderer scripts share one global scope, where HetDetector.js already declares HetDetector)
+const indelHetDetector = (typeof require !== 'undefined') ? require('./HetDetector.js').HetDetector : window.HetDetector;
+
+/**
+ * Default settings of IndelDeconvolver.deconvolve()
+ */
+const INDEL_DECONVOLVER_DEFAULTS = {
+    minRatio: 0.2,          // Secondary/primary peak height ratio above which a position has two bases
+    window: 10,             // Positions that must be mostly mixed at the onset
+    minMixedFraction: 0.6,  // Smallest fraction of mixed positions in that window and the 50 after it
+    maxIndel: 30,           // Largest indel size tried
+    minConsistency: 0.8,    // Smallest fraction of positions the decoded alleles must explain
+    reference: null         // Reference sequence (plain or FASTA), optional
+};
+
+/**
+ * Upstream calls aligned to the reference to place the read on it
+ */
+const INDEL_ANCHOR_LENGTH = 20;
+
+/**
+ * IndelDeconvolver - Decodes the two alleles of a heterozygous indel
+ *
+ * Past an indel in one allele the trace is the sum of two copies of the
+ * sequence, shifted by the indel size: every position shows the bases of
+ * both alleles (one base where they agree). The onset is the first
+ * position of a stretch that stays mixed. Downstream of it the base sets
+ * are decoded for every indel size k up to maxIndel: allele 2 reads
+ * allele 1 from k bases further on, so choosing allele 1's base at a
+ * position fixes allele 2's there, which is allele 1's base k positions
+ * later, and so on along each chain of positions k apart. The size whose
+ * chains contradict the base sets least wins.
+ *
+ * With a reference, the calls before the onset place the read on it and
+ * each size is scored against the reference directly: one allele must read
+ * the reference and the other the reference with k bases deleted or
+ * inserted at the onset, which also tells deletions from insertions.
+ *
+ * Usage:
+ *   const result = IndelDeconvolver.deconvolve({ sequence, peakLocations, traces }, { reference });
+ *   if (result.size) console.log(result.type, result.size, result.position, result.alleles);
+ */
+class IndelDeconvolver {
+
+    /**
+     * Default settings
+     * @returns {Object} A copy of INDEL_DECONVOLVER_DEFAULTS
+     */
+    static defaults() {
+        return { ...INDEL_DECONVOLVER_DEFAULTS };
+    }
+
+    /**
+     * Find the onset of mixed signal and decode the two alleles after it
+     * @param {Object} data - { sequence, peakLocations, traces }
+     * @param {Object} [options] - Settings (see INDEL_DECONVOLVER_DEFAULTS)
+     * @returns {Object} { onset, position, size, type, indelBases, alleles: [allele 1, allele 2],
+     *   consistency, referencePosition, referenceAligned, options }. onset is null without mixed
+     *   signal, size and alleles are null when no indel size explains it. The alleles are as long
+     *   as the calls, position by position (the calls up to the onset)
+     */
+    static deconvolve(data, options = {}) {
+        const settings = { ...INDEL_DECONVOLVER_DEFAULTS, ...options };
+        const sets = IndelDeconvolver.baseSets(data, settings);
+        const onset = IndelDeconvolver.findOnset(sets, settings);
+
+        const result = {
+            onset: onset,
+            position: onset === null ? null : onset + 1,
+            size: null,
+            type: null,
+            indelBases: null,
+            alleles: null,
+            consistency: null,
+            referencePosition: null,
+            referenceAligned: false,
+            options: settings
+        };
+        if (onset === null) return result;
+
+        const sequence = data.sequence.toUpperCase();
+        const reference = IndelDeconvolver.cleanReference(settings.reference);
+        const delta = reference ? IndelDeconvolver._alignUpstream(sequence, onset, reference) : null;
+
+        let decoded;
+        if (delta !== null) {
+            result.referenceAligned = true;
+            decoded = IndelDeconvolver._decodeWithReference(sets, onset, reference, delta, settings.maxIndel);
+        } else {
+            decoded = IndelDeconvolver._decode(sets, onset, settings.maxIndel);
+        }
+        result.consistency = decoded ? decoded.consistency : null;
+        if (!decoded || decoded.consistency < settings.minConsistency) return result;
+
+        const upstream = sequence.slice(0, onset);
+        result.alleles = decoded.alleles.map(allele => upstream + allele.slice(onset).join(''));
+        result.size = Math.abs(decoded.shift);
+
+        if (delta !== null) {
+            result.referencePosition = onset + delta + 1;
+            if (decoded.shift > 0) {
+                result.type = 'deletion';
+                result.indelBases = reference.slice(onset + delta, onset + delta + decoded.shift);
+            } else {
+                result.type = 'insertion';
+                result.indelBases = result.alleles[1].slice(onset, onset - decoded.shift);
+            }
+        } else {
+            // Without a reference only the difference is known: allele 1 has the bases allele 2 lacks
+            result.indelBases = result.alleles[0].slice(onset, onset + result.size);
+        }
+
+        return result;
+    }
+
+    /**
+     * Bases seen at every call: the call, and the tallest other channel
+     * where its peak passes the ratio
+     * @param {Object} data - { sequence, peakLocations, traces }
+     * @param {Object} [options] - { minRatio }
+     * @returns {Array<string[]|null>} One or two bases per call; null where nothing was measured
+     */
+    static baseSets(data, options = {}) {
+        const minRatio = options.minRatio !== undefined ? options.minRatio : INDEL_DECONVOLVER_DEFAULTS.minRatio;
+        return indelHetDetector.measure(data).map(m => {
+            if (!m) return null;
+            return (m.secondaryBase && m.ratio >= minRatio) ? [m.base, m.secondaryBase] : [m.base];
+        });
+    }
+
+    /**
+     * First position of a stretch that stays mixed
+     * @param {Array<string[]|null>} sets - Output of baseSets()
+     * @param {Object} [options] - { window, minMixedFraction }
+     * @returns {number|null} Index of the onset, null when no stretch is mixed
+     */
+    static findOnset(sets, options = {}) {
+        const window = options.window || INDEL_DECONVOLVER_DEFAULTS.window;
+        const minFraction = options.minMixedFraction || INDEL_DECONVOLVER_DEFAULTS.minMixedFraction;
+        const mixed = sets.map(set => (set ? (set.length === 2 ? 1 : 0) : null));
+
+        const fraction = (start, end) => {
+            const measured = mixed.slice(start, end).filter(value => value !== null);
+            return measured.length > 0 ? measured.reduce((a, b) => a + b, 0) / measured.length : 0;
+        };
+
+        for (let i = 0; i + window <= mixed.length; i++) {
+            if (mixed[i] !== 1) continue;
+            if (fraction(i, i + window) >= minFraction && fraction(i, i + 5 * window) >= minFraction) {
+                return i;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Reference bases of a plain or FASTA sequence (first record)
+     * @param {string|null} text
+     * @returns {string} Upper-case bases, empty when there are none
+     */
+    static cleanReference(text) {
+        if (!text) return '';
+        const lines = String(text).split(/\r?\n/);
+        const records = [];
+        for (const line of lines) {
+            if (line.startsWith('>')) {
+                if (records.length > 0) break;
+                continue;
+            }
+            records.push(line);
+        }
+        return records.join('').toUpperCase().replace(/[^ACGTN]/g, '');
+    }
+
+    /**
+     * Decode the alleles for every indel size and keep the most consistent
+     * @returns {Object|null} { shift, alleles: [Array, Array], consistency }
+     * @private
+     */
+    static _decode(sets, onset, maxIndel) {
+        let best = null;
+        for (let k = 1; k <= maxIndel && onset + k < sets.length; k++) {
+            const decoded = IndelDeconvolver._decodeShift(sets, onset, k);
+            if (decoded && (!best || decoded.consistency > best.consistency)) best = decoded;
+        }
+        return best;
+    }
+
+    /**
+     * Decode the alleles for one indel size: along every chain of positions
+     * k apart, allele 2's base at a position is allele 1's k positions later
+     * @returns {Object|null} { shift, alleles, consistency }, null when nothing could be checked
+     * @private
+     */
+    static _decodeShift(sets, onset, k) {
+        const n = sets.length;
+        const first = new Array(n).fill('N');
+        const second = new Array(n).fill('N');
+        let conflicts = 0;
+        let checked = 0;
+
+        for (let start = onset; start < onset + k && start < n; start++) {
+            // Either base at the start of the chain can be allele 1's: keep the better chain
+            let chosen = null;
+            for (const base of sets[start] || ['N']) {
+                const chain = IndelDeconvolver._walkChain(sets, start, k, base);
+                if (!chosen || chain.conflicts < chosen.conflicts) chosen = chain;
+            }
+            chosen.positions.forEach((j, c) => {
+                first[j] = chosen.first[c];
+                second[j] = chosen.second[c];
+            });
+            conflicts += chosen.conflicts;
+            checked += chosen.checked;
+        }
+
+        if (checked === 0) return null;
+        return { shift: k, alleles: [first, second], consistency: 1 - conflicts / checked };
+    }
+
+    /**
+     * Walk one chain of positions k apart from a chosen allele 1 base
+     * @private
+     */
+    static _walkChain(sets, start, k, base) {
+        const chain = { positions: [], first: [], second: [], conflicts: 0, checked: 0 };
+        let expected = base === 'N' ? null : base;
+
+        for (let j = start; j < sets.length; j += k) {
+            const set = sets[j];
+            let first;
+            if (!set) {
+                first = expected || 'N';
+            } else if (expected && set.includes(expected)) {
+                first = expected;
+                if (j !== start) chain.checked++;
+            } else {
+                if (expected) {
+                    chain.conflicts++;
+                    chain.checked++;
+                }
+                // Start again from the base whose partner the next position can have
+                const next = sets[j + k];
+                first = set.find(b => next && next.includes(IndelDeconvolver._partner(set, b))) || set[0];
+            }
+            const second = set ? IndelDeconvolver._partner(set, first) : 'N';
+
+            chain.positions.push(j);
+            chain.first.push(first);
+            chain.second.push(second);
+            expected = second === 'N' ? null : second;
+        }
+        return chain;
+    }
+
+    /**
+     * Score every deletion and insertion size against the reference: one
+     * allele reads the reference, the other the reference with the indel
+     * @returns {Object|null} { shift: size (> 0 deletion, < 0 insertion), alleles, consistency }
+     * @private
+     */
+    static _decodeWithReference(sets, onset, reference, delta, maxIndel) {
+        let best = null;
+        for (let size = 1; size <= maxIndel; size++) {
+            for (const shift of [size, -size]) {
+                let matches = 0;
+                let checked = 0;
+                for (let j = onset; j < sets.length; j++) {
+                    const set = sets[j];
+                    const wild = reference[j + delta];
+                    const mutant = (shift < 0 && j < onset - shift) ? null : reference[j + delta + shift];
+                    if (!set || wild === undefined || mutant === undefined) continue;
+
+                    checked++;
+                    if (set.includes(wild) && (mutant === null || set.includes(mutant))) matches++;
+                }
+                if (checked === 0) continue;
+
+                const consistency = matches / checked;
+                if (!best || consistency > best.consistency) best = { shift, consistency };
+            }
+        }
+        if (!best) return null;
+
+        // The reference allele first, the other base (where there are two) second
+        const first = [];
+        const second = [];
+        for (let j = 0; j < sets.length; j++) {
+            const set = sets[j];
+            if (j < onset || !set) {
+                first.push(set ? set[0] : 'N');
+                second.push(set ? set[0] : 'N');
+                continue;
+            }
+            const wild = reference[j + delta];
+            const base = set.includes(wild) ? wild : set[0];
+            first.push(base);
+            second.push(IndelDeconvolver._partner(set, base));
+        }
+        return { shift: best.shift, alleles: [first, second], consistency: best.consistency };
+    }
+
+    /**
+     * Offset from read to reference positions, from the calls before the
+     * onset (exact match, else the best match with at least 80% identity)
+     * @returns {number|null} Reference index minus read index; null when they do not align
+     * @private
+     */
+    static _alignUpstream(sequence, onset, reference) {
+        const start = Math.max(0, onset - INDEL_ANCHOR_LENGTH);
+        const anchor = sequence.slice(start, onset);
+        if (anchor.length < 8) return null;
+
+        const exact = reference.indexOf(anchor);
+        if (exact >= 0) return exact - start;
+
+        let bestOffset = null;
+        let bestMatches = 0;
+        for (let offset = 0; offset + anchor.length <= reference.length; offset++) {
+            let matches = 0;
+            for (let i = 0; i < anchor.length; i++) {
+                if (anchor[i] === reference[offset + i]) matches++;
+            }
+            if (matches > bestMatches) {
+                bestMatches = matches;
+                bestOffset = offset;
+            }
+        }
+        return bestMatches >= 0.8 * anchor.length ? bestOffset - start : null;
+    }
+
+    /**
+     * The other base of a set, or the base itself where the alleles agree
+     * @private
+     */
+    static _partner(set, base) {
+        return set.length === 2 ? (set[0] === base ? set[1] : set[0]) : set[0];
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IndelDeconvolver };
+}
+
+// For use in browser
+if (typeof window !== 'undefined') {
+    window.IndelDeconvolver = IndelDeconvolver;
+}
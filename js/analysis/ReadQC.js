@@ -0,0 +1,217 @@
+///////////////////////////////////////////////////////////////////////////////
+// ReadQC.js
+// Read quality metrics: contiguous read length, QV20+, trace score, signal
+///////////////////////////////////////////////////////////////////////////////
+
+// Import the quality trimmer if in Node.js environment
+// (renderer scripts share one global scope, where QualityTrimmer.js already declares QualityTrimmer)
+const readQcTrimmer = (typeof require !== 'undefined') ? require('../editor/QualityTrimmer.js').QualityTrimmer : window.QualityTrimmer;
+
+/**
+ * Default settings of ReadQC.compute()
+ */
+const READ_QC_DEFAULTS = {
+    window: 20,      // Bases averaged by the contiguous read length window
+    minQuality: 20   // Quality the window average (CRL) and each base (QV20+) must reach
+};
+
+/**
+ * Channels whose signal is measured
+ */
+const READ_QC_BASES = ['A', 'C', 'G', 'T'];
+
+/**
+ * ReadQC - Computes the QC metrics of a read
+ *
+ * - Contiguous read length (CRL): the longest stretch covered by windows
+ *   of 20 bases whose average quality is at least 20
+ * - QV20+: the number of bases of quality 20 or more
+ * - Trace score: the average quality of the bases in the clear range, the
+ *   stretch QualityTrimmer keeps with its default thresholds
+ * - Signal: the average height of each channel at the peaks of its calls
+ * - Signal-to-noise: that signal over the channel's average height at the
+ *   peaks of the other bases' calls
+ * - Peak spacing CV: the standard deviation of the gaps between
+ *   consecutive peaks over their mean
+ *
+ * Usage:
+ *   const metrics = ReadQC.compute({ sequence, qualityScores, peakLocations, traces });
+ *   console.log(metrics.crl.length, metrics.qv20Count, metrics.traceScore, ReadQC.toFields(metrics));
+ */
+class ReadQC {
+
+    /**
+     * Compute the QC metrics of a read
+     * @param {Object} data - { sequence, qualityScores, peakLocations, traces }
+     * @param {Object} [options] - Settings (see READ_QC_DEFAULTS)
+     * @returns {Object} { length, qv20Count, crl: { length, start, end }, traceScore,
+     *   clearRange: { start, end }, signal: { A, C, G, T }, snr: { A, C, G, T },
+     *   spacing: { mean, cv } }. Metrics that need missing data are null
+     */
+    static compute(data, options = {}) {
+        const settings = { ...READ_QC_DEFAULTS, ...options };
+        const sequence = (data.sequence || '').toUpperCase();
+        const qualityScores = data.qualityScores && data.qualityScores.length > 0 ? data.qualityScores : null;
+
+        const metrics = {
+            length: sequence.length,
+            qv20Count: null,
+            crl: null,
+            traceScore: null,
+            clearRange: null,
+            signal: null,
+            snr: null,
+            spacing: ReadQC.peakSpacing(data.peakLocations)
+        };
+
+        if (qualityScores) {
+            metrics.qv20Count = Array.prototype.filter.call(qualityScores, q => q >= settings.minQuality).length;
+            metrics.crl = ReadQC.contiguousReadLength(qualityScores, settings.window, settings.minQuality);
+
+            const { trimStart, trimEnd } = readQcTrimmer.findTrimPoints(qualityScores);
+            if (trimEnd >= trimStart) {
+                let sum = 0;
+                for (let i = trimStart; i <= trimEnd; i++) sum += qualityScores[i];
+                metrics.clearRange = { start: trimStart, end: trimEnd };
+                metrics.traceScore = sum / (trimEnd - trimStart + 1);
+            }
+        }
+
+        if (data.traces && data.peakLocations && sequence.length > 0) {
+            const { signal, snr } = ReadQC.channelSignal(sequence, data.peakLocations, data.traces);
+            metrics.signal = signal;
+            metrics.snr = snr;
+        }
+
+        return metrics;
+    }
+
+    /**
+     * Longest stretch covered by windows whose average quality reaches the minimum
+     * @param {number[]} qualityScores
+     * @param {number} [window] - Bases per window
+     * @param {number} [minQuality] - Smallest window average
+     * @returns {Object} { length, start, end } with 0-based inclusive bounds; length 0 and null bounds when no window qualifies
+     */
+    static contiguousReadLength(qualityScores, window = READ_QC_DEFAULTS.window, minQuality = READ_QC_DEFAULTS.minQuality) {
+        const n = qualityScores ? qualityScores.length : 0;
+        const none = { length: 0, start: null, end: null };
+        if (n === 0) return none;
+
+        // Reads shorter than a window are one window
+        const size = Math.min(window, n);
+        let sum = 0;
+        for (let i = 0; i < size; i++) sum += qualityScores[i];
+
+        let best = none;
+        let runStart = -1;
+        for (let i = 0; i + size <= n; i++) {
+            if (i > 0) sum += qualityScores[i + size - 1] - qualityScores[i - 1];
+
+            if (sum / size >= minQuality) {
+                if (runStart < 0) runStart = i;
+                const length = i - runStart + size;
+                if (length > best.length) best = { length, start: runStart, end: i + size - 1 };
+            } else {
+                runStart = -1;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Average height of each channel at the peaks of its own calls, and over
+     * its average height at the peaks of the other calls
+     * @param {string} sequence - Upper-case calls
+     * @param {number[]} peakLocations
+     * @param {Object} traces - { A, C, G, T }
+     * @returns {Object} { signal: { A, C, G, T }, snr: { A, C, G, T } }, null for channels without calls or trace
+     */
+    static channelSignal(sequence, peakLocations, traces) {
+        const signal = {};
+        const snr = {};
+
+        for (const channel of READ_QC_BASES) {
+            const trace = traces[channel];
+            let own = 0;
+            let ownCount = 0;
+            let other = 0;
+            let otherCount = 0;
+
+            if (trace && trace.length > 0) {
+                for (let i = 0; i < sequence.length; i++) {
+                    const scan = peakLocations[i];
+                    const call = sequence[i];
+                    if (scan === undefined || scan === null || scan >= trace.length || !READ_QC_BASES.includes(call)) continue;
+
+                    if (call === channel) {
+                        own += trace[scan];
+                        ownCount++;
+                    } else {
+                        other += trace[scan];
+                        otherCount++;
+                    }
+                }
+            }
+
+            signal[channel] = ownCount > 0 ? own / ownCount : null;
+            snr[channel] = ownCount > 0 && otherCount > 0 ? signal[channel] / Math.max(1, other / otherCount) : null;
+        }
+
+        return { signal, snr };
+    }
+
+    /**
+     * Mean gap between consecutive peaks and its coefficient of variation
+     * @param {number[]} peakLocations
+     * @returns {Object|null} { mean, cv }, null with fewer than two peaks
+     */
+    static peakSpacing(peakLocations) {
+        if (!peakLocations || peakLocations.length < 2) return null;
+
+        const gaps = [];
+        for (let i = 1; i < peakLocations.length; i++) gaps.push(peakLocations[i] - peakLocations[i - 1]);
+
+        const mean = gaps.reduce((a, b) => a + b, 0) / gaps.length;
+        const variance = gaps.reduce((a, gap) => a + (gap - mean) ** 2, 0) / gaps.length;
+        return { mean, cv: mean > 0 ? Math.sqrt(variance) / mean : null };
+    }
+
+    /**
+     * Flat key/value form of the metrics for export metadata (FASTA/FASTQ
+     * header descriptions, SCF comments, ZTR TEXT and PNG text chunks)
+     * @param {Object} metrics - compute() result
+     * @returns {Object} { CRL, QV20PLUS, TRACE_SCORE, SIGNAL_A.., SNR_A.., SPACING_CV }, without the metrics that are null
+     */
+    static toFields(metrics) {
+        const fields = {};
+        if (!metrics) return fields;
+
+        if (metrics.crl) fields.CRL = metrics.crl.length;
+        if (metrics.qv20Count !== null) fields.QV20PLUS = metrics.qv20Count;
+        if (metrics.traceScore !== null) fields.TRACE_SCORE = metrics.traceScore.toFixed(1);
+        for (const channel of READ_QC_BASES) {
+            if (metrics.signal && metrics.signal[channel] !== null) fields[`SIGNAL_${channel}`] = Math.round(metrics.signal[channel]);
+        }
+        for (const channel of READ_QC_BASES) {
+            if (metrics.snr && metrics.snr[channel] !== null) fields[`SNR_${channel}`] = metrics.snr[channel].toFixed(1);
+        }
+        if (metrics.spacing && metrics.spacing.cv !== null) fields.SPACING_CV = metrics.spacing.cv.toFixed(3);
+
+        return fields;
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReadQC };
+}
+
+// For use in browser
+if (typeof window !== 'undefined') {
+    window.ReadQC = ReadQC;
+}
@@ -0,0 +1,462 @@
+///////////////////////////////////////////////////////////////////////////////
+// SignalProcessor.js
+// Processing of raw traces (DATA_1-4) into a processed trace set
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Processing steps in the order they run
+ */
+const SIGNAL_PROCESSING_STEPS = ['baseline', 'crosstalk', 'smoothing', 'mobility', 'normalization'];
+
+/**
+ * Default parameters of SignalProcessor.process()
+ */
+const SIGNAL_PROCESSING_DEFAULTS = {
+    baseline: { enabled: true, window: 200 },         // Scans under the rolling minimum the baseline follows
+    crosstalk: { enabled: true, matrix: null },       // matrix[observed][dye] = signal of a dye seen in another channel; null: estimate from the read
+    smoothing: { enabled: true, sigma: 1.5 },         // Width of the Gaussian kernel, in scans
+    mobility: { enabled: true, shifts: null },        // Scans each channel is moved by; null: estimate from the read
+    normalization: { enabled: true, window: 600, target: 1000, balance: true }  // Peaks scaled to `target` over `window` scans; `balance` evens out the channels
+};
+
+/**
+ * Largest value a processed trace holds (the Int16 range of DATA tags)
+ */
+const SIGNAL_PROCESSING_MAX = 32767;
+
+/**
+ * SignalProcessor - Turns raw traces into processed traces
+ *
+ * Steps (each can be turned off):
+ * - baseline: subtracts a smoothed morphological opening (rolling minimum,
+ *   then rolling maximum), which follows the slow drift under the peaks
+ * - crosstalk: multiplies by the inverse of the spectral overlap (color)
+ *   matrix. The matrix is estimated from peaks where one dye dominates: the
+ *   lower quartile of the other channels' ratio to that dye's signal.
+ * - smoothing: Gaussian filter
+ * - mobility: moves each channel by a (fractional) number of scans so peaks
+ *   fall on an even spacing; the shifts are estimated from how far each
+ *   channel's peaks sit from the midpoint of their neighbours
+ * - normalization: evens out the channels' median peak heights and scales
+ *   the signal to a constant peak height along the read
+ *
+ * Parameters set to null (crosstalk.matrix, mobility.shifts) are estimated;
+ * the result reports the values used, so the same output can be produced
+ * from the parameters and the raw traces alone.
+ *
+ * Usage:
+ *   const result = SignalProcessor.process(parser.getRawTraces(), { smoothing: { sigma: 2 } });
+ *   console.log(result.traces, result.estimated.matrix, result.estimated.shifts);
+ */
+class SignalProcessor {
+
+    /**
+     * Default parameters
+     * @returns {Object} A copy of SIGNAL_PROCESSING_DEFAULTS
+     */
+    static defaults() {
+        return SignalProcessor.resolveParams({});
+    }
+
+    /**
+     * Fill in missing parameters with the defaults
+     * @param {Object} [params] - Parameters of some or all steps
+     * @returns {Object} Parameters of every step
+     */
+    static resolveParams(params = {}) {
+        const resolved = {};
+        for (const step of SIGNAL_PROCESSING_STEPS) {
+            resolved[step] = { ...SIGNAL_PROCESSING_DEFAULTS[step], ...(params && params[step]) };
+        }
+        return resolved;
+    }
+
+    /**
+     * Process raw traces
+     * @param {Object} rawTraces - Raw traces keyed by channel (e.g. G, A, T, C)
+     * @param {Object} [params] - Parameters (see SIGNAL_PROCESSING_DEFAULTS)
+     * @returns {Object} { traces: Int16Arrays by channel, params, steps: names of the steps run,
+     *   estimated: { matrix, shifts } as used (null for steps that did not run) }
+     */
+    static process(rawTraces, params = {}) {
+        const settings = SignalProcessor.resolveParams(params);
+        const channels = Object.keys(rawTraces || {}).filter(key => rawTraces[key] && rawTraces[key].length > 0);
+        if (channels.length === 0) {
+            throw new Error('The file has no raw traces to process');
+        }
+
+        const length = Math.min(...channels.map(key => rawTraces[key].length));
+        let traces = {};
+        for (const key of channels) {
+            traces[key] = Float64Array.from(rawTraces[key].subarray ? rawTraces[key].subarray(0, length) : rawTraces[key].slice(0, length));
+        }
+
+        const steps = [];
+        const estimated = { matrix: null, shifts: null };
+
+        if (settings.baseline.enabled) {
+            for (const key of channels) {
+                traces[key] = SignalProcessor.subtractBaseline(traces[key], settings.baseline.window);
+            }
+            steps.push('baseline');
+        }
+
+        if (settings.crosstalk.enabled && channels.length > 1) {
+            estimated.matrix = settings.crosstalk.matrix || SignalProcessor.estimateCrosstalk(traces);
+            traces = SignalProcessor.correctCrosstalk(traces, estimated.matrix);
+            steps.push('crosstalk');
+        }
+
+        if (settings.smoothing.enabled && settings.smoothing.sigma > 0) {
+            for (const key of channels) {
+                traces[key] = SignalProcessor.smooth(traces[key], settings.smoothing.sigma);
+            }
+            steps.push('smoothing');
+        }
+
+        if (settings.mobility.enabled && channels.length > 1) {
+            estimated.shifts = settings.mobility.shifts || SignalProcessor.estimateMobilityShifts(traces);
+            for (const key of channels) {
+                traces[key] = SignalProcessor.shift(traces[key], estimated.shifts[key] || 0);
+            }
+            steps.push('mobility');
+        }
+
+        if (settings.normalization.enabled) {
+            traces = SignalProcessor.normalize(traces, settings.normalization);
+            steps.push('normalization');
+        }
+
+        const processed = {};
+        for (const key of channels) {
+            processed[key] = Int16Array.from(traces[key], v => Math.max(0, Math.min(SIGNAL_PROCESSING_MAX, Math.round(v))));
+        }
+
+        return { traces: processed, params: settings, steps, estimated };
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // STEPS
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Subtract the baseline: the rolling minimum, then the rolling maximum of
+     * that (so the baseline never rises above the signal), then a rolling mean
+     * @param {Float64Array} trace - Signal
+     * @param {number} window - Width in scans of the widest peak cluster to keep
+     * @returns {Float64Array} Signal minus baseline
+     */
+    static subtractBaseline(trace, window) {
+        const radius = Math.max(1, Math.round(window / 2));
+        const opening = SignalProcessor._rollingExtreme(SignalProcessor._rollingExtreme(trace, radius, false), radius, true);
+        const baseline = SignalProcessor._rollingMean(opening, Math.max(1, Math.round(radius / 2)));
+        return trace.map((v, i) => v - baseline[i]);
+    }
+
+    /**
+     * Estimate the spectral overlap matrix from peaks where one dye dominates
+     * @param {Object} traces - Baseline-corrected traces by channel
+     * @returns {Object} matrix[observed][dye], 1 on the diagonal
+     */
+    static estimateCrosstalk(traces) {
+        const channels = Object.keys(traces);
+        const matrix = {};
+        for (const observed of channels) {
+            matrix[observed] = {};
+            for (const dye of channels) {
+                matrix[observed][dye] = observed === dye ? 1 : 0;
+            }
+        }
+
+        for (const dye of channels) {
+            const trace = traces[dye];
+            const peaks = SignalProcessor._peaks(trace);
+            const tall = SignalProcessor._percentile(peaks.map(scan => trace[scan]), 0.9);
+            const pure = peaks.filter(scan => trace[scan] >= 0.2 * tall &&
+                channels.every(other => other === dye || traces[other][scan] < trace[scan]));
+            if (pure.length < 10) continue;
+
+            for (const observed of channels) {
+                if (observed === dye) continue;
+                const ratios = pure.map(scan => Math.max(0, traces[observed][scan]) / trace[scan]);
+                matrix[observed][dye] = Math.min(0.9, SignalProcessor._percentile(ratios, 0.25));
+            }
+        }
+        return matrix;
+    }
+
+    /**
+     * Undo spectral overlap: solve matrix · dyes = observed at every scan
+     * @param {Object} traces - Traces by channel
+     * @param {Object} matrix - matrix[observed][dye]
+     * @returns {Object} Dye signals by channel
+     */
+    static correctCrosstalk(traces, matrix) {
+        const channels = Object.keys(traces);
+        const inverse = SignalProcessor._invert(channels.map(observed =>
+            channels.map(dye => (matrix[observed] && typeof matrix[observed][dye] === 'number')
+                ? matrix[observed][dye] : (observed === dye ? 1 : 0))));
+        if (!inverse) {
+            throw new Error('The crosstalk matrix cannot be inverted');
+        }
+
+        const length = traces[channels[0]].length;
+        const corrected = {};
+        channels.forEach(key => { corrected[key] = new Float64Array(length); });
+        for (let i = 0; i < length; i++) {
+            channels.forEach((dye, row) => {
+                let value = 0;
+                channels.forEach((observed, column) => { value += inverse[row][column] * traces[observed][i]; });
+                corrected[dye][i] = value;
+            });
+        }
+        return corrected;
+    }
+
+    /**
+     * Gaussian smoothing
+     * @param {Float64Array} trace - Signal
+     * @param {number} sigma - Kernel width in scans
+     * @returns {Float64Array} Smoothed signal
+     */
+    static smooth(trace, sigma) {
+        const radius = Math.ceil(3 * sigma);
+        const kernel = [];
+        for (let k = -radius; k <= radius; k++) {
+            kernel.push(Math.exp(-(k * k) / (2 * sigma * sigma)));
+        }
+
+        const smoothed = new Float64Array(trace.length);
+        for (let i = 0; i < trace.length; i++) {
+            let sum = 0;
+            let weight = 0;
+            for (let k = -radius; k <= radius; k++) {
+                const j = i + k;
+                if (j < 0 || j >= trace.length) continue;
+                sum += kernel[k + radius] * trace[j];
+                weight += kernel[k + radius];
+            }
+            smoothed[i] = sum / weight;
+        }
+        return smoothed;
+    }
+
+    /**
+     * Estimate per-channel mobility shifts: peaks of a well-spaced read sit
+     * halfway between their neighbours, so each channel is moved by the
+     * median distance of its peaks from those midpoints. Neighbours are
+     * shifted too, so the estimate is refined over a few rounds.
+     * @param {Object} traces - Traces by channel
+     * @returns {Object} Shift in scans by channel, averaging zero
+     */
+    static estimateMobilityShifts(traces) {
+        const channels = Object.keys(traces);
+        const shifts = {};
+        channels.forEach(key => { shifts[key] = 0; });
+
+        // Peaks of the channel that is tallest at their scan
+        const peaks = [];
+        for (const key of channels) {
+            for (const scan of SignalProcessor._peaks(traces[key])) {
+                if (channels.every(other => traces[other][scan] <= traces[key][scan])) {
+                    peaks.push({ scan, key, height: traces[key][scan] });
+                }
+            }
+        }
+        const tall = SignalProcessor._percentile(peaks.map(p => p.height), 0.9);
+        const strong = peaks.filter(p => p.height >= 0.1 * tall);
+        if (strong.length < 20) return shifts;
+
+        for (let round = 0; round < 4; round++) {
+            const placed = strong.map(p => ({ key: p.key, position: p.scan + shifts[p.key] }))
+                .sort((a, b) => a.position - b.position);
+            const gaps = [];
+            for (let i = 1; i < placed.length; i++) gaps.push(placed[i].position - placed[i - 1].position);
+            const spacing = SignalProcessor._percentile(gaps, 0.5);
+
+            const residuals = {};
+            channels.forEach(key => { residuals[key] = []; });
+            for (let i = 1; i < placed.length - 1; i++) {
+                const before = placed[i].position - placed[i - 1].position;
+                const after = placed[i + 1].position - placed[i].position;
+                if (before < 0.5 * spacing || before > 1.5 * spacing || after < 0.5 * spacing || after > 1.5 * spacing) continue;
+                residuals[placed[i].key].push((placed[i - 1].position + placed[i + 1].position) / 2 - placed[i].position);
+            }
+
+            channels.forEach(key => {
+                if (residuals[key].length >= 5) shifts[key] += SignalProcessor._percentile(residuals[key], 0.5);
+            });
+            const mean = channels.reduce((sum, key) => sum + shifts[key], 0) / channels.length;
+            channels.forEach(key => { shifts[key] -= mean; });
+        }
+
+        channels.forEach(key => { shifts[key] = Math.round(shifts[key] * 100) / 100; });
+        return shifts;
+    }
+
+    /**
+     * Move a trace by a fractional number of scans (linear interpolation)
+     * @param {Float64Array} trace - Signal
+     * @param {number} shift - Scans to move the signal by (positive: later)
+     * @returns {Float64Array} Shifted signal
+     */
+    static shift(trace, shift) {
+        if (!shift) return trace;
+        const shifted = new Float64Array(trace.length);
+        for (let i = 0; i < trace.length; i++) {
+            const source = i - shift;
+            const left = Math.floor(source);
+            if (left < 0 || left >= trace.length - 1) {
+                shifted[i] = trace[Math.max(0, Math.min(trace.length - 1, Math.round(source)))];
+            } else {
+                const fraction = source - left;
+                shifted[i] = trace[left] * (1 - fraction) + trace[left + 1] * fraction;
+            }
+        }
+        return shifted;
+    }
+
+    /**
+     * Normalize the signal: even out the channels' median peak heights, then
+     * divide by the rolling peak envelope so peaks reach `target` along the read
+     * @param {Object} traces - Traces by channel
+     * @param {Object} options - { window, target, balance }
+     * @returns {Object} Normalized traces by channel
+     */
+    static normalize(traces, options) {
+        const channels = Object.keys(traces);
+        const length = traces[channels[0]].length;
+        const normalized = {};
+
+        // Channel balance
+        const medians = {};
+        for (const key of channels) {
+            const heights = SignalProcessor._peaks(traces[key]).map(scan => traces[key][scan]);
+            const tall = SignalProcessor._percentile(heights, 0.9);
+            medians[key] = SignalProcessor._percentile(heights.filter(h => h >= 0.2 * tall), 0.5);
+        }
+        const measured = channels.filter(key => medians[key] > 0);
+        const reference = SignalProcessor._percentile(measured.map(key => medians[key]), 0.5);
+        for (const key of channels) {
+            const scale = (options.balance && medians[key] > 0) ? reference / medians[key] : 1;
+            normalized[key] = traces[key].map(v => v * scale);
+        }
+
+        // Peak envelope along the read
+        const radius = Math.max(1, Math.round(options.window / 2));
+        const top = new Float64Array(length);
+        for (let i = 0; i < length; i++) {
+            top[i] = Math.max(...channels.map(key => normalized[key][i]));
+        }
+        const envelope = SignalProcessor._rollingMean(SignalProcessor._rollingExtreme(top, radius, true), radius);
+        const floor = 0.05 * SignalProcessor._percentile(envelope, 0.9);
+        for (const key of channels) {
+            normalized[key] = normalized[key].map((v, i) => v * options.target / Math.max(floor, envelope[i], 1e-9));
+        }
+        return normalized;
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // HELPERS
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Rolling minimum or maximum over a radius, with a monotonic queue
+     * @private
+     */
+    static _rollingExtreme(values, radius, max) {
+        const result = new Float64Array(values.length);
+        const better = max ? (a, b) => a >= b : (a, b) => a <= b;
+        const queue = [];
+        let head = 0;
+        let added = 0;
+        for (let i = 0; i < values.length; i++) {
+            while (added < values.length && added <= i + radius) {
+                while (queue.length > head && better(values[added], values[queue[queue.length - 1]])) queue.pop();
+                queue.push(added++);
+            }
+            while (queue[head] < i - radius) head++;
+            result[i] = values[queue[head]];
+        }
+        return result;
+    }
+
+    /**
+     * Rolling mean over a radius, from a running sum
+     * @private
+     */
+    static _rollingMean(values, radius) {
+        const sums = new Float64Array(values.length + 1);
+        for (let i = 0; i < values.length; i++) sums[i + 1] = sums[i] + values[i];
+        const result = new Float64Array(values.length);
+        for (let i = 0; i < values.length; i++) {
+            const start = Math.max(0, i - radius);
+            const end = Math.min(values.length, i + radius + 1);
+            result[i] = (sums[end] - sums[start]) / (end - start);
+        }
+        return result;
+    }
+
+    /**
+     * Scans of the positive local maxima of a signal
+     * @private
+     */
+    static _peaks(trace) {
+        const peaks = [];
+        for (let i = 1; i < trace.length - 1; i++) {
+            if (trace[i] > 0 && trace[i] > trace[i - 1] && trace[i] >= trace[i + 1]) peaks.push(i);
+        }
+        return peaks;
+    }
+
+    /**
+     * Invert a square matrix (Gauss-Jordan with partial pivoting)
+     * @returns {number[][]|null} Inverse, or null if the matrix is singular
+     * @private
+     */
+    static _invert(matrix) {
+        const n = matrix.length;
+        const rows = matrix.map((row, i) => [...row, ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0))]);
+        for (let column = 0; column < n; column++) {
+            let pivot = column;
+            for (let row = column + 1; row < n; row++) {
+                if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+            }
+            if (Math.abs(rows[pivot][column]) < 1e-12) return null;
+            [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+            const divisor = rows[column][column];
+            rows[column] = rows[column].map(v => v / divisor);
+            for (let row = 0; row < n; row++) {
+                if (row === column) continue;
+                const factor = rows[row][column];
+                rows[row] = rows[row].map((v, j) => v - factor * rows[column][j]);
+            }
+        }
+        return rows.map(row => row.slice(n));
+    }
+
+    /**
+     * Percentile of a list of numbers (nearest rank)
+     * @private
+     */
+    static _percentile(values, fraction) {
+        if (values.length === 0) return 0;
+        const sorted = Array.from(values).sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SignalProcessor };
+}
+
+// For use in browser
+if (typeof window !== 'undefined') {
+    window.SignalProcessor = SignalProcessor;
+}
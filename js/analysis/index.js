@@ -0,0 +1,27 @@
+///////////////////////////////////////////////////////////////////////////////
+// js/analysis/index.js
+// Main entry point for trace analysis modules
+///////////////////////////////////////////////////////////////////////////////
+
+const { BaseCaller } = require('./BaseCaller.js');
+const { SignalProcessor } = require('./SignalProcessor.js');
+const { HetDetector } = require('./HetDetector.js');
+const { IndelDeconvolver } = require('./IndelDeconvolver.js');
+const { ReadQC } = require('./ReadQC.js');
+
+module.exports = {
+    BaseCaller,
+    SignalProcessor,
+    HetDetector,
+    IndelDeconvolver,
+    ReadQC
+};
+
+// Also expose to window for browser use
+if (typeof window !== 'undefined') {
+    window.BaseCaller = BaseCaller;
+    window.SignalProcessor = SignalProcessor;
+    window.HetDetector = HetDetector;
+    window.IndelDeconvolver = IndelDeconvolver;
+    window.ReadQC = ReadQC;
+}
@@ -12,10 +12,25 @@ class AB1ReaderApp {
     constructor() {
         // State
         this.currentFile = null;
+        this.sessionId = null;     // Main-process session holding the parsed file
         this.fileData = null;
         this.chromatogram = null;
         this.minimap = null;
+        this.telemetryPlot = null;
+        this.telemetryVisible = false;
         this.rawTraces = null;
+        this.basecallerCalls = null;  // PBAS_2/PLOC_2/PCON_2 of the file, for the compare view
+        this.comparison = null;       // BasecallComparison of the current calls against them
+        this.secondaryCalls = null;   // P2BA calls and peak amplitudes of the file
+        this.mixedBaseOptions = { threshold: 0.35, fold: false };
+        this.hetOptions = HetDetector.defaults();  // Thresholds of the heterozygote detector
+        this.hetCandidates = null;    // Candidate heterozygous positions marked, see applyHetDetection()
+        this.indelOptions = { reference: '', maxIndel: 30 };  // Heterozygous indel decomposition settings
+        this.indelResult = null;      // IndelDeconvolver result shown, see decomposeIndel()
+        this.callSets = null;         // { instrument, basecaller }: calls that can be shown, see selectCallSet()
+        this.callSet = 'instrument';  // Call set shown
+        this.signalProcessing = null; // Raw trace processing of the file: { params, steps, estimated }
+        this.traceWindow = null;      // { offset, length } of the trimmed traces in the file's scans
         
         // Editor
         this.baseEditor = null;
@@ -24,6 +39,15 @@ class AB1ReaderApp {
         // Search state
         this.lastSearchQuery = '';
         
+        // Tag inspector state
+        this.tagSummaries = null;  // Directory summaries keyed by tag key
+        this.tagDetail = null;     // Tag shown in the detail view: { summary, value, text }
+        this.hexViewer = null;     // Created the first time the hex view opens
+
+        // Report state
+        this.anonymizeReportText = null;  // Report of the last anonymized export
+        this.fileDiff = null;             // Last abif_diff_files reply
+
         // UI Elements
         this.elements = {};
         
@@ -85,6 +109,9 @@ class AB1ReaderApp {
         if (typeof PngExporter === 'undefined') {
             missing.push('PngExporter');
         }
+        if (typeof PeakTableExporter === 'undefined') {
+            missing.push('PeakTableExporter');
+        }
         
         if (missing.length > 0) {
             console.error('Missing dependencies:', missing.join(', '));
@@ -104,9 +131,17 @@ class AB1ReaderApp {
             btnExportFasta: document.getElementById('btn-export-fasta'),
             btnExportFastq: document.getElementById('btn-export-fastq'),
             btnExportPng: document.getElementById('btn-export-png'),
+            btnExportScf: document.getElementById('btn-export-scf'),
+            btnExportZtr: document.getElementById('btn-export-ztr'),
+            btnExportPeaks: document.getElementById('btn-export-peaks'),
             btnViewProcessed: document.getElementById('btn-view-processed'),
             btnViewQuality: document.getElementById('btn-view-quality'),
             btnViewRaw: document.getElementById('btn-view-raw'),
+            btnViewReprocessed: document.getElementById('btn-view-reprocessed'),
+            btnViewCompare: document.getElementById('btn-view-compare'),
+            btnViewTelemetry: document.getElementById('btn-view-telemetry'),
+            btnCallsInstrument: document.getElementById('btn-calls-instrument'),
+            btnCallsBuiltin: document.getElementById('btn-calls-builtin'),
             btnZoomIn: document.getElementById('btn-zoom-in'),
             btnZoomOut: document.getElementById('btn-zoom-out'),
             btnZoomFit: document.getElementById('btn-zoom-fit'),
@@ -122,6 +157,7 @@ class AB1ReaderApp {
             // Containers
             chromatogramContainer: document.getElementById('chromatogram-container'),
             minimapContainer: document.getElementById('minimap-container'),
+            telemetryContainer: document.getElementById('telemetry-container'),
             
             // Info displays
             sequenceDisplay: document.getElementById('sequence-display'),
@@ -133,6 +169,11 @@ class AB1ReaderApp {
             statQuality: document.getElementById('stat-quality'),
             statGC: document.getElementById('stat-gc'),
             statHQ: document.getElementById('stat-hq'),
+            statCRL: document.getElementById('stat-crl'),
+            statQV20: document.getElementById('stat-qv20'),
+            statTraceScore: document.getElementById('stat-trace-score'),
+            statSpacingCV: document.getElementById('stat-spacing-cv'),
+            statChannels: document.getElementById('stat-channels'),
             
             // Status bar
             statusFile: document.getElementById('status-file'),
@@ -159,8 +200,121 @@ class AB1ReaderApp {
             qualityTrimCancel: document.getElementById('quality-trim-cancel'),
             qualityTrimPreviewBtn: document.getElementById('quality-trim-preview-btn'),
             qualityTrimApply: document.getElementById('quality-trim-apply'),
+            
+            // Mixed Bases Modal
+            mixedBasesModal: document.getElementById('mixed-bases-modal'),
+            mixedBasesRatio: document.getElementById('mixed-bases-ratio'),
+            mixedBasesRatioValue: document.getElementById('mixed-bases-ratio-value'),
+            mixedBasesFold: document.getElementById('mixed-bases-fold'),
+            mixedBasesInfo: document.getElementById('mixed-bases-info'),
+            mixedBasesClose: document.getElementById('mixed-bases-close'),
+            mixedBasesCancel: document.getElementById('mixed-bases-cancel'),
+            mixedBasesApply: document.getElementById('mixed-bases-apply'),
+            
+            // Heterozygous Positions Modal and Panel
+            hetModal: document.getElementById('het-modal'),
+            hetRatio: document.getElementById('het-ratio'),
+            hetRatioValue: document.getElementById('het-ratio-value'),
+            hetSnr: document.getElementById('het-snr'),
+            hetSnrValue: document.getElementById('het-snr-value'),
+            hetConfidence: document.getElementById('het-confidence'),
+            hetConfidenceValue: document.getElementById('het-confidence-value'),
+            hetInfo: document.getElementById('het-info'),
+            hetClose: document.getElementById('het-close'),
+            hetClear: document.getElementById('het-clear'),
+            hetCancel: document.getElementById('het-cancel'),
+            hetApply: document.getElementById('het-apply'),
+            hetPanel: document.getElementById('het-panel'),
+            hetDisplay: document.getElementById('het-display'),
+            
+            // Heterozygous Indel Modal
+            indelModal: document.getElementById('indel-modal'),
+            indelReference: document.getElementById('indel-reference'),
+            indelMaxSize: document.getElementById('indel-max-size'),
+            indelInfo: document.getElementById('indel-info'),
+            indelClose: document.getElementById('indel-close'),
+            indelClear: document.getElementById('indel-clear'),
+            indelCancel: document.getElementById('indel-cancel'),
+            indelApply: document.getElementById('indel-apply'),
+            
+            // Signal Processing Modal
+            signalProcessingModal: document.getElementById('signal-processing-modal'),
+            signalBaseline: document.getElementById('signal-baseline'),
+            signalBaselineWindow: document.getElementById('signal-baseline-window'),
+            signalCrosstalk: document.getElementById('signal-crosstalk'),
+            signalCrosstalkEstimate: document.getElementById('signal-crosstalk-estimate'),
+            signalSmoothing: document.getElementById('signal-smoothing'),
+            signalSmoothingSigma: document.getElementById('signal-smoothing-sigma'),
+            signalMobility: document.getElementById('signal-mobility'),
+            signalMobilityEstimate: document.getElementById('signal-mobility-estimate'),
+            signalNormalization: document.getElementById('signal-normalization'),
+            signalNormalizationWindow: document.getElementById('signal-normalization-window'),
+            signalNormalizationTarget: document.getElementById('signal-normalization-target'),
+            signalNormalizationBalance: document.getElementById('signal-normalization-balance'),
+            signalProcessingInfo: document.getElementById('signal-processing-info'),
+            signalProcessingClose: document.getElementById('signal-processing-close'),
+            signalProcessingDefaults: document.getElementById('signal-processing-defaults'),
+            signalProcessingCancel: document.getElementById('signal-processing-cancel'),
+            signalProcessingApply: document.getElementById('signal-processing-apply'),
+            
+            // Anonymize Modal
+            anonymizeModal: document.getElementById('anonymize-modal'),
+            anonymizeTags: document.getElementById('anonymize-tags'),
+            anonymizeModeReplace: document.getElementById('anonymize-mode-replace'),
+            anonymizePattern: document.getElementById('anonymize-pattern'),
+            anonymizeReport: document.getElementById('anonymize-report'),
+            anonymizeSummary: document.getElementById('anonymize-summary'),
+            anonymizeReportRows: document.getElementById('anonymize-report-rows'),
+            anonymizeClose: document.getElementById('anonymize-close'),
+            anonymizeCancel: document.getElementById('anonymize-cancel'),
+            anonymizeSaveReport: document.getElementById('anonymize-save-report'),
+            anonymizeExport: document.getElementById('anonymize-export'),
+            
+            // File Diff Modal
+            diffModal: document.getElementById('diff-modal'),
+            diffTitle: document.getElementById('diff-title'),
+            diffFileA: document.getElementById('diff-file-a'),
+            diffFileB: document.getElementById('diff-file-b'),
+            diffSummary: document.getElementById('diff-summary'),
+            diffShowUnchanged: document.getElementById('diff-show-unchanged'),
+            diffTags: document.getElementById('diff-tags'),
+            diffSequenceSummary: document.getElementById('diff-sequence-summary'),
+            diffAlignment: document.getElementById('diff-alignment'),
+            diffClose: document.getElementById('diff-close'),
+            diffSaveReport: document.getElementById('diff-save-report'),
+            diffDone: document.getElementById('diff-done'),
             qualityTrimClose: document.getElementById('quality-trim-close'),
             
+            // Validation Report Modal
+            validationModal: document.getElementById('validation-modal'),
+            validationTitle: document.getElementById('validation-title'),
+            validationSummary: document.getElementById('validation-summary'),
+            validationIssues: document.getElementById('validation-issues'),
+            validationOk: document.getElementById('validation-ok'),
+            validationClose: document.getElementById('validation-close'),
+            
+            // Tag Inspector Modal
+            tagInspectorModal: document.getElementById('tag-inspector-modal'),
+            tagInspectorTitle: document.getElementById('tag-inspector-title'),
+            tagInspectorTable: document.getElementById('tag-inspector-table'),
+            tagInspectorClose: document.getElementById('tag-inspector-close'),
+            tagInspectorDone: document.getElementById('tag-inspector-done'),
+            tagDetail: document.getElementById('tag-detail'),
+            tagDetailTitle: document.getElementById('tag-detail-title'),
+            tagDetailDescription: document.getElementById('tag-detail-description'),
+            tagDetailPlot: document.getElementById('tag-detail-plot'),
+            tagDetailText: document.getElementById('tag-detail-text'),
+            tagDetailCopy: document.getElementById('tag-detail-copy'),
+            tagDetailExport: document.getElementById('tag-detail-export'),
+            tagDetailBytes: document.getElementById('tag-detail-bytes'),
+            
+            // Hex View Modal
+            hexViewModal: document.getElementById('hex-view-modal'),
+            hexViewTitle: document.getElementById('hex-view-title'),
+            hexViewContainer: document.getElementById('hex-view-container'),
+            hexViewClose: document.getElementById('hex-view-close'),
+            hexViewDone: document.getElementById('hex-view-done'),
+            
             // Tooltip
             tooltip: document.getElementById('tooltip')
         };
@@ -175,11 +329,21 @@ class AB1ReaderApp {
         this.elements.btnExportFasta.addEventListener('click', () => this.exportFasta());
         this.elements.btnExportFastq.addEventListener('click', () => this.exportFastq());
         this.elements.btnExportPng.addEventListener('click', () => this.exportPng());
+        this.elements.btnExportScf.addEventListener('click', () => this.exportScf());
+        this.elements.btnExportZtr.addEventListener('click', () => this.exportZtr());
+        this.elements.btnExportPeaks.addEventListener('click', () => this.exportPeakTable());
         
         // View mode buttons
         this.elements.btnViewProcessed.addEventListener('click', () => this.setViewMode('processed'));
         this.elements.btnViewQuality.addEventListener('click', () => this.setViewMode('quality'));
         this.elements.btnViewRaw.addEventListener('click', () => this.setViewMode('raw'));
+        this.elements.btnViewReprocessed.addEventListener('click', () => this.setViewMode('reprocessed'));
+        this.elements.btnViewCompare.addEventListener('click', () => this.setViewMode('compare'));
+        this.elements.btnViewTelemetry.addEventListener('click', () => this.toggleTelemetry());
+        
+        // Call set buttons
+        this.elements.btnCallsInstrument.addEventListener('click', () => this.selectCallSet('instrument'));
+        this.elements.btnCallsBuiltin.addEventListener('click', () => this.selectCallSet('builtin'));
         
         // Zoom buttons
         this.elements.btnZoomIn.addEventListener('click', () => this.zoomIn());
@@ -215,6 +379,76 @@ class AB1ReaderApp {
         this.elements.qualityTrimPreviewBtn.addEventListener('click', () => this.previewQualityTrim());
         this.elements.qualityTrimModal.querySelector('.modal-backdrop').addEventListener('click', () => this.hideQualityTrimDialog());
         
+        // Mixed bases modal events
+        this.elements.mixedBasesRatio.addEventListener('input', () => this.previewMixedBases());
+        this.elements.mixedBasesClose.addEventListener('click', () => this.hideMixedBasesDialog());
+        this.elements.mixedBasesCancel.addEventListener('click', () => this.hideMixedBasesDialog());
+        this.elements.mixedBasesApply.addEventListener('click', () => this.applyMixedBases());
+        this.elements.mixedBasesModal.querySelector('.modal-backdrop').addEventListener('click', () => this.hideMixedBasesDialog());
+        
+        // Heterozygous positions modal events
+        this.elements.hetRatio.addEventListener('input', () => this.previewHetDetection());
+        this.elements.hetSnr.addEventListener('input', () => this.previewHetDetection());
+        this.elements.hetConfidence.addEventListener('input', () => this.previewHetDetection());
+        this.elements.hetClose.addEventListener('click', () => this.hideHetDialog());
+        this.elements.hetCancel.addEventListener('click', () => this.hideHetDialog());
+        this.elements.hetClear.addEventListener('click', () => {
+            this.clearHetCandidates();
+            this.hideHetDialog();
+        });
+        this.elements.hetApply.addEventListener('click', () => this.applyHetDetection());
+        this.elements.hetModal.querySelector('.modal-backdrop').addEventListener('click', () => this.hideHetDialog());
+        
+        // Heterozygous indel modal events
+        this.elements.indelClose.addEventListener('click', () => this.hideIndelDialog());
+        this.elements.indelCancel.addEventListener('click', () => this.hideIndelDialog());
+        this.elements.indelClear.addEventListener('click', () => this.clearIndelAlleles());
+        this.elements.indelApply.addEventListener('click', () => this.decomposeIndel());
+        this.elements.indelModal.querySelector('.modal-backdrop').addEventListener('click', () => this.hideIndelDialog());
+        
+        // Signal processing modal events
+        this.elements.signalProcessingClose.addEventListener('click', () => this.hideSignalProcessingDialog());
+        this.elements.signalProcessingCancel.addEventListener('click', () => this.hideSignalProcessingDialog());
+        this.elements.signalProcessingDefaults.addEventListener('click', () => this.setSignalProcessingForm(SignalProcessor.defaults()));
+        this.elements.signalProcessingApply.addEventListener('click', () => this.processRawTraces());
+        this.elements.signalProcessingModal.querySelector('.modal-backdrop').addEventListener('click', () => this.hideSignalProcessingDialog());
+        
+        // Anonymize modal events
+        this.elements.anonymizePattern.addEventListener('focus', () => { this.elements.anonymizeModeReplace.checked = true; });
+        this.elements.anonymizeClose.addEventListener('click', () => this.hideAnonymizeDialog());
+        this.elements.anonymizeCancel.addEventListener('click', () => this.hideAnonymizeDialog());
+        this.elements.anonymizeSaveReport.addEventListener('click', () => this.saveAnonymizeReport());
+        this.elements.anonymizeExport.addEventListener('click', () => this.exportAnonymized());
+        this.elements.anonymizeModal.querySelector('.modal-backdrop').addEventListener('click', () => this.hideAnonymizeDialog());
+        
+        // File diff modal events
+        this.elements.diffShowUnchanged.addEventListener('change', () => this.renderDiffTags());
+        this.elements.diffSaveReport.addEventListener('click', () => this.saveDiffReport());
+        this.elements.diffClose.addEventListener('click', () => this.hideFileDiff());
+        this.elements.diffDone.addEventListener('click', () => this.hideFileDiff());
+        this.elements.diffModal.querySelector('.modal-backdrop').addEventListener('click', () => this.hideFileDiff());
+        
+        // Validation report modal events
+        this.elements.validationOk.addEventListener('click', () => this.hideValidationReport());
+        this.elements.validationClose.addEventListener('click', () => this.hideValidationReport());
+        this.elements.validationModal.querySelector('.modal-backdrop').addEventListener('click', () => this.hideValidationReport());
+        
+        // Tag inspector modal events
+        this.elements.tagInspectorClose.addEventListener('click', () => this.hideTagInspector());
+        this.elements.tagInspectorDone.addEventListener('click', () => this.hideTagInspector());
+        this.elements.tagInspectorModal.querySelector('.modal-backdrop').addEventListener('click', () => this.hideTagInspector());
+        this.elements.tagInspectorTable.addEventListener('table_row', (e) => this.onTagRowClick(e));
+        this.elements.tagDetailCopy.addEventListener('click', () => this.copyTagValue());
+        this.elements.tagDetailExport.addEventListener('click', () => this.exportTagValue());
+        this.elements.tagDetailBytes.addEventListener('click', () => {
+            if (this.tagDetail) this.showHexView(this.tagDetail.summary.key);
+        });
+        
+        // Hex view modal events
+        this.elements.hexViewClose.addEventListener('click', () => this.hideHexView());
+        this.elements.hexViewDone.addEventListener('click', () => this.hideHexView());
+        this.elements.hexViewModal.querySelector('.modal-backdrop').addEventListener('click', () => this.hideHexView());
+        
         // Quality trim slider events
         this.elements.qualityTrimThreshold.addEventListener('input', (e) => {
             this.elements.qualityTrimThresholdValue.textContent = e.target.value;
@@ -290,6 +524,10 @@ class AB1ReaderApp {
                 this.openFile();
                 break;
                 
+            case 'menu_save_ab1':
+                this.saveAsAb1();
+                break;
+                
             case 'menu_export_fasta':
                 this.exportFasta();
                 break;
@@ -302,6 +540,18 @@ class AB1ReaderApp {
                 this.exportPng();
                 break;
                 
+            case 'menu_export_scf':
+                this.exportScf();
+                break;
+                
+            case 'menu_export_ztr':
+                this.exportZtr();
+                break;
+                
+            case 'menu_export_peaks':
+                this.exportPeakTable();
+                break;
+                
             case 'menu_view_mode':
                 this.setViewMode(data.mode);
                 break;
@@ -318,6 +568,10 @@ class AB1ReaderApp {
                 this.zoomFit();
                 break;
                 
+            case 'menu_toggle_telemetry':
+                this.toggleTelemetry();
+                break;
+                
             case 'menu_copy_sequence':
                 this.copySequence();
                 break;
@@ -334,8 +588,40 @@ class AB1ReaderApp {
                 this.showQualityTrimDialog();
                 break;
                 
-            case 'debug_show_tags':
-                this.showAllTags();
+            case 'menu_signal_processing':
+                this.showSignalProcessingDialog();
+                break;
+                
+            case 'menu_mixed_bases':
+                this.showMixedBasesDialog();
+                break;
+                
+            case 'menu_het_detection':
+                this.showHetDialog();
+                break;
+                
+            case 'menu_indel_deconvolution':
+                this.showIndelDialog();
+                break;
+                
+            case 'menu_call_set':
+                this.selectCallSet(data.callSet);
+                break;
+                
+            case 'menu_export_anonymized':
+                this.showAnonymizeDialog();
+                break;
+                
+            case 'menu_compare_files':
+                this.compareFiles();
+                break;
+                
+            case 'menu_tag_inspector':
+                this.showTagInspector();
+                break;
+                
+            case 'menu_hex_view':
+                this.showHexView();
                 break;
                 
             case 'window_resized':
@@ -345,6 +631,9 @@ class AB1ReaderApp {
                 if (this.minimap) {
                     this.minimap.render();
                 }
+                if (this.telemetryPlot) {
+                    this.telemetryPlot.render();
+                }
                 break;
         }
     }
@@ -355,6 +644,12 @@ class AB1ReaderApp {
     handleMainResponse(data) {
         if (!data || !data.command) return;
         
+        // Main refuses requests for a closed session instead of reopening the file behind the shown read
+        if (data.sessionExpired) {
+            this.onSessionExpired(data);
+            return;
+        }
+        
         switch (data.command) {
             case 'abif_open_dialog':
                 if (data.success && data.filePath) {
@@ -365,13 +660,23 @@ class AB1ReaderApp {
             case 'abif_parse_file':
                 if (data.success) {
                     this.onFileLoaded(data);
+                    if (data.salvaged) {
+                        this.showValidationReport(data.validation, 'File Partially Loaded',
+                            'This file is damaged. Only the intact tags were loaded; missing data is listed below.');
+                    } else if (data.validation && data.validation.warnings > 0) {
+                        console.warn('Validation warnings:', data.validation.issues);
+                    }
+                } else if (data.validation) {
+                    this.elements.chromatogramContainer.classList.remove('loading');
+                    this.showValidationReport(data.validation, 'Failed to Parse File', data.error);
                 } else {
                     this.showError('Failed to parse file', data.error);
                 }
                 break;
                 
             case 'abif_get_raw_traces':
-                if (data.success) {
+                // Ignore replies for a file that has been replaced since
+                if (data.success && data.sessionId === this.sessionId) {
                     this.rawTraces = data.rawTraces;
                     if (this.chromatogram) {
                         this.chromatogram.loadRawTraces(data.rawTraces);
@@ -379,6 +684,112 @@ class AB1ReaderApp {
                 }
                 break;
                 
+            case 'abif_process_traces':
+                if (data.success) {
+                    this.onTracesProcessed(data);
+                } else if (data.sessionId === this.sessionId || !data.sessionId) {
+                    this.showError('Processing Failed', data.error);
+                }
+                break;
+                
+            case 'abif_set_text_encoding':
+                if (data.success) {
+                    // Ignore replies for a file that has been replaced since
+                    if (data.sessionId === this.sessionId && this.fileData) {
+                        this.fileData.metadata = data.metadata;
+                        this.fileData.channels = data.channels;
+                        this.updateMetadataDisplay(data.metadata, data.channels);
+                    }
+                } else {
+                    this.showError('Failed to change the text encoding', data.error);
+                }
+                break;
+                
+            case 'abif_get_telemetry':
+                if (data.success) {
+                    // Ignore replies for a file that has been replaced since
+                    if (data.sessionId === this.sessionId && this.telemetryVisible) {
+                        this.showTelemetry(data.telemetry);
+                    }
+                } else {
+                    this.hideTelemetry();
+                    this.showError('Failed to read run telemetry', data.error);
+                }
+                break;
+                
+            case 'abif_save_file':
+                if (data.success && data.filePath) {
+                    console.log(`AB1 file saved: ${data.filePath}`);
+                } else if (data.canceled) {
+                    console.log('Save dialog canceled');
+                } else {
+                    console.error('AB1 save failed:', data.error);
+                    alert(`Failed to save AB1 file: ${data.error || 'Unknown error'}`);
+                }
+                break;
+                
+            case 'abif_export_anonymized':
+                if (data.success && data.filePath) {
+                    console.log(`Anonymized copy saved: ${data.filePath}`);
+                    this.showAnonymizeReport(data);
+                } else if (data.canceled) {
+                    console.log('Save dialog canceled');
+                } else {
+                    console.error('Anonymized export failed:', data.error);
+                    alert(`Failed to export anonymized copy: ${data.error || 'Unknown error'}`);
+                }
+                break;
+                
+            case 'abif_diff_files':
+                if (data.success) {
+                    this.showFileDiff(data);
+                } else if (data.canceled) {
+                    console.log('Compare dialog canceled');
+                } else {
+                    this.showError('Failed to compare files', data.error);
+                }
+                break;
+                
+            case 'ztr_export':
+                if (data.success && data.filePath) {
+                    console.log(`ZTR file saved: ${data.filePath}`);
+                } else if (data.canceled) {
+                    console.log('Save dialog canceled');
+                } else {
+                    console.error('ZTR export failed:', data.error);
+                    alert(`Failed to export ZTR: ${data.error || 'Unknown error'}`);
+                }
+                break;
+                
+            case 'trace_session_invalidated':
+                this.onSessionInvalidated(data);
+                break;
+                
+            case 'abif_list_tags':
+                if (data.success) {
+                    this.renderTagInspector(data);
+                } else {
+                    alert(`Failed to read tags: ${data.error || 'Unknown error'}`);
+                }
+                break;
+                
+            case 'abif_get_layout':
+                if (data.success) {
+                    this.renderHexView(data);
+                } else {
+                    this.hideHexView();
+                    alert(`Failed to read file structure: ${data.error || 'Unknown error'}`);
+                }
+                break;
+                
+            case 'abif_get_tag':
+                if (data.success) {
+                    this.renderTagDetail(data);
+                } else {
+                    this.elements.tagDetailText.textContent = `Failed to read tag: ${data.error || 'Unknown error'}`;
+                }
+                break;
+                
             case 'show_save_dialog':
                 if (data.success && data.filePath) {
                     console.log(`File saved successfully: ${data.filePath}`);
@@ -421,27 +832,128 @@ class AB1ReaderApp {
         });
     }
     
+    /**
+     * Save the current (edited/trimmed) read as a new AB1 file
+     * The main process reuses the parsed source file from the session and
+     * rewrites only the basecall and trace tags, so all other run metadata
+     * is preserved.
+     */
+    saveAsAb1() {
+        if (!this.currentFile || !this.chromatogram) {
+            alert('No file loaded.');
+            return;
+        }
+        
+        if (this.fileData && this.fileData.format && this.fileData.format !== 'abif') {
+            alert('Save As AB1 requires an AB1 source file.');
+            return;
+        }
+        
+        const data = this.chromatogram.getData();
+        
+        window.api.send('toMain', {
+            command: 'abif_save_file',
+            sessionId: this.sessionId,
+            filePath: this.currentFile,
+            edits: {
+                sequence: data.sequence,
+                qualityScores: data.qualityScores,
+                peakLocations: data.peakLocations,
+                traces: data.traces,
+                rawTraces: data.rawTraces
+            }
+        });
+    }
+    
+    /**
+     * Handle a session closed by the main process because its file changed on disk
+     */
+    onSessionInvalidated(data) {
+        if (!data.sessionId || data.sessionId !== this.sessionId) return;
+        
+        // The closed session ID is kept: main refuses requests for it until the file is reloaded
+        if (data.event === 'removed') {
+            alert(`${data.filePath}\n\nThe file was removed from disk. The loaded read is still shown but can no longer be saved as AB1.`);
+        } else if (confirm(`${data.filePath}\n\nThe file changed on disk. Reload it? Unsaved edits will be lost.`)) {
+            this.loadFile(data.filePath);
+        }
+    }
+    
+    /**
+     * Handle a request main refused because the file's session is closed
+     * (the file changed on disk, or it was evicted): the file is only
+     * reopened when the user reloads it
+     */
+    onSessionExpired(data) {
+        if (data.command === 'abif_list_tags' || data.command === 'abif_get_tag') this.hideTagInspector();
+        if (data.command === 'abif_get_layout') this.hideHexView();
+        if (data.command === 'abif_get_telemetry') this.hideTelemetry();
+        
+        // Replies for a file that has been replaced since need no reload
+        if (data.sessionId !== this.sessionId || !this.currentFile) return;
+        
+        if (confirm(`${this.currentFile}\n\n${data.error}. Reload it? Unsaved edits will be lost.`)) {
+            this.loadFile(this.currentFile);
+        }
+    }
+    
     /**
      * Handle successful file load
      */
     onFileLoaded(data) {
         console.log('File loaded:', data.fileName);
         
+        // Release the previous file's session
+        if (this.sessionId && this.sessionId !== data.sessionId) {
+            window.api.send('toMain', { command: 'trace_session_close', sessionId: this.sessionId });
+        }
+        
         this.fileData = data;
         this.currentFile = data.filePath;
+        this.sessionId = data.sessionId || null;
+        this.basecallerCalls = data.basecallerCalls || null;
+        this.comparison = null;
+        this.secondaryCalls = data.secondaryCalls || null;
+        this.callSets = data.fragment ? null : {
+            instrument: {
+                sequence: data.sequence,
+                peakLocations: data.peakLocations,
+                qualityScores: data.qualityScores,
+                secondaryCalls: this.secondaryCalls
+            },
+            builtin: null  // Called the first time it is selected
+        };
+        this.callSet = 'instrument';
+        this.signalProcessing = data.signalProcessing ? { params: data.signalProcessing, steps: null, estimated: null } : null;
+        this.traceWindow = null;
+        this.hetCandidates = null;
+        this.indelResult = null;
+        this.hideSignalProcessingDialog();
+        this.hideHetDialog();
+        this.hideIndelDialog();
+        this.updateHetPanel();
+        this.hideTagInspector();
+        this.hideHexView();
         
         // Remove empty state
         this.elements.chromatogramContainer.classList.remove('empty');
         this.elements.chromatogramContainer.classList.remove('loading');
         this.elements.chromatogramContainer.innerHTML = '';
         
+        // Fragment analysis files (.fsa) are shown on a bp axis instead of base calls
+        const fragment = data.fragment || null;
+        
         // Create chromatogram canvas
-        this.chromatogram = new ChromatogramCanvas(this.elements.chromatogramContainer, {
-            height: this.elements.chromatogramContainer.clientHeight
-        });
+        const canvasOptions = { height: this.elements.chromatogramContainer.clientHeight };
+        if (fragment) {
+            // Fragment runs are several times longer than sequencing reads
+            canvasOptions.minXScale = 0.05;
+        }
+        this.chromatogram = new ChromatogramCanvas(this.elements.chromatogramContainer, canvasOptions);
         
         // Set up chromatogram callbacks
         this.chromatogram.onBaseHover = (index, info) => this.onBaseHover(index, info);
+        this.chromatogram.onSizeHover = (scan, size) => this.onSizeHover(scan, size);
         this.chromatogram.onBaseClick = (index, info) => this.onBaseClick(index, info);
         this.chromatogram.onScroll = (scrollX, viewInfo) => this.onChromatogramScroll(scrollX, viewInfo);
         this.chromatogram.onSelectionChange = (start, end, seq) => this.onSelectionChange(start, end, seq);
@@ -452,20 +964,44 @@ class AB1ReaderApp {
             sequence: data.sequence,
             peakLocations: data.peakLocations,
             qualityScores: data.qualityScores,
-            channelOrder: data.channelOrder
+            channelOrder: data.channelOrder,
+            channels: data.channels,
+            sizing: fragment ? fragment.sizing : null
         });
         
         // Create minimap
         this.elements.minimapContainer.style.display = 'block';
         this.minimap = new Minimap(this.elements.minimapContainer);
-        this.minimap.loadData(data.traces, data.peakLocations);
+        this.minimap.loadData(data.traces, data.peakLocations, data.channels);
         this.minimap.onNavigate = (dataX) => this.onMinimapNavigate(dataX);
         
-        // Request raw traces for raw view mode
-        window.api.send('toMain', {
-            command: 'abif_get_raw_traces',
-            filePath: data.filePath
-        });
+        // Telemetry belongs to the previous file; fetch this file's if the strip is open
+        if (this.telemetryVisible) {
+            if (data.format === 'abif') {
+                this.requestTelemetry();
+            } else {
+                this.hideTelemetry();
+            }
+        }
+        
+        // Request raw traces for raw view mode (fragment traces are baseline-corrected already)
+        if (!fragment) {
+            window.api.send('toMain', {
+                command: 'abif_get_raw_traces',
+                sessionId: data.sessionId
+            });
+        }
+        
+        // Reprocess the raw traces with the parameters saved for this file
+        if (this.signalProcessing) {
+            window.api.send('toMain', {
+                command: 'abif_process_traces',
+                sessionId: data.sessionId,
+                params: this.signalProcessing.params,
+                save: false,
+                show: false
+            });
+        }
         
         // Clear edit history for new file
         if (this.editHistory) {
@@ -474,12 +1010,17 @@ class AB1ReaderApp {
         }
         
         // Update UI
-        this.updateSequenceDisplay(data.sequence);
+        if (fragment) {
+            this.updateFragmentDisplay(fragment);
+        } else {
+            this.updateSequenceDisplay(data.sequence);
+        }
         this.updateSelectionDisplay(null);
-        this.updateMetadataDisplay(data.metadata);
+        this.updateMetadataDisplay(data.metadata, data.channels);
         this.updateStatistics(data);
         this.updateStatusBar(data);
         this.enableControls(true);
+        this.setViewMode('processed');
         
         // Set initial zoom to fit
         setTimeout(() => {
@@ -497,6 +1038,18 @@ class AB1ReaderApp {
      * Update the sequence display panel
      */
     updateSequenceDisplay(sequence) {
+        // Mixed base codes follow the primary calls, which edits and trims change
+        this.updateSecondaryCalls();
+        if (sequence && this.mixedBaseOptions.fold && this.chromatogram) {
+            sequence = this.chromatogram.getDisplaySequence();
+        }
+        
+        // The compare view lists the basecaller edits here instead
+        if (this.chromatogram && this.chromatogram.viewMode === 'compare') {
+            this.updateComparison();
+            return;
+        }
+        
         if (!sequence) {
             this.elements.sequenceDisplay.innerHTML = '<span class="placeholder">No sequence</span>';
             return;
@@ -521,6 +1074,150 @@ class AB1ReaderApp {
         this.elements.sequenceDisplay.innerHTML = html;
     }
     
+    /**
+     * Summarize a fragment analysis file in the sequence panel:
+     * the dyes, the size standard and the quality of the sizing
+     */
+    updateFragmentDisplay(fragment) {
+        const escape = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+        
+        const dyes = fragment.channels.map(channel => {
+            const label = channel.role === 'standard' ? `${channel.name} (standard)` : channel.name;
+            return `<span class="fragment-dye" style="color: ${channel.color}">${escape(label)}</span>`;
+        }).join(' ');
+        
+        let sizing;
+        if (fragment.sizing) {
+            const s = fragment.sizing;
+            sizing = `${escape(s.standardName)}: ${s.ladder.length}/${s.fragments} fragments, ` +
+                `${escape(s.method)}, RMS error ${s.rms.toFixed(2)} bp`;
+        } else {
+            sizing = 'No size standard could be matched; the axis shows scans';
+        }
+        
+        const sampleCount = fragment.peaks.filter(peak => !peak.standard).length;
+        
+        this.elements.sequenceDisplay.innerHTML = `
+            <div class="fragment-summary">
+                <div><strong>Fragment analysis</strong> (${escape(fragment.source)} data${fragment.dyeSet ? `, dye set ${escape(fragment.dyeSet)}` : ''})</div>
+                <div>${dyes}</div>
+                <div>${sizing}</div>
+                <div>${sampleCount} sample peak${sampleCount === 1 ? '' : 's'}</div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Show the secondary calls under the primary calls, with the IUPAC code
+     * of every position whose secondary peak passes the mixed base ratio
+     */
+    updateSecondaryCalls() {
+        if (!this.chromatogram) return;
+        
+        const calls = this.secondaryCalls;
+        const sequence = this.fileData ? this.fileData.sequence : '';
+        if (!calls || !sequence) {
+            this.chromatogram.setSecondaryCalls(null);
+            return;
+        }
+        
+        const { threshold, fold } = this.mixedBaseOptions;
+        const ratios = MixedBases.ratios(sequence, calls, this.fileData.peakLocations, this.fileData.traces);
+        const codes = Array.from(sequence, (base, i) => MixedBases.mixedCode(base, calls.bases[i], ratios[i], threshold));
+        
+        this.chromatogram.setSecondaryCalls({ bases: calls.bases, ratios, codes, fold });
+    }
+    
+    /**
+     * Compare the current calls with the basecaller's and show the result:
+     * marks on the chromatogram and minimap, and a clickable list of the
+     * differences in the sequence panel
+     */
+    updateComparison() {
+        if (!this.fileData || !this.basecallerCalls) return;
+        
+        try {
+            this.comparison = BasecallComparison.compare({
+                sequence: this.fileData.sequence,
+                peakLocations: this.fileData.peakLocations,
+                qualityScores: this.fileData.qualityScores
+            }, this.basecallerCalls);
+        } catch (error) {
+            this.comparison = null;
+            this.elements.sequenceDisplay.innerHTML = '<span class="placeholder"></span>';
+            this.elements.sequenceDisplay.firstChild.textContent = error.message;
+            return;
+        }
+        
+        const { differences, counts } = this.comparison;
+        if (this.chromatogram) {
+            this.chromatogram.setComparison(this.comparison, this.basecallerCalls);
+        }
+        if (this.minimap) {
+            this.minimap.updateDifferences(differences);
+        }
+        
+        if (differences.length === 0) {
+            this.elements.sequenceDisplay.innerHTML = '<span class="placeholder">The calls match the basecaller\'s (PBAS_2) at every position</span>';
+            return;
+        }
+        
+        const escape = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+        const base = (letter) => `<span class="base-${escape(letter.toUpperCase())}">${escape(letter)}</span>`;
+        const method = this.comparison.method === 'peaks' ? 'aligned by peak position' : 'aligned by sequence';
+        const quality = (value) => (value === null ? '' : ` <span class="comparison-quality">QV ${value}</span>`);
+        const rows = differences.map((d, index) => {
+            let change;
+            if (d.type === 'insertion') {
+                change = `inserted ${base(d.editedBase)}${quality(d.editedQuality)}`;
+            } else if (d.type === 'deletion') {
+                change = `deleted ${base(d.originalBase)}${quality(d.originalQuality)}`;
+            } else {
+                change = `${base(d.originalBase)}${quality(d.originalQuality)} &rarr; ${base(d.editedBase)}${quality(d.editedQuality)}`;
+            }
+            const position = d.editedIndex >= 0 ? d.editedIndex + 1 : `${d.anchor + 1}^`;
+            return `<div class="comparison-row comparison-${d.type}" data-index="${index}">` +
+                `<span class="comparison-position">${position}</span>${change}</div>`;
+        }).join('');
+        
+        this.elements.sequenceDisplay.innerHTML = `
+            <div class="comparison-summary">
+                ${differences.length} edit${differences.length === 1 ? '' : 's'} to the basecaller's calls:
+                ${counts.substitution} changed, ${counts.insertion} inserted, ${counts.deletion} deleted (${method})
+            </div>
+            <div class="comparison-list">${rows}</div>
+        `;
+        
+        this.elements.sequenceDisplay.querySelectorAll('.comparison-row').forEach(row => {
+            row.addEventListener('click', () => this.gotoDifference(parseInt(row.dataset.index, 10)));
+        });
+    }
+    
+    /**
+     * Scroll the chromatogram to a basecaller edit
+     * @param {number} index - Index in the comparison's differences
+     */
+    gotoDifference(index) {
+        if (!this.comparison || !this.chromatogram) return;
+        
+        const difference = this.comparison.differences[index];
+        if (!difference) return;
+        
+        if (difference.scan !== null) {
+            this.chromatogram.scrollToPosition(difference.scan);
+        } else {
+            this.chromatogram.scrollToBase(difference.anchor);
+        }
+        if (difference.editedIndex >= 0) {
+            this.chromatogram.setSelection(difference.editedIndex, difference.editedIndex);
+        }
+        this.syncMinimap();
+        
+        this.elements.sequenceDisplay.querySelectorAll('.comparison-row').forEach(row => {
+            row.classList.toggle('active', parseInt(row.dataset.index, 10) === index);
+        });
+    }
+    
     /**
      * Update the selection display panel
      */
@@ -552,14 +1249,18 @@ class AB1ReaderApp {
     }
     
     /**
-     * Update the metadata display panel
+     * Update the metadata display panel, including the dyes of the channel
+     * model and the run conditions decoded from the run module and analysis
+     * protocol XML
      */
-    updateMetadataDisplay(metadata) {
+    updateMetadataDisplay(metadata, channels) {
         if (!metadata) {
             this.elements.metadataDisplay.innerHTML = '<span class="placeholder">No metadata</span>';
             return;
         }
         
+        const escape = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+        
         const fields = [
             { label: 'Sample', value: metadata.sampleName },
             { label: 'Machine', value: metadata.machineName || metadata.machineModel },
@@ -573,11 +1274,97 @@ class AB1ReaderApp {
         for (const field of fields) {
             if (field.value) {
                 html += `<span class="metadata-label">${field.label}:</span>`;
-                html += `<span class="metadata-value">${field.value}</span>`;
+                html += `<span class="metadata-value">${escape(field.value)}</span>`;
+            }
+        }
+        
+        // Run conditions (ABIF files only); values come from the file, so they are escaped
+        const run = metadata.runConditions;
+        if (run) {
+            const join = (...parts) => parts.filter(part => part !== null).join(', ');
+            const unit = (value, suffix) => (value !== null ? `${value}${suffix}` : null);
+            const runFields = [
+                { label: 'Run Module', value: run.runModule },
+                { label: 'Run Voltage', value: join(unit(run.runVoltage, ' kV'), unit(run.runTime, ' s')) },
+                { label: 'Injection', value: join(unit(run.injectionVoltage, ' kV'), unit(run.injectionTime, ' s')) },
+                { label: 'Temperature', value: unit(run.temperature, ' °C') },
+                { label: 'Polymer', value: run.polymer },
+                { label: 'Array', value: unit(run.arrayLength, ' cm') },
+                { label: 'Protocol', value: run.analysisProtocol },
+                { label: 'Base Caller', value: [run.baseCaller, run.baseCallerVersion].filter(Boolean).join(' ') },
+                { label: 'Mobility', value: run.mobilityFile }
+            ];
+            
+            for (const field of runFields) {
+                if (field.value) {
+                    html += `<span class="metadata-label">${field.label}:</span>`;
+                    html += `<span class="metadata-value">${escape(field.value)}</span>`;
+                }
+            }
+        }
+        
+        // Dyes of the channel model (ABIF files only), each in its trace color
+        const dyes = channels ? channels.channels.filter(c => c.name || c.wavelength) : [];
+        if (dyes.length > 0) {
+            const notes = { wavelength: ' (base order from dye wavelengths)', default: ' (default base order)' };
+            
+            const list = dyes.map(channel => {
+                const label = channel.base || channel.key;
+                const wavelength = channel.wavelength ? ` ${channel.wavelength} nm` : '';
+                return `<span style="color: ${channel.color}">${escape(label)}</span> ${escape(channel.name || '')}${wavelength}`;
+            }).join(', ');
+            
+            html += `<span class="metadata-label">Dyes:</span>`;
+            html += `<span class="metadata-value">${list}${notes[channels.orderSource] || ''}</span>`;
+        }
+        
+        // Text encoding of the string tags (ABIF files only), with a per-file override
+        const encoding = metadata.textEncoding;
+        if (encoding) {
+            const sources = { detected: 'detected', default: 'ASCII only', override: 'set for this file' };
+            const options = ABIFEncoding.encodings().map(e =>
+                `<option value="${e.id}"${e.id === encoding.encoding ? ' selected' : ''}>${escape(e.label)}</option>`
+            ).join('');
+            
+            html += `<span class="metadata-label">Text:</span>`;
+            html += `<span class="metadata-value metadata-encoding">`;
+            html += `<select id="metadata-encoding-select" title="Encoding of sample names and comments">${options}</select>`;
+            html += ` <span class="metadata-encoding-source">${sources[encoding.source] || ''}</span>`;
+            if (encoding.source === 'override') {
+                html += ` <a href="#" id="metadata-encoding-auto">detect</a>`;
             }
+            html += `</span>`;
         }
         
         this.elements.metadataDisplay.innerHTML = html || '<span class="placeholder">No metadata</span>';
+        
+        const select = document.getElementById('metadata-encoding-select');
+        if (select) {
+            select.addEventListener('change', () => this.setTextEncoding(select.value));
+        }
+        const auto = document.getElementById('metadata-encoding-auto');
+        if (auto) {
+            auto.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.setTextEncoding('auto');
+            });
+        }
+    }
+    
+    /**
+     * Decode the current file's sample names and comments with another
+     * text encoding; main remembers the choice for the file
+     * @param {string} encoding - Encoding ID (see ABIFEncoding), or 'auto' to detect it
+     */
+    setTextEncoding(encoding) {
+        if (!this.sessionId) return;
+        
+        window.api.send('toMain', {
+            command: 'abif_set_text_encoding',
+            sessionId: this.sessionId,
+            filePath: this.currentFile,
+            encoding: encoding
+        });
     }
     
     /**
@@ -609,6 +1396,37 @@ class AB1ReaderApp {
         } else {
             this.elements.statGC.textContent = '--';
         }
+        
+        // Read QC metrics (fragment analysis files have no calls)
+        const qc = (data.sequence && !data.fragment) ? ReadQC.compute(data) : null;
+        const format = (value, digits) => (value === null || value === undefined ? '--' : value.toFixed(digits));
+        
+        if (qc && qc.crl) {
+            this.elements.statCRL.textContent = qc.crl.length;
+            this.elements.statCRL.title = qc.crl.length > 0 ? `Bases ${qc.crl.start + 1}-${qc.crl.end + 1}` : '';
+        } else {
+            this.elements.statCRL.textContent = '--';
+            this.elements.statCRL.title = '';
+        }
+        this.elements.statQV20.textContent = qc && qc.qv20Count !== null ? qc.qv20Count : '--';
+        this.elements.statTraceScore.textContent = qc ? format(qc.traceScore, 1) : '--';
+        this.elements.statSpacingCV.textContent = qc && qc.spacing ? format(qc.spacing.cv, 3) : '--';
+        
+        const channels = ['A', 'C', 'G', 'T'];
+        const cells = (values, digits) => channels.map(c => `<td>${values ? format(values[c], digits) : '--'}</td>`).join('');
+        this.elements.statChannels.innerHTML =
+            `<tr><th></th>${channels.map(c => `<th class="base-${c}">${c}</th>`).join('')}</tr>` +
+            `<tr><td>Signal</td>${cells(qc && qc.signal, 0)}</tr>` +
+            `<tr><td>S/N</td>${cells(qc && qc.snr, 1)}</tr>`;
+    }
+    
+    /**
+     * QC metrics of the read as key/value pairs for export metadata
+     * @returns {Object|null} ReadQC.toFields() of the current calls, null without calls
+     */
+    getReadQCFields() {
+        if (!this.fileData || !this.fileData.sequence || this.fileData.fragment) return null;
+        return ReadQC.toFields(ReadQC.compute(this.fileData));
     }
     
     /**
@@ -656,10 +1474,13 @@ class AB1ReaderApp {
         const modeNames = {
             'processed': 'Processed',
             'quality': 'Quality',
-            'raw': 'Raw'
+            'raw': 'Raw',
+            'reprocessed': 'Reprocessed',
+            'compare': 'Basecaller Edits'
         };
         const mode = this.chromatogram ? this.chromatogram.viewMode : 'processed';
-        this.elements.statusView.querySelector('span').textContent = modeNames[mode] || mode;
+        const calls = this.callSet === 'builtin' ? ' (built-in calls)' : '';
+        this.elements.statusView.querySelector('span').textContent = (modeNames[mode] || mode) + calls;
     }
     
     /**
@@ -671,6 +1492,11 @@ class AB1ReaderApp {
         const viewInfo = this.chromatogram.getViewInfo();
         this.minimap.updateViewport(viewInfo.visibleStartX, viewInfo.visibleEndX);
         
+        // Keep the telemetry strip under the visible trace region
+        if (this.telemetryPlot && this.telemetryVisible) {
+            this.telemetryPlot.updateViewport(viewInfo);
+        }
+        
         // Update selection
         if (this.chromatogram.hasSelection()) {
             const sel = this.chromatogram.getSelectionInfo();
@@ -687,17 +1513,33 @@ class AB1ReaderApp {
      * Enable or disable controls based on file load state
      */
     enableControls(enabled) {
-        this.elements.btnExportFasta.disabled = !enabled;
-        this.elements.btnExportFastq.disabled = !enabled;
+        // Fragment analysis files have no sequence: only zoom, PNG and the peak table apply
+        const fragment = enabled && !!(this.fileData && this.fileData.fragment);
+        const sequence = enabled && !fragment;
+        
+        this.elements.btnExportFasta.disabled = !sequence;
+        this.elements.btnExportFastq.disabled = !sequence;
         this.elements.btnExportPng.disabled = !enabled;
+        this.elements.btnExportScf.disabled = !sequence;
+        this.elements.btnExportZtr.disabled = !sequence;
+        this.elements.btnExportPeaks.disabled = !fragment;
+        this.elements.btnViewQuality.disabled = fragment;
+        this.elements.btnViewRaw.disabled = fragment;
+        this.elements.btnViewReprocessed.disabled = !(sequence && this.chromatogram && this.chromatogram.reprocessedTraces);
+        this.elements.btnViewCompare.disabled = !(sequence && this.basecallerCalls);
+        this.elements.btnViewTelemetry.disabled = !(enabled && this.fileData && this.fileData.format === 'abif');
+        this.elements.btnCallsInstrument.disabled = !sequence;
+        this.elements.btnCallsBuiltin.disabled = !sequence;
+        this.elements.btnCallsInstrument.classList.toggle('active', this.callSet === 'instrument');
+        this.elements.btnCallsBuiltin.classList.toggle('active', this.callSet === 'builtin');
         this.elements.btnZoomIn.disabled = !enabled;
         this.elements.btnZoomOut.disabled = !enabled;
         this.elements.btnZoomFit.disabled = !enabled;
-        this.elements.btnGoto.disabled = !enabled;
-        this.elements.btnCopy.disabled = !enabled;
-        this.elements.searchInput.disabled = !enabled;
-        this.elements.btnSearchPrev.disabled = !enabled;
-        this.elements.btnSearchNext.disabled = !enabled;
+        this.elements.btnGoto.disabled = !sequence;
+        this.elements.btnCopy.disabled = !sequence;
+        this.elements.searchInput.disabled = !sequence;
+        this.elements.btnSearchPrev.disabled = !sequence;
+        this.elements.btnSearchNext.disabled = !sequence;
     }
     
     ///////////////////////////////////////////////////////////////////////////
@@ -710,18 +1552,160 @@ class AB1ReaderApp {
     setViewMode(mode) {
         if (!this.chromatogram) return;
         
+        // Fragment analysis files only have the sized traces
+        if (this.fileData && this.fileData.fragment && mode !== 'processed') return;
+        
+        // The compare view needs the basecaller's calls (PBAS_2)
+        if (mode === 'compare' && !this.basecallerCalls) return;
+        
+        // The reprocessed view needs traces processed from the raw data
+        if (mode === 'reprocessed' && !this.chromatogram.reprocessedTraces) return;
+        
         // Update button states
         this.elements.btnViewProcessed.classList.toggle('active', mode === 'processed');
         this.elements.btnViewQuality.classList.toggle('active', mode === 'quality');
         this.elements.btnViewRaw.classList.toggle('active', mode === 'raw');
+        this.elements.btnViewReprocessed.classList.toggle('active', mode === 'reprocessed');
+        this.elements.btnViewCompare.classList.toggle('active', mode === 'compare');
         
         // Update chromatogram
+        const wasComparing = this.chromatogram.viewMode === 'compare';
         this.chromatogram.setViewMode(mode);
         
+        // Show or clear the basecaller edits
+        if (mode === 'compare') {
+            this.updateComparison();
+        } else if (wasComparing) {
+            this.comparison = null;
+            this.chromatogram.setComparison(null);
+            if (this.minimap) {
+                this.minimap.updateDifferences([]);
+            }
+            this.updateSequenceDisplay(this.fileData.sequence);
+        }
+        
         // Update status bar
         this.updateViewModeStatus();
     }
     
+    /**
+     * Show another set of calls over the same traces: the instrument's
+     * (PBAS_1/PLOC_1/PCON_1) or the built-in base caller's, which are called
+     * from the processed traces the first time they are selected. Edits stay
+     * with the call set they were made to; the undo history is cleared.
+     * @param {string} name - 'instrument' or 'builtin'
+     */
+    selectCallSet(name) {
+        if (!this.callSets || !this.chromatogram || !(name in this.callSets) || name === this.callSet) return;
+        
+        if (!this.callSets[name]) {
+            let calls;
+            try {
+                calls = BaseCaller.call(this.fileData.traces);
+            } catch (error) {
+                this.showError('Base Calling Failed', error.message);
+                return;
+            }
+            if (!calls.sequence) {
+                this.showError('Base Calling Failed', 'No peaks stand out from the noise in the processed traces.');
+                return;
+            }
+            this.callSets[name] = {
+                sequence: calls.sequence,
+                peakLocations: calls.peakLocations,
+                qualityScores: calls.qualityScores,
+                secondaryCalls: calls.secondary
+            };
+        }
+        
+        // Keep the calls shown, with their edits
+        this.callSets[this.callSet] = {
+            sequence: this.fileData.sequence,
+            peakLocations: this.fileData.peakLocations,
+            qualityScores: this.fileData.qualityScores,
+            secondaryCalls: this.secondaryCalls
+        };
+        
+        const calls = this.callSets[name];
+        this.callSet = name;
+        this.fileData.sequence = calls.sequence;
+        this.fileData.peakLocations = calls.peakLocations;
+        this.fileData.qualityScores = calls.qualityScores;
+        this.fileData.sequenceLength = calls.sequence.length;
+        this.secondaryCalls = calls.secondaryCalls;
+        
+        this.chromatogram.setCalls(calls);
+        if (this.minimap) {
+            this.minimap.loadData(this.fileData.traces, this.fileData.peakLocations, this.fileData.channels);
+        }
+        this.clearHetCandidates();
+        this.indelResult = null;
+        
+        // Edit indices refer to the previous calls
+        if (this.editHistory) {
+            this.editHistory.clear();
+            this.updateEditHistoryUI();
+        }
+        
+        this.enableControls(true);
+        this.updateSequenceDisplay(this.fileData.sequence);
+        this.updateSelectionDisplay(null);
+        this.updateStatistics(this.fileData);
+        this.updateViewModeStatus();
+        this.syncMinimap();
+    }
+    
+    /**
+     * Show or hide the run telemetry strip (voltage, current, laser power and
+     * temperature logged by the instrument) under the chromatogram
+     */
+    toggleTelemetry() {
+        if (this.telemetryVisible) {
+            this.hideTelemetry();
+            return;
+        }
+        
+        if (!this.chromatogram || !this.fileData || this.fileData.format !== 'abif') return;
+        
+        this.telemetryVisible = true;
+        this.elements.btnViewTelemetry.classList.add('active');
+        this.requestTelemetry();
+    }
+    
+    /**
+     * Request the run telemetry of the current file from the main process
+     */
+    requestTelemetry() {
+        window.api.send('toMain', {
+            command: 'abif_get_telemetry',
+            sessionId: this.sessionId
+        });
+    }
+    
+    /**
+     * Show the telemetry strip
+     * @param {Object} telemetry - ABIFParser.getTelemetry() result
+     */
+    showTelemetry(telemetry) {
+        this.elements.telemetryContainer.style.display = 'block';
+        if (!this.telemetryPlot) {
+            this.telemetryPlot = new TelemetryPlot(this.elements.telemetryContainer);
+        }
+        this.telemetryPlot.loadData(telemetry);
+        if (this.chromatogram) {
+            this.telemetryPlot.updateViewport(this.chromatogram.getViewInfo());
+        }
+    }
+    
+    /**
+     * Hide the telemetry strip
+     */
+    hideTelemetry() {
+        this.telemetryVisible = false;
+        this.elements.btnViewTelemetry.classList.remove('active');
+        this.elements.telemetryContainer.style.display = 'none';
+    }
+    
     /**
      * Zoom in
      */
@@ -763,7 +1747,7 @@ class AB1ReaderApp {
      * Show go-to-position dialog
      */
     showGotoDialog() {
-        if (!this.fileData) return;
+        if (!this.fileData || this.fileData.fragment) return;
         
         this.elements.gotoInput.max = this.fileData.sequenceLength;
         this.elements.gotoInput.value = '';
@@ -913,6 +1897,18 @@ class AB1ReaderApp {
         }
     }
     
+    /**
+     * Handle hover over a fragment analysis trace (size under the cursor)
+     */
+    onSizeHover(scan, size) {
+        const status = this.elements.statusPosition.querySelector('span');
+        if (scan >= 0 && size !== null) {
+            status.textContent = `Size: ${size.toFixed(1)} bp (scan ${Math.round(scan)})`;
+        } else {
+            status.textContent = 'Position: --';
+        }
+    }
+    
     /**
      * Handle base click
      */
@@ -1033,6 +2029,16 @@ class AB1ReaderApp {
             Quality: ${info.quality}
         `;
         
+        // Secondary call and its peak relative to the primary one
+        if (info.secondaryBase && info.secondaryRatio > 0) {
+            const secondary = info.secondaryBase.replace(/[&<>"]/g, '?');
+            tooltip.innerHTML += `<br>Secondary: <span style="color: ${NUCLEOTIDE_COLORS[secondary.toUpperCase()] || '#888888'}">${secondary}</span>` +
+                ` (${Math.round(info.secondaryRatio * 100)}% of primary)`;
+            if (info.mixedBase) {
+                tooltip.innerHTML += `<br>Mixed: <strong>${info.mixedBase}</strong>`;
+            }
+        }
+        
         tooltip.style.display = 'block';
         
         // Position near cursor - this would need mouse position tracking
@@ -1059,7 +2065,7 @@ class AB1ReaderApp {
     copySequence() {
         if (!this.fileData || !this.fileData.sequence) return;
         
-        let textToCopy = this.fileData.sequence;
+        let textToCopy = this.chromatogram ? this.chromatogram.getDisplaySequence() : this.fileData.sequence;
         
         // If there's a selection, copy only selected portion
         if (this.chromatogram && this.chromatogram.hasSelection()) {
@@ -1078,6 +2084,17 @@ class AB1ReaderApp {
     // EXPORT
     ///////////////////////////////////////////////////////////////////////////
     
+    /**
+     * File data for the text exports, with the sequence as displayed
+     * (IUPAC codes at mixed positions when they are folded) and the read's
+     * QC metrics
+     */
+    getExportFileData() {
+        const qc = this.getReadQCFields();
+        if (!this.chromatogram || !this.mixedBaseOptions.fold) return { ...this.fileData, qc };
+        return { ...this.fileData, sequence: this.chromatogram.getDisplaySequence(), qc };
+    }
+    
     /**
      * Export as FASTA
      */
@@ -1098,7 +2115,7 @@ class AB1ReaderApp {
         // Generate FASTA content
         let fastaContent;
         try {
-            fastaContent = FastaExporter.generateFromFileData(this.fileData, options);
+            fastaContent = FastaExporter.generateFromFileData(this.getExportFileData(), options);
         } catch (error) {
             console.error('Error generating FASTA:', error);
             alert(`Error generating FASTA: ${error.message}`);
@@ -1150,7 +2167,7 @@ class AB1ReaderApp {
         // Generate FASTQ content
         let fastqContent;
         try {
-            fastqContent = FastqExporter.generateFromFileData(this.fileData, options);
+            fastqContent = FastqExporter.generateFromFileData(this.getExportFileData(), options);
         } catch (error) {
             console.error('Error generating FASTQ:', error);
             alert(`Error generating FASTQ: ${error.message}`);
@@ -1188,7 +2205,7 @@ class AB1ReaderApp {
             return;
         }
         
-        if (!this.fileData || !this.fileData.sequence) {
+        if (!this.fileData || (!this.fileData.sequence && !this.fileData.fragment)) {
             alert('No sequence data available for export.');
             return;
         }
@@ -1204,7 +2221,8 @@ class AB1ReaderApp {
         // Prepare file data with rawTraces if available
         const exportData = {
             ...this.fileData,
-            rawTraces: this.rawTraces || null
+            rawTraces: this.rawTraces || null,
+            qc: this.getReadQCFields()
         };
         
         // Check if raw mode is requested but raw traces not available
@@ -1216,7 +2234,10 @@ class AB1ReaderApp {
         // Calculate approximate canvas size to warn about very large exports
         const sequenceLength = this.fileData.sequence.length;
         const pixelsPerBase = 12;
-        const estimatedWidth = Math.max(800, sequenceLength * pixelsPerBase);
+        const pixelsPerScan = 0.5;
+        const estimatedWidth = this.fileData.fragment
+            ? Math.max(800, this.fileData.traceLength * pixelsPerScan)
+            : Math.max(800, sequenceLength * pixelsPerBase);
         const maxWidth = 50000; // Limit to prevent memory issues
         
         if (estimatedWidth > maxWidth) {
@@ -1233,6 +2254,7 @@ class AB1ReaderApp {
         const options = {
             viewMode: viewMode,
             pixelsPerBase: pixelsPerBase,
+            pixelsPerScan: pixelsPerScan,
             height: 450
         };
         
@@ -1289,6 +2311,144 @@ class AB1ReaderApp {
         }
     }
     
+    /**
+     * Export as SCF v3 (traces, base calls, peaks and per-base probabilities)
+     */
+    exportScf() {
+        if (!this.fileData || !this.fileData.sequence || !this.chromatogram) {
+            alert('No sequence data available for export.');
+            return;
+        }
+        
+        // Current read state, including any edits and trims
+        const exportData = {
+            ...this.chromatogram.getData(),
+            sequence: this.chromatogram.getDisplaySequence(),
+            metadata: this.fileData.metadata,
+            fileName: this.fileData.fileName,
+            qc: this.getReadQCFields()
+        };
+        
+        // Get selection range if any
+        let options = {};
+        if (this.chromatogram.hasSelection()) {
+            const sel = this.chromatogram.getSelectionInfo();
+            options.start = sel.start;
+            options.end = sel.end;
+        }
+        
+        // Generate SCF content
+        let scfBytes;
+        try {
+            scfBytes = ScfExporter.generateFromFileData(exportData, options);
+        } catch (error) {
+            console.error('Error generating SCF:', error);
+            alert(`Error generating SCF: ${error.message}`);
+            return;
+        }
+        
+        // Determine default filename
+        let defaultFileName = 'sequence.scf';
+        if (this.fileData.fileName) {
+            const baseName = this.fileData.fileName.replace(/\.[^/.]+$/, '');
+            defaultFileName = `${baseName}.scf`;
+        }
+        
+        // Show save dialog with binary data indicator
+        window.api.send('toMain', {
+            command: 'show_save_dialog',
+            title: 'Export as SCF',
+            defaultPath: defaultFileName,
+            filters: [
+                { name: 'SCF Files', extensions: ['scf'] },
+                { name: 'All Files', extensions: ['*'] }
+            ],
+            content: ScfExporter.toBase64(scfBytes),
+            isBinary: true,
+            encoding: 'base64'
+        });
+    }
+    
+    /**
+     * Export as ZTR (compressed traces, base calls, peaks and confidences)
+     * Encoding is done in the main process, which has zlib available.
+     */
+    exportZtr() {
+        if (!this.fileData || !this.fileData.sequence || !this.chromatogram) {
+            alert('No sequence data available for export.');
+            return;
+        }
+        
+        const data = this.chromatogram.getData();
+        
+        // Get selection range if any
+        let options = {};
+        if (this.chromatogram.hasSelection()) {
+            const sel = this.chromatogram.getSelectionInfo();
+            options.start = sel.start;
+            options.end = sel.end;
+        }
+        
+        // Determine default filename
+        let defaultFileName = 'sequence.ztr';
+        if (this.fileData.fileName) {
+            const baseName = this.fileData.fileName.replace(/\.[^/.]+$/, '');
+            defaultFileName = `${baseName}.ztr`;
+        }
+        
+        window.api.send('toMain', {
+            command: 'ztr_export',
+            defaultPath: defaultFileName,
+            data: {
+                sequence: this.chromatogram.getDisplaySequence(),
+                qualityScores: data.qualityScores,
+                peakLocations: data.peakLocations,
+                traces: data.traces,
+                metadata: this.fileData.metadata,
+                fileName: this.fileData.fileName,
+                qc: this.getReadQCFields()
+            },
+            options: options
+        });
+    }
+    
+    /**
+     * Export the fragment analysis peak table as CSV (dye, size, height, area)
+     */
+    exportPeakTable() {
+        if (!this.fileData || !this.fileData.fragment) {
+            alert('No fragment analysis data available for export.');
+            return;
+        }
+        
+        let csvContent;
+        try {
+            csvContent = PeakTableExporter.generateFromFileData(this.fileData);
+        } catch (error) {
+            console.error('Error generating peak table:', error);
+            alert(`Error generating peak table: ${error.message}`);
+            return;
+        }
+        
+        // Determine default filename
+        let defaultFileName = 'peaks.csv';
+        if (this.fileData.fileName) {
+            const baseName = this.fileData.fileName.replace(/\.[^/.]+$/, '');
+            defaultFileName = `${baseName}_peaks.csv`;
+        }
+        
+        window.api.send('toMain', {
+            command: 'show_save_dialog',
+            title: 'Export Peak Table',
+            defaultPath: defaultFileName,
+            filters: [
+                { name: 'CSV Files', extensions: ['csv'] },
+                { name: 'All Files', extensions: ['*'] }
+            ],
+            content: csvContent
+        });
+    }
+    
     /**
      * Convert blob to base64 string
      * @private
@@ -1450,6 +2610,12 @@ class AB1ReaderApp {
         
         // Apply destructive trim to chromatogram
         if (this.chromatogram) {
+            // Alignment of the untrimmed calls, to cut the basecaller's calls to the same range
+            const untrimmed = this.basecallerCalls ? BasecallComparison.compare({
+                sequence: this.fileData.sequence,
+                peakLocations: this.fileData.peakLocations
+            }, this.basecallerCalls) : null;
+            
             const result = this.chromatogram.applyTrim(trimPoints.trimStart, trimPoints.trimEnd);
             
             if (!result.success) {
@@ -1457,6 +2623,21 @@ class AB1ReaderApp {
                 return;
             }
             
+            if (untrimmed) {
+                this.basecallerCalls = BasecallComparison.sliceCalls(this.basecallerCalls, untrimmed,
+                    result.trimStart, result.trimEnd, result.traceOffset);
+            }
+            
+            // Secondary calls are per base, like the primary ones
+            if (this.secondaryCalls) {
+                const { bases, primaryAmplitudes, secondaryAmplitudes } = this.secondaryCalls;
+                this.secondaryCalls = {
+                    bases: bases.substring(result.trimStart, result.trimEnd + 1),
+                    primaryAmplitudes: primaryAmplitudes.slice(result.trimStart, result.trimEnd + 1),
+                    secondaryAmplitudes: secondaryAmplitudes.slice(result.trimStart, result.trimEnd + 1)
+                };
+            }
+            
             // Sync fileData with trimmed chromatogram data
             const trimmedData = this.chromatogram.getData();
             this.fileData.sequence = trimmedData.sequence;
@@ -1468,6 +2649,38 @@ class AB1ReaderApp {
                 this.rawTraces = trimmedData.rawTraces;
             }
             
+            // Traces reprocessed later are cut to the same scans
+            this.traceWindow = {
+                offset: (this.traceWindow ? this.traceWindow.offset : 0) + result.traceOffset,
+                length: TraceArrays.maxLength(trimmedData.traces, trimmedData.channelOrder)
+            };
+            
+            // The call set not shown: built-in calls are called again from the trimmed
+            // traces when selected, instrument calls keep the peaks in the trimmed scans
+            if (this.callSets) {
+                if (this.callSet === 'builtin') {
+                    const { instrument } = this.callSets;
+                    const traceLength = this.traceWindow.length;
+                    const kept = Array.from(instrument.peakLocations.keys()).filter(i =>
+                        instrument.peakLocations[i] >= result.traceOffset &&
+                        instrument.peakLocations[i] < result.traceOffset + traceLength);
+                    const pick = (values) => (values ? kept.map(i => values[i]) : values);
+                    const secondary = instrument.secondaryCalls;
+                    this.callSets.instrument = {
+                        sequence: pick(instrument.sequence).join(''),
+                        peakLocations: kept.map(i => instrument.peakLocations[i] - result.traceOffset),
+                        qualityScores: pick(instrument.qualityScores),
+                        secondaryCalls: secondary ? {
+                            bases: pick(secondary.bases).join(''),
+                            primaryAmplitudes: pick(secondary.primaryAmplitudes),
+                            secondaryAmplitudes: pick(secondary.secondaryAmplitudes)
+                        } : null
+                    };
+                } else {
+                    this.callSets.builtin = null;
+                }
+            }
+            
             // Clear edit history (indices are now invalid)
             if (this.editHistory) {
                 this.editHistory.clear();
@@ -1476,8 +2689,10 @@ class AB1ReaderApp {
             
             // Update minimap with trimmed data
             if (this.minimap) {
-                this.minimap.loadData(this.fileData.traces, this.fileData.peakLocations);
+                this.minimap.loadData(this.fileData.traces, this.fileData.peakLocations, this.fileData.channels);
             }
+            this.clearHetCandidates();
+            this.indelResult = null;
             this.syncMinimap();
             
             // Update all UI displays
@@ -1496,53 +2711,1228 @@ class AB1ReaderApp {
         this.hideQualityTrimDialog();
     }
     
+    ///////////////////////////////////////////////////////////////////////////
+    // SIGNAL PROCESSING
+    ///////////////////////////////////////////////////////////////////////////
+    
     /**
-     * Update UI to reflect edit history state (enable/disable undo/redo)
+     * Show the raw trace processing dialog, filled in with the file's
+     * parameters (or the defaults)
      */
-    updateEditHistoryUI() {
-        if (!this.editHistory) return;
+    showSignalProcessingDialog() {
+        if (!this.fileData || this.fileData.fragment || this.fileData.format !== 'abif') {
+            alert('Raw trace processing needs an AB1 sequencing file.');
+            return;
+        }
         
-        // Update menu items via IPC
-        // Enable undo if there are commands to undo
-        window.api.send('toMain', {
-            command: 'update_menu_item',
-            id: 'edit_undo',
-            enabled: this.editHistory.canUndo()
+        this.setSignalProcessingForm(this.signalProcessing ? this.signalProcessing.params : SignalProcessor.defaults());
+        this.showSignalProcessingInfo();
+        this.elements.signalProcessingModal.style.display = 'flex';
+    }
+    
+    /**
+     * Hide the raw trace processing dialog
+     */
+    hideSignalProcessingDialog() {
+        this.elements.signalProcessingModal.style.display = 'none';
+    }
+    
+    /**
+     * Matrix and shifts the file was last processed with, which can be kept
+     * instead of estimated again
+     * @returns {Object} { matrix, shifts }, null where there is none
+     */
+    getKnownSignalEstimates() {
+        const processing = this.signalProcessing;
+        const estimated = (processing && processing.estimated) || {};
+        return {
+            matrix: (processing && processing.params.crosstalk.matrix) || estimated.matrix || null,
+            shifts: (processing && processing.params.mobility.shifts) || estimated.shifts || null
+        };
+    }
+    
+    /**
+     * Fill in the dialog from processing parameters
+     * @param {Object} params - SignalProcessor parameters
+     */
+    setSignalProcessingForm(params) {
+        const e = this.elements;
+        const known = this.getKnownSignalEstimates();
+        
+        e.signalBaseline.checked = params.baseline.enabled;
+        e.signalBaselineWindow.value = params.baseline.window;
+        e.signalCrosstalk.checked = params.crosstalk.enabled;
+        e.signalCrosstalkEstimate.checked = !params.crosstalk.matrix || !known.matrix;
+        e.signalCrosstalkEstimate.disabled = !known.matrix;
+        e.signalSmoothing.checked = params.smoothing.enabled;
+        e.signalSmoothingSigma.value = params.smoothing.sigma;
+        e.signalMobility.checked = params.mobility.enabled;
+        e.signalMobilityEstimate.checked = !params.mobility.shifts || !known.shifts;
+        e.signalMobilityEstimate.disabled = !known.shifts;
+        e.signalNormalization.checked = params.normalization.enabled;
+        e.signalNormalizationWindow.value = params.normalization.window;
+        e.signalNormalizationTarget.value = params.normalization.target;
+        e.signalNormalizationBalance.checked = params.normalization.balance;
+    }
+    
+    /**
+     * Read processing parameters from the dialog. Unticking "Estimate from
+     * the read" keeps the matrix or shifts of the last processing.
+     * @returns {Object} SignalProcessor parameters
+     */
+    readSignalProcessingForm() {
+        const e = this.elements;
+        const known = this.getKnownSignalEstimates();
+        const number = (input, fallback) => {
+            const value = parseFloat(input.value);
+            return Number.isFinite(value) && value > 0 ? value : fallback;
+        };
+        const defaults = SignalProcessor.defaults();
+        
+        return SignalProcessor.resolveParams({
+            baseline: {
+                enabled: e.signalBaseline.checked,
+                window: number(e.signalBaselineWindow, defaults.baseline.window)
+            },
+            crosstalk: {
+                enabled: e.signalCrosstalk.checked,
+                matrix: e.signalCrosstalkEstimate.checked ? null : known.matrix
+            },
+            smoothing: {
+                enabled: e.signalSmoothing.checked,
+                sigma: number(e.signalSmoothingSigma, defaults.smoothing.sigma)
+            },
+            mobility: {
+                enabled: e.signalMobility.checked,
+                shifts: e.signalMobilityEstimate.checked ? null : known.shifts
+            },
+            normalization: {
+                enabled: e.signalNormalization.checked,
+                window: number(e.signalNormalizationWindow, defaults.normalization.window),
+                target: number(e.signalNormalizationTarget, defaults.normalization.target),
+                balance: e.signalNormalizationBalance.checked
+            }
         });
+    }
+    
+    /**
+     * Process the raw traces with the dialog's parameters (in the main
+     * process, which saves them for the file)
+     */
+    processRawTraces() {
+        if (!this.sessionId) {
+            alert('The file is no longer open in the main process; reload it to reprocess its traces.');
+            return;
+        }
         
-        // Enable redo if there are commands to redo
+        this.elements.signalProcessingInfo.textContent = 'Processing...';
         window.api.send('toMain', {
-            command: 'update_menu_item',
-            id: 'edit_redo',
-            enabled: this.editHistory.canRedo()
+            command: 'abif_process_traces',
+            sessionId: this.sessionId,
+            params: this.readSignalProcessingForm()
         });
     }
     
+    /**
+     * Show traces processed from the raw data, cut to the trimmed scans
+     */
+    onTracesProcessed(data) {
+        if (data.sessionId !== this.sessionId || !this.chromatogram) return;
+        
+        let traces = data.traces;
+        if (this.traceWindow) {
+            const { offset, length } = this.traceWindow;
+            traces = {};
+            for (const key of Object.keys(data.traces)) {
+                traces[key] = data.traces[key].slice(offset, offset + length);
+            }
+        }
+        
+        this.signalProcessing = { params: data.params, steps: data.steps, estimated: data.estimated };
+        this.chromatogram.loadReprocessedTraces(traces);
+        this.enableControls(true);
+        this.showSignalProcessingInfo();
+        
+        if (data.show) {
+            this.hideSignalProcessingDialog();
+            this.setViewMode('reprocessed');
+        }
+    }
+    
+    /**
+     * Describe the last processing in the dialog: the steps run and the
+     * crosstalk matrix and mobility shifts they used
+     */
+    showSignalProcessingInfo() {
+        const processing = this.signalProcessing;
+        if (!processing || !processing.steps) {
+            this.elements.signalProcessingInfo.textContent = 'Not processed yet';
+            return;
+        }
+        
+        const format = (value) => (Math.round(value * 1000) / 1000).toString();
+        const { matrix, shifts } = processing.estimated;
+        let html = `<div><strong>Steps:</strong> ${processing.steps.length > 0 ? processing.steps.join(', ') : 'none'}</div>`;
+        
+        if (matrix) {
+            const keys = Object.keys(matrix);
+            html += '<div style="margin-top: 8px;"><strong>Crosstalk matrix</strong> (row: channel, column: dye)</div>' +
+                '<table class="signal-matrix"><tr><th></th>' + keys.map(key => `<th>${key}</th>`).join('') + '</tr>' +
+                keys.map(row => `<tr><th>${row}</th>` + keys.map(column => `<td>${format(matrix[row][column])}</td>`).join('') + '</tr>').join('') +
+                '</table>';
+        }
+        if (shifts) {
+            html += '<div style="margin-top: 8px;"><strong>Mobility shifts (scans):</strong> ' +
+                Object.keys(shifts).map(key => `${key} ${shifts[key] > 0 ? '+' : ''}${format(shifts[key])}`).join(', ') + '</div>';
+        }
+        
+        this.elements.signalProcessingInfo.innerHTML = html;
+    }
+    
     ///////////////////////////////////////////////////////////////////////////
-    // DEBUG
+    // MIXED BASES
     ///////////////////////////////////////////////////////////////////////////
     
     /**
-     * Show all tags in console (debug)
+     * Show the mixed bases dialog (secondary peak ratio and IUPAC folding)
      */
-    showAllTags() {
-        if (this.fileData && this.fileData.tags) {
-            console.log('All ABIF Tags:');
-            console.table(this.fileData.tags.map(tag => ({
-                tag: tag,
-                description: ABIFTags.getTagDescription(tag)
-            })));
+    showMixedBasesDialog() {
+        if (!this.fileData || !this.secondaryCalls) {
+            alert('This file has no secondary base calls (P2BA).');
+            return;
         }
+        
+        this.elements.mixedBasesRatio.value = Math.round(this.mixedBaseOptions.threshold * 100);
+        this.elements.mixedBasesFold.checked = this.mixedBaseOptions.fold;
+        this.elements.mixedBasesModal.style.display = 'flex';
+        
+        this.previewMixedBases();
+    }
+    
+    /**
+     * Hide the mixed bases dialog
+     */
+    hideMixedBasesDialog() {
+        this.elements.mixedBasesModal.style.display = 'none';
+    }
+    
+    /**
+     * Count the mixed positions at the ratio set in the dialog
+     */
+    previewMixedBases() {
+        if (!this.fileData || !this.secondaryCalls) return;
+        
+        const percent = parseInt(this.elements.mixedBasesRatio.value, 10);
+        this.elements.mixedBasesRatioValue.textContent = `${percent}%`;
+        
+        const sequence = this.fileData.sequence;
+        const ratios = MixedBases.ratios(sequence, this.secondaryCalls, this.fileData.peakLocations, this.fileData.traces);
+        const count = MixedBases.count(sequence, this.secondaryCalls.bases, ratios, percent / 100);
+        
+        this.elements.mixedBasesInfo.textContent = count === 0
+            ? 'No mixed positions at this ratio'
+            : `${count} mixed position${count === 1 ? '' : 's'} at this ratio`;
+    }
+    
+    /**
+     * Apply the mixed base ratio and folding option
+     */
+    applyMixedBases() {
+        this.mixedBaseOptions = {
+            threshold: parseInt(this.elements.mixedBasesRatio.value, 10) / 100,
+            fold: this.elements.mixedBasesFold.checked
+        };
+        
+        this.updateSequenceDisplay(this.fileData.sequence);
+        this.hideMixedBasesDialog();
     }
     
     ///////////////////////////////////////////////////////////////////////////
-    // KEYBOARD SHORTCUTS
+    // HETEROZYGOUS POSITIONS
     ///////////////////////////////////////////////////////////////////////////
     
     /**
-     * Handle keyboard shortcuts
+     * Show the heterozygous positions dialog (secondary peak thresholds)
      */
-    handleKeydown(e) {
+    showHetDialog() {
+        if (!this.fileData || this.fileData.fragment || !this.fileData.sequence) {
+            alert('Heterozygote detection needs base calls over sequencing traces.');
+            return;
+        }
+        
+        this.elements.hetRatio.value = Math.round(this.hetOptions.minRatio * 100);
+        this.elements.hetSnr.value = this.hetOptions.minSnr;
+        this.elements.hetConfidence.value = Math.round(this.hetOptions.minConfidence * 100);
+        this.elements.hetModal.style.display = 'flex';
+        
+        this.previewHetDetection();
+    }
+    
+    /**
+     * Hide the heterozygous positions dialog
+     */
+    hideHetDialog() {
+        this.elements.hetModal.style.display = 'none';
+    }
+    
+    /**
+     * Read the thresholds set in the dialog
+     * @returns {Object} { minRatio, minSnr, minConfidence }
+     */
+    readHetOptions() {
+        return {
+            minRatio: parseInt(this.elements.hetRatio.value, 10) / 100,
+            minSnr: parseFloat(this.elements.hetSnr.value),
+            minConfidence: parseInt(this.elements.hetConfidence.value, 10) / 100
+        };
+    }
+    
+    /**
+     * Run the detector on the calls shown
+     * @returns {Object} HetDetector.detect() result
+     */
+    detectHets(options) {
+        return HetDetector.detect({
+            sequence: this.fileData.sequence,
+            peakLocations: this.fileData.peakLocations,
+            traces: this.fileData.traces,
+            qualityScores: this.fileData.qualityScores
+        }, options);
+    }
+    
+    /**
+     * Count the candidates at the thresholds set in the dialog
+     */
+    previewHetDetection() {
+        if (!this.fileData) return;
+        
+        const options = this.readHetOptions();
+        this.elements.hetRatioValue.textContent = `${Math.round(options.minRatio * 100)}%`;
+        this.elements.hetSnrValue.textContent = `${options.minSnr.toFixed(1)}×`;
+        this.elements.hetConfidenceValue.textContent = `${Math.round(options.minConfidence * 100)}%`;
+        
+        const { candidates, measured } = this.detectHets(options);
+        this.elements.hetInfo.textContent = candidates.length === 0
+            ? `No candidates among ${measured} positions measured`
+            : `${candidates.length} candidate${candidates.length === 1 ? '' : 's'} among ${measured} positions measured`;
+    }
+    
+    /**
+     * Mark the candidates at the thresholds set in the dialog on the
+     * chromatogram and minimap, and list them in the panel
+     */
+    applyHetDetection() {
+        if (!this.fileData) return;
+        
+        this.hetOptions = this.readHetOptions();
+        this.hetCandidates = this.detectHets(this.hetOptions).candidates;
+        
+        if (this.chromatogram) {
+            this.chromatogram.setHetCandidates(this.hetCandidates);
+        }
+        if (this.minimap) {
+            this.minimap.updateHetPositions(this.hetCandidates.map(c => c.scan));
+        }
+        this.updateHetPanel();
+        this.hideHetDialog();
+    }
+    
+    /**
+     * Remove the candidate markers and hide the panel
+     */
+    clearHetCandidates() {
+        this.hetCandidates = null;
+        
+        if (this.chromatogram) {
+            this.chromatogram.setHetCandidates(null);
+        }
+        if (this.minimap) {
+            this.minimap.updateHetPositions([]);
+        }
+        this.updateHetPanel();
+    }
+    
+    /**
+     * List the candidates in the panel, each row scrolling to its position
+     */
+    updateHetPanel() {
+        const candidates = this.hetCandidates;
+        if (!candidates) {
+            this.elements.hetPanel.style.display = 'none';
+            this.elements.hetDisplay.innerHTML = '';
+            return;
+        }
+        this.elements.hetPanel.style.display = '';
+        
+        if (candidates.length === 0) {
+            this.elements.hetDisplay.innerHTML = '<span class="placeholder">No candidates at these thresholds</span>';
+            return;
+        }
+        
+        const rows = candidates.map((c, index) => {
+            const quality = c.quality === null ? '' : `, QV ${c.quality}`;
+            return `<div class="het-row" data-index="${index}">` +
+                `<span class="het-position">${c.position}</span>` +
+                `<span class="het-code">${c.code} ${c.base}/${c.secondaryBase}</span>` +
+                `${Math.round(c.minorFraction * 100)}% ${c.secondaryBase} ` +
+                `<span class="het-detail">(ratio ${c.ratio.toFixed(2)}, S/N ${c.snr.toFixed(1)}${quality}, ` +
+                `confidence ${Math.round(c.confidence * 100)}%)</span></div>`;
+        }).join('');
+        
+        this.elements.hetDisplay.innerHTML = `
+            <div class="het-summary">
+                ${candidates.length} candidate${candidates.length === 1 ? '' : 's'} (secondary peak
+                &ge; ${Math.round(this.hetOptions.minRatio * 100)}% of the call, S/N &ge; ${this.hetOptions.minSnr.toFixed(1)})
+            </div>
+            ${rows}
+        `;
+        
+        this.elements.hetDisplay.querySelectorAll('.het-row').forEach(row => {
+            row.addEventListener('click', () => this.gotoHetCandidate(parseInt(row.dataset.index, 10)));
+        });
+    }
+    
+    /**
+     * Scroll the chromatogram to a candidate and select its base
+     * @param {number} index - Index in the candidates
+     */
+    gotoHetCandidate(index) {
+        if (!this.hetCandidates || !this.chromatogram) return;
+        
+        const candidate = this.hetCandidates[index];
+        if (!candidate) return;
+        
+        this.chromatogram.scrollToBase(candidate.index);
+        this.chromatogram.setSelection(candidate.index, candidate.index);
+        this.syncMinimap();
+        
+        this.elements.hetDisplay.querySelectorAll('.het-row').forEach(row => {
+            row.classList.toggle('active', parseInt(row.dataset.index, 10) === index);
+        });
+    }
+    
+    ///////////////////////////////////////////////////////////////////////////
+    // HETEROZYGOUS INDELS
+    ///////////////////////////////////////////////////////////////////////////
+    
+    /**
+     * Show the heterozygous indel dialog (optional reference and largest size)
+     */
+    showIndelDialog() {
+        if (!this.fileData || this.fileData.fragment || !this.fileData.sequence) {
+            alert('Indel decomposition needs base calls over sequencing traces.');
+            return;
+        }
+        
+        this.elements.indelReference.value = this.indelOptions.reference;
+        this.elements.indelMaxSize.value = this.indelOptions.maxIndel;
+        this.showIndelResult();
+        this.elements.indelModal.style.display = 'flex';
+    }
+    
+    /**
+     * Hide the heterozygous indel dialog
+     */
+    hideIndelDialog() {
+        this.elements.indelModal.style.display = 'none';
+    }
+    
+    /**
+     * Decode the two alleles after the onset of mixed signal, show them
+     * under the calls and scroll to the onset
+     */
+    decomposeIndel() {
+        if (!this.fileData) return;
+        
+        const maxIndel = parseInt(this.elements.indelMaxSize.value, 10);
+        if (!Number.isFinite(maxIndel) || maxIndel < 1) {
+            this.elements.indelInfo.textContent = 'The largest indel must be at least 1 base';
+            return;
+        }
+        this.indelOptions = { reference: this.elements.indelReference.value, maxIndel };
+        
+        try {
+            this.indelResult = IndelDeconvolver.deconvolve({
+                sequence: this.fileData.sequence,
+                peakLocations: this.fileData.peakLocations,
+                traces: this.fileData.traces
+            }, { reference: this.indelOptions.reference, maxIndel });
+        } catch (error) {
+            this.indelResult = null;
+            this.elements.indelInfo.textContent = error.message;
+            return;
+        }
+        
+        const result = this.indelResult;
+        if (this.chromatogram) {
+            this.chromatogram.setAlleles(result.alleles ? { onset: result.onset, sequences: result.alleles } : null);
+            if (result.onset !== null) {
+                this.chromatogram.scrollToBase(result.onset);
+                this.syncMinimap();
+            }
+        }
+        this.showIndelResult();
+    }
+    
+    /**
+     * Remove the decoded alleles from the chromatogram
+     */
+    clearIndelAlleles() {
+        this.indelResult = null;
+        if (this.chromatogram) {
+            this.chromatogram.setAlleles(null);
+        }
+        this.showIndelResult();
+    }
+    
+    /**
+     * Describe the decomposition in the dialog: the indel, its position and
+     * both alleles from just before the onset
+     */
+    showIndelResult() {
+        const result = this.indelResult;
+        const info = this.elements.indelInfo;
+        
+        if (!result) {
+            info.textContent = 'Not decomposed yet';
+            return;
+        }
+        if (result.onset === null) {
+            info.textContent = 'No stretch of mixed signal found: the trace does not look like a heterozygous indel';
+            return;
+        }
+        
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        if (!result.alleles) {
+            const best = result.consistency === null ? '' : ` (the best size explains ${percent(result.consistency)} of the positions)`;
+            info.textContent = `Mixed signal from position ${result.position}, but no indel of up to ` +
+                `${result.options.maxIndel} bases explains it${best}`;
+            return;
+        }
+        
+        let summary;
+        if (result.type) {
+            summary = `<strong>${result.size}-base ${result.type}</strong> at position ${result.position} ` +
+                `(reference position ${result.referencePosition}): ${result.indelBases}`;
+        } else {
+            summary = `<strong>${result.size}-base indel</strong> at position ${result.position}: allele 1 has ` +
+                `${result.indelBases}, which allele 2 lacks`;
+            summary += this.indelOptions.reference.trim()
+                ? '<br>The reference does not align to the calls before the onset'
+                : '<br>Give a reference to tell a deletion from an insertion';
+        }
+        
+        // Calls before the onset in lower case
+        const start = Math.max(0, result.onset - 10);
+        const end = Math.min(result.alleles[0].length, result.onset + 50);
+        const rows = result.alleles.map((allele, i) =>
+            `Allele ${i + 1}  ${allele.slice(start, result.onset).toLowerCase()}${allele.slice(result.onset, end)}`);
+        
+        info.innerHTML = `${summary}<br>The alleles explain ${percent(result.consistency)} of the positions after the onset` +
+            `<div class="indel-alleles">${rows.join('\n')}</div>`;
+    }
+    
+    ///////////////////////////////////////////////////////////////////////////
+    // ANONYMIZED EXPORT
+    ///////////////////////////////////////////////////////////////////////////
+    
+    /**
+     * Show the anonymize dialog with the identifying tags of the loaded file
+     */
+    showAnonymizeDialog() {
+        if (!this.currentFile || !this.fileData) {
+            alert('No file loaded.');
+            return;
+        }
+        
+        if (this.fileData.format && this.fileData.format !== 'abif') {
+            alert('Anonymized export requires an ABIF (.ab1 or .fsa) source file.');
+            return;
+        }
+        
+        // Tags missing from the file stay listed, unchecked and disabled
+        const present = new Set((this.fileData.tags || []).map(key => key.replace(/_\d+$/, '')));
+        this.elements.anonymizeTags.innerHTML = '';
+        
+        for (const tag of ABIFAnonymizer.defaultTags()) {
+            const found = tag.number
+                ? (this.fileData.tags || []).includes(tag.key)
+                : present.has(tag.name);
+            
+            const label = document.createElement('label');
+            if (!found) label.className = 'anonymize-tag-missing';
+            
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = tag.key;
+            checkbox.checked = found && tag.selected;
+            checkbox.disabled = !found;
+            
+            const name = document.createElement('span');
+            name.className = 'tag';
+            name.textContent = tag.key;
+            
+            label.append(checkbox, name, ` ${tag.label}${found ? '' : ' (not in file)'}`);
+            this.elements.anonymizeTags.appendChild(label);
+        }
+        
+        this.anonymizeReportText = null;
+        this.elements.anonymizeReport.style.display = 'none';
+        this.elements.anonymizeSaveReport.style.display = 'none';
+        this.elements.anonymizeCancel.textContent = 'Cancel';
+        this.elements.anonymizeModal.style.display = 'flex';
+    }
+    
+    /**
+     * Hide the anonymize dialog
+     */
+    hideAnonymizeDialog() {
+        this.elements.anonymizeModal.style.display = 'none';
+    }
+    
+    /**
+     * Ask the main process to write the anonymized copy of the source file
+     */
+    exportAnonymized() {
+        const tags = Array.from(this.elements.anonymizeTags.querySelectorAll('input:checked'), input => input.value);
+        if (tags.length === 0) {
+            alert('Select at least one tag to remove.');
+            return;
+        }
+        
+        window.api.send('toMain', {
+            command: 'abif_export_anonymized',
+            sessionId: this.sessionId,
+            filePath: this.currentFile,
+            options: {
+                tags: tags,
+                pattern: this.elements.anonymizeModeReplace.checked ? this.elements.anonymizePattern.value : ''
+            }
+        });
+    }
+    
+    /**
+     * Show what the anonymized export removed
+     * @param {Object} data - abif_export_anonymized reply
+     */
+    showAnonymizeReport(data) {
+        const entries = data.report.entries;
+        const removed = entries.filter(entry => entry.action !== 'skipped').length;
+        
+        this.anonymizeReportText = data.reportText;
+        this.elements.anonymizeSummary.textContent =
+            `Saved ${data.filePath} (${removed} tag${removed === 1 ? '' : 's'} removed).`;
+        this.elements.anonymizeReportRows.innerHTML = '';
+        
+        for (const entry of entries) {
+            const row = document.createElement('tr');
+            const cells = [
+                { text: entry.tag, className: 'tag' },
+                { text: entry.label, className: '' },
+                { text: entry.action === 'skipped' ? '—' : entry.original || '(empty)', className: '' },
+                { text: entry.action === 'replaced' ? `replaced with "${entry.replacement}"` : entry.action, className: '' }
+            ];
+            
+            for (const cell of cells) {
+                const td = document.createElement('td');
+                td.textContent = cell.text;
+                if (cell.className) td.className = cell.className;
+                row.appendChild(td);
+            }
+            
+            this.elements.anonymizeReportRows.appendChild(row);
+        }
+        
+        this.elements.anonymizeReport.style.display = 'block';
+        this.elements.anonymizeSaveReport.style.display = '';
+        this.elements.anonymizeCancel.textContent = 'Close';
+    }
+    
+    /**
+     * Save the anonymization report as text
+     * The report holds the removed values, so it is saved separately from the copy.
+     */
+    saveAnonymizeReport() {
+        if (!this.anonymizeReportText) return;
+        
+        const baseName = (this.fileData.fileName || 'file').replace(/\.[^/.]+$/, '');
+        window.api.send('toMain', {
+            command: 'show_save_dialog',
+            title: 'Save Anonymization Report',
+            defaultPath: `${baseName}_anonymization_report.txt`,
+            filters: [
+                { name: 'Text Files', extensions: ['txt'] },
+                { name: 'All Files', extensions: ['*'] }
+            ],
+            content: this.anonymizeReportText
+        });
+    }
+    
+    ///////////////////////////////////////////////////////////////////////////
+    // FILE DIFF
+    ///////////////////////////////////////////////////////////////////////////
+    
+    /**
+     * Compare two AB1 files: the loaded one with a file picked by the user,
+     * or two picked files when no AB1 file is loaded
+     */
+    compareFiles() {
+        const current = this.currentFile && this.fileData && this.fileData.format === 'abif';
+        
+        window.api.send('toMain', {
+            command: 'abif_diff_files',
+            sessionId: current ? this.sessionId : null,
+            filePath: current ? this.currentFile : null
+        });
+    }
+    
+    /**
+     * Show the comparison of two files
+     * @param {Object} data - abif_diff_files reply
+     */
+    showFileDiff(data) {
+        const { added, removed, changed, unchanged } = data.diff.counts;
+        
+        this.fileDiff = data;
+        this.elements.diffTitle.textContent = `Compare ${data.fileNameA} and ${data.fileNameB}`;
+        this.elements.diffFileA.textContent = data.filePathA;
+        this.elements.diffFileB.textContent = data.filePathB;
+        this.elements.diffSummary.textContent =
+            `${changed} changed, ${added} added, ${removed} removed, ${unchanged} unchanged tags`;
+        
+        const sequence = data.diff.sequence;
+        if (!sequence) {
+            this.elements.diffSequenceSummary.textContent = '— neither file has base calls';
+            this.elements.diffAlignment.textContent = '';
+        } else if (sequence.error) {
+            this.elements.diffSequenceSummary.textContent = `— ${sequence.error}`;
+            this.elements.diffAlignment.textContent = '';
+        } else {
+            const { substitution, insertion, deletion } = sequence.counts;
+            this.elements.diffSequenceSummary.textContent =
+                `— ${sequence.lengthA} and ${sequence.lengthB} bases, ${(sequence.identity * 100).toFixed(1)}% identical ` +
+                `(${substitution} substituted, ${insertion} only in B, ${deletion} only in A)`;
+            this.elements.diffAlignment.textContent = ABIFDiff.formatAlignment(sequence).join('\n');
+        }
+        
+        this.renderDiffTags();
+        this.elements.diffModal.style.display = 'flex';
+    }
+    
+    /**
+     * Fill the tag table of the comparison (unchanged tags only when asked for)
+     */
+    renderDiffTags() {
+        if (!this.fileDiff) return;
+        
+        const showUnchanged = this.elements.diffShowUnchanged.checked;
+        this.elements.diffTags.innerHTML = '';
+        
+        for (const tag of this.fileDiff.diff.tags) {
+            if (tag.status === 'unchanged' && !showUnchanged) continue;
+            
+            const row = document.createElement('tr');
+            const type = tag.typeA && tag.typeB && tag.typeA !== tag.typeB
+                ? `${tag.typeA} → ${tag.typeB}`
+                : tag.typeA || tag.typeB;
+            const cells = [
+                { text: tag.status, className: `diff-status-${tag.status}` },
+                { text: tag.key, className: 'tag' },
+                { text: type, className: '' },
+                { text: tag.status === 'unchanged' ? '' : ABIFDiff.describe(tag), className: '' }
+            ];
+            
+            for (const cell of cells) {
+                const td = document.createElement('td');
+                td.textContent = cell.text;
+                if (cell.className) td.className = cell.className;
+                row.appendChild(td);
+            }
+            
+            this.elements.diffTags.appendChild(row);
+        }
+    }
+    
+    /**
+     * Hide the comparison
+     */
+    hideFileDiff() {
+        this.elements.diffModal.style.display = 'none';
+    }
+    
+    /**
+     * Save the comparison as a text report
+     */
+    saveDiffReport() {
+        if (!this.fileDiff) return;
+        
+        const nameA = this.fileDiff.fileNameA.replace(/\.[^/.]+$/, '');
+        const nameB = this.fileDiff.fileNameB.replace(/\.[^/.]+$/, '');
+        window.api.send('toMain', {
+            command: 'show_save_dialog',
+            title: 'Save Comparison Report',
+            defaultPath: `${nameA}_vs_${nameB}.txt`,
+            filters: [
+                { name: 'Text Files', extensions: ['txt'] },
+                { name: 'All Files', extensions: ['*'] }
+            ],
+            content: this.fileDiff.reportText
+        });
+    }
+    
+    /**
+     * Update UI to reflect edit history state (enable/disable undo/redo)
+     */
+    updateEditHistoryUI() {
+        if (!this.editHistory) return;
+        
+        // Update menu items via IPC
+        // Enable undo if there are commands to undo
+        window.api.send('toMain', {
+            command: 'update_menu_item',
+            id: 'edit_undo',
+            enabled: this.editHistory.canUndo()
+        });
+        
+        // Enable redo if there are commands to redo
+        window.api.send('toMain', {
+            command: 'update_menu_item',
+            id: 'edit_redo',
+            enabled: this.editHistory.canRedo()
+        });
+    }
+    
+    ///////////////////////////////////////////////////////////////////////////
+    // VALIDATION REPORT
+    ///////////////////////////////////////////////////////////////////////////
+    
+    /**
+     * Show the validation report for a damaged or invalid file
+     * @param {Object} report - ABIFValidator report (without entries)
+     * @param {string} title - Dialog title
+     * @param {string} message - Explanation shown above the issue list
+     */
+    showValidationReport(report, title, message) {
+        const counts = ABIFValidator.summarize(report);
+        
+        this.elements.validationTitle.textContent = title;
+        this.elements.validationSummary.textContent = `${message} (${counts})`;
+        this.elements.validationIssues.innerHTML = '';
+        
+        // Errors first, then warnings, each in file order
+        const issues = report.issues.slice().sort((a, b) => {
+            if (a.severity !== b.severity) return a.severity === 'error' ? -1 : 1;
+            const offsetA = a.offset !== null ? a.offset : Infinity;
+            const offsetB = b.offset !== null ? b.offset : Infinity;
+            return offsetA - offsetB;
+        });
+        
+        for (const issue of issues) {
+            const row = document.createElement('tr');
+            const cells = [
+                { text: issue.severity, className: `validation-severity-${issue.severity}` },
+                { text: issue.tag || '—', className: 'tag' },
+                { text: issue.offset !== null ? `0x${issue.offset.toString(16).toUpperCase()}` : '—', className: 'offset' },
+                { text: issue.message, className: '' }
+            ];
+            
+            for (const cell of cells) {
+                const td = document.createElement('td');
+                td.textContent = cell.text;
+                if (cell.className) td.className = cell.className;
+                row.appendChild(td);
+            }
+            
+            this.elements.validationIssues.appendChild(row);
+        }
+        
+        console.warn(title, report.issues);
+        this.elements.validationModal.style.display = 'flex';
+    }
+    
+    /**
+     * Hide the validation report
+     */
+    hideValidationReport() {
+        this.elements.validationModal.style.display = 'none';
+    }
+    
+    ///////////////////////////////////////////////////////////////////////////
+    // TAG INSPECTOR
+    ///////////////////////////////////////////////////////////////////////////
+    
+    /**
+     * Open the tag inspector for the loaded file
+     * The directory listing comes from the file's session in the main process.
+     */
+    showTagInspector() {
+        if (!this.fileData) {
+            alert('No file loaded.');
+            return;
+        }
+        
+        this.elements.tagInspectorTitle.textContent = 'Tag Inspector';
+        this.elements.tagInspectorTable.innerHTML = '<span class="placeholder">Reading tags...</span>';
+        this.elements.tagDetail.style.display = 'none';
+        this.elements.tagInspectorModal.style.display = 'flex';
+        
+        window.api.send('toMain', {
+            command: 'abif_list_tags',
+            sessionId: this.sessionId,
+            filePath: this.currentFile
+        });
+    }
+    
+    /**
+     * Hide the tag inspector
+     */
+    hideTagInspector() {
+        this.elements.tagInspectorModal.style.display = 'none';
+        this.tagSummaries = null;
+        this.tagDetail = null;
+    }
+    
+    /**
+     * Check whether the tag inspector is open
+     * @returns {boolean} True if visible
+     */
+    isTagInspectorOpen() {
+        return this.elements.tagInspectorModal.style.display !== 'none';
+    }
+    
+    /**
+     * Fill the inspector table from an abif_list_tags response
+     * @param {Object} data - Response with fileName and tags (ABIFParser.getTagSummaries())
+     */
+    renderTagInspector(data) {
+        if (!this.isTagInspectorOpen()) return;
+        
+        this.tagSummaries = new Map(data.tags.map(tag => [tag.key, tag]));
+        this.elements.tagInspectorTitle.textContent = `Tag Inspector — ${data.fileName} (${data.tags.length} tags)`;
+        this.elements.tagInspectorTable.innerHTML = '';
+        
+        if (data.tags.length === 0) {
+            this.elements.tagInspectorTable.innerHTML = '<span class="placeholder">The file has no readable tags</span>';
+            return;
+        }
+        
+        // The first field is hidden by create_table() and returned in the table_row event
+        const rows = data.tags.map(tag => {
+            const info = ABIFTags.getTagInfo(tag.key);
+            return {
+                key: tag.key,
+                name: tag.name,
+                number: tag.number,
+                type: tag.typeName,
+                elements: tag.numelements,
+                size: tag.datasize,
+                offset: tag.dataoffset,
+                category: info ? (ABIFTags.ABIF_TAG_CATEGORIES[info.category] || info.category) : '',
+                importance: info ? info.importance : 'unknown',
+                value: tag.preview
+            };
+        });
+        
+        const escape = (text) => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        
+        const table = create_table(rows, {
+            enable_search: true,
+            columns: {
+                name: {
+                    formatter: (value, row) => `<span class="tag-inspector-key" title="${escape(ABIFTags.getTagDescription(row.key))}">${escape(value)}</span>`
+                },
+                number: { align: 'right' },
+                elements: { align: 'right' },
+                size: { align: 'right' },
+                offset: {
+                    align: 'right',
+                    formatter: (value) => value === null ? 'inline' : `0x${value.toString(16).toUpperCase()}`
+                },
+                importance: {
+                    formatter: (value) => `<span class="tag-importance-${escape(value)}">${escape(value)}</span>`
+                },
+                value: {
+                    formatter: (value) => `<span class="tag-inspector-preview" title="${escape(value)}">${escape(value)}</span>`
+                }
+            },
+            empty_message: 'No tags'
+        });
+        
+        this.elements.tagInspectorTable.appendChild(table.element);
+    }
+    
+    /**
+     * Handle a click on an inspector row
+     * @param {CustomEvent} e - table_row event from table.js
+     */
+    onTagRowClick(e) {
+        const row = e.target.closest('tr');
+        const previous = this.elements.tagInspectorTable.querySelector('.tag-row-selected');
+        if (previous) previous.classList.remove('tag-row-selected');
+        if (row) row.classList.add('tag-row-selected');
+        
+        this.showTagDetail(e.detail.text);
+    }
+    
+    /**
+     * Request the full value of a tag
+     * @param {string} key - Tag key (e.g. "DATA_9")
+     */
+    showTagDetail(key) {
+        const summary = this.tagSummaries ? this.tagSummaries.get(key) : null;
+        if (!summary) return;
+        
+        this.tagDetail = null;
+        this.elements.tagDetailTitle.textContent = `${summary.key} (${summary.typeName} × ${summary.numelements})`;
+        this.elements.tagDetailDescription.textContent = ABIFTags.getTagDescription(summary.key);
+        this.elements.tagDetailText.textContent = 'Loading...';
+        this.elements.tagDetailPlot.style.display = 'none';
+        this.elements.tagDetail.style.display = 'flex';
+        
+        window.api.send('toMain', {
+            command: 'abif_get_tag',
+            sessionId: this.sessionId,
+            filePath: this.currentFile,
+            tagName: summary.name,
+            tagNumber: summary.number
+        });
+    }
+    
+    /**
+     * Show a tag's full value from an abif_get_tag response
+     * Numeric arrays are plotted; every value is also shown as text.
+     * @param {Object} data - Response with tagName, tagNumber and data
+     */
+    renderTagDetail(data) {
+        if (!this.tagSummaries) return;
+        
+        const summary = this.tagSummaries.get(ABIFParser.getTagKey(data.tagName, data.tagNumber));
+        if (!summary) return;
+        
+        const text = ABIFTypes.formatValue(data.data, summary.elementtype);
+        this.tagDetail = { summary, value: data.data, text };
+        
+        const plottable = ArrayBuffer.isView(data.data) &&
+            summary.elementtype !== ABIFTypes.ABIF_TYPE_CODES.CHAR &&
+            data.data.length > 1;
+        
+        if (plottable) {
+            this.elements.tagDetailPlot.style.display = 'block';
+            this.drawTagPlot(data.data);
+        } else {
+            this.elements.tagDetailPlot.style.display = 'none';
+        }
+        
+        this.elements.tagDetailText.textContent = text || '(empty)';
+    }
+    
+    /**
+     * Draw a numeric array as a line plot
+     * Long arrays are reduced to one min/max pair per pixel column.
+     * @param {TypedArray} values - Values to plot
+     */
+    drawTagPlot(values) {
+        const canvas = this.elements.tagDetailPlot;
+        const dpr = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        const padding = 6;
+        
+        canvas.width = width * dpr;
+        canvas.height = height * dpr;
+        
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < values.length; i++) {
+            if (values[i] < min) min = values[i];
+            if (values[i] > max) max = values[i];
+        }
+        const range = (max - min) || 1;
+        
+        const plotWidth = width - (padding * 2);
+        const plotHeight = height - (padding * 2);
+        const y = (value) => padding + plotHeight - (((value - min) / range) * plotHeight);
+        
+        // Zero line
+        if (min < 0 && max > 0) {
+            ctx.strokeStyle = '#ddd';
+            ctx.beginPath();
+            ctx.moveTo(padding, y(0));
+            ctx.lineTo(width - padding, y(0));
+            ctx.stroke();
+        }
+        
+        const columns = Math.max(2, Math.min(values.length, Math.floor(plotWidth)));
+        
+        ctx.strokeStyle = '#3377bb';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let c = 0; c < columns; c++) {
+            const start = Math.floor((c * values.length) / columns);
+            const end = Math.max(start + 1, Math.floor(((c + 1) * values.length) / columns));
+            
+            let low = values[start];
+            let high = values[start];
+            for (let i = start + 1; i < end; i++) {
+                if (values[i] < low) low = values[i];
+                if (values[i] > high) high = values[i];
+            }
+            
+            const x = padding + ((c / (columns - 1)) * plotWidth);
+            if (c === 0) {
+                ctx.moveTo(x, y(high));
+            } else {
+                ctx.lineTo(x, y(high));
+            }
+            if (low !== high) ctx.lineTo(x, y(low));
+        }
+        ctx.stroke();
+        
+        // Range labels
+        ctx.fillStyle = '#888';
+        ctx.font = '10px sans-serif';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`max ${max}`, padding + 2, padding);
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(`min ${min}`, padding + 2, height - padding);
+    }
+    
+    /**
+     * Copy the value shown in the detail view
+     */
+    copyTagValue() {
+        if (!this.tagDetail) return;
+        
+        const key = this.tagDetail.summary.key;
+        navigator.clipboard.writeText(this.tagDetail.text).then(() => {
+            console.log(`${key} copied to clipboard`);
+        }).catch(err => {
+            console.error('Failed to copy tag value:', err);
+        });
+    }
+    
+    /**
+     * Export the value shown in the detail view
+     * Numeric arrays are written as CSV (index, value); everything else as text.
+     */
+    exportTagValue() {
+        if (!this.tagDetail) return;
+        
+        const { summary, value, text } = this.tagDetail;
+        const numeric = ArrayBuffer.isView(value) && summary.elementtype !== ABIFTypes.ABIF_TYPE_CODES.CHAR;
+        
+        let baseName = 'tag';
+        if (this.fileData && this.fileData.fileName) {
+            baseName = this.fileData.fileName.replace(/\.[^/.]+$/, '');
+        }
+        
+        let content = text;
+        if (numeric) {
+            const lines = [`index,${summary.key}`];
+            for (let i = 0; i < value.length; i++) {
+                lines.push(`${i},${value[i]}`);
+            }
+            content = lines.join('\n') + '\n';
+        }
+        
+        window.api.send('toMain', {
+            command: 'show_save_dialog',
+            title: `Export ${summary.key}`,
+            defaultPath: `${baseName}_${summary.key}.${numeric ? 'csv' : 'txt'}`,
+            filters: numeric
+                ? [{ name: 'CSV Files', extensions: ['csv'] }, { name: 'All Files', extensions: ['*'] }]
+                : [{ name: 'Text Files', extensions: ['txt'] }, { name: 'All Files', extensions: ['*'] }],
+            content: content
+        });
+    }
+    
+    ///////////////////////////////////////////////////////////////////////////
+    // HEX VIEW
+    ///////////////////////////////////////////////////////////////////////////
+    
+    /**
+     * Open the hex view for the loaded file
+     * @param {string} [selectKey] - Tag whose bytes to select once loaded
+     */
+    showHexView(selectKey) {
+        if (!this.fileData) {
+            alert('No file loaded.');
+            return;
+        }
+        
+        this.hideTagInspector();
+        
+        if (!this.hexViewer) {
+            this.hexViewer = new HexViewer(this.elements.hexViewContainer);
+        }
+        
+        this.elements.hexViewTitle.textContent = 'Hex View';
+        this.elements.hexViewModal.style.display = 'flex';
+        
+        window.api.send('toMain', {
+            command: 'abif_get_layout',
+            sessionId: this.sessionId,
+            filePath: this.currentFile,
+            select: selectKey || null
+        });
+    }
+    
+    /**
+     * Load an abif_get_layout response into the hex view
+     * @param {Object} data - Response with fileName, bytes, layout and select
+     */
+    renderHexView(data) {
+        if (!this.isHexViewOpen()) return;
+        
+        this.elements.hexViewTitle.textContent = `Hex View — ${data.fileName} (${data.bytes.length} bytes)`;
+        this.hexViewer.load(data.bytes, data.layout);
+        
+        if (data.select) {
+            this.hexViewer.selectTag(data.select);
+        }
+    }
+    
+    /**
+     * Hide the hex view
+     */
+    hideHexView() {
+        this.elements.hexViewModal.style.display = 'none';
+    }
+    
+    /**
+     * Check whether the hex view is open
+     * @returns {boolean} True if visible
+     */
+    isHexViewOpen() {
+        return this.elements.hexViewModal.style.display !== 'none';
+    }
+    
+    ///////////////////////////////////////////////////////////////////////////
+    // KEYBOARD SHORTCUTS
+    ///////////////////////////////////////////////////////////////////////////
+    
+    /**
+     * Handle keyboard shortcuts
+     */
+    handleKeydown(e) {
+        // Tag inspector / hex view: Escape closes them, other shortcuts don't apply behind them
+        if (this.isHexViewOpen()) {
+            if (e.key === 'Escape') this.hideHexView();
+            return;
+        }
+        if (this.isTagInspectorOpen()) {
+            if (e.key === 'Escape') this.hideTagInspector();
+            return;
+        }
+        
         // Don't intercept if typing in input
         if (document.activeElement === this.elements.searchInput || 
             document.activeElement === this.elements.gotoInput) {
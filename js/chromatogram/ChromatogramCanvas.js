@@ -14,6 +14,11 @@ const NUCLEOTIDE_COLORS = {
     'N': '#808080'   // Gray
 };
 
+/**
+ * Tick spacings (bp) for the size axis of fragment analysis files
+ */
+const SIZE_AXIS_STEPS = [1, 2, 5, 10, 20, 25, 50, 100, 200, 500];
+
 /**
  * Default configuration for chromatogram display
  */
@@ -36,6 +41,13 @@ const DEFAULT_CONFIG = {
     selectionColor: 'rgba(100, 150, 255, 0.3)',
     searchHighlightColor: 'rgba(255, 200, 0, 0.5)',
     currentMatchColor: 'rgba(255, 100, 0, 0.6)',
+    mixedBaseColor: '#CC6600',  // IUPAC ambiguity codes
+    hetMarkerColor: '#CC6600',  // Candidate heterozygous positions
+    differenceColors: {        // Basecaller edits (compare view)
+        substitution: 'rgba(220, 0, 140, 0.22)',
+        insertion: 'rgba(0, 150, 255, 0.22)',
+        deletion: 'rgba(255, 140, 0, 0.3)'
+    },
     
     // Base call display
     baseFontSize: 14,
@@ -49,6 +61,7 @@ const DEFAULT_CONFIG = {
 /**
  * ChromatogramCanvas - Main visualization class
  * Renders Sanger sequencing chromatogram traces with base calls
+ * Uses TraceArrays from window (set by TraceArrays.js)
  */
 class ChromatogramCanvas {
     
@@ -72,11 +85,13 @@ class ChromatogramCanvas {
         this.peakLocations = [];
         this.qualityScores = [];
         this.channelOrder = ['G', 'A', 'T', 'C'];
+        this.channels = null;         // Channel model (dyes, bases and colors, see ABIFChannels)
+        this.sizing = null;           // bp sizing (fragment analysis files)
         
         // View state
         this.scrollX = 0;
         this.xScale = this.config.xScale;
-        this.viewMode = 'processed';  // 'processed', 'raw', 'quality'
+        this.viewMode = 'processed';  // 'processed', 'raw', 'reprocessed', 'quality', 'compare'
         
         // Selection state
         this.selection = { start: -1, end: -1 };
@@ -94,6 +109,21 @@ class ChromatogramCanvas {
         // Modification tracking
         this.modifications = new Set(); // Set of modified base indices
         
+        // Basecaller comparison (compare view): original calls placed on the trace
+        this.comparison = null;       // { differences, marks: [{ scan, base, type }] }
+        
+        // Secondary calls (P2BA): { bases, ratios, codes, fold }, see setSecondaryCalls()
+        this.secondary = null;
+        
+        // Traces processed from the raw data by SignalProcessor (reprocessed view)
+        this.reprocessedTraces = null;
+        
+        // Candidate heterozygous positions: [{ index, code, confidence }], see setHetCandidates()
+        this.hetMarks = [];
+        
+        // Decoded heterozygous indel alleles: { onset, sequences: [allele 1, allele 2] }, see setAlleles()
+        this.alleles = null;
+        
         // Computed values
         this.traceMax = 0;
         this.yScale = 1;
@@ -153,8 +183,9 @@ class ChromatogramCanvas {
     _updateCanvasSize() {
         const containerWidth = this.container.clientWidth;
         
-        if (this.traces && this.traces.G) {
-            this.totalWidth = Math.ceil(this.traces.G.length * this.xScale);
+        const traceLength = TraceArrays.maxLength(this.traces, this.channelOrder);
+        if (traceLength > 0) {
+            this.totalWidth = Math.ceil(traceLength * this.xScale);
         } else {
             this.totalWidth = containerWidth;
         }
@@ -212,15 +243,19 @@ class ChromatogramCanvas {
     
     /**
      * Load chromatogram data
+     * Traces are expected as typed arrays (as returned by the parsers);
+     * plain arrays are converted once here.
      * @param {Object} data - Parsed ABIF data object
      */
     loadData(data) {
         this.data = data;
-        this.traces = data.traces;
+        this.traces = TraceArrays.toTypedTraces(data.traces);
         this.sequence = data.sequence || '';
         this.peakLocations = data.peakLocations || [];
         this.qualityScores = data.qualityScores || [];
         this.channelOrder = data.channelOrder || ['G', 'A', 'T', 'C'];
+        this.channels = data.channels || null;
+        this.sizing = data.sizing || null;
         
         // Calculate trace maximum for scaling
         this._calculateTraceMax();
@@ -237,6 +272,10 @@ class ChromatogramCanvas {
         
         // Clear modifications when loading new data
         this.modifications.clear();
+        this.comparison = null;
+        this.secondary = null;
+        this.hetMarks = [];
+        this.alleles = null;
         
         // Render
         this.render();
@@ -247,12 +286,24 @@ class ChromatogramCanvas {
      * @param {Object} rawTraces - Raw trace data object
      */
     loadRawTraces(rawTraces) {
-        this.rawTraces = rawTraces;
+        this.rawTraces = TraceArrays.toTypedTraces(rawTraces);
         if (this.viewMode === 'raw') {
             this.render();
         }
     }
     
+    /**
+     * Load traces processed from the raw data (reprocessed view)
+     * @param {Object|null} traces - Trace data object, or null to drop them
+     */
+    loadReprocessedTraces(traces) {
+        this.reprocessedTraces = traces ? TraceArrays.toTypedTraces(traces) : null;
+        if (this.viewMode === 'reprocessed') {
+            this._calculateTraceMax();
+            this.render();
+        }
+    }
+    
     /**
      * Calculate the maximum trace value for Y-axis scaling
      * @private
@@ -260,19 +311,17 @@ class ChromatogramCanvas {
     _calculateTraceMax() {
         this.traceMax = 0;
         
-        const tracesToCheck = this.viewMode === 'raw' ? this.rawTraces : this.traces;
+        const tracesToCheck = this.viewMode === 'raw' ? this.rawTraces
+            : this.viewMode === 'reprocessed' ? this.reprocessedTraces : this.traces;
         
         if (!tracesToCheck) return;
         
-        for (const nucleotide of this.channelOrder) {
-            const trace = tracesToCheck[nucleotide];
-            if (trace) {
-                for (const value of trace) {
-                    if (value > this.traceMax) {
-                        this.traceMax = value;
-                    }
-                }
-            }
+        if (this.sizing) {
+            // Scale to the sized range so the primer peak does not flatten the fragments
+            this.traceMax = this._maxInScanRange(tracesToCheck, this.sizing.firstScan, this.sizing.lastScan);
+        } else {
+            // Maxima are cached per trace array, so switching views does not rescan
+            this.traceMax = TraceArrays.maxValue(tracesToCheck, this.channelOrder);
         }
         
         // Calculate Y scale to fit traces in trace area
@@ -280,6 +329,24 @@ class ChromatogramCanvas {
         this.yScale = traceAreaHeight / (this.traceMax || 1);
     }
     
+    /**
+     * Maximum trace value between two scans, across channels
+     * @private
+     */
+    _maxInScanRange(traces, startScan, endScan) {
+        let max = 0;
+        for (const channel of this.channelOrder) {
+            const trace = traces[channel];
+            if (!trace) continue;
+            
+            const end = Math.min(trace.length - 1, Math.floor(endScan));
+            for (let i = Math.max(0, Math.ceil(startScan)); i <= end; i++) {
+                if (trace[i] > max) max = trace[i];
+            }
+        }
+        return max;
+    }
+    
     ///////////////////////////////////////////////////////////////////////////
     // RENDERING
     ///////////////////////////////////////////////////////////////////////////
@@ -329,14 +396,42 @@ class ChromatogramCanvas {
                 this._renderBaseline();
                 break;
                 
+            case 'reprocessed':
+                this._renderTraces(this.reprocessedTraces);
+                this._renderBaseline();
+                this._renderBaseCalls();
+                break;
+                
+            case 'compare':
+                this._renderDifferenceBands();
+                this._renderTraces(this.traces);
+                this._renderBaseline();
+                this._renderBaseCalls();
+                this._renderOriginalCalls();
+                break;
+                
             case 'processed':
             default:
                 this._renderTraces(this.traces);
                 this._renderBaseline();
-                this._renderBaseCalls();
+                if (this.sizing) {
+                    this._renderSizeAxis();
+                } else {
+                    this._renderBaseCalls();
+                }
                 break;
         }
         
+        // Candidate heterozygous positions, over the calls
+        if (this.hetMarks.length > 0 && this.viewMode !== 'raw' && !this.sizing) {
+            this._renderHetMarkers();
+        }
+        
+        // Decoded indel alleles, under the calls
+        if (this.alleles && this.viewMode !== 'raw' && !this.sizing) {
+            this._renderAlleles();
+        }
+        
         // Render hover highlight (on top)
         if (this.hoveredBase >= 0 && !this.isDragging) {
             this._renderHoveredBase();
@@ -395,7 +490,7 @@ class ChromatogramCanvas {
             const trace = traces[nucleotide];
             if (!trace || trace.length === 0) continue;
             
-            const color = NUCLEOTIDE_COLORS[nucleotide] || '#000000';
+            const color = this._channelColor(nucleotide);
             
             ctx.strokeStyle = color;
             ctx.lineWidth = this.config.traceLineWidth;
@@ -422,6 +517,74 @@ class ChromatogramCanvas {
         }
     }
     
+    /**
+     * Trace color of a channel, from the channel model when there is one
+     * @param {string} channel - Channel key (nucleotide or dye color)
+     * @returns {string} CSS color
+     * @private
+     */
+    _channelColor(channel) {
+        const entry = this.channels && this.channels.channels.find(c => c.key === channel);
+        if (entry) {
+            return entry.color;
+        }
+        return NUCLEOTIDE_COLORS[channel] || '#000000';
+    }
+    
+    /**
+     * Render the base-pair axis below the traces (fragment analysis files)
+     * Ticks follow the sizing curve; the size standard's fragments are
+     * marked with their lengths.
+     * @private
+     */
+    _renderSizeAxis() {
+        const ctx = this.ctx;
+        const sizes = this.sizing.sizes;
+        const axisY = this.config.traceAreaHeight;
+        
+        // Tick spacing that keeps labels at least 60px apart
+        const sizedWidth = (this.sizing.lastScan - this.sizing.firstScan) * this.xScale;
+        const bpPerPixel = (this.sizing.maxSize - this.sizing.minSize) / (sizedWidth || 1);
+        const step = SIZE_AXIS_STEPS.find(s => s / bpPerPixel >= 60) || SIZE_AXIS_STEPS[SIZE_AXIS_STEPS.length - 1];
+        
+        ctx.strokeStyle = '#888888';
+        ctx.fillStyle = '#555555';
+        ctx.lineWidth = 1;
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.beginPath();
+        
+        let next = Math.max(0, Math.ceil(sizes[0] / step) * step);
+        for (let scan = 1; scan < sizes.length; scan++) {
+            if (sizes[scan] <= sizes[scan - 1]) continue;
+            
+            while (sizes[scan] >= next) {
+                const fraction = (next - sizes[scan - 1]) / (sizes[scan] - sizes[scan - 1]);
+                const x = (scan - 1 + fraction) * this.xScale;
+                ctx.moveTo(x, axisY);
+                ctx.lineTo(x, axisY + 6);
+                ctx.fillText(`${next}`, x, axisY + 8);
+                next += step;
+            }
+        }
+        ctx.stroke();
+        
+        // Size standard fragments
+        ctx.fillStyle = this._channelColor(this.sizing.channel);
+        ctx.font = '9px sans-serif';
+        for (const fragment of this.sizing.ladder) {
+            const x = fragment.scan * this.xScale;
+            ctx.beginPath();
+            ctx.moveTo(x, axisY + 22);
+            ctx.lineTo(x - 4, axisY + 29);
+            ctx.lineTo(x + 4, axisY + 29);
+            ctx.closePath();
+            ctx.fill();
+            ctx.fillText(`${fragment.size}`, x, axisY + 31);
+        }
+    }
+    
     /**
      * Render base call letters below the traces
      * @private
@@ -436,14 +599,18 @@ class ChromatogramCanvas {
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
         
+        // Position numbers move down to make room for the secondary calls
+        const numberY = baseY + (this.secondary ? 28 : 18);
+        
         for (let i = 0; i < this.sequence.length; i++) {
-            const base = this.sequence[i];
+            const base = this._displayBase(i);
             const peakX = this.peakLocations[i];
             
             if (peakX === undefined) continue;
             
             const x = peakX * this.xScale;
-            const color = NUCLEOTIDE_COLORS[base] || NUCLEOTIDE_COLORS['N'];
+            const color = NUCLEOTIDE_COLORS[base.toUpperCase()] ||
+                (base !== this.sequence[i] ? this.config.mixedBaseColor : NUCLEOTIDE_COLORS['N']);
             
             // Draw modification indicator (behind base letter)
             if (this.modifications.has(i)) {
@@ -457,16 +624,206 @@ class ChromatogramCanvas {
             ctx.fillStyle = color;
             ctx.fillText(base, x, baseY);
             
+            // Draw secondary call (colored when it passes the mixed base ratio)
+            if (this.secondary) {
+                this._renderSecondaryCall(i, x, baseY + 15);
+            }
+            
             // Draw position number every 10 bases
             if ((i + 1) % 10 === 0) {
                 ctx.fillStyle = '#888888';
                 ctx.font = '10px sans-serif';
-                ctx.fillText((i + 1).toString(), x, baseY + 18);
+                ctx.fillText((i + 1).toString(), x, numberY);
                 ctx.font = this.config.baseFont;
             }
         }
     }
     
+    /**
+     * Render the secondary call of a base under its primary call
+     * @private
+     */
+    _renderSecondaryCall(index, x, y) {
+        const secondaryBase = this.secondary.bases[index];
+        if (!secondaryBase || !/^[ACGT]$/i.test(secondaryBase) ||
+            secondaryBase.toUpperCase() === this.sequence[index].toUpperCase()) {
+            return;
+        }
+        
+        const ctx = this.ctx;
+        ctx.font = 'bold 10px "Consolas", "Monaco", monospace';
+        ctx.fillStyle = this.secondary.codes[index]
+            ? NUCLEOTIDE_COLORS[secondaryBase.toUpperCase()]
+            : '#BBBBBB';
+        ctx.fillText(secondaryBase, x, y);
+        ctx.font = this.config.baseFont;
+    }
+    
+    /**
+     * Render a marker with the IUPAC code over every candidate heterozygous
+     * position, more opaque the higher its confidence
+     * @private
+     */
+    _renderHetMarkers() {
+        const ctx = this.ctx;
+        const size = 6;
+        
+        ctx.font = 'bold 11px "Consolas", "Monaco", monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        
+        for (const mark of this.hetMarks) {
+            const peakX = this.peakLocations[mark.index];
+            if (peakX === undefined) continue;
+            
+            const x = peakX * this.xScale;
+            ctx.globalAlpha = 0.4 + 0.6 * mark.confidence;
+            ctx.fillStyle = this.config.hetMarkerColor;
+            ctx.beginPath();
+            ctx.moveTo(x - size, 2);
+            ctx.lineTo(x + size, 2);
+            ctx.lineTo(x, 2 + size * 1.5);
+            ctx.closePath();
+            ctx.fill();
+            ctx.fillText(mark.code, x, 4 + size * 1.5);
+        }
+        
+        ctx.globalAlpha = 1;
+        ctx.font = this.config.baseFont;
+    }
+    
+    /**
+     * Render the decoded alleles of a heterozygous indel in two rows under
+     * the calls (under the original calls in the compare view), from the
+     * onset of mixed signal, which is marked by a dashed line
+     * @private
+     */
+    _renderAlleles() {
+        const ctx = this.ctx;
+        const baseY = this.config.traceAreaHeight + (this.config.baseCallHeight / 2) + 5;
+        const firstRowY = baseY + (this.secondary ? 42 : 36) + (this.comparison ? 16 : 0);
+        const onset = this.alleles.onset;
+        
+        // Onset of mixed signal
+        const onsetScan = this.peakLocations[onset];
+        if (onsetScan !== undefined) {
+            const previous = onset > 0 ? this.peakLocations[onset - 1] : onsetScan;
+            const x = ((previous + onsetScan) / 2) * this.xScale;
+            ctx.strokeStyle = this.config.hetMarkerColor;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, firstRowY + 24);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+        
+        ctx.font = 'bold 12px "Consolas", "Monaco", monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        this.alleles.sequences.forEach((sequence, row) => {
+            const rowY = firstRowY + row * 16;
+            for (let i = onset; i < sequence.length; i++) {
+                const peakX = this.peakLocations[i];
+                if (peakX === undefined) continue;
+                
+                ctx.fillStyle = NUCLEOTIDE_COLORS[sequence[i]] || NUCLEOTIDE_COLORS['N'];
+                ctx.fillText(sequence[i], peakX * this.xScale, rowY);
+            }
+        });
+        
+        // Row labels at the left edge of the view
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+        this.alleles.sequences.forEach((sequence, row) => {
+            const rowY = firstRowY + row * 16;
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+            ctx.fillRect(this.scrollX + 2, rowY - 7, 46, 14);
+            ctx.fillStyle = '#666666';
+            ctx.fillText(`Allele ${row + 1}`, this.scrollX + 4, rowY);
+        });
+        
+        ctx.font = this.config.baseFont;
+    }
+    
+    /**
+     * Displayed call of a base: its IUPAC code when mixed bases are folded
+     * @private
+     */
+    _displayBase(index) {
+        if (this.secondary && this.secondary.fold && this.secondary.codes[index]) {
+            return this.secondary.codes[index];
+        }
+        return this.sequence[index];
+    }
+    
+    /**
+     * Render bands behind the bases where the edited calls differ from the
+     * basecaller's (compare view)
+     * @private
+     */
+    _renderDifferenceBands() {
+        if (!this.comparison) return;
+        
+        const ctx = this.ctx;
+        const colors = this.config.differenceColors;
+        const bandWidth = Math.max(6, this.xScale * 8);
+        
+        for (const mark of this.comparison.marks) {
+            if (mark.type === 'match') continue;
+            
+            ctx.fillStyle = colors[mark.type];
+            ctx.fillRect(mark.scan * this.xScale - bandWidth / 2, 0, bandWidth, this.config.height);
+        }
+    }
+    
+    /**
+     * Render the basecaller's calls in a row under the edited calls (compare
+     * view). Unchanged calls are grey; a '-' marks a base that has no partner
+     * in the other row.
+     * @private
+     */
+    _renderOriginalCalls() {
+        if (!this.comparison) return;
+        
+        const ctx = this.ctx;
+        const baseY = this.config.traceAreaHeight + (this.config.baseCallHeight / 2) + 5;
+        const rowY = baseY + (this.secondary ? 42 : 36);
+        
+        ctx.font = this.config.baseFont;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        for (const mark of this.comparison.marks) {
+            const x = mark.scan * this.xScale;
+            
+            if (mark.type === 'match') {
+                ctx.fillStyle = '#AAAAAA';
+                ctx.fillText(mark.base, x, rowY);
+            } else if (mark.type === 'insertion') {
+                ctx.fillStyle = '#888888';
+                ctx.fillText('-', x, rowY);
+            } else {
+                ctx.fillStyle = NUCLEOTIDE_COLORS[mark.base.toUpperCase()] || NUCLEOTIDE_COLORS['N'];
+                ctx.fillText(mark.base, x, rowY);
+                if (mark.type === 'deletion') {
+                    ctx.fillStyle = '#888888';
+                    ctx.fillText('-', x, baseY);
+                }
+            }
+        }
+        
+        // Row label at the left edge of the view
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.fillRect(this.scrollX + 2, rowY - 7, 46, 14);
+        ctx.fillStyle = '#666666';
+        ctx.fillText('Original', this.scrollX + 4, rowY);
+    }
+    
     /**
      * Render quality score bars
      * @private
@@ -632,6 +989,15 @@ class ChromatogramCanvas {
         const rect = this.canvas.getBoundingClientRect();
         const x = e.clientX - rect.left + this.wrapper.scrollLeft;
         
+        // Fragment analysis files have no bases; report the size under the cursor
+        if (this.sizing) {
+            if (this.onSizeHover) {
+                const scan = x / this.xScale;
+                this.onSizeHover(scan, this.sizeAtScan(scan));
+            }
+            return;
+        }
+        
         // Find nearest base
         const baseIndex = this._findNearestBase(x);
         
@@ -664,6 +1030,10 @@ class ChromatogramCanvas {
      * @private
      */
     _onMouseLeave() {
+        if (this.sizing && this.onSizeHover) {
+            this.onSizeHover(-1, null);
+        }
+        
         if (this.hoveredBase >= 0 && !this.isDragging) {
             this.hoveredBase = -1;
             this.render();
@@ -823,7 +1193,10 @@ class ChromatogramCanvas {
             base: this.sequence[index],
             peakLocation: this.peakLocations[index],
             quality: this.qualityScores[index],
-            traces: this._getTraceValuesAtPeak(index)
+            traces: this._getTraceValuesAtPeak(index),
+            secondaryBase: this.secondary ? (this.secondary.bases[index] || null) : null,
+            secondaryRatio: this.secondary ? this.secondary.ratios[index] : null,
+            mixedBase: this.secondary ? this.secondary.codes[index] : null
         };
     }
     
@@ -959,16 +1332,127 @@ class ChromatogramCanvas {
     
     /**
      * Set the view mode
-     * @param {string} mode - 'processed', 'raw', or 'quality'
+     * @param {string} mode - 'processed', 'raw', 'reprocessed', 'quality', or 'compare'
      */
     setViewMode(mode) {
-        if (['processed', 'raw', 'quality'].includes(mode)) {
+        if (['processed', 'raw', 'reprocessed', 'quality', 'compare'].includes(mode)) {
             this.viewMode = mode;
             this._calculateTraceMax();
             this.render();
         }
     }
     
+    /**
+     * Set the secondary calls shown under the primary calls
+     * @param {Object|null} secondary - { bases, ratios, codes, fold }: secondary call and
+     *   secondary/primary amplitude ratio per base, the IUPAC code of each base that passes
+     *   the mixed base ratio (null elsewhere), and whether to show those codes as the calls;
+     *   null to hide the secondary calls
+     */
+    setSecondaryCalls(secondary) {
+        this.secondary = secondary;
+        this.render();
+    }
+    
+    /**
+     * Replace the base calls shown over the same traces, keeping zoom and scroll.
+     * Selection, search matches, edit marks and the overlays of the previous
+     * calls no longer line up, so they are cleared.
+     * @param {Object} calls - { sequence, peakLocations, qualityScores }
+     */
+    setCalls(calls) {
+        this.sequence = calls.sequence || '';
+        this.peakLocations = calls.peakLocations || [];
+        this.qualityScores = calls.qualityScores || [];
+        
+        this.selection = { start: -1, end: -1 };
+        this.hoveredBase = -1;
+        this.clearSearch();
+        this.modifications.clear();
+        this.comparison = null;
+        this.secondary = null;
+        this.hetMarks = [];
+        this.alleles = null;
+        
+        this.render();
+    }
+    
+    /**
+     * Mark candidate heterozygous positions
+     * @param {Object[]} candidates - HetDetector candidates { index, code, confidence }; empty to clear
+     */
+    setHetCandidates(candidates) {
+        this.hetMarks = (candidates || []).map(c => ({ index: c.index, code: c.code, confidence: c.confidence }));
+        this.render();
+    }
+    
+    /**
+     * Show the two decoded alleles of a heterozygous indel in rows under the calls
+     * @param {Object|null} alleles - { onset, sequences: [allele 1, allele 2] }, or null to clear
+     */
+    setAlleles(alleles) {
+        this.alleles = alleles && alleles.sequences ? { onset: alleles.onset, sequences: alleles.sequences } : null;
+        this.render();
+    }
+    
+    /**
+     * Set the basecaller comparison shown by the compare view
+     * @param {Object|null} comparison - BasecallComparison.compare() result, or null to clear
+     * @param {Object} original - The basecaller's calls { sequence, peakLocations }
+     */
+    setComparison(comparison, original) {
+        if (!comparison) {
+            this.comparison = null;
+            this.render();
+            return;
+        }
+        
+        const originalPeaks = comparison.method === 'peaks' ? original.peakLocations : null;
+        const marks = [];
+        
+        comparison.columns.forEach((column, index) => {
+            let scan;
+            if (originalPeaks && column.original >= 0) {
+                scan = originalPeaks[column.original];
+            } else if (column.edited >= 0) {
+                scan = this.peakLocations[column.edited];
+            } else {
+                // Deletion without a peak: halfway between the neighbouring edited bases
+                scan = this._scanBetweenColumns(comparison.columns, index);
+            }
+            if (scan === undefined || scan === null) return;
+            
+            marks.push({
+                scan: scan,
+                base: column.original >= 0 ? original.sequence[column.original] : null,
+                type: column.type
+            });
+        });
+        
+        this.comparison = { differences: comparison.differences, marks };
+        this.render();
+    }
+    
+    /**
+     * Scan halfway between the edited bases around an alignment column
+     * @private
+     */
+    _scanBetweenColumns(columns, index) {
+        let before = null;
+        let after = null;
+        for (let i = index - 1; i >= 0 && before === null; i--) {
+            if (columns[i].edited >= 0) before = this.peakLocations[columns[i].edited];
+        }
+        for (let i = index + 1; i < columns.length && after === null; i++) {
+            if (columns[i].edited >= 0) after = this.peakLocations[columns[i].edited];
+        }
+        
+        if (before !== null && after !== null) return (before + after) / 2;
+        if (before !== null) return before + 6;
+        if (after !== null) return Math.max(0, after - 6);
+        return null;
+    }
+    
     /**
      * Zoom in
      * @param {number} factor - Zoom factor (default 1.5)
@@ -1014,9 +1498,9 @@ class ChromatogramCanvas {
      * Fit the entire chromatogram in the view
      */
     fitToView() {
-        if (!this.traces || !this.traces.G) return;
+        const dataLength = TraceArrays.maxLength(this.traces, this.channelOrder);
+        if (dataLength === 0) return;
         
-        const dataLength = this.traces.G.length;
         const containerWidth = this.container.clientWidth;
         
         this.setZoom(containerWidth / dataLength);
@@ -1051,6 +1535,22 @@ class ChromatogramCanvas {
         this.scrollX = this.wrapper.scrollLeft;
     }
     
+    /**
+     * Size in bp at a scan position (fragment analysis files)
+     * @param {number} scan - Scan position (may be fractional)
+     * @returns {number|null} Size, or null when the file is not sized
+     */
+    sizeAtScan(scan) {
+        if (!this.sizing) return null;
+        
+        const sizes = this.sizing.sizes;
+        if (scan < 0 || scan > sizes.length - 1) return null;
+        
+        const low = Math.floor(scan);
+        const high = Math.min(low + 1, sizes.length - 1);
+        return sizes[low] + (sizes[high] - sizes[low]) * (scan - low);
+    }
+    
     /**
      * Get current view information
      * @returns {Object} View information
@@ -1132,7 +1632,21 @@ class ChromatogramCanvas {
         const start = Math.min(this.selection.start, this.selection.end);
         const end = Math.max(this.selection.start, this.selection.end);
         
-        return this.sequence.substring(start, end + 1);
+        return this.getDisplaySequence().substring(start, end + 1);
+    }
+    
+    /**
+     * Get the sequence as displayed (with IUPAC codes when mixed bases are folded)
+     * @returns {string} Displayed sequence
+     */
+    getDisplaySequence() {
+        if (!this.secondary || !this.secondary.fold) return this.sequence;
+        
+        let sequence = '';
+        for (let i = 0; i < this.sequence.length; i++) {
+            sequence += this._displayBase(i);
+        }
+        return sequence;
     }
     
     /**
@@ -1247,6 +1761,9 @@ class ChromatogramCanvas {
             if (this.rawTraces && this.rawTraces[nucleotide]) {
                 this.rawTraces[nucleotide] = this.rawTraces[nucleotide].slice(traceSliceStart, traceSliceEnd);
             }
+            if (this.reprocessedTraces && this.reprocessedTraces[nucleotide]) {
+                this.reprocessedTraces[nucleotide] = this.reprocessedTraces[nucleotide].slice(traceSliceStart, traceSliceEnd);
+            }
         }
         
         // Recompute peak locations (shift to new zero)
@@ -1259,6 +1776,10 @@ class ChromatogramCanvas {
         this.searchMatches = [];
         this.currentMatchIndex = -1;
         this.modifications.clear();
+        this.comparison = null;
+        this.secondary = null;
+        this.hetMarks = [];
+        this.alleles = null;
         
         // Recalculate trace max and update canvas
         this._calculateTraceMax();
@@ -1277,7 +1798,8 @@ class ChromatogramCanvas {
             trimmedLength: this.sequence.length,
             basesRemoved: originalLength - this.sequence.length,
             trimStart: trimStart,
-            trimEnd: trimEnd
+            trimEnd: trimEnd,
+            traceOffset: traceSliceStart
         };
     }
     
@@ -1292,7 +1814,9 @@ class ChromatogramCanvas {
             peakLocations: this.peakLocations,
             traces: this.traces,
             rawTraces: this.rawTraces,
-            channelOrder: this.channelOrder
+            reprocessedTraces: this.reprocessedTraces,
+            channelOrder: this.channelOrder,
+            channels: this.channels
         };
     }
     
@@ -6,6 +6,7 @@
 /**
  * Minimap - Provides an overview of the entire chromatogram
  * Shows current viewport position and allows click-to-navigate
+ * Uses TraceArrays from window (set by TraceArrays.js)
  */
 class Minimap {
     
@@ -27,12 +28,15 @@ class Minimap {
             viewportBorderColor: options.viewportBorderColor || 'rgba(100, 150, 255, 0.8)',
             traceColor: options.traceColor || '#888888',
             selectionColor: options.selectionColor || 'rgba(100, 150, 255, 0.5)',
-            searchHighlightColor: options.searchHighlightColor || 'rgba(255, 200, 0, 0.7)'
+            searchHighlightColor: options.searchHighlightColor || 'rgba(255, 200, 0, 0.7)',
+            differenceColor: options.differenceColor || 'rgba(220, 0, 140, 0.8)',
+            hetColor: options.hetColor || 'rgba(204, 102, 0, 0.9)'
         };
         
         // Data
         this.traces = null;
         this.channelOrder = ['G', 'A', 'T', 'C'];
+        this.channels = null;  // Channel model (dyes, bases and colors, see ABIFChannels)
         this.traceLength = 0;
         
         // View state (synced from main chromatogram)
@@ -47,6 +51,12 @@ class Minimap {
         // Search matches
         this.searchMatches = [];
         
+        // Basecaller edit positions (scans), see BasecallComparison
+        this.differences = [];
+        
+        // Candidate heterozygous positions (scans), see HetDetector
+        this.hetPositions = [];
+        
         // Callbacks
         this.onNavigate = null;  // Called when user clicks minimap
         
@@ -155,20 +165,20 @@ class Minimap {
     
     /**
      * Load trace data for rendering
-     * @param {Object} traces - Trace data object
+     * @param {Object} traces - Trace data object (typed arrays keyed by base)
      * @param {Array} peakLocations - Peak location array
+     * @param {Object} [channels] - Channel model; without one, G, A, T, C are drawn in the trace color
      */
-    loadData(traces, peakLocations) {
-        this.traces = traces;
+    loadData(traces, peakLocations, channels) {
+        this.traces = TraceArrays.toTypedTraces(traces);
         this.peakLocations = peakLocations || [];
+        this.channels = channels || null;
+        this.channelOrder = channels
+            ? channels.channels.filter(c => c.role !== 'other').map(c => c.key)
+            : ['G', 'A', 'T', 'C'];
         
         // Find trace length
-        this.traceLength = 0;
-        for (const nucleotide of this.channelOrder) {
-            if (traces[nucleotide] && traces[nucleotide].length > this.traceLength) {
-                this.traceLength = traces[nucleotide].length;
-            }
-        }
+        this.traceLength = TraceArrays.maxLength(this.traces, this.channelOrder);
         
         this.render();
     }
@@ -203,6 +213,24 @@ class Minimap {
         this.render();
     }
     
+    /**
+     * Update the marked basecaller edits
+     * @param {Array} differences - BasecallComparison differences (empty to clear)
+     */
+    updateDifferences(differences) {
+        this.differences = (differences || []).filter(d => d.scan !== null).map(d => d.scan);
+        this.render();
+    }
+    
+    /**
+     * Update the marked candidate heterozygous positions
+     * @param {number[]} scans - Scan of each candidate (empty to clear)
+     */
+    updateHetPositions(scans) {
+        this.hetPositions = scans || [];
+        this.render();
+    }
+    
     /**
      * Render the minimap
      */
@@ -225,6 +253,12 @@ class Minimap {
         // Draw search highlights
         this._renderSearchHighlights();
         
+        // Draw basecaller edits
+        this._renderDifferences();
+        
+        // Draw candidate heterozygous positions
+        this._renderHetPositions();
+        
         // Draw selection
         this._renderSelection();
         
@@ -265,50 +299,57 @@ class Minimap {
         // Calculate scale
         const xScale = width / this.traceLength;
         
-        // Find max value for Y scaling
-        let maxValue = 0;
-        for (const nucleotide of this.channelOrder) {
-            const trace = this.traces[nucleotide];
-            if (trace) {
-                for (const v of trace) {
-                    if (v > maxValue) maxValue = v;
-                }
-            }
-        }
+        // Find max value for Y scaling (cached per trace array)
+        const maxValue = TraceArrays.maxValue(this.traces, this.channelOrder);
         
         const yScale = (height - 10) / (maxValue || 1);
         
-        // Downsample and render combined trace
-        ctx.strokeStyle = this.config.traceColor;
-        ctx.lineWidth = 1;
-        ctx.beginPath();
-        
         // Calculate step size for downsampling
         const step = Math.max(1, Math.floor(this.traceLength / width));
         
-        let started = false;
-        for (let i = 0; i < this.traceLength; i += step) {
-            // Get max value at this position across all channels
-            let value = 0;
-            for (const nucleotide of this.channelOrder) {
-                const trace = this.traces[nucleotide];
-                if (trace && trace[i] > value) {
-                    value = trace[i];
-                }
-            }
+        // Downsample each channel to its maximum per step, in the channel's color
+        ctx.lineWidth = 1;
+        ctx.globalAlpha = 0.7;
+        
+        for (const key of [...this.channelOrder].reverse()) {
+            const trace = this.traces[key];
+            if (!trace || trace.length === 0) continue;
             
-            const x = i * xScale;
-            const y = height - 5 - (value * yScale);
+            ctx.strokeStyle = this._channelColor(key);
+            ctx.beginPath();
             
-            if (!started) {
-                ctx.moveTo(x, y);
-                started = true;
-            } else {
-                ctx.lineTo(x, y);
+            for (let i = 0; i < trace.length; i += step) {
+                let value = 0;
+                const end = Math.min(trace.length, i + step);
+                for (let j = i; j < end; j++) {
+                    if (trace[j] > value) value = trace[j];
+                }
+                
+                const x = i * xScale;
+                const y = height - 5 - (value * yScale);
+                
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
             }
+            
+            ctx.stroke();
         }
         
-        ctx.stroke();
+        ctx.globalAlpha = 1;
+    }
+    
+    /**
+     * Overview color of a channel: its model color, or the trace color
+     * @param {string} key - Channel key
+     * @returns {string} CSS color
+     * @private
+     */
+    _channelColor(key) {
+        const entry = this.channels && this.channels.channels.find(c => c.key === key);
+        return entry ? entry.color : this.config.traceColor;
     }
     
     /**
@@ -378,6 +419,42 @@ class Minimap {
         }
     }
     
+    /**
+     * Render basecaller edit markers
+     * @private
+     */
+    _renderDifferences() {
+        if (this.differences.length === 0) return;
+        
+        const ctx = this.ctx;
+        const height = this.canvas.height;
+        const xScale = this.canvas.width / this.traceLength;
+        
+        ctx.fillStyle = this.config.differenceColor;
+        
+        for (const scan of this.differences) {
+            ctx.fillRect(Math.floor(scan * xScale), 0, 2, height);
+        }
+    }
+    
+    /**
+     * Render candidate heterozygous positions as ticks along the top edge
+     * @private
+     */
+    _renderHetPositions() {
+        if (this.hetPositions.length === 0) return;
+        
+        const ctx = this.ctx;
+        const tickHeight = Math.round(this.canvas.height * 0.4);
+        const xScale = this.canvas.width / this.traceLength;
+        
+        ctx.fillStyle = this.config.hetColor;
+        
+        for (const scan of this.hetPositions) {
+            ctx.fillRect(Math.floor(scan * xScale), 0, 2, tickHeight);
+        }
+    }
+    
     /**
      * Clean up resources
      */
@@ -0,0 +1,317 @@
+///////////////////////////////////////////////////////////////////////////////
+// TelemetryPlot.js
+// Run telemetry strip (voltage, current, laser power, temperature) aligned
+// with the chromatogram's x-axis
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Line colors of the telemetry series
+ */
+const TELEMETRY_COLORS = {
+    voltage: '#C04000',
+    current: '#0060C0',
+    power: '#008060',
+    temperature: '#8040A0'
+};
+
+/**
+ * TelemetryPlot - Plots the instrument logs of the run (ABIFParser.getTelemetry())
+ * one series per row, against scan number. The strip follows the
+ * chromatogram's scroll position and zoom, so a voltage spike or
+ * temperature drift is drawn directly under the trace region it affected.
+ */
+class TelemetryPlot {
+
+    /**
+     * Create a TelemetryPlot instance
+     * @param {HTMLElement} container - Container element for the plot
+     * @param {Object} options - Configuration options
+     */
+    constructor(container, options = {}) {
+        if (!container) {
+            throw new Error('TelemetryPlot requires a container element');
+        }
+
+        this.container = container;
+        this.config = {
+            rowHeight: options.rowHeight || 32,
+            backgroundColor: options.backgroundColor || '#fafafa',
+            separatorColor: options.separatorColor || '#e0e0e0',
+            setpointColor: options.setpointColor || '#aaaaaa',
+            cursorColor: options.cursorColor || 'rgba(0, 0, 0, 0.35)',
+            labelFont: options.labelFont || '10px sans-serif'
+        };
+
+        // Data
+        this.telemetry = null;
+
+        // View state (synced from main chromatogram)
+        this.viewInfo = null;
+        this.hoverScan = -1;
+
+        // Create canvas
+        this._createCanvas();
+
+        // Bind events
+        this._bindEvents();
+    }
+
+    /**
+     * Create the canvas element
+     * @private
+     */
+    _createCanvas() {
+        this.container.innerHTML = '';
+        this.container.style.position = 'relative';
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.style.cssText = `
+            display: block;
+            width: 100%;
+            cursor: crosshair;
+        `;
+        this.container.appendChild(this.canvas);
+
+        this.ctx = this.canvas.getContext('2d');
+
+        this._updateSize();
+    }
+
+    /**
+     * Update canvas size to match container width and the number of series
+     * @private
+     */
+    _updateSize() {
+        const rows = this.telemetry ? Math.max(1, this.telemetry.series.length) : 1;
+        const height = rows * this.config.rowHeight;
+
+        this.canvas.width = this.container.getBoundingClientRect().width;
+        this.canvas.height = height;
+        this.canvas.style.height = `${height}px`;
+    }
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+        // Hover shows the values at the scan under the mouse
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (!this.viewInfo) return;
+            const rect = this.canvas.getBoundingClientRect();
+            this.hoverScan = (e.clientX - rect.left + this.viewInfo.scrollX) / this.viewInfo.xScale;
+            this.render();
+        });
+
+        this.canvas.addEventListener('mouseleave', () => {
+            this.hoverScan = -1;
+            this.render();
+        });
+
+        // Resize observer
+        this.resizeObserver = new ResizeObserver(() => {
+            this._updateSize();
+            this.render();
+        });
+        this.resizeObserver.observe(this.container);
+    }
+
+    /**
+     * Load telemetry for rendering
+     * @param {Object} telemetry - Output of ABIFParser.getTelemetry()
+     */
+    loadData(telemetry) {
+        this.telemetry = telemetry;
+        this.hoverScan = -1;
+
+        this._updateSize();
+        this.render();
+    }
+
+    /**
+     * Check whether the file has any telemetry series
+     * @returns {boolean} True when there is something to plot
+     */
+    hasData() {
+        return !!(this.telemetry && this.telemetry.series.length > 0);
+    }
+
+    /**
+     * Update the visible scan range (synced from main chromatogram)
+     * @param {Object} viewInfo - ChromatogramCanvas.getViewInfo()
+     */
+    updateViewport(viewInfo) {
+        this.viewInfo = viewInfo;
+        this.render();
+    }
+
+    /**
+     * Values of every series at a scan
+     * @param {number} scan - Scan number
+     * @returns {Object} Values by series key (null outside the series)
+     */
+    valuesAt(scan) {
+        const values = {};
+        if (!this.telemetry) return values;
+
+        for (const series of this.telemetry.series) {
+            const index = Math.round(scan / series.scansPerPoint);
+            values[series.key] = index >= 0 && index < series.values.length ? series.values[index] : null;
+        }
+        return values;
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // RENDERING
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Render the telemetry strip
+     */
+    render() {
+        if (!this.ctx) return;
+
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+
+        ctx.fillStyle = this.config.backgroundColor;
+        ctx.fillRect(0, 0, width, height);
+
+        if (!this.hasData()) {
+            ctx.fillStyle = '#999999';
+            ctx.font = this.config.labelFont;
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillText('No run telemetry in this file', 8, height / 2);
+            return;
+        }
+
+        if (!this.viewInfo) return;
+
+        const values = this.hoverScan >= 0 ? this.valuesAt(this.hoverScan) : null;
+
+        this.telemetry.series.forEach((series, row) => {
+            this._renderSeries(series, row * this.config.rowHeight, values);
+        });
+
+        // Hover cursor
+        if (this.hoverScan >= 0) {
+            const x = this.hoverScan * this.viewInfo.xScale - this.viewInfo.scrollX;
+            ctx.strokeStyle = this.config.cursorColor;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Render one series in its row
+     * @param {Object} series - Telemetry series
+     * @param {number} top - Row top (pixels)
+     * @param {Object|null} values - Values at the hovered scan
+     * @private
+     */
+    _renderSeries(series, top, values) {
+        const ctx = this.ctx;
+        const rowHeight = this.config.rowHeight;
+        const { scrollX, xScale } = this.viewInfo;
+
+        // Value range of the whole run (and the setpoint), so scrolling keeps the scale
+        let min = series.min;
+        let max = series.max;
+        if (series.setpoint !== null) {
+            min = Math.min(min, series.setpoint);
+            max = Math.max(max, series.setpoint);
+        }
+        const span = max - min || Math.abs(max) || 1;
+        const y = (value) => top + rowHeight - 4 - ((value - min) / span) * (rowHeight - 8);
+
+        // Row separator
+        ctx.strokeStyle = this.config.separatorColor;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, top + rowHeight - 0.5);
+        ctx.lineTo(this.canvas.width, top + rowHeight - 0.5);
+        ctx.stroke();
+
+        // Setpoint from the run settings
+        if (series.setpoint !== null) {
+            ctx.strokeStyle = this.config.setpointColor;
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.moveTo(0, y(series.setpoint));
+            ctx.lineTo(this.canvas.width, y(series.setpoint));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Visible points, plus one on each side so the line reaches the edges
+        const firstScan = scrollX / xScale;
+        const lastScan = (scrollX + this.canvas.width) / xScale;
+        const first = Math.max(0, Math.floor(firstScan / series.scansPerPoint) - 1);
+        const last = Math.min(series.values.length - 1, Math.ceil(lastScan / series.scansPerPoint) + 1);
+
+        ctx.strokeStyle = TELEMETRY_COLORS[series.key] || '#555555';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        for (let i = first; i <= last; i++) {
+            const x = i * series.scansPerPoint * xScale - scrollX;
+            if (i === first) {
+                ctx.moveTo(x, y(series.values[i]));
+            } else {
+                ctx.lineTo(x, y(series.values[i]));
+            }
+        }
+        ctx.stroke();
+
+        // Label: the value under the cursor, or the range of the run
+        const format = (value) => (Math.abs(value) >= 100 ? value.toFixed(0) : value.toFixed(2));
+        let text;
+        if (values && values[series.key] !== null && values[series.key] !== undefined) {
+            text = `${series.label}: ${format(values[series.key])} ${series.unit} (scan ${Math.round(this.hoverScan)})`;
+        } else if (series.min === series.max) {
+            text = `${series.label}: ${format(series.min)} ${series.unit}`;
+        } else {
+            text = `${series.label}: ${format(series.min)}–${format(series.max)} ${series.unit}`;
+        }
+        if (series.setpoint !== null) {
+            text += `, set ${format(series.setpoint)} ${series.unit}`;
+        }
+
+        ctx.font = this.config.labelFont;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        const textWidth = ctx.measureText(text).width;
+        ctx.fillStyle = 'rgba(250, 250, 250, 0.85)';
+        ctx.fillRect(4, top + 2, textWidth + 6, 13);
+        ctx.fillStyle = TELEMETRY_COLORS[series.key] || '#555555';
+        ctx.fillText(text, 7, top + 3);
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        }
+        this.container.innerHTML = '';
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TelemetryPlot };
+}
+
+// For use in browser
+if (typeof window !== 'undefined') {
+    window.TelemetryPlot = TelemetryPlot;
+}
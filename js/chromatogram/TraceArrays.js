@@ -0,0 +1,115 @@
+///////////////////////////////////////////////////////////////////////////////
+// TraceArrays.js
+// Shared helpers for typed-array trace data
+// Used by ChromatogramCanvas, Minimap and PngExporter
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Per-channel maxima, keyed by trace array
+ * Trace arrays are replaced (sliced) rather than modified in place, so a
+ * cached value stays valid for the lifetime of its array.
+ */
+const traceMaxCache = new WeakMap();
+
+/**
+ * Trace helpers
+ * Parsers return traces as typed arrays (Int16Array for ABIF, Uint16Array
+ * for SCF/ZTR) and the IPC layer clones them as single memory blocks.
+ * These helpers accept typed arrays natively and convert anything else once.
+ */
+const TraceArrays = {
+
+    /**
+     * Return a trace as a typed array
+     * Typed arrays are returned unchanged; plain arrays are converted once.
+     * @param {TypedArray|number[]|null} values - Trace values
+     * @returns {TypedArray} Trace values as a typed array
+     */
+    toTypedArray(values) {
+        if (!values) return new Float32Array(0);
+        if (ArrayBuffer.isView(values)) return values;
+        return Float32Array.from(values);
+    },
+
+    /**
+     * Return every channel of a trace set as typed arrays
+     * @param {Object|null} traces - Traces keyed by base
+     * @returns {Object|null} Traces keyed by base
+     */
+    toTypedTraces(traces) {
+        if (!traces) return traces;
+
+        const result = {};
+        for (const [base, trace] of Object.entries(traces)) {
+            result[base] = TraceArrays.toTypedArray(trace);
+        }
+        return result;
+    },
+
+    /**
+     * Maximum value of one trace (cached per array)
+     * @param {TypedArray} trace - Trace values
+     * @returns {number} Maximum value, or 0 for an empty trace
+     */
+    channelMax(trace) {
+        if (!trace || trace.length === 0) return 0;
+
+        let max = traceMaxCache.get(trace);
+        if (max === undefined) {
+            max = 0;
+            for (let i = 0; i < trace.length; i++) {
+                if (trace[i] > max) max = trace[i];
+            }
+            traceMaxCache.set(trace, max);
+        }
+        return max;
+    },
+
+    /**
+     * Maximum value across channels
+     * @param {Object} traces - Traces keyed by base
+     * @param {string[]} channels - Channels to include
+     * @returns {number} Maximum value
+     */
+    maxValue(traces, channels) {
+        if (!traces) return 0;
+
+        let max = 0;
+        for (const base of channels) {
+            max = Math.max(max, TraceArrays.channelMax(traces[base]));
+        }
+        return max;
+    },
+
+    /**
+     * Longest channel length
+     * @param {Object} traces - Traces keyed by base
+     * @param {string[]} channels - Channels to include
+     * @returns {number} Number of samples
+     */
+    maxLength(traces, channels) {
+        if (!traces) return 0;
+
+        let length = 0;
+        for (const base of channels) {
+            if (traces[base] && traces[base].length > length) {
+                length = traces[base].length;
+            }
+        }
+        return length;
+    }
+};
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TraceArrays };
+}
+
+// For use in browser/renderer process
+if (typeof window !== 'undefined') {
+    window.TraceArrays = TraceArrays;
+}
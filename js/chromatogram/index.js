@@ -5,10 +5,12 @@
 
 const { ChromatogramCanvas, NUCLEOTIDE_COLORS, DEFAULT_CONFIG } = require('./ChromatogramCanvas.js');
 const { Minimap } = require('./Minimap.js');
+const { TraceArrays } = require('./TraceArrays.js');
 
 module.exports = {
     ChromatogramCanvas,
     Minimap,
+    TraceArrays,
     NUCLEOTIDE_COLORS,
     DEFAULT_CONFIG
 };
@@ -0,0 +1,292 @@
+///////////////////////////////////////////////////////////////////////////////
+// BasecallComparison.js
+// Aligns the basecaller's original calls (PBAS_2/PLOC_2/PCON_2) with the
+// edited calls (PBAS_1/PLOC_1/PCON_1) and lists where they differ
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Largest sequence product aligned by dynamic programming when the original
+ * calls have no peak locations (the direction matrix takes one byte per cell)
+ */
+const COMPARISON_MAX_CELLS = 25000000;
+
+/**
+ * BasecallComparison - Diff of two call sets of the same trace
+ *
+ * Calls are { sequence, peakLocations, qualityScores }. When both sets have
+ * peak locations, bases are paired by position on the trace: an edit keeps
+ * the peak of the base it replaces, and inserted or deleted bases have no
+ * partner near their peak. Without peak locations the sequences are aligned
+ * by edit distance.
+ *
+ * Each column of the alignment pairs an edited base with an original base
+ * (-1 where there is none) and has a type: 'match', 'substitution',
+ * 'insertion' (base added by the edit) or 'deletion' (basecaller call removed).
+ * Bases are compared ignoring case, since some editors lowercase edited calls.
+ *
+ * Usage:
+ *   const comparison = BasecallComparison.compare(editedCalls, originalCalls);
+ *   for (const d of comparison.differences) console.log(d.type, d.originalBase, '->', d.editedBase);
+ */
+class BasecallComparison {
+
+    /**
+     * Compare edited calls with the basecaller's calls
+     * @param {Object} edited - Edited calls { sequence, peakLocations, qualityScores }
+     * @param {Object} original - Original calls { sequence, peakLocations, qualityScores }
+     * @returns {Object} { method: 'peaks'|'sequence', columns, differences, counts }
+     */
+    static compare(edited, original) {
+        const byPeaks = BasecallComparison._hasPeaks(edited) && BasecallComparison._hasPeaks(original);
+        const pairs = byPeaks
+            ? BasecallComparison._alignByPeaks(edited.peakLocations, original.peakLocations)
+            : BasecallComparison._alignBySequence(edited.sequence.toUpperCase(), original.sequence.toUpperCase());
+
+        const columns = [];
+        const differences = [];
+        const counts = { substitution: 0, insertion: 0, deletion: 0 };
+
+        let lastEdited = -1;
+        for (const [e, o] of pairs) {
+            const editedBase = e >= 0 ? edited.sequence[e] : null;
+            const originalBase = o >= 0 ? original.sequence[o] : null;
+
+            let type;
+            if (e < 0) {
+                type = 'deletion';
+            } else if (o < 0) {
+                type = 'insertion';
+            } else {
+                type = editedBase.toUpperCase() === originalBase.toUpperCase() ? 'match' : 'substitution';
+            }
+
+            columns.push({ edited: e, original: o, type });
+            if (e >= 0) lastEdited = e;
+            if (type === 'match') continue;
+
+            counts[type]++;
+            differences.push({
+                type: type,
+                editedIndex: e,
+                originalIndex: o,
+                editedBase: editedBase,
+                originalBase: originalBase,
+                editedQuality: e >= 0 ? BasecallComparison._at(edited.qualityScores, e) : null,
+                originalQuality: o >= 0 ? BasecallComparison._at(original.qualityScores, o) : null,
+                // Edited base the difference is shown at (a deletion sits after the previous edited base)
+                anchor: e >= 0 ? e : lastEdited,
+                scan: BasecallComparison._scan(e, o, edited, original)
+            });
+        }
+
+        // Deletions before the first edited base anchor to it
+        for (const difference of differences) {
+            if (difference.anchor < 0) difference.anchor = edited.sequence.length > 0 ? 0 : -1;
+        }
+
+        return {
+            method: byPeaks ? 'peaks' : 'sequence',
+            columns: columns,
+            differences: differences,
+            counts: counts
+        };
+    }
+
+    /**
+     * Cut the original calls down to the part aligned with a range of edited
+     * bases, e.g. after the edited read was trimmed
+     * @param {Object} original - Original calls
+     * @param {Object} comparison - Comparison of the untrimmed calls
+     * @param {number} start - First kept edited base
+     * @param {number} end - Last kept edited base (inclusive)
+     * @param {number} traceOffset - Scans removed before the kept trace (peak locations are shifted by it)
+     * @returns {Object} Original calls of the kept range
+     */
+    static sliceCalls(original, comparison, start, end, traceOffset = 0) {
+        const first = comparison.columns.findIndex(c => c.edited === start);
+        let last = -1;
+        for (let i = comparison.columns.length - 1; i >= 0; i--) {
+            if (comparison.columns[i].edited === end) {
+                last = i;
+                break;
+            }
+        }
+
+        const indices = first < 0 || last < first
+            ? []
+            : comparison.columns.slice(first, last + 1).filter(c => c.original >= 0).map(c => c.original);
+
+        const hasPeaks = BasecallComparison._hasPeaks(original);
+        return {
+            sequence: indices.map(i => original.sequence[i]).join(''),
+            peakLocations: hasPeaks ? indices.map(i => original.peakLocations[i] - traceOffset) : [],
+            qualityScores: indices.map(i => BasecallComparison._at(original.qualityScores, i) || 0)
+        };
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // ALIGNMENT
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Pair bases whose peaks are within half a base spacing of each other
+     * @returns {Array} [editedIndex, originalIndex] pairs in trace order
+     * @private
+     */
+    static _alignByPeaks(editedPeaks, originalPeaks) {
+        const tolerance = BasecallComparison._baseSpacing(originalPeaks) / 2;
+        const pairs = [];
+        let i = 0;
+        let j = 0;
+
+        while (i < editedPeaks.length && j < originalPeaks.length) {
+            const distance = editedPeaks[i] - originalPeaks[j];
+
+            if (Math.abs(distance) <= tolerance) {
+                // A closer partner one step ahead means this base has none
+                if (j + 1 < originalPeaks.length && Math.abs(editedPeaks[i] - originalPeaks[j + 1]) < Math.abs(distance)) {
+                    pairs.push([-1, j++]);
+                } else if (i + 1 < editedPeaks.length && Math.abs(editedPeaks[i + 1] - originalPeaks[j]) < Math.abs(distance)) {
+                    pairs.push([i++, -1]);
+                } else {
+                    pairs.push([i++, j++]);
+                }
+            } else if (distance < 0) {
+                pairs.push([i++, -1]);
+            } else {
+                pairs.push([-1, j++]);
+            }
+        }
+
+        while (i < editedPeaks.length) pairs.push([i++, -1]);
+        while (j < originalPeaks.length) pairs.push([-1, j++]);
+        return pairs;
+    }
+
+    /**
+     * Align two sequences by edit distance (unit cost substitutions and gaps)
+     * @returns {Array} [editedIndex, originalIndex] pairs in sequence order
+     * @private
+     */
+    static _alignBySequence(edited, original) {
+        const n = edited.length;
+        const m = original.length;
+
+        if ((n + 1) * (m + 1) > COMPARISON_MAX_CELLS) {
+            throw new Error(`Call sets are too long to align without peak locations (${n} and ${m} bases)`);
+        }
+
+        // Direction of the best step into each cell: 0 diagonal, 1 insertion (up), 2 deletion (left)
+        const directions = new Uint8Array((n + 1) * (m + 1));
+        let previous = new Uint32Array(m + 1);
+        let current = new Uint32Array(m + 1);
+
+        for (let j = 0; j <= m; j++) {
+            previous[j] = j;
+            directions[j] = 2;
+        }
+
+        for (let i = 1; i <= n; i++) {
+            current[0] = i;
+            directions[i * (m + 1)] = 1;
+
+            for (let j = 1; j <= m; j++) {
+                const diagonal = previous[j - 1] + (edited[i - 1] === original[j - 1] ? 0 : 1);
+                const up = previous[j] + 1;
+                const left = current[j - 1] + 1;
+
+                if (diagonal <= up && diagonal <= left) {
+                    current[j] = diagonal;
+                    directions[i * (m + 1) + j] = 0;
+                } else if (up <= left) {
+                    current[j] = up;
+                    directions[i * (m + 1) + j] = 1;
+                } else {
+                    current[j] = left;
+                    directions[i * (m + 1) + j] = 2;
+                }
+            }
+
+            [previous, current] = [current, previous];
+        }
+
+        const pairs = [];
+        let i = n;
+        let j = m;
+        while (i > 0 || j > 0) {
+            const direction = directions[i * (m + 1) + j];
+            if (i > 0 && j > 0 && direction === 0) {
+                pairs.push([--i, --j]);
+            } else if (i > 0 && (j === 0 || direction === 1)) {
+                pairs.push([--i, -1]);
+            } else {
+                pairs.push([-1, --j]);
+            }
+        }
+        return pairs.reverse();
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // HELPERS
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Check that calls have one peak location per base
+     * @private
+     */
+    static _hasPeaks(calls) {
+        return !!(calls.peakLocations && calls.sequence &&
+            calls.peakLocations.length === calls.sequence.length && calls.sequence.length > 0);
+    }
+
+    /**
+     * Median distance between consecutive peaks (at least 2 scans)
+     * @private
+     */
+    static _baseSpacing(peaks) {
+        const gaps = [];
+        for (let i = 1; i < peaks.length; i++) {
+            if (peaks[i] > peaks[i - 1]) gaps.push(peaks[i] - peaks[i - 1]);
+        }
+        if (gaps.length === 0) return 12;
+
+        gaps.sort((a, b) => a - b);
+        return Math.max(2, gaps[Math.floor(gaps.length / 2)]);
+    }
+
+    /**
+     * Trace position of a column: the edited peak, else the original peak
+     * @private
+     */
+    static _scan(e, o, edited, original) {
+        if (e >= 0 && edited.peakLocations && edited.peakLocations[e] !== undefined) {
+            return edited.peakLocations[e];
+        }
+        if (o >= 0 && original.peakLocations && original.peakLocations[o] !== undefined) {
+            return original.peakLocations[o];
+        }
+        return null;
+    }
+
+    /**
+     * Element of an optional array
+     * @private
+     */
+    static _at(array, index) {
+        return array && array[index] !== undefined ? array[index] : null;
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BasecallComparison };
+}
+
+// For use in browser
+if (typeof window !== 'undefined') {
+    window.BasecallComparison = BasecallComparison;
+}
@@ -0,0 +1,145 @@
+///////////////////////////////////////////////////////////////////////////////
+// MixedBases.js
+// Secondary base calls (P2BA) and their folding into IUPAC ambiguity codes
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * IUPAC ambiguity codes of two-base mixtures, keyed by the sorted bases
+ */
+const MIXED_BASE_CODES = {
+    'AG': 'R',  // puRine
+    'CT': 'Y',  // pYrimidine
+    'GT': 'K',  // Keto
+    'AC': 'M',  // aMino
+    'CG': 'S',  // Strong
+    'AT': 'W'   // Weak
+};
+
+/**
+ * MixedBases - Utility class for heterozygous / mixed positions
+ *
+ * The basecaller stores the second-best base at every position (P2BA_1)
+ * with the amplitudes of the primary and secondary peaks (P1AM_1, P2AM_1).
+ * A position is mixed when the secondary peak reaches a fraction of the
+ * primary one; folding replaces its call with the IUPAC code of the pair.
+ *
+ * Usage:
+ *   const ratios = MixedBases.ratios(sequence, secondaryCalls, peakLocations, traces);
+ *   const folded = MixedBases.fold(sequence, secondaryCalls.bases, ratios, 0.35);
+ */
+class MixedBases {
+
+    /**
+     * IUPAC code of two bases
+     * @param {string} first - Base (A, C, G or T, any case)
+     * @param {string} second - Base (A, C, G or T, any case)
+     * @returns {string|null} Ambiguity code, or null when the bases are equal or not A/C/G/T
+     */
+    static code(first, second) {
+        const pair = [String(first).toUpperCase(), String(second).toUpperCase()].sort().join('');
+        return MIXED_BASE_CODES[pair] || null;
+    }
+
+    /**
+     * Secondary to primary peak amplitude ratio at every base
+     * Uses P1AM/P2AM when the file has them, else the trace heights of the
+     * two bases' channels at the peak.
+     * @param {string} sequence - Primary calls
+     * @param {Object} secondary - Secondary calls { bases, primaryAmplitudes, secondaryAmplitudes }
+     * @param {number[]} peakLocations - Peak location of each base
+     * @param {Object} traces - Traces by base (for files without amplitudes)
+     * @returns {Float64Array} Ratio per base (0 where there is no secondary peak)
+     */
+    static ratios(sequence, secondary, peakLocations, traces) {
+        const ratios = new Float64Array(sequence.length);
+        const { bases, primaryAmplitudes, secondaryAmplitudes } = secondary;
+        const amplitudes = primaryAmplitudes && secondaryAmplitudes &&
+            primaryAmplitudes.length >= sequence.length && secondaryAmplitudes.length >= sequence.length;
+
+        for (let i = 0; i < sequence.length && i < bases.length; i++) {
+            let primary;
+            let other;
+            if (amplitudes) {
+                primary = primaryAmplitudes[i];
+                other = secondaryAmplitudes[i];
+            } else {
+                const peak = peakLocations ? peakLocations[i] : undefined;
+                const primaryTrace = traces && traces[sequence[i].toUpperCase()];
+                const secondaryTrace = traces && traces[bases[i].toUpperCase()];
+                if (peak === undefined || !primaryTrace || !secondaryTrace) continue;
+                primary = primaryTrace[peak];
+                other = secondaryTrace[peak];
+            }
+
+            if (primary > 0 && other > 0) {
+                ratios[i] = other / primary;
+            }
+        }
+        return ratios;
+    }
+
+    /**
+     * Check whether a position is called mixed at a ratio threshold
+     * @param {string} base - Primary call
+     * @param {string} secondaryBase - Secondary call
+     * @param {number} ratio - Secondary to primary amplitude ratio
+     * @param {number} threshold - Smallest ratio called mixed (0-1)
+     * @returns {string|null} IUPAC code, or null when the position is not mixed
+     */
+    static mixedCode(base, secondaryBase, ratio, threshold) {
+        if (!secondaryBase || !(ratio >= threshold)) return null;
+
+        const code = MixedBases.code(base, secondaryBase);
+        if (!code) return null;
+
+        // Keep the case of the primary call (edited calls may be lowercase)
+        return base === base.toLowerCase() ? code.toLowerCase() : code;
+    }
+
+    /**
+     * Fold primary and secondary calls into IUPAC codes where the secondary
+     * peak passes the ratio threshold
+     * @param {string} sequence - Primary calls
+     * @param {string} secondaryBases - Secondary calls
+     * @param {Float64Array} ratios - Output of ratios()
+     * @param {number} threshold - Smallest ratio called mixed (0-1)
+     * @returns {string} Sequence with mixed positions replaced by ambiguity codes
+     */
+    static fold(sequence, secondaryBases, ratios, threshold) {
+        let folded = '';
+        for (let i = 0; i < sequence.length; i++) {
+            folded += MixedBases.mixedCode(sequence[i], secondaryBases[i], ratios[i], threshold) || sequence[i];
+        }
+        return folded;
+    }
+
+    /**
+     * Count the positions called mixed at a ratio threshold
+     * @param {string} sequence - Primary calls
+     * @param {string} secondaryBases - Secondary calls
+     * @param {Float64Array} ratios - Output of ratios()
+     * @param {number} threshold - Smallest ratio called mixed (0-1)
+     * @returns {number} Number of mixed positions
+     */
+    static count(sequence, secondaryBases, ratios, threshold) {
+        let count = 0;
+        for (let i = 0; i < sequence.length; i++) {
+            if (MixedBases.mixedCode(sequence[i], secondaryBases[i], ratios[i], threshold)) count++;
+        }
+        return count;
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MixedBases };
+}
+
+// For use in browser
+if (typeof window !== 'undefined') {
+    window.MixedBases = MixedBases;
+}
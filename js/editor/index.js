@@ -6,12 +6,16 @@
 const { BaseEditor } = require('./BaseEditor.js');
 const { EditHistory, ChangeBaseCommand } = require('./EditHistory.js');
 const { QualityTrimmer } = require('./QualityTrimmer.js');
+const { BasecallComparison } = require('./BasecallComparison.js');
+const { MixedBases } = require('./MixedBases.js');
 
 module.exports = {
     BaseEditor,
     EditHistory,
     ChangeBaseCommand,
-    QualityTrimmer
+    QualityTrimmer,
+    BasecallComparison,
+    MixedBases
 };
 
 // Also expose to window for browser use
@@ -20,4 +24,6 @@ if (typeof window !== 'undefined') {
     window.EditHistory = EditHistory;
     window.ChangeBaseCommand = ChangeBaseCommand;
     window.QualityTrimmer = QualityTrimmer;
+    window.BasecallComparison = BasecallComparison;
+    window.MixedBases = MixedBases;
 }
@@ -44,8 +44,69 @@ class FastaExporter {
         return fasta;
     }
     
+    /**
+     * Turn a sample name or file name into a sequence identifier
+     * 
+     * Full-width and compatibility characters are normalized (NFKC), letters
+     * and digits of any script are kept along with . _ : and -, and every
+     * other run of characters (whitespace, punctuation, control characters,
+     * the > and @ record markers) becomes a single underscore.
+     * 
+     * @param {string} text - Decoded name
+     * @returns {string} Identifier, or '' if nothing usable is left
+     */
+    static sanitizeIdentifier(text) {
+        if (text === null || text === undefined) {
+            return '';
+        }
+        
+        return String(text)
+            .normalize('NFKC')
+            .replace(/[^\p{L}\p{M}\p{N}._:-]+/gu, '_')
+            .replace(/_+/g, '_')
+            .replace(/^[_.:-]+|[_.:-]+$/g, '');
+    }
+    
+    /**
+     * Build a sequence identifier from file metadata: sample name, run name
+     * and well, or else the file name
+     * 
+     * @param {Object} fileData - File data object with metadata and fileName
+     * @returns {string} Identifier
+     */
+    static headerFromFileData(fileData) {
+        const meta = fileData.metadata || {};
+        const parts = [];
+        
+        const sample = this.sanitizeIdentifier(meta.sampleName);
+        const run = this.sanitizeIdentifier(meta.runName);
+        const well = this.sanitizeIdentifier(meta.well);
+        
+        if (sample) parts.push(sample);
+        if (run) parts.push(run);
+        if (well) parts.push(`well:${well}`);
+        
+        return parts.length > 0 ? parts.join('_') : this.sanitizeIdentifier(fileData.fileName) || 'sequence';
+    }
+    
+    /**
+     * Header description of key/value metadata: "KEY=value" pairs separated
+     * by spaces (whitespace in values becomes underscores)
+     * 
+     * @param {Object} fields - Key/value pairs, e.g. ReadQC.toFields()
+     * @returns {string} Description, or '' if there are no values
+     */
+    static describeFields(fields) {
+        return Object.entries(fields || {})
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .map(([key, value]) => `${key}=${String(value).replace(/\s+/g, '_')}`)
+            .join(' ');
+    }
+    
     /**
      * Generate FASTA from file data
+     * The read's QC metrics (fileData.qc), when given, follow the identifier
+     * in the header.
      * 
      * @param {Object} fileData - File data object with sequence and metadata
      * @param {Object} options - Export options
@@ -60,19 +121,7 @@ class FastaExporter {
         const lineWidth = options.lineWidth || 80;
         
         // Generate header from metadata
-        let header = options.header;
-        if (!header && fileData.metadata) {
-            const meta = fileData.metadata;
-            const parts = [];
-            
-            if (meta.sampleName) parts.push(meta.sampleName);
-            if (meta.runName) parts.push(meta.runName);
-            if (meta.well) parts.push(`well:${meta.well}`);
-            
-            header = parts.length > 0 ? parts.join('_') : fileData.fileName || 'sequence';
-        } else if (!header) {
-            header = fileData.fileName || 'sequence';
-        }
+        let header = options.header || this.headerFromFileData(fileData);
         
         // Handle selection if specified
         let sequenceToExport = sequence;
@@ -87,6 +136,11 @@ class FastaExporter {
             }
         }
         
+        const description = this.describeFields(fileData.qc);
+        if (description) {
+            header += ` ${description}`;
+        }
+        
         return this.generate(sequenceToExport, header, lineWidth);
     }
 }
@@ -3,6 +3,10 @@
 // FASTQ format exporter for DNA sequences with quality scores
 ///////////////////////////////////////////////////////////////////////////////
 
+// Import FastaExporter for the sequence identifier of the header
+// (renderer scripts share one global scope, where FastaExporter.js already declares FastaExporter)
+const fastqFastaExporter = (typeof require !== 'undefined') ? require('./FastaExporter.js').FastaExporter : window.FastaExporter;
+
 /**
  * FastqExporter - Utility class for exporting sequences in FASTQ format
  * 
@@ -33,14 +37,15 @@ class FastqExporter {
     /**
      * Convert array of Phred scores to quality string
      * 
-     * @param {number[]} qualityScores - Array of Phred scores
+     * @param {number[]|Uint8Array} qualityScores - Phred scores
      * @returns {string} ASCII-encoded quality string
      */
     static qualityToString(qualityScores) {
         if (!qualityScores || qualityScores.length === 0) {
             return '';
         }
-        return qualityScores.map(q => this.phredToAscii(q)).join('');
+        // Array.from: mapping a typed array in place would coerce the characters to numbers
+        return Array.from(qualityScores, q => this.phredToAscii(q)).join('');
     }
     
     /**
@@ -99,6 +104,8 @@ class FastqExporter {
     
     /**
      * Generate FASTQ from file data
+     * The read's QC metrics (fileData.qc), when given, follow the identifier
+     * in the header.
      * 
      * @param {Object} fileData - File data object with sequence, quality scores, and metadata
      * @param {Object} options - Export options
@@ -113,20 +120,8 @@ class FastqExporter {
         const qualityScores = fileData.qualityScores || [];
         const lineWidth = options.lineWidth || 80;
         
-        // Generate header from metadata
-        let header = options.header;
-        if (!header && fileData.metadata) {
-            const meta = fileData.metadata;
-            const parts = [];
-            
-            if (meta.sampleName) parts.push(meta.sampleName);
-            if (meta.runName) parts.push(meta.runName);
-            if (meta.well) parts.push(`well:${meta.well}`);
-            
-            header = parts.length > 0 ? parts.join('_') : fileData.fileName || 'sequence';
-        } else if (!header) {
-            header = fileData.fileName || 'sequence';
-        }
+        // Generate header from metadata (sanitized the same way as FASTA headers)
+        let header = options.header || fastqFastaExporter.headerFromFileData(fileData);
         
         // Handle selection if specified
         let sequenceToExport = sequence;
@@ -147,6 +142,11 @@ class FastqExporter {
             }
         }
         
+        const description = fastqFastaExporter.describeFields(fileData.qc);
+        if (description) {
+            header += ` ${description}`;
+        }
+        
         return this.generate(sequenceToExport, qualityToExport, header, lineWidth);
     }
 }
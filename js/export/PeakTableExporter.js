@@ -0,0 +1,84 @@
+///////////////////////////////////////////////////////////////////////////////
+// PeakTableExporter.js
+// CSV exporter for fragment analysis peak tables
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * PeakTableExporter - Utility class for exporting fragment analysis peaks
+ *
+ * CSV format (one row per peak, ordered by dye then size):
+ * Dye,Size (bp),Height,Area,Scan
+ * 6-FAM,123.45,1501,15247,3209.76
+ */
+class PeakTableExporter {
+
+    /**
+     * Quote a CSV field when it contains a separator, quote or line break
+     *
+     * @param {*} value - Field value
+     * @returns {string} CSV field
+     */
+    static csvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Generate the peak table as CSV
+     *
+     * @param {Object[]} peaks - Peaks from FragmentAnalysis: { dye, size, height, area, scan, standard }
+     * @param {Object} options - Export options
+     * @param {boolean} options.includeStandard - Include the size standard's peaks (default true)
+     * @param {number} options.decimals - Decimal places for sizes and scans (default 2)
+     * @returns {string} CSV text
+     */
+    static generate(peaks, options = {}) {
+        const includeStandard = options.includeStandard !== false;
+        const decimals = options.decimals !== undefined ? options.decimals : 2;
+        const number = value => (typeof value === 'number' ? value.toFixed(decimals) : '');
+
+        const rows = (peaks || []).filter(peak => includeStandard || !peak.standard);
+
+        let csv = 'Dye,Size (bp),Height,Area,Scan\n';
+        for (const peak of rows) {
+            csv += [
+                this.csvField(peak.dye),
+                number(peak.size),
+                peak.height,
+                peak.area,
+                number(peak.scan)
+            ].join(',') + '\n';
+        }
+
+        return csv;
+    }
+
+    /**
+     * Generate the peak table from file data
+     *
+     * @param {Object} fileData - File data object with fragment analysis results
+     * @param {Object} options - Export options (see generate)
+     * @returns {string} CSV text
+     */
+    static generateFromFileData(fileData, options = {}) {
+        if (!fileData || !fileData.fragment) {
+            throw new Error('File data must contain fragment analysis results');
+        }
+
+        return this.generate(fileData.fragment.peaks, options);
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PeakTableExporter };
+}
+
+// For use in browser
+if (typeof window !== 'undefined') {
+    window.PeakTableExporter = PeakTableExporter;
+}
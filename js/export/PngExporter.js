@@ -6,8 +6,11 @@
 /**
  * PngExporter - Utility class for exporting chromatogram as PNG image
  * 
- * Uses NUCLEOTIDE_COLORS from window (set by ChromatogramCanvas.js)
- * Renders the full chromatogram (not just visible portion) at a fixed resolution
+ * Uses NUCLEOTIDE_COLORS and SIZE_AXIS_STEPS from window (set by ChromatogramCanvas.js)
+ * and TraceArrays (set by TraceArrays.js)
+ * Renders the full chromatogram (not just visible portion) at a fixed resolution.
+ * Trace colors come from the file's channel model (fileData.channels), as in the viewer.
+ * Fragment analysis files have no base calls and are drawn on their bp axis.
  */
 class PngExporter {
     
@@ -18,25 +21,42 @@ class PngExporter {
      * @param {Object} options - Export options
      * @param {string} options.viewMode - 'processed', 'raw', or 'quality' (default: 'processed')
      * @param {number} options.pixelsPerBase - Pixels per base for rendering (default: 12)
+     * @param {number} options.pixelsPerScan - Pixels per scan for fragment analysis files (default: 0.5)
      * @param {number} options.height - Canvas height in pixels (default: 450)
-     * @returns {Promise<Blob>} PNG blob
+     * @returns {Promise<Blob>} PNG blob, with the read's QC metrics (fileData.qc) as text chunks
      */
     static async exportFromFileData(fileData, options = {}) {
         if (!fileData) {
             throw new Error('File data is required');
         }
         
-        if (!fileData.sequence || !fileData.traces) {
+        // Fragment analysis files have traces and a sizing instead of a sequence
+        const fragment = fileData.fragment || null;
+        
+        if ((!fileData.sequence && !fragment) || !fileData.traces) {
             throw new Error('File data must contain sequence and traces');
         }
         
-        const viewMode = options.viewMode || 'processed';
+        const viewMode = fragment ? 'processed' : (options.viewMode || 'processed');
         const pixelsPerBase = options.pixelsPerBase || 12;
+        const pixelsPerScan = options.pixelsPerScan || 0.5;
         const height = options.height || 450;
         
+        // Traces to draw, their channel keys and their colors
+        const tracesToCheck = viewMode === 'raw' && fileData.rawTraces 
+            ? fileData.rawTraces 
+            : fileData.traces;
+        const channelOrder = fileData.channelOrder || ['G', 'A', 'T', 'C'];
+        const colors = this._channelColors(fileData.channels, channelOrder);
+        
+        // Find max trace length
+        const maxTraceLength = TraceArrays.maxLength(tracesToCheck, channelOrder);
+        
         // Calculate canvas dimensions
-        const sequenceLength = fileData.sequence.length;
-        const width = Math.max(800, sequenceLength * pixelsPerBase); // Minimum 800px width
+        const sequenceLength = fragment ? 0 : fileData.sequence.length;
+        const width = fragment
+            ? Math.max(800, Math.ceil(maxTraceLength * pixelsPerScan))
+            : Math.max(800, sequenceLength * pixelsPerBase); // Minimum 800px width
         
         // Limit maximum canvas size to prevent memory issues
         const maxWidth = 50000;
@@ -77,23 +97,11 @@ class PngExporter {
         };
         
         // Calculate trace maximum for Y-axis scaling
-        const tracesToCheck = viewMode === 'raw' && fileData.rawTraces 
-            ? fileData.rawTraces 
-            : fileData.traces;
-        
-        let traceMax = 0;
-        const channelOrder = fileData.channelOrder || ['G', 'A', 'T', 'C'];
-        
-        for (const nucleotide of channelOrder) {
-            const trace = tracesToCheck[nucleotide];
-            if (trace) {
-                for (const value of trace) {
-                    if (value > traceMax) {
-                        traceMax = value;
-                    }
-                }
-            }
-        }
+        // (fragment runs are scaled to the sized range, as in the viewer, so the primer peak does not flatten the fragments)
+        const sizing = fragment ? fragment.sizing : null;
+        const traceMax = sizing
+            ? this._maxInScanRange(tracesToCheck, channelOrder, sizing.firstScan, sizing.lastScan)
+            : TraceArrays.maxValue(tracesToCheck, channelOrder);
         
         const traceAreaHeight = config.traceAreaHeight - 10;
         const yScale = traceAreaHeight / (traceMax || 1);
@@ -102,20 +110,10 @@ class PngExporter {
         ctx.fillStyle = config.backgroundColor;
         ctx.fillRect(0, 0, actualWidth, actualHeight);
         
-        // Calculate X scale (pixels per data point)
-        // Find max trace length
-        let maxTraceLength = 0;
-        for (const nucleotide of channelOrder) {
-            const trace = tracesToCheck[nucleotide];
-            if (trace && trace.length > maxTraceLength) {
-                maxTraceLength = trace.length;
-            }
-        }
-        
         // X scale: map trace data points to canvas pixels
         // We want the full sequence to fit, so use peak locations to determine scale
-        let xScale = pixelsPerBase;
-        if (fileData.peakLocations && fileData.peakLocations.length > 0) {
+        let xScale = fragment ? actualWidth / (maxTraceLength || 1) : pixelsPerBase;
+        if (!fragment && fileData.peakLocations && fileData.peakLocations.length > 0) {
             const lastPeak = fileData.peakLocations[fileData.peakLocations.length - 1];
             if (lastPeak > 0) {
                 // Scale so last peak maps to approximate position based on pixelsPerBase
@@ -124,6 +122,15 @@ class PngExporter {
             }
         }
         
+        if (fragment) {
+            this._renderTraces(ctx, fileData.traces, config, xScale, yScale, channelOrder, colors);
+            this._renderBaseline(ctx, config, actualWidth);
+            if (sizing) {
+                this._renderSizeAxis(ctx, sizing, config, xScale, colors);
+            }
+            return this._toBlob(canvas);
+        }
+        
         // Render based on view mode
         switch (viewMode) {
             case 'quality':
@@ -136,13 +143,13 @@ class PngExporter {
                 if (!fileData.rawTraces) {
                     throw new Error('Raw traces not available');
                 }
-                this._renderTraces(ctx, fileData.rawTraces, config, xScale, yScale, channelOrder);
+                this._renderTraces(ctx, fileData.rawTraces, config, xScale, yScale, channelOrder, colors);
                 this._renderBaseline(ctx, config, actualWidth);
                 break;
                 
             case 'processed':
             default:
-                this._renderTraces(ctx, fileData.traces, config, xScale, yScale, channelOrder);
+                this._renderTraces(ctx, fileData.traces, config, xScale, yScale, channelOrder, colors);
                 this._renderBaseline(ctx, config, actualWidth);
                 this._renderBaseCalls(ctx, fileData, config, xScale, channelOrder);
                 // Render ruler/position numbers
@@ -150,6 +157,78 @@ class PngExporter {
                 break;
         }
         
+        const blob = await this._toBlob(canvas);
+        return fileData.qc ? this.addTextChunks(blob, fileData.qc) : blob;
+    }
+    
+    /**
+     * Add tEXt chunks (keyword/value pairs) after the IHDR chunk of a PNG
+     * 
+     * @param {Blob} blob - PNG image
+     * @param {Object} text - Keyword/value pairs (Latin-1)
+     * @returns {Promise<Blob>} PNG image with the text chunks
+     */
+    static async addTextChunks(blob, text) {
+        const entries = Object.entries(text || {})
+            .filter(([, value]) => value !== undefined && value !== null && value !== '');
+        if (entries.length === 0) {
+            return blob;
+        }
+        
+        // Signature (8 bytes), then IHDR: length, type, 13 data bytes and CRC
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const ihdrEnd = 8 + 12 + 13;
+        const chunks = entries.map(([keyword, value]) => this._textChunk(keyword, String(value)));
+        
+        return new Blob([bytes.subarray(0, ihdrEnd), ...chunks, bytes.subarray(ihdrEnd)], { type: 'image/png' });
+    }
+    
+    /**
+     * Build a tEXt chunk: length, type, keyword, NUL, text and CRC
+     * @private
+     */
+    static _textChunk(keyword, value) {
+        const content = `tEXt${keyword.slice(0, 79)}\0${value}`;
+        const chunk = new Uint8Array(content.length + 8);
+        const view = new DataView(chunk.buffer);
+        
+        view.setUint32(0, content.length - 4, false);
+        for (let i = 0; i < content.length; i++) {
+            chunk[4 + i] = content.charCodeAt(i) & 0xFF;
+        }
+        view.setUint32(4 + content.length, this._crc32(chunk.subarray(4, 4 + content.length)), false);
+        
+        return chunk;
+    }
+    
+    /**
+     * CRC-32 of PNG chunks (type and data)
+     * @private
+     */
+    static _crc32(bytes) {
+        if (!this._crcTable) {
+            this._crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                this._crcTable[n] = c >>> 0;
+            }
+        }
+        
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this._crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+    
+    /**
+     * Convert the canvas to a PNG blob
+     * @private
+     */
+    static _toBlob(canvas) {
         // Convert canvas to blob with error handling
         return new Promise((resolve, reject) => {
             try {
@@ -188,11 +267,43 @@ class PngExporter {
         });
     }
     
+    /**
+     * Trace color of each channel: from the channel model when there is one,
+     * the nucleotide colors otherwise
+     * @private
+     */
+    static _channelColors(channels, channelOrder) {
+        const colors = {};
+        for (const key of channelOrder) {
+            const entry = channels && channels.channels.find(c => c.key === key);
+            colors[key] = entry ? entry.color : (NUCLEOTIDE_COLORS[key] || '#000000');
+        }
+        return colors;
+    }
+    
+    /**
+     * Maximum trace value between two scans, across channels
+     * @private
+     */
+    static _maxInScanRange(traces, channelOrder, startScan, endScan) {
+        let max = 0;
+        for (const channel of channelOrder) {
+            const trace = traces[channel];
+            if (!trace) continue;
+            
+            const end = Math.min(trace.length - 1, Math.floor(endScan));
+            for (let i = Math.max(0, Math.ceil(startScan)); i <= end; i++) {
+                if (trace[i] > max) max = trace[i];
+            }
+        }
+        return max;
+    }
+    
     /**
      * Render trace lines for all channels
      * @private
      */
-    static _renderTraces(ctx, traces, config, xScale, yScale, channelOrder) {
+    static _renderTraces(ctx, traces, config, xScale, yScale, channelOrder, colors) {
         if (!traces) return;
         
         const traceAreaHeight = config.traceAreaHeight;
@@ -204,9 +315,7 @@ class PngExporter {
             const trace = traces[nucleotide];
             if (!trace || trace.length === 0) continue;
             
-            const color = NUCLEOTIDE_COLORS[nucleotide] || '#000000';
-            
-            ctx.strokeStyle = color;
+            ctx.strokeStyle = colors[nucleotide];
             ctx.lineWidth = config.traceLineWidth;
             ctx.lineCap = 'round';
             ctx.lineJoin = 'round';
@@ -309,6 +418,58 @@ class PngExporter {
         ctx.stroke();
     }
     
+    /**
+     * Render the base-pair axis of a fragment analysis file, with the size
+     * standard's fragments marked (same layout as ChromatogramCanvas)
+     * @private
+     */
+    static _renderSizeAxis(ctx, sizing, config, xScale, colors) {
+        const sizes = sizing.sizes;
+        const axisY = config.traceAreaHeight;
+        
+        // Tick spacing that keeps labels at least 60px apart
+        const sizedWidth = (sizing.lastScan - sizing.firstScan) * xScale;
+        const bpPerPixel = (sizing.maxSize - sizing.minSize) / (sizedWidth || 1);
+        const step = SIZE_AXIS_STEPS.find(s => s / bpPerPixel >= 60) || SIZE_AXIS_STEPS[SIZE_AXIS_STEPS.length - 1];
+        
+        ctx.strokeStyle = '#888888';
+        ctx.fillStyle = '#555555';
+        ctx.lineWidth = 1;
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.beginPath();
+        
+        let next = Math.max(0, Math.ceil(sizes[0] / step) * step);
+        for (let scan = 1; scan < sizes.length; scan++) {
+            if (sizes[scan] <= sizes[scan - 1]) continue;
+            
+            while (sizes[scan] >= next) {
+                const fraction = (next - sizes[scan - 1]) / (sizes[scan] - sizes[scan - 1]);
+                const x = (scan - 1 + fraction) * xScale;
+                ctx.moveTo(x, axisY);
+                ctx.lineTo(x, axisY + 6);
+                ctx.fillText(`${next}`, x, axisY + 8);
+                next += step;
+            }
+        }
+        ctx.stroke();
+        
+        // Size standard fragments
+        ctx.fillStyle = colors[sizing.channel] || '#555555';
+        ctx.font = '9px sans-serif';
+        for (const fragment of sizing.ladder) {
+            const x = fragment.scan * xScale;
+            ctx.beginPath();
+            ctx.moveTo(x, axisY + 22);
+            ctx.lineTo(x - 4, axisY + 29);
+            ctx.lineTo(x + 4, axisY + 29);
+            ctx.closePath();
+            ctx.fill();
+            ctx.fillText(`${fragment.size}`, x, axisY + 31);
+        }
+    }
+    
     /**
      * Render position numbers (ruler) every 10 bases
      * @private
@@ -0,0 +1,237 @@
+///////////////////////////////////////////////////////////////////////////////
+// ScfExporter.js
+// SCF v3 (Staden Standard Chromatogram Format) exporter for trace data
+///////////////////////////////////////////////////////////////////////////////
+
+// Import the shared read slicing and metadata if in Node.js environment
+// (renderer scripts share one global scope, where TraceExportData.js already declares TraceExportData)
+const scfExportData = (typeof require !== 'undefined') ? require('./TraceExportData.js').TraceExportData : window.TraceExportData;
+
+/**
+ * ScfExporter - Utility class for exporting the current read as an SCF v3 file
+ *
+ * SCF v3 layout:
+ * 128-byte header
+ * Samples  - all A, then C, G, T (2 bytes each, delta-delta encoded)
+ * Bases    - peak indices (uint32), prob A, prob C, prob G, prob T,
+ *            base calls, 3 spare bytes (each written as a block per field)
+ * Comments - "KEY=value" lines, NUL terminated
+ *
+ * All values are big-endian.
+ */
+class ScfExporter {
+
+    /**
+     * SCF stores the channels in a fixed order
+     */
+    static get CHANNEL_ORDER() {
+        return ['A', 'C', 'G', 'T'];
+    }
+
+    /**
+     * Delta-delta encode one channel (inverse of the SCF v3 reader)
+     *
+     * @param {number[]} samples - Sample values (0-65535)
+     * @returns {number[]} Encoded values, wrapped to 16 bits
+     */
+    static deltaSamples(samples) {
+        const out = Array.from(samples, v => Math.max(0, Math.min(65535, Math.round(v || 0))));
+
+        for (let pass = 0; pass < 2; pass++) {
+            let previous = 0;
+            for (let i = 0; i < out.length; i++) {
+                const current = out[i];
+                out[i] = (current - previous) & 0xFFFF;
+                previous = current;
+            }
+        }
+
+        return out;
+    }
+
+    /**
+     * Build per-base A/C/G/T probabilities from called bases and quality
+     *
+     * The called channel carries the quality value and the other channels 0.
+     * Ambiguous calls (N, IUPAC codes) carry the quality value on all four.
+     *
+     * @param {string} sequence - Base calls
+     * @param {number[]} qualityScores - Quality value per base
+     * @returns {Object} Object with A, C, G, T arrays
+     */
+    static probabilitiesFromQuality(sequence, qualityScores) {
+        const probs = { A: [], C: [], G: [], T: [] };
+
+        for (let i = 0; i < sequence.length; i++) {
+            const base = sequence[i].toUpperCase();
+            const q = Math.max(0, Math.min(255, Math.round((qualityScores && qualityScores[i]) || 0)));
+
+            for (const channel of this.CHANNEL_ORDER) {
+                if (probs[base] === undefined) {
+                    probs[channel].push(q);
+                } else {
+                    probs[channel].push(channel === base ? q : 0);
+                }
+            }
+        }
+
+        return probs;
+    }
+
+    /**
+     * Generate SCF v3 file bytes
+     *
+     * @param {Object} data - Read data
+     * @param {Object} data.traces - Traces keyed by base (A, C, G, T)
+     * @param {string} data.sequence - Base calls
+     * @param {number[]} data.peakLocations - Peak sample index per base
+     * @param {number[]} [data.qualityScores] - Quality value per base
+     * @param {Object} [data.probabilities] - Per-base A/C/G/T probabilities (overrides qualityScores)
+     * @param {Object} [comments] - Key/value pairs written to the comments block
+     * @returns {Uint8Array} SCF file contents
+     */
+    static generate(data, comments = {}) {
+        if (!data || !data.sequence || !data.traces) {
+            throw new Error('Data must contain sequence and traces');
+        }
+
+        const channels = this.CHANNEL_ORDER;
+        const sequence = data.sequence;
+        const numBases = sequence.length;
+        const numSamples = Math.max(...channels.map(c => (data.traces[c] ? data.traces[c].length : 0)));
+        const probs = data.probabilities || this.probabilitiesFromQuality(sequence, data.qualityScores);
+
+        // Comments block
+        let commentText = '';
+        for (const [key, value] of Object.entries(comments)) {
+            if (value !== undefined && value !== null && value !== '') {
+                commentText += `${key}=${value}\n`;
+            }
+        }
+        const commentBytes = new Uint8Array(commentText.length + 1);
+        for (let i = 0; i < commentText.length; i++) {
+            commentBytes[i] = commentText.charCodeAt(i) & 0xFF;
+        }
+
+        // Layout
+        const sampleSize = 2;
+        const samplesOffset = 128;
+        const basesOffset = samplesOffset + (numSamples * 4 * sampleSize);
+        const commentsOffset = basesOffset + (numBases * 12);
+        const totalSize = commentsOffset + commentBytes.length;
+
+        const buffer = new ArrayBuffer(totalSize);
+        const dv = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        // Header
+        this._writeAscii(dv, 0, '.scf');
+        dv.setUint32(4, numSamples, false);
+        dv.setUint32(8, samplesOffset, false);
+        dv.setUint32(12, numBases, false);
+        dv.setUint32(16, 0, false);                   // bases_left_clip
+        dv.setUint32(20, 0, false);                   // bases_right_clip
+        dv.setUint32(24, basesOffset, false);
+        dv.setUint32(28, commentBytes.length, false);
+        dv.setUint32(32, commentsOffset, false);
+        this._writeAscii(dv, 36, '3.00');
+        dv.setUint32(40, sampleSize, false);
+        dv.setUint32(44, 0, false);                   // code_set
+        dv.setUint32(48, 0, false);                   // private_size
+        dv.setUint32(52, 0, false);                   // private_offset
+
+        // Samples (one channel after another, padded to numSamples)
+        for (let c = 0; c < channels.length; c++) {
+            const trace = Array.from(data.traces[channels[c]] || []);
+            while (trace.length < numSamples) trace.push(0);
+
+            const encoded = this.deltaSamples(trace);
+            const channelOffset = samplesOffset + (c * numSamples * sampleSize);
+            for (let i = 0; i < numSamples; i++) {
+                dv.setUint16(channelOffset + (i * sampleSize), encoded[i], false);
+            }
+        }
+
+        // Bases
+        const peaks = data.peakLocations || [];
+        const probOffset = basesOffset + (numBases * 4);
+        const callOffset = probOffset + (numBases * 4);
+
+        for (let i = 0; i < numBases; i++) {
+            const peak = Math.max(0, Math.min(numSamples - 1, Math.round(peaks[i] || 0)));
+            dv.setUint32(basesOffset + (i * 4), peak, false);
+
+            for (let c = 0; c < channels.length; c++) {
+                const p = probs[channels[c]] ? probs[channels[c]][i] || 0 : 0;
+                dv.setUint8(probOffset + (c * numBases) + i, Math.max(0, Math.min(255, Math.round(p))));
+            }
+
+            dv.setUint8(callOffset + i, sequence.charCodeAt(i) & 0xFF);
+        }
+        // Spare bytes are left as zero
+
+        // Comments
+        bytes.set(commentBytes, commentsOffset);
+
+        return bytes;
+    }
+
+    /**
+     * Generate SCF from the viewer's current read state
+     *
+     * @param {Object} fileData - Read state (ChromatogramCanvas.getData() plus metadata/fileName,
+     *   and the read's QC metrics as key/value pairs in qc)
+     * @param {Object} options - Export options
+     * @param {number} [options.start] - First base of the selection (0-based, inclusive)
+     * @param {number} [options.end] - Last base of the selection (0-based, inclusive)
+     * @param {number} [options.tracePadding] - Samples kept around a selection (default: 10)
+     * @returns {Uint8Array} SCF file contents
+     */
+    static generateFromFileData(fileData, options = {}) {
+        const read = scfExportData.fromFileData(fileData, options);
+        return this.generate(read, scfExportData.metadataFields(fileData));
+    }
+
+    /**
+     * Convert bytes to a base64 string (for sending over IPC)
+     *
+     * @param {Uint8Array} bytes - Binary data
+     * @returns {string} Base64 string
+     */
+    static toBase64(bytes) {
+        if (typeof Buffer !== 'undefined') {
+            return Buffer.from(bytes).toString('base64');
+        }
+
+        let binary = '';
+        const chunkSize = 0x8000;
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Write an ASCII string into a DataView
+     * @private
+     */
+    static _writeAscii(dv, offset, str) {
+        for (let i = 0; i < str.length; i++) {
+            dv.setUint8(offset + i, str.charCodeAt(i) & 0xFF);
+        }
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScfExporter };
+}
+
+// For use in browser
+if (typeof window !== 'undefined') {
+    window.ScfExporter = ScfExporter;
+}
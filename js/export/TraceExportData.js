@@ -0,0 +1,97 @@
+///////////////////////////////////////////////////////////////////////////////
+// TraceExportData.js
+// Read data and metadata shared by the trace file exporters (SCF, ZTR)
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * TraceExportData - Prepares the viewer's read state for a trace file writer
+ *
+ * Cuts the calls, qualities, peak positions and traces down to a selection
+ * and builds the key/value metadata (SCF comments, ZTR TEXT chunk).
+ *
+ * Usage:
+ *   const read = TraceExportData.fromFileData(fileData, { start: 10, end: 99 });
+ *   const fields = TraceExportData.metadataFields(fileData);
+ */
+class TraceExportData {
+
+    /**
+     * Read data to export, cut down to the selection if one is given
+     *
+     * @param {Object} fileData - Read state (ChromatogramCanvas.getData())
+     * @param {Object} options - Export options
+     * @param {number} [options.start] - First base of the selection (0-based, inclusive)
+     * @param {number} [options.end] - Last base of the selection (0-based, inclusive)
+     * @param {number} [options.tracePadding] - Samples kept around a selection (default: 10)
+     * @returns {Object} { sequence, qualityScores, peakLocations, traces }, with peak
+     *   positions relative to the first sample kept
+     */
+    static fromFileData(fileData, options = {}) {
+        if (!fileData || !fileData.sequence || !fileData.traces) {
+            throw new Error('File data must contain sequence and traces');
+        }
+
+        let sequence = fileData.sequence;
+        let qualityScores = fileData.qualityScores || [];
+        let peakLocations = fileData.peakLocations || [];
+        let traces = fileData.traces;
+
+        // Handle selection if specified
+        if (options.start !== undefined && options.end !== undefined) {
+            const start = Math.max(0, Math.min(options.start, sequence.length - 1));
+            const end = Math.max(start, Math.min(options.end, sequence.length - 1));
+            const padding = options.tracePadding !== undefined ? options.tracePadding : 10;
+
+            const traceLength = Math.max(...Object.values(traces).map(t => (t ? t.length : 0)));
+            const sliceStart = Math.max(0, (peakLocations[start] || 0) - padding);
+            const sliceEnd = Math.min(traceLength, (peakLocations[end] || 0) + padding + 1);
+
+            sequence = sequence.substring(start, end + 1);
+            qualityScores = qualityScores.slice(start, end + 1);
+            peakLocations = peakLocations.slice(start, end + 1).map(pos => pos - sliceStart);
+
+            const sliced = {};
+            for (const [base, trace] of Object.entries(traces)) {
+                sliced[base] = trace ? Array.prototype.slice.call(trace, sliceStart, sliceEnd) : [];
+            }
+            traces = sliced;
+        }
+
+        return { sequence, qualityScores, peakLocations, traces };
+    }
+
+    /**
+     * Key/value metadata of the read: sample name (or file name), machine,
+     * well, run, dye set, the converter and the read's QC metrics
+     *
+     * @param {Object} fileData - Read state with metadata/fileName, and the
+     *   read's QC metrics as key/value pairs in qc
+     * @returns {Object} Fields keyed by their SCF/ZTR names; missing values are undefined
+     */
+    static metadataFields(fileData) {
+        const meta = fileData.metadata || {};
+        return {
+            NAME: meta.sampleName || (fileData.fileName ? fileData.fileName.replace(/\.[^/.]+$/, '') : ''),
+            MACH: meta.machineName || meta.machineModel,
+            TUBE: meta.well,
+            RUNN: meta.runName,
+            DYEP: meta.dyeSet,
+            CONV: 'AB1Reader',
+            ...(fileData.qc || {})
+        };
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TraceExportData };
+}
+
+// For use in browser
+if (typeof window !== 'undefined') {
+    window.TraceExportData = TraceExportData;
+}
@@ -6,11 +6,15 @@
 const { FastaExporter } = require('./FastaExporter.js');
 const { FastqExporter } = require('./FastqExporter.js');
 const { PngExporter } = require('./PngExporter.js');
+const { PeakTableExporter } = require('./PeakTableExporter.js');
+const { TraceExportData } = require('./TraceExportData.js');
 
 module.exports = {
     FastaExporter,
     FastqExporter,
-    PngExporter
+    PngExporter,
+    PeakTableExporter,
+    TraceExportData
 };
 
 // Also expose to window for browser use
@@ -18,4 +22,6 @@ if (typeof window !== 'undefined') {
     window.FastaExporter = FastaExporter;
     window.FastqExporter = FastqExporter;
     window.PngExporter = PngExporter;
+    window.PeakTableExporter = PeakTableExporter;
+    window.TraceExportData = TraceExportData;
 }
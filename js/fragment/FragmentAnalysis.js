@@ -0,0 +1,666 @@
+///////////////////////////////////////////////////////////////////////////////
+// FragmentAnalysis.js
+// Size-standard calibration and peak calling for fragment analysis (.fsa) files
+// Sizes every scan in base pairs from the internal lane standard
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Internal lane size standards: fragment lengths (bp) and label dye
+ * `match` recognizes the standard in the StdF_1 tag written by the instrument.
+ */
+const FRAGMENT_SIZE_STANDARDS = {
+    GS500LIZ: {
+        name: 'GeneScan 500 LIZ',
+        dye: 'LIZ',
+        match: /500.*LIZ/i,
+        sizes: [35, 50, 75, 100, 139, 150, 160, 200, 250, 300, 340, 350, 400, 450, 490, 500]
+    },
+    GS600LIZ: {
+        name: 'GeneScan 600 LIZ',
+        dye: 'LIZ',
+        match: /600.*LIZ/i,
+        sizes: [20, 40, 60, 80, 100, 114, 120, 140, 160, 180, 200, 214, 220, 240, 250, 260, 280, 300,
+                314, 320, 340, 360, 380, 400, 414, 420, 440, 460, 480, 500, 514, 520, 540, 560, 580, 600]
+    },
+    GS500ROX: {
+        name: 'GeneScan 500 ROX',
+        dye: 'ROX',
+        match: /500.*ROX/i,
+        sizes: [35, 50, 75, 100, 139, 150, 160, 200, 250, 300, 340, 350, 400, 450, 490, 500]
+    },
+    GS400HD: {
+        name: 'GeneScan 400HD ROX',
+        dye: 'ROX',
+        match: /400\s*HD/i,
+        sizes: [50, 60, 90, 100, 120, 150, 160, 180, 190, 200, 220, 240, 260, 280, 290, 300, 320, 340,
+                360, 380, 400]
+    }
+};
+
+/**
+ * Default analysis settings
+ */
+const FRAGMENT_DEFAULTS = {
+    sizeStandard: null,         // Standard ID; detected when not set
+    minPeakHeight: 50,          // Minimum peak height (RFU)
+    smoothing: 5,               // Moving-average width used to find peaks (scans)
+    baselineWindow: 251,        // Baseline window for raw data (scans)
+    standardMinFraction: 0.2    // Ladder peaks must reach this fraction of a typical ladder peak
+};
+
+/**
+ * Fragment Analysis
+ * Calibrates a fragment analysis run against its internal size standard and
+ * calls the peaks of every dye. The standard's peaks are aligned to the
+ * known fragment lengths, a sizing curve (3rd order least squares, or a
+ * straight line for short ladders) maps every scan to a size in bp, and
+ * peaks are reported with their size, height and area.
+ *
+ * Usage:
+ *   const result = FragmentAnalysis.analyze(parser);
+ *   console.log(result.sizing.standardName, result.peaks.length);
+ */
+class FragmentAnalysis {
+
+    /**
+     * Analyze a parsed fragment analysis file
+     * @param {ABIFParser} parser - Parsed ABIF file
+     * @param {Object} [options] - Analysis settings (see FRAGMENT_DEFAULTS)
+     * @returns {Object} Analysis result (see run())
+     */
+    static analyze(parser, options = {}) {
+        return new FragmentAnalysis(parser.getDyeChannels(), options).run();
+    }
+
+    /**
+     * Create a FragmentAnalysis instance
+     * @param {Object} dyeChannels - Output of ABIFParser.getDyeChannels(), whose
+     *                               channels carry their key, color and role
+     *                               from the channel model
+     * @param {Object} [options] - Analysis settings (see FRAGMENT_DEFAULTS)
+     */
+    constructor(dyeChannels, options = {}) {
+        if (!dyeChannels || !Array.isArray(dyeChannels.channels)) {
+            throw new Error('FragmentAnalysis requires dye channel data');
+        }
+
+        this.source = dyeChannels.source;
+        this.dyeSet = dyeChannels.dyeSet || '';
+        this.standardHint = dyeChannels.sizeStandard || '';
+        this.options = { ...FRAGMENT_DEFAULTS, ...options };
+
+        this.channels = dyeChannels.channels;
+    }
+
+    /**
+     * Run the analysis
+     * @returns {Object} { source, dyeSet, channels, traces, traceLength, sizing, peaks }
+     */
+    run() {
+        const traces = {};
+        for (const channel of this.channels) {
+            traces[channel.key] = this.source === 'raw'
+                ? FragmentAnalysis.subtractBaseline(channel.data, this.options.baselineWindow)
+                : channel.data;
+        }
+
+        const traceLength = Math.max(0, ...this.channels.map(c => traces[c.key].length));
+        const standardChannel = this._findStandardChannel();
+        const sizing = standardChannel
+            ? this._calibrate(traces[standardChannel.key], standardChannel, traceLength)
+            : null;
+
+        return {
+            source: this.source,
+            dyeSet: this.dyeSet,
+            channels: this.channels.map(({ data, ...channel }) => channel),
+            traces: traces,
+            traceLength: traceLength,
+            sizing: sizing,
+            peaks: this._peakTable(traces, sizing, standardChannel)
+        };
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // SIZE STANDARD
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * The channel carrying the size standard: the configured standard's dye,
+     * or the channel model's standard channel
+     * @returns {Object|null} Channel
+     * @private
+     */
+    _findStandardChannel() {
+        if (this.channels.length === 0) return null;
+
+        const standard = FRAGMENT_SIZE_STANDARDS[this.options.sizeStandard];
+        const configured = standard && this.channels.find(c => c.name.toUpperCase().includes(standard.dye));
+
+        return configured
+            || this.channels.find(c => c.role === 'standard')
+            || this.channels[this.channels.length - 1];
+    }
+
+    /**
+     * Standards to try: the configured one, the one named in StdF_1, or
+     * every standard labelled with the channel's dye
+     * @param {Object} channel - Size standard channel
+     * @returns {string[]} Standard IDs
+     * @private
+     */
+    _candidateStandards(channel) {
+        const ids = Object.keys(FRAGMENT_SIZE_STANDARDS);
+
+        if (FRAGMENT_SIZE_STANDARDS[this.options.sizeStandard]) {
+            return [this.options.sizeStandard];
+        }
+
+        const named = ids.filter(id => FRAGMENT_SIZE_STANDARDS[id].match.test(this.standardHint));
+        if (named.length > 0) return named;
+
+        const sameDye = ids.filter(id => channel.name.toUpperCase().includes(FRAGMENT_SIZE_STANDARDS[id].dye));
+        return sameDye.length > 0 ? sameDye : ids;
+    }
+
+    /**
+     * Match the standard channel's peaks to the best-fitting size standard
+     * and build the sizing curve
+     * @param {TypedArray} trace - Size standard trace
+     * @param {Object} channel - Size standard channel
+     * @param {number} traceLength - Number of scans
+     * @returns {Object|null} Sizing, or null when no standard fits
+     * @private
+     */
+    _calibrate(trace, channel, traceLength) {
+        const peaks = FragmentAnalysis.findPeaks(trace, {
+            minHeight: this.options.minPeakHeight,
+            smoothing: this.options.smoothing
+        });
+
+        let best = null;
+        for (const id of this._candidateStandards(channel)) {
+            const standard = FRAGMENT_SIZE_STANDARDS[id];
+            const match = FragmentAnalysis.matchStandard(peaks, standard.sizes, this.options.standardMinFraction);
+            if (!match) continue;
+
+            const sizing = FragmentAnalysis.fitSizing(match.ladder, traceLength);
+
+            // Prefer standards that explain most of the strong peaks with a small error
+            const coverage = match.ladder.length / standard.sizes.length;
+            const purity = match.ladder.length / Math.max(match.ladder.length, match.candidates);
+            const score = coverage * purity / (1 + sizing.rms);
+
+            if (!best || score > best.score) {
+                best = {
+                    score: score,
+                    sizing: {
+                        standard: id,
+                        standardName: standard.name,
+                        fragments: standard.sizes.length,
+                        channel: channel.key,
+                        ...sizing
+                    }
+                };
+            }
+        }
+
+        return best ? best.sizing : null;
+    }
+
+    /**
+     * Align detected peaks with the fragment lengths of a size standard
+     * The strongest peaks are aligned to the ladder by the window that fits
+     * a smooth mobility curve best; every ladder fragment is then assigned
+     * the peak nearest to its predicted position.
+     * @param {Object[]} peaks - Peaks of the standard channel (from findPeaks)
+     * @param {number[]} sizes - Fragment lengths of the standard (bp, ascending)
+     * @param {number} [minFraction] - Minimum height relative to a typical ladder peak
+     * @returns {Object|null} { ladder: [{ size, scan, height }], candidates }, or null
+     */
+    static matchStandard(peaks, sizes, minFraction = FRAGMENT_DEFAULTS.standardMinFraction) {
+        if (peaks.length < 4) return null;
+
+        // Typical ladder peak height: the median of as many of the tallest peaks as there are fragments
+        const tallest = peaks.map(p => p.height).sort((a, b) => b - a).slice(0, sizes.length);
+        const reference = tallest[Math.floor(tallest.length / 2)];
+        const candidates = peaks.filter(p => p.height >= reference * minFraction && p.height <= reference * 5);
+        if (candidates.length < 4) return null;
+
+        // Best contiguous alignment of candidate peaks to ladder fragments
+        const count = Math.min(sizes.length, candidates.length);
+        let window = null;
+        for (let i = 0; i + count <= candidates.length; i++) {
+            const scans = candidates.slice(i, i + count).map(p => p.position);
+            for (let j = 0; j + count <= sizes.length; j++) {
+                const ladder = sizes.slice(j, j + count);
+                const rms = FragmentAnalysis._fitError(scans, ladder, 2);
+                if (!window || rms < window.rms) {
+                    window = { rms, scans, sizes: ladder };
+                }
+            }
+        }
+
+        // Assign every fragment the nearest candidate to its predicted scan
+        let matchedScans = window.scans;
+        let matchedSizes = window.sizes;
+        let ladder = [];
+        for (let pass = 0; pass < 2; pass++) {
+            const inverse = FragmentAnalysis.fitPolynomial(matchedSizes, matchedScans, matchedSizes.length >= 6 ? 2 : 1);
+            const used = new Set();
+            ladder = [];
+
+            sizes.forEach((size, index) => {
+                const predicted = FragmentAnalysis.evaluatePolynomial(inverse, size);
+                const gap = Math.min(
+                    index > 0 ? size - sizes[index - 1] : Infinity,
+                    index < sizes.length - 1 ? sizes[index + 1] - size : Infinity
+                );
+                const scansPerBp = Math.abs(FragmentAnalysis.evaluatePolynomial(inverse, size + 1) - predicted);
+                const tolerance = 0.4 * gap * scansPerBp;
+
+                let nearest = null;
+                for (const peak of candidates) {
+                    const distance = Math.abs(peak.position - predicted);
+                    if (distance <= tolerance && !used.has(peak) &&
+                        (!nearest || distance < Math.abs(nearest.position - predicted))) {
+                        nearest = peak;
+                    }
+                }
+
+                if (nearest) {
+                    used.add(nearest);
+                    ladder.push({ size, scan: nearest.position, height: nearest.height });
+                }
+            });
+
+            if (ladder.length < 4) return null;
+            matchedScans = ladder.map(l => l.scan);
+            matchedSizes = ladder.map(l => l.size);
+        }
+
+        // Ladder scans must increase with size
+        for (let i = 1; i < ladder.length; i++) {
+            if (ladder[i].scan <= ladder[i - 1].scan) return null;
+        }
+
+        const first = ladder[0].scan;
+        const last = ladder[ladder.length - 1].scan;
+        return {
+            ladder: ladder,
+            candidates: candidates.filter(p => p.position >= first && p.position <= last).length
+        };
+    }
+
+    /**
+     * Build the sizing curve from matched ladder fragments
+     * Uses a 3rd order least squares fit (a straight line for fewer than 6
+     * fragments), or interpolates between fragments when the fitted curve is
+     * not monotonic. Scans outside the ladder are extrapolated linearly.
+     * @param {Object[]} ladder - Matched fragments: [{ size, scan, height }]
+     * @param {number} traceLength - Number of scans
+     * @returns {Object} { method, ladder (with fitted size and residual), rms,
+     *                     firstScan, lastScan, minSize, maxSize, sizes: Float32Array }
+     */
+    static fitSizing(ladder, traceLength) {
+        const scans = ladder.map(l => l.scan);
+        const fragmentSizes = ladder.map(l => l.size);
+        const fit = FragmentAnalysis.fitPolynomial(scans, fragmentSizes, ladder.length >= 6 ? 3 : 1);
+        const first = scans[0];
+        const last = scans[scans.length - 1];
+
+        let method = fit.degree === 3 ? '3rd order least squares' : 'linear';
+        let sizeAt = scan => FragmentAnalysis.evaluatePolynomial(fit, scan);
+
+        // A cubic can bend back between widely spaced fragments; interpolate instead
+        for (let scan = Math.ceil(first); scan < last; scan++) {
+            if (sizeAt(scan + 1) <= sizeAt(scan)) {
+                method = 'linear interpolation';
+                sizeAt = scan => FragmentAnalysis._interpolate(scans, fragmentSizes, scan);
+                break;
+            }
+        }
+
+        const startSlope = sizeAt(first + 1) - sizeAt(first);
+        const endSlope = sizeAt(last) - sizeAt(last - 1);
+        const sizes = new Float32Array(traceLength);
+        for (let scan = 0; scan < traceLength; scan++) {
+            if (scan < first) {
+                sizes[scan] = sizeAt(first) - (first - scan) * startSlope;
+            } else if (scan > last) {
+                sizes[scan] = sizeAt(last) + (scan - last) * endSlope;
+            } else {
+                sizes[scan] = sizeAt(scan);
+            }
+        }
+
+        const fitted = ladder.map(l => {
+            const size = sizeAt(l.scan);
+            return { ...l, fitted: size, residual: size - l.size };
+        });
+        const rms = Math.sqrt(fitted.reduce((sum, l) => sum + l.residual * l.residual, 0) / fitted.length);
+
+        return {
+            method: method,
+            ladder: fitted,
+            rms: rms,
+            firstScan: first,
+            lastScan: last,
+            minSize: fragmentSizes[0],
+            maxSize: fragmentSizes[fragmentSizes.length - 1],
+            sizes: sizes
+        };
+    }
+
+    /**
+     * Size in bp at a (fractional) scan
+     * @param {Object} sizing - Sizing from fitSizing()
+     * @param {number} scan - Scan position
+     * @returns {number|null} Size, or null outside the trace
+     */
+    static sizeAt(sizing, scan) {
+        const sizes = sizing.sizes;
+        if (scan < 0 || scan > sizes.length - 1) return null;
+
+        const low = Math.floor(scan);
+        const high = Math.min(low + 1, sizes.length - 1);
+        return sizes[low] + (sizes[high] - sizes[low]) * (scan - low);
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // PEAKS
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Peak table of every dye, limited to the sized range when calibrated
+     * @private
+     */
+    _peakTable(traces, sizing, standardChannel) {
+        const rows = [];
+
+        for (const channel of this.channels) {
+            const peaks = FragmentAnalysis.findPeaks(traces[channel.key], {
+                minHeight: this.options.minPeakHeight,
+                smoothing: this.options.smoothing
+            });
+
+            for (const peak of peaks) {
+                if (sizing && (peak.position < sizing.firstScan || peak.position > sizing.lastScan)) continue;
+
+                rows.push({
+                    dye: channel.name,
+                    channel: channel.key,
+                    standard: !!standardChannel && channel.key === standardChannel.key,
+                    scan: peak.position,
+                    size: sizing ? FragmentAnalysis.sizeAt(sizing, peak.position) : null,
+                    height: peak.height,
+                    area: peak.area
+                });
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * Find peaks in a trace
+     * Local maxima of the smoothed trace that reach the minimum height and
+     * stand out from the valleys on both sides by at least half of it.
+     * @param {TypedArray} trace - Baseline-corrected trace
+     * @param {Object} [options] - { minHeight, smoothing }
+     * @returns {Object[]} Peaks: { scan, position (sub-scan), height, area, left, right }
+     */
+    static findPeaks(trace, options = {}) {
+        const minHeight = options.minHeight !== undefined ? options.minHeight : FRAGMENT_DEFAULTS.minPeakHeight;
+        const smoothed = FragmentAnalysis.smooth(trace, options.smoothing || FRAGMENT_DEFAULTS.smoothing);
+        const n = smoothed.length;
+        const peaks = [];
+
+        let i = 1;
+        while (i < n - 1) {
+            if (!(smoothed[i] > smoothed[i - 1] && smoothed[i] >= smoothed[i + 1])) {
+                i++;
+                continue;
+            }
+
+            // Flat tops (e.g. saturated peaks) count once, at their middle
+            let end = i;
+            while (end + 1 < n && smoothed[end + 1] === smoothed[i]) end++;
+            if (end + 1 < n && smoothed[end + 1] > smoothed[i]) {
+                i = end + 1;
+                continue;
+            }
+            const center = (i + end) >> 1;
+
+            let left = i;
+            while (left > 0 && smoothed[left - 1] < smoothed[left] && smoothed[left] > 0) left--;
+            let right = end;
+            while (right < n - 1 && smoothed[right + 1] < smoothed[right] && smoothed[right] > 0) right++;
+
+            let height = 0;
+            for (let k = Math.max(0, center - 2); k <= Math.min(n - 1, center + 2); k++) {
+                if (trace[k] > height) height = trace[k];
+            }
+            const prominence = smoothed[center] - Math.max(smoothed[left], smoothed[right], 0);
+
+            if (height >= minHeight && prominence >= minHeight / 2) {
+                let area = 0;
+                for (let k = left; k <= right; k++) {
+                    if (trace[k] > 0) area += trace[k];
+                }
+
+                peaks.push({
+                    scan: center,
+                    position: FragmentAnalysis._refinePosition(smoothed, center, i !== end),
+                    height: Math.round(height),
+                    area: Math.round(area),
+                    left: left,
+                    right: right
+                });
+            }
+
+            i = end + 1;
+        }
+
+        return peaks;
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // SIGNAL HELPERS
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Centered moving average
+     * @param {TypedArray|number[]} values - Input values
+     * @param {number} width - Window width in samples
+     * @returns {Float32Array} Smoothed values
+     */
+    static smooth(values, width) {
+        const n = values.length;
+        const half = Math.max(0, Math.floor(width / 2));
+        const result = new Float32Array(n);
+        const prefix = new Float64Array(n + 1);
+
+        for (let i = 0; i < n; i++) prefix[i + 1] = prefix[i] + values[i];
+        for (let i = 0; i < n; i++) {
+            const lo = Math.max(0, i - half);
+            const hi = Math.min(n, i + half + 1);
+            result[i] = (prefix[hi] - prefix[lo]) / (hi - lo);
+        }
+
+        return result;
+    }
+
+    /**
+     * Subtract a slowly varying baseline (smoothed running minimum)
+     * @param {TypedArray|number[]} values - Raw trace
+     * @param {number} window - Window width in scans
+     * @returns {Float32Array} Baseline-corrected trace
+     */
+    static subtractBaseline(values, window) {
+        const n = values.length;
+        const half = Math.floor(window / 2);
+        const minimum = new Float32Array(n);
+        const queue = new Int32Array(n);
+        let head = 0;
+        let tail = 0;
+        let next = 0;
+
+        // Running minimum over [i - half, i + half] with a monotonic queue
+        for (let i = 0; i < n; i++) {
+            const hi = Math.min(n - 1, i + half);
+            while (next <= hi) {
+                while (tail > head && values[queue[tail - 1]] >= values[next]) tail--;
+                queue[tail++] = next++;
+            }
+            while (queue[head] < i - half) head++;
+            minimum[i] = values[queue[head]];
+        }
+
+        const baseline = FragmentAnalysis.smooth(minimum, window);
+        const result = new Float32Array(n);
+        for (let i = 0; i < n; i++) {
+            result[i] = values[i] - baseline[i];
+        }
+        return result;
+    }
+
+    /**
+     * Least squares polynomial fit (x is centered and scaled for stability)
+     * @param {number[]} xs - X values
+     * @param {number[]} ys - Y values
+     * @param {number} degree - Polynomial degree (reduced when there are too few points)
+     * @returns {Object} { degree, center, scale, coefficients } for evaluatePolynomial()
+     */
+    static fitPolynomial(xs, ys, degree) {
+        const n = xs.length;
+        degree = Math.max(0, Math.min(degree, n - 1));
+
+        const center = xs.reduce((sum, x) => sum + x, 0) / n;
+        const scale = Math.max(...xs.map(x => Math.abs(x - center))) || 1;
+        const size = degree + 1;
+
+        // Normal equations
+        const matrix = Array.from({ length: size }, () => new Float64Array(size + 1));
+        for (let k = 0; k < n; k++) {
+            const t = (xs[k] - center) / scale;
+            const powers = [1];
+            for (let p = 1; p <= 2 * degree; p++) powers.push(powers[p - 1] * t);
+
+            for (let row = 0; row < size; row++) {
+                for (let col = 0; col < size; col++) {
+                    matrix[row][col] += powers[row + col];
+                }
+                matrix[row][size] += ys[k] * powers[row];
+            }
+        }
+
+        const coefficients = FragmentAnalysis._solve(matrix);
+        if (!coefficients) {
+            return degree > 0
+                ? FragmentAnalysis.fitPolynomial(xs, ys, degree - 1)
+                : { degree: 0, center, scale, coefficients: [ys[0] || 0] };
+        }
+
+        return { degree, center, scale, coefficients };
+    }
+
+    /**
+     * Evaluate a polynomial from fitPolynomial()
+     * @param {Object} fit - Polynomial fit
+     * @param {number} x - X value
+     * @returns {number} Y value
+     */
+    static evaluatePolynomial(fit, x) {
+        const t = (x - fit.center) / fit.scale;
+        let y = 0;
+        for (let i = fit.coefficients.length - 1; i >= 0; i--) {
+            y = y * t + fit.coefficients[i];
+        }
+        return y;
+    }
+
+    /**
+     * RMS error of a polynomial fit
+     * @private
+     */
+    static _fitError(xs, ys, degree) {
+        const fit = FragmentAnalysis.fitPolynomial(xs, ys, degree);
+        let sum = 0;
+        for (let i = 0; i < xs.length; i++) {
+            const error = FragmentAnalysis.evaluatePolynomial(fit, xs[i]) - ys[i];
+            sum += error * error;
+        }
+        return Math.sqrt(sum / xs.length);
+    }
+
+    /**
+     * Solve an augmented linear system by Gaussian elimination
+     * @param {Float64Array[]} matrix - Rows of [coefficients..., constant]
+     * @returns {number[]|null} Solution, or null when singular
+     * @private
+     */
+    static _solve(matrix) {
+        const size = matrix.length;
+
+        for (let col = 0; col < size; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < size; row++) {
+                if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+            }
+            if (Math.abs(matrix[pivot][col]) < 1e-12) return null;
+            [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+
+            for (let row = 0; row < size; row++) {
+                if (row === col) continue;
+                const factor = matrix[row][col] / matrix[col][col];
+                for (let k = col; k <= size; k++) {
+                    matrix[row][k] -= factor * matrix[col][k];
+                }
+            }
+        }
+
+        return matrix.map((row, i) => row[size] / row[i]);
+    }
+
+    /**
+     * Piecewise linear interpolation through (xs, ys), extended from the end segments
+     * @private
+     */
+    static _interpolate(xs, ys, x) {
+        let i = 1;
+        while (i < xs.length - 1 && x > xs[i]) i++;
+        return ys[i - 1] + (ys[i] - ys[i - 1]) * (x - xs[i - 1]) / (xs[i] - xs[i - 1]);
+    }
+
+    /**
+     * Sub-scan peak position by parabolic interpolation
+     * @private
+     */
+    static _refinePosition(values, center, flat) {
+        if (flat || center <= 0 || center >= values.length - 1) return center;
+
+        const a = values[center - 1];
+        const b = values[center];
+        const c = values[center + 1];
+        const denominator = a - 2 * b + c;
+        if (denominator === 0) return center;
+
+        return center + 0.5 * (a - c) / denominator;
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron main process
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FragmentAnalysis, FRAGMENT_SIZE_STANDARDS };
+}
+
+// For use in browser/renderer process
+if (typeof window !== 'undefined') {
+    window.FragmentAnalysis = FragmentAnalysis;
+    window.FRAGMENT_SIZE_STANDARDS = FRAGMENT_SIZE_STANDARDS;
+}
@@ -0,0 +1,443 @@
+///////////////////////////////////////////////////////////////////////////////
+// HexViewer.js
+// Hex dump of an ABIF file with its structure overlaid as coloured regions
+// Region data comes from ABIFLayout (computed in the main process)
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Display constants
+ */
+const HEX_BYTES_PER_ROW = 16;
+
+/**
+ * Paint order of region kinds: later kinds are drawn over earlier ones
+ * (a data block that overlaps the directory is shown as directory bytes)
+ */
+const HEX_KIND_ORDER = ['unused', 'header', 'data', 'directory', 'entry'];
+
+/**
+ * HexViewer - Virtualized hex view with a region list and detail pane
+ *
+ * Only the visible rows are rendered, so files of any size scroll smoothly.
+ * Selecting a directory entry (or its data block) highlights both and
+ * scrolls to the bytes they describe.
+ *
+ * Usage:
+ *   const viewer = new HexViewer(container);
+ *   viewer.load(bytes, layout);
+ *   viewer.selectTag('DATA_9');
+ */
+class HexViewer {
+
+    /**
+     * Create a HexViewer instance
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} options - Configuration options
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = {
+            rowHeight: 18,       // Height of one hex row in pixels
+            onSelect: null,      // Callback: (region) => void
+            ...options
+        };
+
+        // State
+        this.bytes = new Uint8Array(0);
+        this.regions = [];
+        this.regionIndex = new Map();      // Region id -> index
+        this.byteRegion = new Int32Array(0); // Byte offset -> region index (-1 = none)
+        this.selected = [];                // Highlighted [start, end) ranges
+        this.selectedId = null;
+
+        this._createElements();
+        this._bindEvents();
+    }
+
+    /**
+     * Create the DOM structure
+     * @private
+     */
+    _createElements() {
+        this.element = document.createElement('div');
+        this.element.className = 'hex-viewer';
+
+        this.regionList = document.createElement('div');
+        this.regionList.className = 'hex-viewer-regions';
+
+        const main = document.createElement('div');
+        main.className = 'hex-viewer-main';
+
+        this.scroller = document.createElement('div');
+        this.scroller.className = 'hex-viewer-scroll';
+
+        this.spacer = document.createElement('div');
+        this.spacer.className = 'hex-viewer-spacer';
+
+        this.rowsElement = document.createElement('div');
+        this.rowsElement.className = 'hex-viewer-rows';
+
+        this.status = document.createElement('div');
+        this.status.className = 'hex-viewer-status';
+
+        this.details = document.createElement('div');
+        this.details.className = 'hex-viewer-details';
+
+        this.spacer.appendChild(this.rowsElement);
+        this.scroller.appendChild(this.spacer);
+        main.appendChild(this.scroller);
+        main.appendChild(this.status);
+        main.appendChild(this.details);
+        this.element.appendChild(this.regionList);
+        this.element.appendChild(main);
+        this.container.appendChild(this.element);
+    }
+
+    /**
+     * Bind DOM events
+     * @private
+     */
+    _bindEvents() {
+        this.scroller.addEventListener('scroll', () => this.render());
+
+        this.rowsElement.addEventListener('click', (e) => {
+            const offset = this._offsetFromEvent(e);
+            if (offset === null) return;
+            const index = this.byteRegion[offset];
+            if (index >= 0) this.selectRegion(this.regions[index].id, false);
+        });
+
+        this.rowsElement.addEventListener('mousemove', (e) => {
+            const offset = this._offsetFromEvent(e);
+            if (offset === null) return;
+            const index = this.byteRegion[offset];
+            const label = index >= 0 ? this.regions[index].label : '';
+            this.status.textContent = `0x${HexViewer.hex(offset, 8)} (${offset})  =  0x${HexViewer.hex(this.bytes[offset], 2)} (${this.bytes[offset]})  ${label}`;
+        });
+
+        this.regionList.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-region]');
+            if (item) this.selectRegion(item.getAttribute('data-region'));
+        });
+    }
+
+    /**
+     * Byte offset under a mouse event, if any
+     * @private
+     */
+    _offsetFromEvent(e) {
+        const attr = e.target.getAttribute('data-offset');
+        return attr === null ? null : parseInt(attr, 10);
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // DATA
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Load file bytes and their layout
+     * @param {Uint8Array} bytes - File contents
+     * @param {Object} layout - ABIFLayout.describe() result
+     */
+    load(bytes, layout) {
+        this.bytes = bytes;
+        this.regions = layout.regions;
+        this.regionIndex = new Map(this.regions.map((r, i) => [r.id, i]));
+        this.selected = [];
+        this.selectedId = null;
+
+        // Alternate shades so neighbouring regions of the same kind stay distinguishable
+        const counters = {};
+        for (const region of this.regions) {
+            counters[region.kind] = (counters[region.kind] || 0) + 1;
+            region.shade = counters[region.kind] % 2;
+        }
+
+        // Byte -> region lookup, painted in kind order
+        this.byteRegion = new Int32Array(bytes.length).fill(-1);
+        for (const kind of HEX_KIND_ORDER) {
+            this.regions.forEach((region, index) => {
+                if (region.kind !== kind) return;
+                const end = Math.min(region.start + region.length, bytes.length);
+                this.byteRegion.fill(index, region.start, end);
+            });
+        }
+
+        const rows = Math.ceil(bytes.length / HEX_BYTES_PER_ROW);
+        this.spacer.style.height = `${rows * this.options.rowHeight}px`;
+        this.scroller.scrollTop = 0;
+
+        this._renderRegionList();
+        this._renderDetails(null);
+        this.status.textContent = `${bytes.length} bytes, ${this.regions.length} regions`;
+        this.render();
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // SELECTION
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Select a region, highlight its bytes and show its details
+     * A directory entry and its data block are always highlighted together.
+     * @param {string} id - Region id
+     * @param {boolean} scroll - Scroll the region into view
+     */
+    selectRegion(id, scroll = true) {
+        const index = this.regionIndex.get(id);
+        if (index === undefined) return;
+
+        const region = this.regions[index];
+        const related = this._relatedRegions(region);
+
+        this.selectedId = id;
+        this.selected = related.map(r => [r.start, r.start + r.length]);
+
+        for (const item of this.regionList.querySelectorAll('.hex-region-selected')) {
+            item.classList.remove('hex-region-selected');
+        }
+        for (const r of related) {
+            const item = this.regionList.querySelector(`[data-region="${r.id}"]`);
+            if (item) item.classList.add('hex-region-selected');
+        }
+
+        if (scroll) {
+            // Entries jump to the bytes they describe: their data block, or themselves if inline
+            const target = related.find(r => r.kind === 'data') || region;
+            this.scrollToOffset(target.start);
+
+            const item = this.regionList.querySelector(`[data-region="${region.id}"]`);
+            if (item) item.scrollIntoView({ block: 'nearest' });
+        }
+
+        this._renderDetails(region);
+        this.render();
+
+        if (this.options.onSelect) {
+            this.options.onSelect(region);
+        }
+    }
+
+    /**
+     * Select the directory entry of a tag
+     * @param {string} key - Tag key (e.g. "DATA_9")
+     */
+    selectTag(key) {
+        const region = this.regions.find(r => r.kind === 'entry' && r.key === key);
+        if (region) this.selectRegion(region.id);
+    }
+
+    /**
+     * Regions highlighted together with a region (an entry and its data block)
+     * @private
+     */
+    _relatedRegions(region) {
+        const [kind, index] = region.id.split(':');
+        if (kind !== 'entry' && kind !== 'data') return [region];
+
+        const pair = [`entry:${index}`, `data:${index}`];
+        return pair
+            .map(id => this.regionIndex.get(id))
+            .filter(i => i !== undefined)
+            .map(i => this.regions[i]);
+    }
+
+    /**
+     * Scroll so that a byte offset is near the top of the view
+     * @param {number} offset - Byte offset
+     */
+    scrollToOffset(offset) {
+        const row = Math.floor(offset / HEX_BYTES_PER_ROW);
+        this.scroller.scrollTop = Math.max(0, (row - 2) * this.options.rowHeight);
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // RENDERING
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Render the visible rows
+     */
+    render() {
+        const rowHeight = this.options.rowHeight;
+        const totalRows = Math.ceil(this.bytes.length / HEX_BYTES_PER_ROW);
+        const firstRow = Math.floor(this.scroller.scrollTop / rowHeight);
+        const visibleRows = Math.ceil(this.scroller.clientHeight / rowHeight) + 1;
+        const lastRow = Math.min(totalRows, firstRow + visibleRows);
+
+        const html = [];
+        for (let row = firstRow; row < lastRow; row++) {
+            html.push(this._renderRow(row));
+        }
+
+        this.rowsElement.style.top = `${firstRow * rowHeight}px`;
+        this.rowsElement.innerHTML = html.join('');
+    }
+
+    /**
+     * Build the HTML for one row
+     * @private
+     */
+    _renderRow(row) {
+        const start = row * HEX_BYTES_PER_ROW;
+        const end = Math.min(start + HEX_BYTES_PER_ROW, this.bytes.length);
+        const hex = [];
+        const ascii = [];
+
+        for (let offset = start; offset < end; offset++) {
+            const value = this.bytes[offset];
+            const index = this.byteRegion[offset];
+            const region = index >= 0 ? this.regions[index] : null;
+
+            let className = region ? `hex-kind-${region.kind} hex-shade-${region.shade}` : 'hex-kind-none';
+            if (this._isSelected(offset)) className += ' hex-selected';
+
+            hex.push(`<span class="hex-byte ${className}" data-offset="${offset}">${HexViewer.hex(value, 2)}</span>`);
+
+            const char = (value >= 0x20 && value <= 0x7E) ? HexViewer.escape(String.fromCharCode(value)) : '.';
+            ascii.push(`<span class="${className}" data-offset="${offset}">${char}</span>`);
+        }
+
+        return `<div class="hex-row" style="height: ${this.options.rowHeight}px;">` +
+            `<span class="hex-offset">${HexViewer.hex(start, 8)}</span>` +
+            `<span class="hex-bytes">${hex.join('')}</span>` +
+            `<span class="hex-ascii">${ascii.join('')}</span>` +
+            `</div>`;
+    }
+
+    /**
+     * Check whether a byte is part of the selection
+     * @private
+     */
+    _isSelected(offset) {
+        for (const [start, end] of this.selected) {
+            if (offset >= start && offset < end) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Build the region list
+     * @private
+     */
+    _renderRegionList() {
+        this.regionList.innerHTML = '';
+
+        for (const region of this.regions) {
+            const item = document.createElement('div');
+            item.className = `hex-region-item hex-kind-${region.kind}`;
+            item.setAttribute('data-region', region.id);
+
+            const offset = document.createElement('span');
+            offset.className = 'hex-region-offset';
+            offset.textContent = HexViewer.hex(region.start, 6);
+
+            const label = document.createElement('span');
+            label.className = 'hex-region-label';
+            label.textContent = region.kind === 'entry' && region.inline
+                ? `${region.key} = ${region.value}`
+                : region.label;
+
+            item.appendChild(offset);
+            item.appendChild(label);
+            this.regionList.appendChild(item);
+        }
+    }
+
+    /**
+     * Show the fields and value of a region
+     * @param {Object|null} region - Region, or null to clear
+     * @private
+     */
+    _renderDetails(region) {
+        this.details.innerHTML = '';
+
+        if (!region) {
+            this.details.textContent = 'Select a region or click a byte to see its structure.';
+            return;
+        }
+
+        const title = document.createElement('div');
+        title.className = 'hex-details-title';
+        const end = region.start + region.length - 1;
+        title.textContent = `${region.label}: 0x${HexViewer.hex(region.start, 8)}–0x${HexViewer.hex(Math.max(region.start, end), 8)} (${region.length} bytes)`;
+        this.details.appendChild(title);
+
+        if (region.fields) {
+            const table = document.createElement('table');
+            for (const field of region.fields) {
+                const tr = document.createElement('tr');
+                const cells = [
+                    HexViewer.hex(region.start + field.start, 8),
+                    field.label,
+                    this._fieldBytes(region.start + field.start, field.length),
+                    field.value
+                ];
+                for (const text of cells) {
+                    const td = document.createElement('td');
+                    td.textContent = text;
+                    tr.appendChild(td);
+                }
+                table.appendChild(tr);
+            }
+            this.details.appendChild(table);
+        }
+
+        if (region.value !== undefined && region.value !== '') {
+            const value = document.createElement('pre');
+            value.className = 'hex-details-value';
+            value.textContent = region.value;
+            this.details.appendChild(value);
+        }
+    }
+
+    /**
+     * Hex bytes of a field (long fields are shortened)
+     * @private
+     */
+    _fieldBytes(start, length) {
+        const shown = Math.min(length, 8);
+        const parts = [];
+        for (let i = 0; i < shown && start + i < this.bytes.length; i++) {
+            parts.push(HexViewer.hex(this.bytes[start + i], 2));
+        }
+        return parts.join(' ') + (length > shown ? ' …' : '');
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // HELPERS
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Format a number as zero-padded uppercase hex
+     * @param {number} value - Value to format
+     * @param {number} digits - Minimum number of digits
+     * @returns {string} Hex string
+     */
+    static hex(value, digits) {
+        return value.toString(16).toUpperCase().padStart(digits, '0');
+    }
+
+    /**
+     * Escape a character for HTML
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    static escape(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HexViewer };
+}
+
+// For use in browser
+if (typeof window !== 'undefined') {
+    window.HexViewer = HexViewer;
+}
@@ -0,0 +1,521 @@
+///////////////////////////////////////////////////////////////////////////////
+// SCFParser.js
+// Binary parser for Staden SCF (Standard Chromatogram Format) trace files
+// Supports SCF versions 2.x and 3.x
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * SCF format constants
+ */
+const SCF_MAGIC = '.scf';
+const SCF_HEADER_SIZE = 128;
+const SCF_V2_BASE_RECORD_SIZE = 12;   // peak(4) + prob A/C/G/T(4) + base(1) + spare(3)
+const SCF_CHANNEL_ORDER = ['A', 'C', 'G', 'T'];
+
+/**
+ * Comment keys mapped to the metadata fields used by the viewer
+ * (mirrors the shape returned by ABIFParser.getMetadata())
+ */
+const SCF_COMMENT_METADATA = {
+    NAME: 'sampleName',
+    MACH: 'machineName',
+    MODL: 'machineModel',
+    LANE: 'lane',
+    TUBE: 'well',
+    RUNN: 'runName',
+    DYEP: 'dyeSet',
+    SPAC: 'baseCaller'
+};
+
+/**
+ * SCF File Parser
+ * Parses SCF chromatogram files into the same shape as ABIFParser, so the
+ * viewer, exporters and trimmer can work on either format.
+ */
+class SCFParser {
+
+    /**
+     * Create an SCFParser instance
+     * @param {ArrayBuffer} arrayBuffer - The raw binary file data
+     */
+    constructor(arrayBuffer) {
+        if (!arrayBuffer || !(arrayBuffer instanceof ArrayBuffer)) {
+            throw new Error('SCFParser requires an ArrayBuffer');
+        }
+
+        this.buffer = arrayBuffer;
+        this.dataView = new DataView(arrayBuffer);
+        this.header = null;
+        this.traces = null;
+        this.bases = null;
+        this.comments = {};
+        this._parsed = false;
+    }
+
+    /**
+     * Check whether a buffer starts with the SCF magic number
+     * @param {ArrayBuffer} arrayBuffer - File data
+     * @returns {boolean} True if the data looks like an SCF file
+     */
+    static isSCF(arrayBuffer) {
+        if (!arrayBuffer || arrayBuffer.byteLength < 4) return false;
+        const bytes = new Uint8Array(arrayBuffer, 0, 4);
+        return String.fromCharCode(...bytes) === SCF_MAGIC;
+    }
+
+    /**
+     * Parse the SCF file
+     * @returns {SCFParser} Returns this for chaining
+     * @throws {Error} If file is not a valid SCF file
+     */
+    parse() {
+        if (this._parsed) return this;
+
+        if (this.buffer.byteLength < SCF_HEADER_SIZE) {
+            throw new Error('Invalid SCF file: file is smaller than the 128-byte header');
+        }
+
+        this.header = this._parseHeader();
+
+        if (this.header.magic !== SCF_MAGIC) {
+            throw new Error(`Invalid SCF file: expected ".scf" magic number, got "${this.header.magic}"`);
+        }
+
+        this.traces = this._parseSamples();
+        this.bases = this._parseBases();
+        this.comments = this._parseComments();
+        this._parsed = true;
+
+        return this;
+    }
+
+    /**
+     * Parse the 128-byte SCF header
+     * @private
+     */
+    _parseHeader() {
+        const dv = this.dataView;
+
+        const version = this._readString(36, 4);
+        let sampleSize = dv.getUint32(40, false);
+
+        // Version 1 files predate the sample_size field
+        if (parseFloat(version) < 2 || (sampleSize !== 1 && sampleSize !== 2)) {
+            sampleSize = 1;
+        }
+
+        return {
+            magic:          this._readString(0, 4),
+            samples:        dv.getUint32(4, false),      // Number of sample points per channel
+            samplesOffset:  dv.getUint32(8, false),
+            bases:          dv.getUint32(12, false),     // Number of called bases
+            basesLeftClip:  dv.getUint32(16, false),
+            basesRightClip: dv.getUint32(20, false),
+            basesOffset:    dv.getUint32(24, false),
+            commentsSize:   dv.getUint32(28, false),
+            commentsOffset: dv.getUint32(32, false),
+            version:        version,
+            sampleSize:     sampleSize,                  // 1 or 2 bytes per sample
+            codeSet:        dv.getUint32(44, false),
+            privateSize:    dv.getUint32(48, false),
+            privateOffset:  dv.getUint32(52, false)
+        };
+    }
+
+    /**
+     * Whether the file uses the version 3 (per-channel, delta encoded) layout
+     * @returns {boolean} True for SCF 3.x
+     */
+    isVersion3() {
+        return parseFloat(this.header.version) >= 3;
+    }
+
+    /**
+     * Parse trace samples
+     * v3: all A samples, then C, G, T, each channel delta-delta encoded
+     * v2: interleaved A/C/G/T records per sample point
+     * @private
+     */
+    _parseSamples() {
+        const { samples, samplesOffset, sampleSize } = this.header;
+        const dv = this.dataView;
+        const traces = {};
+
+        this._checkRange(samplesOffset, samples * sampleSize * 4, 'sample data');
+
+        const read = sampleSize === 2
+            ? (offset) => dv.getUint16(offset, false)
+            : (offset) => dv.getUint8(offset);
+
+        if (this.isVersion3()) {
+            for (let c = 0; c < SCF_CHANNEL_ORDER.length; c++) {
+                const base = samplesOffset + (c * samples * sampleSize);
+                const channel = new Uint16Array(samples);
+                for (let i = 0; i < samples; i++) {
+                    channel[i] = read(base + (i * sampleSize));
+                }
+                traces[SCF_CHANNEL_ORDER[c]] = SCFParser.undeltaSamples(channel, sampleSize);
+            }
+        } else {
+            for (const nucleotide of SCF_CHANNEL_ORDER) {
+                traces[nucleotide] = new Uint16Array(samples);
+            }
+            for (let i = 0; i < samples; i++) {
+                const offset = samplesOffset + (i * sampleSize * 4);
+                for (let c = 0; c < SCF_CHANNEL_ORDER.length; c++) {
+                    traces[SCF_CHANNEL_ORDER[c]][i] = read(offset + (c * sampleSize));
+                }
+            }
+        }
+
+        return traces;
+    }
+
+    /**
+     * Parse base calls, peak positions and per-base probabilities
+     * @private
+     */
+    _parseBases() {
+        const { bases, basesOffset } = this.header;
+        const dv = this.dataView;
+
+        const result = {
+            sequence: '',
+            peakLocations: new Uint32Array(bases),
+            probabilities: { A: new Uint8Array(bases), C: new Uint8Array(bases), G: new Uint8Array(bases), T: new Uint8Array(bases) }
+        };
+
+        this._checkRange(basesOffset, bases * SCF_V2_BASE_RECORD_SIZE, 'base data');
+
+        const calls = new Array(bases);
+
+        if (this.isVersion3()) {
+            // Field-by-field: peaks, prob A, prob C, prob G, prob T, bases, spare
+            const probOffset = basesOffset + (bases * 4);
+            const callOffset = probOffset + (bases * 4);
+
+            for (let i = 0; i < bases; i++) {
+                result.peakLocations[i] = dv.getUint32(basesOffset + (i * 4), false);
+                for (let c = 0; c < SCF_CHANNEL_ORDER.length; c++) {
+                    result.probabilities[SCF_CHANNEL_ORDER[c]][i] = dv.getUint8(probOffset + (c * bases) + i);
+                }
+                calls[i] = String.fromCharCode(dv.getUint8(callOffset + i));
+            }
+        } else {
+            for (let i = 0; i < bases; i++) {
+                const offset = basesOffset + (i * SCF_V2_BASE_RECORD_SIZE);
+                result.peakLocations[i] = dv.getUint32(offset, false);
+                for (let c = 0; c < SCF_CHANNEL_ORDER.length; c++) {
+                    result.probabilities[SCF_CHANNEL_ORDER[c]][i] = dv.getUint8(offset + 4 + c);
+                }
+                calls[i] = String.fromCharCode(dv.getUint8(offset + 8));
+            }
+        }
+
+        result.sequence = calls.join('');
+        return result;
+    }
+
+    /**
+     * Parse the comments block ("KEY=value" lines, NUL terminated)
+     * @private
+     */
+    _parseComments() {
+        const { commentsSize, commentsOffset } = this.header;
+        const comments = {};
+
+        if (!commentsSize || commentsOffset + commentsSize > this.buffer.byteLength) {
+            return comments;
+        }
+
+        const text = this._readString(commentsOffset, commentsSize).split('\0')[0];
+
+        for (const line of text.split(/\r?\n/)) {
+            const index = line.indexOf('=');
+            if (index <= 0) continue;
+            comments[line.substring(0, index).trim()] = line.substring(index + 1).trim();
+        }
+
+        return comments;
+    }
+
+    /**
+     * Read an ASCII string of fixed length
+     * @private
+     */
+    _readString(offset, length) {
+        let str = '';
+        for (let i = 0; i < length; i++) {
+            str += String.fromCharCode(this.dataView.getUint8(offset + i));
+        }
+        return str;
+    }
+
+    /**
+     * Ensure a block lies inside the file
+     * @private
+     */
+    _checkRange(offset, length, what) {
+        if (offset + length > this.buffer.byteLength) {
+            throw new Error(`Invalid SCF file: ${what} extends past end of file`);
+        }
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // SAMPLE ENCODING
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Reverse the SCF v3 second-order delta encoding of one channel
+     * @param {Uint16Array|number[]} samples - Stored (encoded) values
+     * @param {number} sampleSize - 1 or 2 bytes per sample
+     * @returns {Uint16Array|number[]} Decoded sample values (same array type as the input)
+     */
+    static undeltaSamples(samples, sampleSize) {
+        const mask = sampleSize === 2 ? 0xFFFF : 0xFF;
+        const out = samples.slice();
+
+        for (let pass = 0; pass < 2; pass++) {
+            let previous = 0;
+            for (let i = 0; i < out.length; i++) {
+                out[i] = (out[i] + previous) & mask;
+                previous = out[i];
+            }
+        }
+
+        return out;
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // CONVENIENCE METHODS FOR COMMON DATA
+    // (same names and return shapes as ABIFParser)
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Get the channel order (SCF always stores A, C, G, T)
+     * @returns {string[]} Array of 4 nucleotide characters
+     */
+    getChannelOrder() {
+        return SCF_CHANNEL_ORDER.slice();
+    }
+
+    /**
+     * Get the trace data for all four channels
+     * @returns {Object} Object with A, C, G, T Uint16Arrays of intensity values
+     */
+    getTraces() {
+        this.parse();
+        return this.traces;
+    }
+
+    /**
+     * Get the raw trace data
+     * SCF stores a single set of traces, so this returns the same data as getTraces()
+     * @returns {Object} Object with A, C, G, T Uint16Arrays of intensity values
+     */
+    getRawTraces() {
+        return this.getTraces();
+    }
+
+    /**
+     * Get the base calls as a string
+     * @returns {string} DNA sequence string
+     */
+    getSequence() {
+        this.parse();
+        return this.bases.sequence;
+    }
+
+    /**
+     * Get peak locations (sample index for each base call)
+     * @returns {Uint32Array} Peak positions
+     */
+    getPeakLocations() {
+        this.parse();
+        return this.bases.peakLocations;
+    }
+
+    /**
+     * Get quality scores
+     * Uses the probability of the called base, or the highest probability
+     * for ambiguous calls.
+     * @returns {Uint8Array} Quality scores (0-255)
+     */
+    getQualityScores() {
+        this.parse();
+        const { sequence, probabilities } = this.bases;
+        const scores = new Uint8Array(sequence.length);
+
+        for (let i = 0; i < sequence.length; i++) {
+            const call = sequence[i].toUpperCase();
+            scores[i] = probabilities[call]
+                ? probabilities[call][i]
+                : Math.max(probabilities.A[i], probabilities.C[i], probabilities.G[i], probabilities.T[i]);
+        }
+
+        return scores;
+    }
+
+    /**
+     * Get the per-base probability values for each channel
+     * @returns {Object} Object with A, C, G, T arrays
+     */
+    getProbabilities() {
+        this.parse();
+        return this.bases.probabilities;
+    }
+
+    /**
+     * Get the sequence length (number of called bases)
+     * @returns {number} Sequence length
+     */
+    getSequenceLength() {
+        return this.getSequence().length;
+    }
+
+    /**
+     * Get the trace length (number of sample points)
+     * @returns {number} Trace length
+     */
+    getTraceLength() {
+        this.parse();
+        return this.header.samples;
+    }
+
+    /**
+     * Get the parsed comments block
+     * @returns {Object} Map of comment keys to values
+     */
+    getComments() {
+        this.parse();
+        return { ...this.comments };
+    }
+
+    /**
+     * Get sample/file metadata from the comments block
+     * @returns {Object} Metadata object (same fields as ABIFParser.getMetadata())
+     */
+    getMetadata() {
+        this.parse();
+
+        const metadata = SCFParser.metadataFromComments(this.comments);
+        metadata.sequenceLength = this.getSequenceLength();
+        metadata.traceLength = this.getTraceLength();
+
+        return metadata;
+    }
+
+    /**
+     * Map Staden-style comment keys (NAME, MACH, DATE, ...) onto metadata fields
+     * Also used for ZTR TEXT chunks, which share the same keys.
+     * @param {Object} comments - Map of comment keys to values
+     * @returns {Object} Metadata object (same fields as ABIFParser.getMetadata())
+     */
+    static metadataFromComments(comments = {}) {
+        const metadata = {
+            sampleName:     '',
+            sampleComment:  '',
+            runName:        '',
+            runStartDate:   null,
+            runStartTime:   null,
+            runEndDate:     null,
+            runEndTime:     null,
+            machineName:    '',
+            machineModel:   '',
+            lane:           null,
+            well:           '',
+            baseCaller:     null,
+            dyeSet:         ''
+        };
+
+        for (const [key, field] of Object.entries(SCF_COMMENT_METADATA)) {
+            if (comments[key] !== undefined) {
+                metadata[field] = comments[key];
+            }
+        }
+
+        if (metadata.lane !== null && !isNaN(parseInt(metadata.lane, 10))) {
+            metadata.lane = parseInt(metadata.lane, 10);
+        }
+
+        const date = SCFParser._parseCommentDate(comments.DATE);
+        if (date) {
+            metadata.runStartDate = date.date;
+            metadata.runStartTime = date.time;
+        }
+
+        metadata.comments = { ...comments };
+
+        return metadata;
+    }
+
+    /**
+     * Convert a DATE comment into ABIF-style date/time objects
+     * Formats vary between basecallers; unparseable dates return null.
+     * @private
+     */
+    static _parseCommentDate(value) {
+        if (!value) return null;
+
+        // "Mon 02 Jan 2006 15:04:05 - Mon 02 Jan 2006 16:04:05" (start - end)
+        const parsed = new Date(value.split(' - ')[0]);
+        if (isNaN(parsed.getTime())) return null;
+
+        return {
+            date: { year: parsed.getFullYear(), month: parsed.getMonth() + 1, day: parsed.getDate() },
+            time: { hour: parsed.getHours(), minute: parsed.getMinutes(), second: parsed.getSeconds(), hsecond: 0 }
+        };
+    }
+
+    /**
+     * SCF has no tag directory; comments are returned as pseudo-tags
+     * @returns {string[]} Array of comment keys
+     */
+    listTags() {
+        this.parse();
+        return Object.keys(this.comments);
+    }
+
+    /**
+     * SCF has no ABIF tags
+     * @returns {null} Always null
+     */
+    getTagData() {
+        return null;
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // STATIC FACTORY METHODS
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Create parser from a file path (Node.js/Electron)
+     * @param {string} filePath - Path to the SCF file
+     * @returns {Promise<SCFParser>} Promise resolving to parsed SCFParser
+     */
+    static async fromPath(filePath) {
+        const fs = require('fs').promises;
+        const buffer = await fs.readFile(filePath);
+        const arrayBuffer = buffer.buffer.slice(
+            buffer.byteOffset,
+            buffer.byteOffset + buffer.byteLength
+        );
+        const parser = new SCFParser(arrayBuffer);
+        parser.parse();
+        return parser;
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron main process
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SCFParser;
+}
+
+// For use in browser/renderer process
+if (typeof window !== 'undefined') {
+    window.SCFParser = SCFParser;
+}
@@ -0,0 +1,164 @@
+///////////////////////////////////////////////////////////////////////////////
+// TraceSessionCache.js
+// Parsed trace files kept open in the main process, by session ID
+///////////////////////////////////////////////////////////////////////////////
+
+const path = require('path');
+
+/**
+ * Messages of requests refused because their session is closed, by the reason it was closed
+ */
+const TRACE_SESSION_CLOSED = {
+    modified: 'The file changed on disk since it was loaded',
+    removed: 'The file was removed from disk since it was loaded',
+    evicted: 'The file is no longer open',
+    closed: 'The file is no longer open'
+};
+
+/**
+ * Number of closed session IDs remembered for their refusal message
+ */
+const TRACE_SESSION_CLOSED_HISTORY = 64;
+
+/**
+ * TraceSessionCache - Parsed files the renderer refers to by session ID
+ *
+ * Tag and trace requests reuse the parsed file instead of re-reading it.
+ * Sessions are evicted least-recently-used and closed when their file
+ * changes on disk. A request for a closed session is refused rather than
+ * answered from the file at the same path: that file is no longer the read
+ * on screen, so reopening it would describe, or save edits onto, other data.
+ *
+ * Usage:
+ *   const cache = new TraceSessionCache({ open: filePath => parse(filePath), watch: session => watcher });
+ *   const session = await cache.open(filePath);
+ *   const same = await cache.resolve({ sessionId: session.id });
+ */
+class TraceSessionCache {
+
+    /**
+     * @param {Object} options
+     * @param {Function} options.open - async (filePath) => { format, parser, salvaged } for a resolved path
+     * @param {Function} [options.watch] - (session) => watcher with stop(), started for every new session
+     * @param {number} [options.maxSessions] - Sessions kept before the least recently used is evicted
+     */
+    constructor(options) {
+        this.openFile = options.open;
+        this.watch = options.watch || null;
+        this.maxSessions = options.maxSessions || 8;
+        this.sessions = new Map();  // By ID, least recently used first
+        this.closed = new Map();    // Reason by ID of closed sessions
+    }
+
+    /**
+     * Open a session for a file, reusing an existing session for the same path
+     * @param {string} filePath
+     * @returns {Promise<Object>} Session { id, filepath, format, parser, salvaged, fragment, watcher, opened }
+     */
+    async open(filePath) {
+        const resolved = path.resolve(filePath);
+        for (const session of this.sessions.values()) {
+            if (session.filepath === resolved) return this._touch(session);
+        }
+
+        const { format, parser, salvaged } = await this.openFile(resolved);
+        const session = {
+            id: Math.random().toString(36).substring(2, 10),
+            filepath: resolved,
+            format: format,
+            parser: parser,
+            salvaged: !!salvaged,
+            fragment: null,
+            watcher: null,
+            opened: Date.now()
+        };
+        if (this.watch) session.watcher = this.watch(session);
+
+        this.sessions.set(session.id, session);
+        while (this.sessions.size > this.maxSessions) {
+            this.close(this.sessions.keys().next().value, 'evicted');
+        }
+        return session;
+    }
+
+    /**
+     * Look up an open session by ID and mark it as most recently used
+     * @param {string} sessionId
+     * @returns {Object|null} Session, null when it is not open
+     */
+    get(sessionId) {
+        const session = this.sessions.get(sessionId);
+        return session ? this._touch(session) : null;
+    }
+
+    /**
+     * Resolve a renderer request to a session: by sessionId when one is
+     * given, otherwise by opening filePath
+     * @param {Object} request - { sessionId, filePath }
+     * @returns {Promise<Object>} Session
+     * @throws {Error} When the session is closed (code 'session_expired', with
+     *   the reason it was closed), or neither is given
+     */
+    async resolve(request) {
+        if (request.sessionId) {
+            const session = this.get(request.sessionId);
+            if (session) return session;
+
+            const reason = this.closed.get(request.sessionId) || 'closed';
+            const error = new Error(TRACE_SESSION_CLOSED[reason]);
+            error.code = 'session_expired';
+            error.reason = reason;
+            throw error;
+        }
+        if (!request.filePath) throw new Error('Session ID or file path is required');
+        return this.open(request.filePath);
+    }
+
+    /**
+     * Close a session and stop watching its file
+     * @param {string} sessionId
+     * @param {string} [reason] - 'modified', 'removed', 'evicted' or 'closed'
+     * @returns {boolean} Whether the session was open
+     */
+    close(sessionId, reason = 'closed') {
+        const session = this.sessions.get(sessionId);
+        if (!session) return false;
+
+        if (session.watcher) session.watcher.stop();
+        this.sessions.delete(sessionId);
+
+        this.closed.set(sessionId, reason);
+        if (this.closed.size > TRACE_SESSION_CLOSED_HISTORY) {
+            this.closed.delete(this.closed.keys().next().value);
+        }
+        return true;
+    }
+
+    /**
+     * Close every session
+     */
+    closeAll() {
+        for (const sessionId of [...this.sessions.keys()]) {
+            this.close(sessionId);
+        }
+    }
+
+    /**
+     * Move a session to the most recently used end
+     * @private
+     */
+    _touch(session) {
+        this.sessions.delete(session.id);
+        this.sessions.set(session.id, session);
+        return session;
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron main process
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TraceSessionCache };
+}
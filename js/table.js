@@ -1,6 +1,13 @@
 ///////////////////////////////////////////////////////////////////////////////
 // table.js
 
+function table_guid() {
+	// guid() is provided by core.js; windows that do not load core.js
+	// (such as the chromatogram viewer) fall back to a random id
+	if (typeof guid === "function") { return guid(); }
+	return "t" + Math.random().toString(36).slice(2, 10);
+}
+
 function create_headerless_table(data, checkbox, options) {
 	//////////////////////////////////////////////////////////////////////
 	// This function takes an array of objects and creates
@@ -29,7 +36,7 @@ function create_headerless_table(data, checkbox, options) {
 	if (typeof (checkbox) === "undefined") { checkbox = false; }
 	if (typeof (options) === "undefined") { options = {}; }
 	
-	const id = guid();
+	const id = table_guid();
 	const table_obj = {};
 	let current_data = data;
 	let filtered_data = data;
@@ -518,7 +525,7 @@ function create_table(data, options) {
 	if (typeof (data) === "undefined") { return undefined; }
 	if (typeof (options) === "undefined") { options = {}; }
 	
-	const id = guid();
+	const id = table_guid();
 	const table_obj = {};
 	const keys = Object.keys(data[0]);
 	let current_data = data;
@@ -0,0 +1,343 @@
+///////////////////////////////////////////////////////////////////////////////
+// ZTRCodecs.js
+// Chunk compression formats for the ZTR trace format
+// Based on the ZTR specification (Staden io_lib, versions 1.2/1.3)
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * ZTR file magic number: \256ZTR\r\n\032\n
+ */
+const ZTR_MAGIC = [0xAE, 0x5A, 0x54, 0x52, 0x0D, 0x0A, 0x1A, 0x0A];
+
+/**
+ * ZTR version written by ZTRWriter
+ */
+const ZTR_VERSION_MAJOR = 1;
+const ZTR_VERSION_MINOR = 2;
+
+/**
+ * Chunk data format codes (first byte of every chunk's data)
+ */
+const ZTR_FORMATS = {
+    RAW:      0,
+    RLE:      1,
+    ZLIB:     2,
+    DELTA1:   64,   // 8-bit delta
+    DELTA2:   65,   // 16-bit delta
+    DELTA4:   66,   // 32-bit delta
+    SHRINK16: 70,   // 16-bit values stored as 8-bit with escapes
+    SHRINK32: 71    // 32-bit values stored as 8-bit with escapes
+};
+
+/**
+ * Get the zlib module (Node.js/Electron main process only)
+ * @returns {Object} Node.js zlib module
+ */
+function getZlib() {
+    if (typeof require === 'undefined') {
+        throw new Error('ZTR zlib chunks require the Node.js zlib module');
+    }
+    return require('zlib');
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// DECODERS
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Read a little-endian uint32 (used for uncompressed lengths)
+ */
+function readUint32LE(bytes, offset) {
+    return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+/**
+ * Decode run-length encoded data
+ * Layout: format(1), uncompressed length (4, LE), guard byte, data
+ * @param {Uint8Array} comp - Compressed chunk data
+ * @returns {Uint8Array} Decoded data
+ */
+function decodeRLE(comp) {
+    const outLength = readUint32LE(comp, 1);
+    const guard = comp[5];
+    const out = new Uint8Array(outLength);
+
+    let o = 0;
+    for (let i = 6; i < comp.length && o < outLength; i++) {
+        if (comp[i] !== guard) {
+            out[o++] = comp[i];
+            continue;
+        }
+
+        const count = comp[++i];
+        if (count === 0) {
+            out[o++] = guard;
+        } else {
+            const value = comp[++i];
+            for (let k = 0; k < count && o < outLength; k++) {
+                out[o++] = value;
+            }
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Decode zlib compressed data
+ * Layout: format(1), uncompressed length (4, LE), zlib stream
+ * @param {Uint8Array} comp - Compressed chunk data
+ * @returns {Uint8Array} Decoded data
+ */
+function decodeZlib(comp) {
+    const inflated = getZlib().inflateSync(comp.subarray(5));
+    return new Uint8Array(inflated.buffer, inflated.byteOffset, inflated.byteLength);
+}
+
+/**
+ * Prediction used by the delta formats
+ * Level 1: p1; level 2: 2*p1 - p2; level 3: 3*p1 - 3*p2 + p3
+ */
+function deltaPrediction(level, p1, p2, p3) {
+    switch (level) {
+        case 1: return p1;
+        case 2: return (2 * p1) - p2;
+        case 3: return (3 * p1) - (3 * p2) + p3;
+        default: throw new Error(`Unsupported ZTR delta level: ${level}`);
+    }
+}
+
+/**
+ * Decode delta encoded data of 1, 2 or 4 byte words
+ * Layout: format(1), level(1), padding to word size, big-endian words
+ * @param {Uint8Array} comp - Compressed chunk data
+ * @param {number} wordSize - 1, 2 or 4
+ * @returns {Uint8Array} Decoded data
+ */
+function decodeDelta(comp, wordSize) {
+    const level = comp[1];
+    const start = Math.max(2, wordSize);
+    const count = Math.floor((comp.length - start) / wordSize);
+    const inView = new DataView(comp.buffer, comp.byteOffset + start, count * wordSize);
+    const out = new Uint8Array(count * wordSize);
+    const outView = new DataView(out.buffer);
+    const mask = wordSize === 4 ? 0xFFFFFFFF : (1 << (wordSize * 8)) - 1;
+
+    let p1 = 0, p2 = 0, p3 = 0;
+    for (let i = 0; i < count; i++) {
+        const delta = readWord(inView, i * wordSize, wordSize);
+        const value = (delta + deltaPrediction(level, p1, p2, p3)) & mask;
+        const unsigned = wordSize === 4 ? value >>> 0 : value;
+        writeWord(outView, i * wordSize, wordSize, unsigned);
+        p3 = p2;
+        p2 = p1;
+        p1 = unsigned;
+    }
+
+    return out;
+}
+
+/**
+ * Decode 16-bit or 32-bit values packed into signed bytes
+ * Each value is a signed byte; -128 escapes a full big-endian value.
+ * Layout: format(1), packed values
+ * @param {Uint8Array} comp - Compressed chunk data
+ * @param {number} wordSize - 2 or 4
+ * @returns {Uint8Array} Decoded data
+ */
+function decodeShrink(comp, wordSize) {
+    const values = [];
+
+    for (let i = 1; i < comp.length;) {
+        const byte = comp[i++];
+        if (byte !== 0x80) {
+            values.push(byte > 127 ? byte - 256 : byte);
+        } else {
+            const escaped = [];
+            for (let k = 0; k < wordSize; k++) escaped.push(comp[i++]);
+            values.push(escaped);
+        }
+    }
+
+    const out = new Uint8Array(values.length * wordSize);
+    const outView = new DataView(out.buffer);
+
+    values.forEach((value, index) => {
+        if (Array.isArray(value)) {
+            out.set(value, index * wordSize);
+        } else if (wordSize === 2) {
+            outView.setInt16(index * 2, value, false);
+        } else {
+            outView.setInt32(index * 4, value, false);
+        }
+    });
+
+    return out;
+}
+
+/**
+ * Fully decode chunk data, unwrapping each format layer until raw
+ * @param {Uint8Array} data - Chunk data as stored in the file
+ * @returns {Uint8Array} Raw data (first byte is the raw format code 0)
+ */
+function decodeChunkData(data) {
+    let current = data;
+
+    while (current.length > 0 && current[0] !== ZTR_FORMATS.RAW) {
+        switch (current[0]) {
+            case ZTR_FORMATS.RLE:      current = decodeRLE(current); break;
+            case ZTR_FORMATS.ZLIB:     current = decodeZlib(current); break;
+            case ZTR_FORMATS.DELTA1:   current = decodeDelta(current, 1); break;
+            case ZTR_FORMATS.DELTA2:   current = decodeDelta(current, 2); break;
+            case ZTR_FORMATS.DELTA4:   current = decodeDelta(current, 4); break;
+            case ZTR_FORMATS.SHRINK16: current = decodeShrink(current, 2); break;
+            case ZTR_FORMATS.SHRINK32: current = decodeShrink(current, 4); break;
+            default:
+                throw new Error(`Unsupported ZTR chunk format: ${current[0]}`);
+        }
+    }
+
+    return current;
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// ENCODERS
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Encode data with zlib
+ * @param {Uint8Array} data - Data to compress (including its own format byte)
+ * @returns {Uint8Array} Compressed chunk data
+ */
+function encodeZlib(data) {
+    const deflated = getZlib().deflateSync(data);
+    const out = new Uint8Array(5 + deflated.length);
+    out[0] = ZTR_FORMATS.ZLIB;
+    out[1] = data.length & 0xFF;
+    out[2] = (data.length >>> 8) & 0xFF;
+    out[3] = (data.length >>> 16) & 0xFF;
+    out[4] = (data.length >>> 24) & 0xFF;
+    out.set(deflated, 5);
+    return out;
+}
+
+/**
+ * Delta encode words of 1, 2 or 4 bytes (inverse of decodeDelta)
+ * @param {Uint8Array} data - Data to encode (including its own format byte)
+ * @param {number} wordSize - 1, 2 or 4
+ * @param {number} level - Delta level (1-3)
+ * @returns {Uint8Array} Encoded chunk data
+ */
+function encodeDelta(data, wordSize, level = 1) {
+    const start = Math.max(2, wordSize);
+    const count = Math.floor(data.length / wordSize);
+    const inView = new DataView(data.buffer, data.byteOffset, count * wordSize);
+    const out = new Uint8Array(start + (count * wordSize));
+    const outView = new DataView(out.buffer, start);
+    const mask = wordSize === 4 ? 0xFFFFFFFF : (1 << (wordSize * 8)) - 1;
+
+    out[0] = wordSize === 1 ? ZTR_FORMATS.DELTA1 : (wordSize === 2 ? ZTR_FORMATS.DELTA2 : ZTR_FORMATS.DELTA4);
+    out[1] = level;
+
+    let p1 = 0, p2 = 0, p3 = 0;
+    for (let i = 0; i < count; i++) {
+        const value = readWord(inView, i * wordSize, wordSize);
+        const delta = (value - deltaPrediction(level, p1, p2, p3)) & mask;
+        writeWord(outView, i * wordSize, wordSize, wordSize === 4 ? delta >>> 0 : delta);
+        p3 = p2;
+        p2 = p1;
+        p1 = value;
+    }
+
+    return out;
+}
+
+/**
+ * Pack 16-bit or 32-bit big-endian values into signed bytes with escapes
+ * @param {Uint8Array} data - Data to encode (including its own format byte)
+ * @param {number} wordSize - 2 or 4
+ * @returns {Uint8Array} Encoded chunk data
+ */
+function encodeShrink(data, wordSize) {
+    const count = Math.floor(data.length / wordSize);
+    const view = new DataView(data.buffer, data.byteOffset, count * wordSize);
+    const out = [wordSize === 2 ? ZTR_FORMATS.SHRINK16 : ZTR_FORMATS.SHRINK32];
+
+    for (let i = 0; i < count; i++) {
+        const value = wordSize === 2 ? view.getInt16(i * 2, false) : view.getInt32(i * 4, false);
+        if (value >= -127 && value <= 127) {
+            out.push(value & 0xFF);
+        } else {
+            out.push(0x80);
+            for (let k = 0; k < wordSize; k++) out.push(data[(i * wordSize) + k]);
+        }
+    }
+
+    return Uint8Array.from(out);
+}
+
+/**
+ * Read an unsigned big-endian word
+ */
+function readWord(view, offset, wordSize) {
+    switch (wordSize) {
+        case 1: return view.getUint8(offset);
+        case 2: return view.getUint16(offset, false);
+        default: return view.getUint32(offset, false);
+    }
+}
+
+/**
+ * Write an unsigned big-endian word
+ */
+function writeWord(view, offset, wordSize, value) {
+    switch (wordSize) {
+        case 1: view.setUint8(offset, value); break;
+        case 2: view.setUint16(offset, value, false); break;
+        default: view.setUint32(offset, value, false); break;
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron main process
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ZTR_MAGIC,
+        ZTR_VERSION_MAJOR,
+        ZTR_VERSION_MINOR,
+        ZTR_FORMATS,
+
+        // Decoders
+        decodeRLE,
+        decodeZlib,
+        decodeDelta,
+        decodeShrink,
+        decodeChunkData,
+
+        // Encoders
+        encodeZlib,
+        encodeDelta,
+        encodeShrink
+    };
+}
+
+// For use in browser/renderer process
+if (typeof window !== 'undefined') {
+    window.ZTRCodecs = {
+        ZTR_MAGIC,
+        ZTR_VERSION_MAJOR,
+        ZTR_VERSION_MINOR,
+        ZTR_FORMATS,
+        decodeRLE,
+        decodeZlib,
+        decodeDelta,
+        decodeShrink,
+        decodeChunkData,
+        encodeZlib,
+        encodeDelta,
+        encodeShrink
+    };
+}
@@ -0,0 +1,422 @@
+///////////////////////////////////////////////////////////////////////////////
+// ZTRParser.js
+// Binary parser for ZTR compressed trace files (Staden io_lib format)
+// Supports SMP4/SAMP, BASE, BPOS, CNF4/CNF1 and TEXT chunks
+///////////////////////////////////////////////////////////////////////////////
+
+// Import dependencies if in Node.js environment
+let ZTRCodecs, SCFParser;
+if (typeof require !== 'undefined') {
+    ZTRCodecs = require('./ZTRCodecs.js');
+    SCFParser = require('../scf/SCFParser.js');
+} else if (typeof window !== 'undefined') {
+    ZTRCodecs = window.ZTRCodecs;
+    SCFParser = window.SCFParser;
+}
+
+const ZTR_CHANNEL_ORDER = ['A', 'C', 'G', 'T'];
+
+/**
+ * ZTR File Parser
+ * Parses ZTR files into the same shape as ABIFParser, so the viewer,
+ * exporters and trimmer can work on ZTR files unchanged.
+ */
+class ZTRParser {
+
+    /**
+     * Create a ZTRParser instance
+     * @param {ArrayBuffer} arrayBuffer - The raw binary file data
+     */
+    constructor(arrayBuffer) {
+        if (!arrayBuffer || !(arrayBuffer instanceof ArrayBuffer)) {
+            throw new Error('ZTRParser requires an ArrayBuffer');
+        }
+
+        this.buffer = arrayBuffer;
+        this.bytes = new Uint8Array(arrayBuffer);
+        this.dataView = new DataView(arrayBuffer);
+        this.header = null;
+        this.chunks = [];
+        this.traces = null;
+        this.rawTraces = null;
+        this.sequence = '';
+        this.peakLocations = new Uint32Array(0);
+        this.qualityScores = new Uint8Array(0);
+        this.comments = {};
+        this._parsed = false;
+    }
+
+    /**
+     * Check whether a buffer starts with the ZTR magic number
+     * @param {ArrayBuffer} arrayBuffer - File data
+     * @returns {boolean} True if the data looks like a ZTR file
+     */
+    static isZTR(arrayBuffer) {
+        if (!arrayBuffer || arrayBuffer.byteLength < ZTRCodecs.ZTR_MAGIC.length) return false;
+        const bytes = new Uint8Array(arrayBuffer, 0, ZTRCodecs.ZTR_MAGIC.length);
+        return ZTRCodecs.ZTR_MAGIC.every((b, i) => bytes[i] === b);
+    }
+
+    /**
+     * Parse the ZTR file
+     * @returns {ZTRParser} Returns this for chaining
+     * @throws {Error} If file is not a valid ZTR file
+     */
+    parse() {
+        if (this._parsed) return this;
+
+        if (!ZTRParser.isZTR(this.buffer)) {
+            throw new Error('Invalid ZTR file: missing ZTR magic number');
+        }
+
+        this.header = {
+            versionMajor: this.bytes[8],
+            versionMinor: this.bytes[9],
+            version:      `${this.bytes[8]}.${this.bytes[9]}`
+        };
+
+        this.chunks = this._parseChunks();
+        this._interpretChunks();
+        this._parsed = true;
+
+        return this;
+    }
+
+    /**
+     * Read the chunk list
+     * Each chunk: type (4), metadata length (4), metadata, data length (4), data
+     * @private
+     */
+    _parseChunks() {
+        const dv = this.dataView;
+        const chunks = [];
+        let offset = 10;
+
+        while (offset + 8 <= this.buffer.byteLength) {
+            const type = String.fromCharCode(...this.bytes.subarray(offset, offset + 4));
+            const metaLength = dv.getUint32(offset + 4, false);
+            const metaOffset = offset + 8;
+
+            if (metaOffset + metaLength + 4 > this.buffer.byteLength) {
+                throw new Error(`Invalid ZTR file: chunk ${type} extends past end of file`);
+            }
+
+            const dataLength = dv.getUint32(metaOffset + metaLength, false);
+            const dataOffset = metaOffset + metaLength + 4;
+
+            if (dataOffset + dataLength > this.buffer.byteLength) {
+                throw new Error(`Invalid ZTR file: chunk ${type} extends past end of file`);
+            }
+
+            chunks.push({
+                type:     type,
+                metadata: this.bytes.subarray(metaOffset, metaOffset + metaLength),
+                data:     this.bytes.subarray(dataOffset, dataOffset + dataLength),
+                offset:   offset
+            });
+
+            offset = dataOffset + dataLength;
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Decode the chunks into traces, calls, positions, confidences and text
+     * @private
+     */
+    _interpretChunks() {
+        const sampleSets = [];
+        const singleChannels = {};
+        let cnf4 = null;
+        let cnf1 = null;
+
+        for (const chunk of this.chunks) {
+            switch (chunk.type) {
+                case 'SMP4': {
+                    const raw = ZTRCodecs.decodeChunkData(chunk.data);
+                    sampleSets.push({
+                        meta: ZTRParser.parseKeyValues(chunk.metadata),
+                        traces: ZTRParser._splitSamples(raw)
+                    });
+                    break;
+                }
+                case 'SAMP': {
+                    const raw = ZTRCodecs.decodeChunkData(chunk.data);
+                    const base = ZTRParser._sampChannel(chunk.metadata);
+                    if (base) singleChannels[base] = ZTRParser._readUint16Array(raw, 2);
+                    break;
+                }
+                case 'BASE': {
+                    const raw = ZTRCodecs.decodeChunkData(chunk.data);
+                    this.sequence = ZTRParser._bytesToString(raw.subarray(1));
+                    break;
+                }
+                case 'BPOS': {
+                    const raw = ZTRCodecs.decodeChunkData(chunk.data);
+                    const view = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+                    const positions = new Uint32Array(Math.max(0, Math.floor((raw.length - 4) / 4)));
+                    for (let i = 0; i < positions.length; i++) {
+                        positions[i] = view.getUint32(4 + (i * 4), false);
+                    }
+                    this.peakLocations = positions;
+                    break;
+                }
+                case 'CNF4':
+                    cnf4 = ZTRCodecs.decodeChunkData(chunk.data);
+                    break;
+                case 'CNF1':
+                    cnf1 = ZTRCodecs.decodeChunkData(chunk.data);
+                    break;
+                case 'TEXT': {
+                    const raw = ZTRCodecs.decodeChunkData(chunk.data);
+                    Object.assign(this.comments, ZTRParser.parseKeyValues(raw.subarray(1)));
+                    break;
+                }
+                default:
+                    // Other chunk types (CLIP, REGN, CSID, ...) are not needed by the viewer
+                    break;
+            }
+        }
+
+        // Traces: prefer the processed SMP4 set; any other set is raw data
+        if (Object.keys(singleChannels).length > 0) {
+            sampleSets.push({ meta: { TYPE: 'PROC' }, traces: singleChannels });
+        }
+        const processed = sampleSets.find(set => set.meta.TYPE === 'PROC') || sampleSets[0];
+        const raw = sampleSets.find(set => set !== processed);
+
+        this.traces = processed ? processed.traces : ZTRParser._emptyTraces();
+        this.rawTraces = raw ? raw.traces : this.traces;
+
+        // Confidence of the called base
+        const n = this.sequence.length;
+        if (cnf4) {
+            this.qualityScores = Uint8Array.from(cnf4.subarray(1, 1 + n), v => Math.max(0, v > 127 ? v - 256 : v));
+        } else if (cnf1) {
+            this.qualityScores = Uint8Array.from(cnf1.subarray(1, 1 + n), v => Math.max(0, v > 127 ? v - 256 : v));
+        }
+    }
+
+    /**
+     * Split SMP4 raw data (2 pad bytes, then all A, C, G, T 16-bit samples)
+     * @private
+     */
+    static _splitSamples(raw) {
+        const all = ZTRParser._readUint16Array(raw, 2);
+        const length = Math.floor(all.length / 4);
+        const traces = {};
+
+        ZTR_CHANNEL_ORDER.forEach((base, c) => {
+            traces[base] = all.slice(c * length, (c + 1) * length);
+        });
+
+        return traces;
+    }
+
+    /**
+     * Read big-endian uint16 values
+     * @private
+     */
+    static _readUint16Array(raw, start) {
+        const view = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+        const values = new Uint16Array(Math.max(0, Math.floor((raw.length - start) / 2)));
+        for (let i = 0; i < values.length; i++) {
+            values[i] = view.getUint16(start + (i * 2), false);
+        }
+        return values;
+    }
+
+    /**
+     * Empty A, C, G, T trace set
+     * @private
+     */
+    static _emptyTraces() {
+        const traces = {};
+        for (const base of ZTR_CHANNEL_ORDER) {
+            traces[base] = new Uint16Array(0);
+        }
+        return traces;
+    }
+
+    /**
+     * Channel of a SAMP chunk: 4-byte base name (v1.1) or TYPE key (v1.2+)
+     * @private
+     */
+    static _sampChannel(metadata) {
+        const meta = ZTRParser.parseKeyValues(metadata);
+        const value = meta.TYPE || String.fromCharCode(...metadata.subarray(0, 1));
+        const base = value.charAt(0).toUpperCase();
+        return ZTR_CHANNEL_ORDER.includes(base) ? base : null;
+    }
+
+    /**
+     * Convert bytes to a Latin-1 string
+     * @private
+     */
+    static _bytesToString(bytes) {
+        let str = '';
+        for (let i = 0; i < bytes.length; i++) {
+            str += String.fromCharCode(bytes[i]);
+        }
+        return str;
+    }
+
+    /**
+     * Parse NUL-separated key/value pairs (TEXT data and chunk metadata)
+     * @param {Uint8Array} bytes - "key\0value\0key\0value\0\0"
+     * @returns {Object} Map of keys to values
+     */
+    static parseKeyValues(bytes) {
+        const result = {};
+        const parts = ZTRParser._bytesToString(bytes).split('\0');
+
+        for (let i = 0; i + 1 < parts.length; i += 2) {
+            if (!parts[i]) break;
+            result[parts[i]] = parts[i + 1];
+        }
+
+        return result;
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // CONVENIENCE METHODS FOR COMMON DATA
+    // (same names and return shapes as ABIFParser)
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Get the channel order (ZTR stores A, C, G, T)
+     * @returns {string[]} Array of 4 nucleotide characters
+     */
+    getChannelOrder() {
+        return ZTR_CHANNEL_ORDER.slice();
+    }
+
+    /**
+     * Get the processed trace data for all four channels
+     * @returns {Object} Object with A, C, G, T Uint16Arrays of intensity values
+     */
+    getTraces() {
+        this.parse();
+        return this.traces;
+    }
+
+    /**
+     * Get the raw trace data (falls back to the processed set)
+     * @returns {Object} Object with A, C, G, T Uint16Arrays of intensity values
+     */
+    getRawTraces() {
+        this.parse();
+        return this.rawTraces;
+    }
+
+    /**
+     * Get the base calls as a string
+     * @returns {string} DNA sequence string
+     */
+    getSequence() {
+        this.parse();
+        return this.sequence;
+    }
+
+    /**
+     * Get peak locations (sample index for each base call)
+     * @returns {Uint32Array} Peak positions
+     */
+    getPeakLocations() {
+        this.parse();
+        return this.peakLocations;
+    }
+
+    /**
+     * Get quality scores (confidence of the called base)
+     * @returns {Uint8Array} Quality scores
+     */
+    getQualityScores() {
+        this.parse();
+        return this.qualityScores;
+    }
+
+    /**
+     * Get the sequence length (number of called bases)
+     * @returns {number} Sequence length
+     */
+    getSequenceLength() {
+        return this.getSequence().length;
+    }
+
+    /**
+     * Get the trace length (number of sample points)
+     * @returns {number} Trace length
+     */
+    getTraceLength() {
+        const traces = this.getTraces();
+        return Math.max(0, ...ZTR_CHANNEL_ORDER.map(base => (traces[base] ? traces[base].length : 0)));
+    }
+
+    /**
+     * Get sample/file metadata from TEXT chunks
+     * @returns {Object} Metadata object (same fields as ABIFParser.getMetadata())
+     */
+    getMetadata() {
+        this.parse();
+
+        const metadata = SCFParser.metadataFromComments(this.comments);
+        metadata.sequenceLength = this.getSequenceLength();
+        metadata.traceLength = this.getTraceLength();
+
+        return metadata;
+    }
+
+    /**
+     * List the chunk types in the file
+     * @returns {string[]} Array of chunk types (e.g., ["SMP4", "BASE", ...])
+     */
+    listTags() {
+        this.parse();
+        return this.chunks.map(chunk => chunk.type);
+    }
+
+    /**
+     * ZTR has no ABIF tags
+     * @returns {null} Always null
+     */
+    getTagData() {
+        return null;
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // STATIC FACTORY METHODS
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Create parser from a file path (Node.js/Electron)
+     * @param {string} filePath - Path to the ZTR file
+     * @returns {Promise<ZTRParser>} Promise resolving to parsed ZTRParser
+     */
+    static async fromPath(filePath) {
+        const fs = require('fs').promises;
+        const buffer = await fs.readFile(filePath);
+        const arrayBuffer = buffer.buffer.slice(
+            buffer.byteOffset,
+            buffer.byteOffset + buffer.byteLength
+        );
+        const parser = new ZTRParser(arrayBuffer);
+        parser.parse();
+        return parser;
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron main process
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZTRParser;
+}
+
+// For use in browser/renderer process
+if (typeof window !== 'undefined') {
+    window.ZTRParser = ZTRParser;
+}
@@ -0,0 +1,245 @@
+///////////////////////////////////////////////////////////////////////////////
+// ZTRWriter.js
+// Binary serializer for ZTR compressed trace files (Staden io_lib format)
+// Writes SMP4, BASE, BPOS, CNF4 and TEXT chunks (ZTR version 1.2)
+///////////////////////////////////////////////////////////////////////////////
+
+// Import codecs if in Node.js environment
+let ZTRCodecs;
+if (typeof require !== 'undefined') {
+    ZTRCodecs = require('./ZTRCodecs.js');
+} else if (typeof window !== 'undefined' && window.ZTRCodecs) {
+    ZTRCodecs = window.ZTRCodecs;
+}
+
+// Import the read slicing and metadata shared with the SCF exporter
+const ztrExportData = (typeof require !== 'undefined') ? require('../export/TraceExportData.js').TraceExportData : window.TraceExportData;
+
+/**
+ * ZTR File Writer
+ * Builds a ZTR file from the viewer's read state. Compression follows the
+ * io_lib defaults: traces are delta (level 3), 16-to-8 packed and zlib
+ * compressed; positions are delta, 32-to-8 packed and zlib compressed.
+ *
+ * Usage:
+ *   const bytes = ZTRWriter.generate({ traces, sequence, peakLocations, qualityScores }, { NAME: 'sample' });
+ */
+class ZTRWriter {
+
+    /**
+     * ZTR stores the channels in a fixed order
+     */
+    static get CHANNEL_ORDER() {
+        return ['A', 'C', 'G', 'T'];
+    }
+
+    /**
+     * Generate ZTR file bytes
+     *
+     * @param {Object} data - Read data
+     * @param {Object} data.traces - Traces keyed by base (A, C, G, T)
+     * @param {string} data.sequence - Base calls
+     * @param {number[]} data.peakLocations - Peak sample index per base
+     * @param {number[]} [data.qualityScores] - Quality value per base
+     * @param {Object} [text] - Key/value pairs written to the TEXT chunk
+     * @returns {Uint8Array} ZTR file contents
+     */
+    static generate(data, text = {}) {
+        if (!data || !data.sequence || !data.traces) {
+            throw new Error('Data must contain sequence and traces');
+        }
+
+        const chunks = [
+            this._chunk('SMP4', this._keyValueBytes({ TYPE: 'PROC' }), this._encodeSamples(data.traces)),
+            this._chunk('BASE', new Uint8Array(0), this._encodeBases(data.sequence)),
+            this._chunk('BPOS', new Uint8Array(0), this._encodePositions(data.peakLocations || [], data.sequence.length)),
+            this._chunk('CNF4', new Uint8Array(0), this._encodeConfidence(data.sequence, data.qualityScores || []))
+        ];
+
+        const textEntries = {};
+        for (const [key, value] of Object.entries(text)) {
+            if (value !== undefined && value !== null && value !== '') {
+                textEntries[key] = String(value);
+            }
+        }
+        if (Object.keys(textEntries).length > 0) {
+            const kv = this._keyValueBytes(textEntries);
+            const raw = new Uint8Array(kv.length + 2);
+            raw.set(kv, 1);                       // raw format byte, pairs, final NUL
+            chunks.push(this._chunk('TEXT', new Uint8Array(0), ZTRCodecs.encodeZlib(raw)));
+        }
+
+        // Assemble
+        const header = new Uint8Array(10);
+        header.set(ZTRCodecs.ZTR_MAGIC, 0);
+        header[8] = ZTRCodecs.ZTR_VERSION_MAJOR;
+        header[9] = ZTRCodecs.ZTR_VERSION_MINOR;
+
+        const totalSize = header.length + chunks.reduce((sum, c) => sum + c.length, 0);
+        const out = new Uint8Array(totalSize);
+        out.set(header, 0);
+
+        let offset = header.length;
+        for (const chunk of chunks) {
+            out.set(chunk, offset);
+            offset += chunk.length;
+        }
+
+        return out;
+    }
+
+    /**
+     * Generate ZTR from the viewer's current read state
+     *
+     * @param {Object} fileData - Read state (ChromatogramCanvas.getData() plus metadata/fileName,
+     *   and the read's QC metrics as key/value pairs in qc)
+     * @param {Object} options - Export options
+     * @param {number} [options.start] - First base of the selection (0-based, inclusive)
+     * @param {number} [options.end] - Last base of the selection (0-based, inclusive)
+     * @param {number} [options.tracePadding] - Samples kept around a selection (default: 10)
+     * @returns {Uint8Array} ZTR file contents
+     */
+    static generateFromFileData(fileData, options = {}) {
+        const read = ztrExportData.fromFileData(fileData, options);
+        return this.generate(read, ztrExportData.metadataFields(fileData));
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // CHUNK ENCODING
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Build one chunk: type, metadata length, metadata, data length, data
+     * @private
+     */
+    static _chunk(type, metadata, data) {
+        const out = new Uint8Array(12 + metadata.length + data.length);
+        const dv = new DataView(out.buffer);
+
+        for (let i = 0; i < 4; i++) {
+            out[i] = type.charCodeAt(i);
+        }
+        dv.setUint32(4, metadata.length, false);
+        out.set(metadata, 8);
+        dv.setUint32(8 + metadata.length, data.length, false);
+        out.set(data, 12 + metadata.length);
+
+        return out;
+    }
+
+    /**
+     * SMP4: raw byte, pad byte, then all A, C, G, T samples (uint16)
+     * @private
+     */
+    static _encodeSamples(traces) {
+        const channels = this.CHANNEL_ORDER;
+        const length = Math.max(...channels.map(c => (traces[c] ? traces[c].length : 0)));
+        const raw = new Uint8Array(2 + (length * 4 * 2));
+        const dv = new DataView(raw.buffer);
+
+        channels.forEach((base, c) => {
+            const trace = traces[base] || [];
+            for (let i = 0; i < length; i++) {
+                const value = Math.max(0, Math.min(65535, Math.round(trace[i] || 0)));
+                dv.setUint16(2 + (((c * length) + i) * 2), value, false);
+            }
+        });
+
+        const delta = ZTRCodecs.encodeDelta(raw, 2, 3);
+        return ZTRCodecs.encodeZlib(ZTRCodecs.encodeShrink(delta, 2));
+    }
+
+    /**
+     * BASE: raw byte, then one ASCII call per base
+     * @private
+     */
+    static _encodeBases(sequence) {
+        const raw = new Uint8Array(1 + sequence.length);
+        for (let i = 0; i < sequence.length; i++) {
+            raw[1 + i] = sequence.charCodeAt(i) & 0xFF;
+        }
+        return ZTRCodecs.encodeZlib(raw);
+    }
+
+    /**
+     * BPOS: raw byte, 3 pad bytes, then one uint32 peak position per base
+     * @private
+     */
+    static _encodePositions(peakLocations, numBases) {
+        const raw = new Uint8Array(4 + (numBases * 4));
+        const dv = new DataView(raw.buffer);
+
+        for (let i = 0; i < numBases; i++) {
+            dv.setUint32(4 + (i * 4), Math.max(0, Math.round(peakLocations[i] || 0)), false);
+        }
+
+        const delta = ZTRCodecs.encodeDelta(raw, 4, 1);
+        return ZTRCodecs.encodeZlib(ZTRCodecs.encodeShrink(delta, 4));
+    }
+
+    /**
+     * CNF4: raw byte, confidence of each called base, then the other three
+     * channels per base (A, C, G, T order skipping the call). Only the
+     * called-base confidence is known, so the remaining values are 0.
+     * @private
+     */
+    static _encodeConfidence(sequence, qualityScores) {
+        const n = sequence.length;
+        const raw = new Uint8Array(1 + (n * 4));
+
+        for (let i = 0; i < n; i++) {
+            raw[1 + i] = Math.max(0, Math.min(127, Math.round(qualityScores[i] || 0)));
+        }
+
+        return ZTRCodecs.encodeZlib(raw);
+    }
+
+    /**
+     * Encode key/value pairs as NUL-separated bytes
+     * @private
+     */
+    static _keyValueBytes(entries) {
+        let str = '';
+        for (const [key, value] of Object.entries(entries)) {
+            str += `${key}\0${value}\0`;
+        }
+
+        const bytes = new Uint8Array(str.length);
+        for (let i = 0; i < str.length; i++) {
+            bytes[i] = str.charCodeAt(i) & 0xFF;
+        }
+        return bytes;
+    }
+
+    ///////////////////////////////////////////////////////////////////////////
+    // STATIC HELPERS
+    ///////////////////////////////////////////////////////////////////////////
+
+    /**
+     * Write a read to disk as ZTR (Node.js/Electron)
+     * @param {Object} fileData - See generateFromFileData()
+     * @param {Object} options - See generateFromFileData()
+     * @param {string} filePath - Destination path
+     * @returns {Promise<number>} Number of bytes written
+     */
+    static async writeToPath(fileData, options, filePath) {
+        const fs = require('fs').promises;
+        const bytes = ZTRWriter.generateFromFileData(fileData, options);
+        await fs.writeFile(filePath, Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+        return bytes.byteLength;
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// EXPORTS
+///////////////////////////////////////////////////////////////////////////////
+
+// For use in Node.js/Electron main process
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZTRWriter;
+}
+
+// For use in browser/renderer process
+if (typeof window !== 'undefined') {
+    window.ZTRWriter = ZTRWriter;
+}
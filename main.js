@@ -8,8 +8,24 @@
 const { app, BrowserWindow, Menu, dialog } = require('electron');
 const app_menu = require ('./menu.js');
 
-// ABIF Parser
+// ABIF Parser / Writer / Layout
 const ABIFParser = require('./js/abif/ABIFParser.js');
+const ABIFWriter = require('./js/abif/ABIFWriter.js');
+const ABIFAnonymizer = require('./js/abif/ABIFAnonymizer.js');
+const ABIFDiff = require('./js/abif/ABIFDiff.js');
+const ABIFLayout = require('./js/abif/ABIFLayout.js');
+const ABIFChannels = require('./js/abif/ABIFChannels.js');
+// SCF Parser
+const SCFParser = require('./js/scf/SCFParser.js');
+// ZTR Parser / Writer
+const ZTRParser = require('./js/ztr/ZTRParser.js');
+const ZTRWriter = require('./js/ztr/ZTRWriter.js');
+// Fragment analysis (.fsa sizing)
+const { FragmentAnalysis } = require('./js/fragment/FragmentAnalysis.js');
+// Raw trace processing
+const { SignalProcessor } = require('./js/analysis/SignalProcessor.js');
+// Parsed trace files kept open for the renderer
+const { TraceSessionCache } = require('./js/session/TraceSessionCache.js');
 const child_process = require('child_process');
 const chokidar = require('chokidar');
 const eStore = require('electron-store');
@@ -38,12 +54,16 @@ let app_storage = {};
 app_storage.project_directory = store.get('projectDirectory');
 app_storage.window_bounds = store.get('windowBounds');
 app_storage.interpreters = store.get('interpreters');
+app_storage.text_encodings = store.get('textEncodings');
+app_storage.signal_processing = store.get('signalProcessing');
 
 if (typeof (app_storage.project_directory) === 'undefined') { app_storage.project_directory = ''; }
 if (typeof (app_storage.window_bounds) === 'undefined') { app_storage.window_bounds = {}; }
 if (typeof (app_storage.window_bounds.height) === 'undefined') { app_storage.window_bounds.height = 800; }
 if (typeof (app_storage.window_bounds.maximized) === 'undefined') { app_storage.window_bounds.maximized = false; }
 if (typeof (app_storage.window_bounds.width) === 'undefined') { app_storage.window_bounds.width = 1000; }
+if (typeof (app_storage.text_encodings) === 'undefined') { app_storage.text_encodings = {}; }
+if (typeof (app_storage.signal_processing) === 'undefined') { app_storage.signal_processing = {}; }
 
 // Initialize interpreter paths with platform-specific defaults
 if (typeof (app_storage.interpreters) === 'undefined') {
@@ -62,6 +82,7 @@ Menu.setApplicationMenu(menu);
 
 app.whenReady().then(show_window);
 app.once('before-quit', () => { window.removeAllListeners('close'); });
+app.on('will-quit', () => { close_all_trace_sessions(); });
 app.on('activate', () => { if (BrowserWindow.getAllWindows().length === 0) { show_window(); } });
 app.on('window-all-closed', () => { if (process.platform !== 'darwin') { app.quit() } });
 
@@ -353,6 +374,60 @@ function FileWatcher() {
 		}
 	}
 
+	// Persistent watch: reports every change or removal of an existing file until stopped
+	this.watch_for_changes = (filepath, callback) => {
+		this.id = Math.random().toString(36).substring(7);
+		this.filepath = filepath;
+		this.callback = callback;
+		this.startTime = Date.now();
+		this.completed = false;
+
+		try {
+			this.watcher = chokidar.watch(filepath, {
+				persistent: true,
+				ignoreInitial: true,
+				awaitWriteFinish: {
+					stabilityThreshold: 500,
+					pollInterval: 100
+				}
+			});
+
+			const report = (event) => {
+				if (!this.completed && this.callback) {
+					this.callback({
+						success: true,
+						filepath: filepath,
+						event: event,
+						id: this.id
+					});
+				}
+			};
+
+			this.watcher.on('change', () => report('modified'));
+			this.watcher.on('unlink', () => report('removed'));
+
+			this.watcher.on('error', (error) => {
+				console.error(`FileWatcher [${this.id}] error:`, error);
+				if (!this.completed && this.callback) {
+					this.callback({
+						success: false,
+						filepath: filepath,
+						event: 'error',
+						error: error.message,
+						id: this.id
+					});
+				}
+				this.cleanup();
+			});
+
+			return this.id;
+
+		} catch (error) {
+			console.error('Failed to create change watcher:', error);
+			return null;
+		}
+	}
+
 	this.cleanup = () => {
 		if (this.timeoutHandle) {
 			clearTimeout(this.timeoutHandle);
@@ -1276,6 +1351,143 @@ function execute_script_with_output_capture(language, script_path, args, options
 	return result;
 }
 
+///////////////////////////////////////////////////////////////////////////////
+// TRACE FILE LOADING /////////////////////////////////////////////////////////
+
+// Identify a trace file by its magic bytes (the extension is not trusted)
+function detect_trace_format(array_buffer) {
+	if (!array_buffer || array_buffer.byteLength < 4) { return null; }
+	const magic = String.fromCharCode(...new Uint8Array(array_buffer, 0, 4));
+	if (magic === 'ABIF') { return 'abif'; }
+	if (SCFParser.isSCF(array_buffer)) { return 'scf'; }
+	if (ZTRParser.isZTR(array_buffer)) { return 'ztr'; }
+	return null;
+}
+
+// Read and parse a trace file; returns { format, parser, salvaged }
+async function open_trace_file(file_path) {
+	const buffer = await fs.promises.readFile(file_path);
+	const array_buffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+	const format = detect_trace_format(array_buffer);
+	switch (format) {
+		case 'abif': return open_abif_file(array_buffer, { encoding: app_storage.text_encodings[path.resolve(file_path)] });
+		case 'scf': return { format, parser: new SCFParser(array_buffer).parse() };
+		case 'ztr': return { format, parser: new ZTRParser(array_buffer).parse() };
+		default: throw new Error(`Unrecognized trace file format: ${path.basename(file_path)}`);
+	}
+}
+
+// Parse an ABIF file, falling back to salvage mode when the damage is not fatal
+function open_abif_file(array_buffer, options = {}) {
+	try {
+		return { format: 'abif', parser: new ABIFParser(array_buffer, options).parse(), salvaged: false };
+	} catch (error) {
+		if (!error.report || error.report.fatal) { throw error; }
+		return { format: 'abif', parser: new ABIFParser(array_buffer, { ...options, salvage: true }).parse(), salvaged: true };
+	}
+}
+
+// Remember the text encoding chosen for a file ('auto' forgets it)
+function set_text_encoding_override(file_path, encoding) {
+	const resolved = path.resolve(file_path);
+	if (encoding && encoding !== 'auto') {
+		app_storage.text_encodings[resolved] = encoding;
+	} else {
+		delete app_storage.text_encodings[resolved];
+	}
+	store.set('textEncodings', app_storage.text_encodings);
+}
+
+// Remember the raw trace processing parameters of a file (null forgets them)
+function set_signal_processing_params(file_path, params) {
+	const resolved = path.resolve(file_path);
+	if (params) {
+		app_storage.signal_processing[resolved] = params;
+	} else {
+		delete app_storage.signal_processing[resolved];
+	}
+	store.set('signalProcessing', app_storage.signal_processing);
+}
+
+// Validation report without the salvaged directory entries, for sending to the renderer
+function validation_for_renderer(report) {
+	if (!report) { return null; }
+	const { entries, ...rest } = report;
+	return rest;
+}
+
+// Size-standard calibration and peak table of a fragment analysis (.fsa) session, computed once
+function get_fragment_analysis(session) {
+	if (session.format !== 'abif' || !session.parser.isFragmentFile()) { return null; }
+	if (!session.fragment) { session.fragment = FragmentAnalysis.analyze(session.parser); }
+	return session.fragment;
+}
+
+// Channel model (dyes, bases and display colors) of a session; SCF and ZTR only store a base order
+function get_channel_model(session) {
+	if (session.format === 'abif') { return session.parser.getChannelModel(); }
+	return ABIFChannels.fromBaseOrder(session.parser.getChannelOrder());
+}
+
+// Fragment analysis without the traces (they are sent as the file's traces), for sending to the renderer
+function fragment_for_renderer(fragment) {
+	if (!fragment) { return null; }
+	const { traces, ...rest } = fragment;
+	return rest;
+}
+
+///////////////////////////////////////////////////////////////////////////////
+// TRACE FILE SESSIONS ////////////////////////////////////////////////////////
+
+// Parsed files stay in memory so tag and trace requests do not re-read the file.
+// Sessions are evicted least-recently-used and closed when the file changes on disk;
+// requests for a closed session are refused (see TraceSessionCache).
+const traceSessions = new TraceSessionCache({
+	open: open_trace_file,
+	watch: watch_trace_session,
+	maxSessions: 8
+});
+
+// Open a session for a file, reusing an existing session for the same path
+function open_trace_session(file_path) {
+	return traceSessions.open(file_path);
+}
+
+// Resolve a renderer request to a session (by sessionId, or by filePath when there is none)
+function resolve_trace_session(arg) {
+	return traceSessions.resolve(arg);
+}
+
+// Close a session when its file changes on disk and tell the renderer
+function watch_trace_session(session) {
+	const watcher = new FileWatcher();
+	watcher.watch_for_changes(session.filepath, (result) => {
+		if (!result.success) {
+			console.error(`Trace session [${session.id}] is no longer watched:`, result.error);
+			return;
+		}
+		traceSessions.close(session.id, result.event);
+		if (win.main) {
+			win.main.webContents.send('fromMain', {
+				command: 'trace_session_invalidated',
+				success: true,
+				sessionId: session.id,
+				filePath: session.filepath,
+				event: result.event
+			});
+		}
+	});
+	return watcher;
+}
+
+function close_trace_session(session_id) {
+	return traceSessions.close(session_id);
+}
+
+function close_all_trace_sessions() {
+	traceSessions.closeAll();
+}
+
 ///////////////////////////////////////////////////////////////////////////////
 // VALIDATION FUNCTIONS (PHASE 5) ////////////////////////////////////////////
 
@@ -2140,10 +2352,14 @@ ipc.on('toMain', async (event, arg) => {
 			case 'abif_open_dialog': {
 				try {
 					const result = await dialog.showOpenDialog(win.main, {
-						title: 'Open AB1 File',
+						title: 'Open Trace File',
 						properties: ['openFile'],
 						filters: [
+							{ name: 'Trace Files', extensions: ['ab1', 'abi', 'abif', 'fsa', 'scf', 'ztr'] },
 							{ name: 'AB1 Files', extensions: ['ab1', 'abi', 'abif'] },
+							{ name: 'Fragment Analysis Files', extensions: ['fsa'] },
+							{ name: 'SCF Files', extensions: ['scf'] },
+							{ name: 'ZTR Files', extensions: ['ztr'] },
 							{ name: 'All Files', extensions: ['*'] }
 						]
 					});
@@ -2193,24 +2409,38 @@ ipc.on('toMain', async (event, arg) => {
 						return;
 					}
 					
-					const parser = await ABIFParser.fromPath(arg.filePath);
+					const session = await open_trace_session(arg.filePath);
+					const { format, parser, salvaged } = session;
+					
+					// Fragment analysis files have dye channels and a bp sizing instead of base calls
+					const fragment = get_fragment_analysis(session);
 					
 					// Extract commonly needed data
+					// (traces, peaks and qualities are typed arrays, which IPC clones as whole memory blocks)
 					const result = {
 						command: arg.command,
 						success: true,
+						sessionId: session.id,
 						filePath: arg.filePath,
 						fileName: path.basename(arg.filePath),
+						format: format,
 						header: parser.header,
 						sequence: parser.getSequence(),
 						sequenceLength: parser.getSequenceLength(),
-						traceLength: parser.getTraceLength(),
+						traceLength: fragment ? fragment.traceLength : parser.getTraceLength(),
 						channelOrder: parser.getChannelOrder(),
-						traces: parser.getTraces(),
+						channels: get_channel_model(session),
+						traces: fragment ? fragment.traces : parser.getTraces(),
 						peakLocations: parser.getPeakLocations(),
 						qualityScores: parser.getQualityScores(),
+						basecallerCalls: format === 'abif' && !fragment ? parser.getBasecallerCalls() : null,
+						secondaryCalls: format === 'abif' && !fragment ? parser.getSecondaryCalls() : null,
 						metadata: parser.getMetadata(),
-						tags: parser.listTags()
+						tags: parser.listTags(),
+						validation: validation_for_renderer(parser.validation),
+						salvaged: !!salvaged,
+						fragment: fragment_for_renderer(fragment),
+						signalProcessing: format === 'abif' && !fragment ? (app_storage.signal_processing[path.resolve(arg.filePath)] || null) : null
 					};
 					
 					win.main.webContents.send('fromMain', result);
@@ -2221,29 +2451,338 @@ ipc.on('toMain', async (event, arg) => {
 						command: arg.command,
 						success: false,
 						error: error.message,
+						validation: validation_for_renderer(error.report),
 						filePath: arg.filePath
 					});
 				}
 				break;
 			}
 
+			case 'abif_save_file': {
+				try {
+					if ((!arg.sessionId && !arg.filePath) || !arg.edits) {
+						win.main.webContents.send('fromMain', {
+							command: arg.command,
+							success: false,
+							error: 'Source session or file path and edits are required'
+						});
+						return;
+					}
+					
+					// The session's parser holds the unmodified source, so untouched tags are copied byte-for-byte
+					const session = await resolve_trace_session(arg);
+					if (session.format !== 'abif') {
+						throw new Error('Only AB1 files can be saved as AB1');
+					}
+					
+					const baseName = path.basename(session.filepath).replace(/\.[^/.]+$/, '');
+					const result = await dialog.showSaveDialog(win.main, {
+						title: 'Save As AB1',
+						defaultPath: arg.defaultPath || path.join(path.dirname(session.filepath), `${baseName}_edited.ab1`),
+						filters: [
+							{ name: 'AB1 Files', extensions: ['ab1'] },
+							{ name: 'All Files', extensions: ['*'] }
+						]
+					});
+					
+					if (result.canceled || !result.filePath) {
+						win.main.webContents.send('fromMain', {
+							command: arg.command,
+							success: false,
+							canceled: true
+						});
+						return;
+					}
+					
+					await ABIFWriter.writeToPath(session.parser, arg.edits, result.filePath);
+					
+					win.main.webContents.send('fromMain', {
+						command: arg.command,
+						success: true,
+						filePath: result.filePath
+					});
+					
+				} catch (error) {
+					console.error('Error in abif_save_file:', error);
+					win.main.webContents.send('fromMain', {
+						command: arg.command,
+						success: false,
+						error: error.message,
+						sessionId: arg.sessionId,
+						sessionExpired: error.code === 'session_expired'
+					});
+				}
+				break;
+			}
+
+			case 'abif_export_anonymized': {
+				try {
+					if (!arg.sessionId && !arg.filePath) {
+						win.main.webContents.send('fromMain', {
+							command: arg.command,
+							success: false,
+							error: 'Source session or file path is required'
+						});
+						return;
+					}
+					
+					// Anonymize the unmodified source, so traces and calls are copied byte-for-byte
+					const session = await resolve_trace_session(arg);
+					if (session.format !== 'abif') {
+						throw new Error('Only ABIF files can be anonymized');
+					}
+					
+					const extension = path.extname(session.filepath) || '.ab1';
+					const baseName = path.basename(session.filepath, extension);
+					const result = await dialog.showSaveDialog(win.main, {
+						title: 'Export Anonymized Copy',
+						defaultPath: path.join(path.dirname(session.filepath), `${baseName}_anonymized${extension}`),
+						filters: [
+							{ name: 'ABIF Files', extensions: ['ab1', 'abi', 'fsa'] },
+							{ name: 'All Files', extensions: ['*'] }
+						]
+					});
+					
+					if (result.canceled || !result.filePath) {
+						win.main.webContents.send('fromMain', {
+							command: arg.command,
+							success: false,
+							canceled: true
+						});
+						return;
+					}
+					
+					const report = await ABIFAnonymizer.writeToPath(session.parser, arg.options || {}, result.filePath);
+					
+					win.main.webContents.send('fromMain', {
+						command: arg.command,
+						success: true,
+						filePath: result.filePath,
+						report: report,
+						reportText: ABIFAnonymizer.formatReport(report, path.basename(session.filepath))
+					});
+					
+				} catch (error) {
+					console.error('Error in abif_export_anonymized:', error);
+					win.main.webContents.send('fromMain', {
+						command: arg.command,
+						success: false,
+						error: error.message,
+						sessionId: arg.sessionId,
+						sessionExpired: error.code === 'session_expired'
+					});
+				}
+				break;
+			}
+
+			case 'abif_diff_files': {
+				try {
+					// The loaded file (if any) is A; otherwise both files are picked in one dialog
+					const current = arg.sessionId || arg.filePath ? await resolve_trace_session(arg) : null;
+					const result = await dialog.showOpenDialog(win.main, {
+						title: current ? `Compare ${path.basename(current.filepath)} With` : 'Select Two AB1 Files to Compare',
+						properties: current ? ['openFile'] : ['openFile', 'multiSelections'],
+						filters: [
+							{ name: 'ABIF Files', extensions: ['ab1', 'abi', 'abif', 'fsa'] },
+							{ name: 'All Files', extensions: ['*'] }
+						]
+					});
+					
+					if (result.canceled || result.filePaths.length === 0) {
+						win.main.webContents.send('fromMain', {
+							command: arg.command,
+							success: false,
+							canceled: true
+						});
+						return;
+					}
+					
+					const paths = current ? [current.filepath, result.filePaths[0]] : result.filePaths;
+					if (paths.length !== 2) {
+						throw new Error('Select exactly two files to compare');
+					}
+					
+					// Session parsers hold the unmodified source; the other file is parsed without a session
+					const files = [];
+					for (const file_path of paths) {
+						const opened = current && file_path === current.filepath ? current : await open_trace_file(file_path);
+						if (opened.format !== 'abif') {
+							throw new Error(`Not an ABIF file: ${path.basename(file_path)}`);
+						}
+						files.push(opened.parser);
+					}
+					
+					const diff = ABIFDiff.compare(files[0], files[1]);
+					const [nameA, nameB] = paths.map(file_path => path.basename(file_path));
+					
+					win.main.webContents.send('fromMain', {
+						command: arg.command,
+						success: true,
+						filePathA: paths[0],
+						filePathB: paths[1],
+						fileNameA: nameA,
+						fileNameB: nameB,
+						diff: diff,
+						reportText: ABIFDiff.formatReport(diff, paths[0], paths[1])
+					});
+					
+				} catch (error) {
+					console.error('Error in abif_diff_files:', error);
+					win.main.webContents.send('fromMain', {
+						command: arg.command,
+						success: false,
+						error: error.message,
+						sessionId: arg.sessionId,
+						sessionExpired: error.code === 'session_expired'
+					});
+				}
+				break;
+			}
+
+			case 'ztr_export': {
+				try {
+					if (!arg.data) {
+						win.main.webContents.send('fromMain', {
+							command: arg.command,
+							success: false,
+							error: 'Read data is required'
+						});
+						return;
+					}
+					
+					const result = await dialog.showSaveDialog(win.main, {
+						title: 'Export as ZTR',
+						defaultPath: arg.defaultPath,
+						filters: [
+							{ name: 'ZTR Files', extensions: ['ztr'] },
+							{ name: 'All Files', extensions: ['*'] }
+						]
+					});
+					
+					if (result.canceled || !result.filePath) {
+						win.main.webContents.send('fromMain', {
+							command: arg.command,
+							success: false,
+							canceled: true
+						});
+						return;
+					}
+					
+					// ZTR chunks are zlib compressed, so encoding happens here rather than in the renderer
+					await ZTRWriter.writeToPath(arg.data, arg.options || {}, result.filePath);
+					
+					win.main.webContents.send('fromMain', {
+						command: arg.command,
+						success: true,
+						filePath: result.filePath
+					});
+					
+				} catch (error) {
+					console.error('Error in ztr_export:', error);
+					win.main.webContents.send('fromMain', {
+						command: arg.command,
+						success: false,
+						error: error.message
+					});
+				}
+				break;
+			}
+
+			case 'abif_list_tags': {
+				try {
+					if (!arg.sessionId && !arg.filePath) {
+						win.main.webContents.send('fromMain', {
+							command: arg.command,
+							success: false,
+							error: 'Session ID or file path is required'
+						});
+						return;
+					}
+					
+					const session = await resolve_trace_session(arg);
+					if (session.format !== 'abif') {
+						throw new Error(`Tag inspection is only available for AB1 files (this file is ${session.format.toUpperCase()})`);
+					}
+					
+					win.main.webContents.send('fromMain', {
+						command: arg.command,
+						success: true,
+						sessionId: session.id,
+						fileName: path.basename(session.filepath),
+						tags: session.parser.getTagSummaries()
+					});
+					
+				} catch (error) {
+					console.error('Error in abif_list_tags:', error);
+					win.main.webContents.send('fromMain', {
+						command: arg.command,
+						success: false,
+						error: error.message,
+						sessionId: arg.sessionId,
+						sessionExpired: error.code === 'session_expired'
+					});
+				}
+				break;
+			}
+
+			case 'abif_get_layout': {
+				try {
+					if (!arg.sessionId && !arg.filePath) {
+						win.main.webContents.send('fromMain', {
+							command: arg.command,
+							success: false,
+							error: 'Session ID or file path is required'
+						});
+						return;
+					}
+					
+					const session = await resolve_trace_session(arg);
+					if (session.format !== 'abif') {
+						throw new Error(`The hex view is only available for AB1 files (this file is ${session.format.toUpperCase()})`);
+					}
+					
+					// The file bytes are cloned as one block; the renderer never sees the parser
+					win.main.webContents.send('fromMain', {
+						command: arg.command,
+						success: true,
+						sessionId: session.id,
+						fileName: path.basename(session.filepath),
+						bytes: new Uint8Array(session.parser.buffer),
+						layout: ABIFLayout.describe(session.parser),
+						select: arg.select || null
+					});
+					
+				} catch (error) {
+					console.error('Error in abif_get_layout:', error);
+					win.main.webContents.send('fromMain', {
+						command: arg.command,
+						success: false,
+						error: error.message,
+						sessionId: arg.sessionId,
+						sessionExpired: error.code === 'session_expired'
+					});
+				}
+				break;
+			}
+
 			case 'abif_get_tag': {
 				try {
-					if (!arg.filePath || !arg.tagName || arg.tagNumber === undefined) {
+					if ((!arg.sessionId && !arg.filePath) || !arg.tagName || arg.tagNumber === undefined) {
 						win.main.webContents.send('fromMain', {
 							command: arg.command,
 							success: false,
-							error: 'File path, tag name, and tag number are required'
+							error: 'Session ID or file path, tag name, and tag number are required'
 						});
 						return;
 					}
 					
-					const parser = await ABIFParser.fromPath(arg.filePath);
-					const data = parser.getTagData(arg.tagName, arg.tagNumber);
+					const session = await resolve_trace_session(arg);
+					const data = session.parser.getTagData(arg.tagName, arg.tagNumber);
 					
 					win.main.webContents.send('fromMain', {
 						command: arg.command,
 						success: true,
+						sessionId: session.id,
 						tagName: arg.tagName,
 						tagNumber: arg.tagNumber,
 						data: data
@@ -2254,7 +2793,9 @@ ipc.on('toMain', async (event, arg) => {
 					win.main.webContents.send('fromMain', {
 						command: arg.command,
 						success: false,
-						error: error.message
+						error: error.message,
+						sessionId: arg.sessionId,
+						sessionExpired: error.code === 'session_expired'
 					});
 				}
 				break;
@@ -2344,22 +2885,24 @@ ipc.on('toMain', async (event, arg) => {
 
 			case 'abif_get_raw_traces': {
 				try {
-					if (!arg.filePath) {
+					if (!arg.sessionId && !arg.filePath) {
 						win.main.webContents.send('fromMain', {
 							command: arg.command,
 							success: false,
-							error: 'File path is required'
+							error: 'Session ID or file path is required'
 						});
 						return;
 					}
 					
-					const parser = await ABIFParser.fromPath(arg.filePath);
+					const session = await resolve_trace_session(arg);
 					
 					win.main.webContents.send('fromMain', {
 						command: arg.command,
 						success: true,
-						rawTraces: parser.getRawTraces(),
-						channelOrder: parser.getChannelOrder()
+						sessionId: session.id,
+						rawTraces: session.parser.getRawTraces(),
+						channelOrder: session.parser.getChannelOrder(),
+						channels: get_channel_model(session)
 					});
 					
 				} catch (error) {
@@ -2367,12 +2910,171 @@ ipc.on('toMain', async (event, arg) => {
 					win.main.webContents.send('fromMain', {
 						command: arg.command,
 						success: false,
-						error: error.message
+						error: error.message,
+						sessionId: arg.sessionId,
+						sessionExpired: error.code === 'session_expired'
 					});
 				}
 				break;
 			}
 
+			case 'abif_process_traces': {
+				try {
+					if (!arg.sessionId && !arg.filePath) {
+						win.main.webContents.send('fromMain', {
+							command: arg.command,
+							success: false,
+							error: 'Session ID or file path is required'
+						});
+						return;
+					}
+					
+					const session = await resolve_trace_session(arg);
+					
+					// SCF and ZTR files store a single, already processed trace set
+					if (session.format !== 'abif') {
+						win.main.webContents.send('fromMain', {
+							command: arg.command,
+							success: false,
+							sessionId: session.id,
+							error: 'Raw trace processing only applies to ABIF files'
+						});
+						return;
+					}
+					
+					const params = SignalProcessor.resolveParams(arg.params);
+					const processed = SignalProcessor.process(session.parser.getRawTraces(), params);
+					if (arg.save !== false) {
+						set_signal_processing_params(session.filepath, params);
+					}
+					
+					win.main.webContents.send('fromMain', {
+						command: arg.command,
+						success: true,
+						sessionId: session.id,
+						traces: processed.traces,
+						params: processed.params,
+						steps: processed.steps,
+						estimated: processed.estimated,
+						show: arg.show !== false
+					});
+					
+				} catch (error) {
+					console.error('Error in abif_process_traces:', error);
+					win.main.webContents.send('fromMain', {
+						command: arg.command,
+						success: false,
+						error: error.message,
+						sessionId: arg.sessionId,
+						sessionExpired: error.code === 'session_expired'
+					});
+				}
+				break;
+			}
+
+			case 'abif_get_telemetry': {
+				try {
+					if (!arg.sessionId && !arg.filePath) {
+						win.main.webContents.send('fromMain', {
+							command: arg.command,
+							success: false,
+							error: 'Session ID or file path is required'
+						});
+						return;
+					}
+					
+					const session = await resolve_trace_session(arg);
+					
+					// Only ABIF files log run telemetry
+					if (session.format !== 'abif') {
+						win.main.webContents.send('fromMain', {
+							command: arg.command,
+							success: false,
+							sessionId: session.id,
+							error: 'Run telemetry is only available for ABIF files'
+						});
+						return;
+					}
+					
+					win.main.webContents.send('fromMain', {
+						command: arg.command,
+						success: true,
+						sessionId: session.id,
+						telemetry: session.parser.getTelemetry()
+					});
+					
+				} catch (error) {
+					console.error('Error in abif_get_telemetry:', error);
+					win.main.webContents.send('fromMain', {
+						command: arg.command,
+						success: false,
+						error: error.message,
+						sessionId: arg.sessionId,
+						sessionExpired: error.code === 'session_expired'
+					});
+				}
+				break;
+			}
+
+			case 'abif_set_text_encoding': {
+				try {
+					if (!arg.sessionId && !arg.filePath) {
+						win.main.webContents.send('fromMain', {
+							command: arg.command,
+							success: false,
+							error: 'Session ID or file path is required'
+						});
+						return;
+					}
+					
+					const session = await resolve_trace_session(arg);
+					
+					// SCF and ZTR files have no string tags to decode
+					if (session.format !== 'abif') {
+						win.main.webContents.send('fromMain', {
+							command: arg.command,
+							success: false,
+							sessionId: session.id,
+							error: 'Text encodings only apply to ABIF files'
+						});
+						return;
+					}
+					
+					session.parser.setTextEncoding(arg.encoding);
+					session.fragment = null;
+					set_text_encoding_override(session.filepath, arg.encoding);
+					
+					win.main.webContents.send('fromMain', {
+						command: arg.command,
+						success: true,
+						sessionId: session.id,
+						metadata: session.parser.getMetadata(),
+						channels: get_channel_model(session)
+					});
+					
+				} catch (error) {
+					console.error('Error in abif_set_text_encoding:', error);
+					win.main.webContents.send('fromMain', {
+						command: arg.command,
+						success: false,
+						error: error.message,
+						sessionId: arg.sessionId,
+						sessionExpired: error.code === 'session_expired'
+					});
+				}
+				break;
+			}
+
+			case 'trace_session_close': {
+				const closed = arg.sessionId ? close_trace_session(arg.sessionId) : false;
+				win.main.webContents.send('fromMain', {
+					command: arg.command,
+					success: closed,
+					sessionId: arg.sessionId
+				});
+				break;
+			}
+
 		}
 
 	}
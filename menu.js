@@ -26,6 +26,20 @@ module.exports = {
 						}
 					},
 
+					{
+						label: 'Save As AB1...',
+						accelerator: 'CmdOrCtrl+Shift+S',
+						enabled: true,
+						id: 'file_save_ab1',
+						click() {
+							if (win.main) {
+								win.main.webContents.send('toRender', { 
+									command: 'menu_save_ab1' 
+								});
+							}
+						}
+					},
+
 					{ type: 'separator' },
 
 					{
@@ -66,6 +80,55 @@ module.exports = {
 										});
 									}
 								}
+							},
+							{
+								label: 'Export as SCF...',
+								enabled: true,
+								id: 'export_scf',
+								click() {
+									if (win.main) {
+										win.main.webContents.send('toRender', { 
+											command: 'menu_export_scf' 
+										});
+									}
+								}
+							},
+							{
+								label: 'Export as ZTR...',
+								enabled: true,
+								id: 'export_ztr',
+								click() {
+									if (win.main) {
+										win.main.webContents.send('toRender', { 
+											command: 'menu_export_ztr' 
+										});
+									}
+								}
+							},
+							{
+								label: 'Export Peak Table (CSV)...',
+								enabled: true,
+								id: 'export_peaks',
+								click() {
+									if (win.main) {
+										win.main.webContents.send('toRender', { 
+											command: 'menu_export_peaks' 
+										});
+									}
+								}
+							},
+							{ type: 'separator' },
+							{
+								label: 'Export Anonymized Copy...',
+								enabled: true,
+								id: 'export_anonymized',
+								click() {
+									if (win.main) {
+										win.main.webContents.send('toRender', { 
+											command: 'menu_export_anonymized' 
+										});
+									}
+								}
 							}
 						]
 					},
@@ -145,6 +208,18 @@ module.exports = {
 							}
 						}
 					},
+					{
+						label: 'Reprocessed Traces',
+						type: 'radio',
+						click() {
+							if (win.main) {
+								win.main.webContents.send('toRender', { 
+									command: 'menu_view_mode', 
+									mode: 'reprocessed' 
+								});
+							}
+						}
+					},
 					{
 						label: 'Quality Scores',
 						type: 'radio',
@@ -157,6 +232,18 @@ module.exports = {
 							}
 						}
 					},
+					{
+						label: 'Basecaller Edits',
+						type: 'radio',
+						click() {
+							if (win.main) {
+								win.main.webContents.send('toRender', { 
+									command: 'menu_view_mode', 
+									mode: 'compare' 
+								});
+							}
+						}
+					},
 					{ type: 'separator' },
 					{
 						label: 'Zoom In',
@@ -184,6 +271,15 @@ module.exports = {
 								win.main.webContents.send('toRender', { command: 'menu_zoom_fit' });
 							}
 						}
+					},
+					{ type: 'separator' },
+					{
+						label: 'Run Telemetry',
+						click() {
+							if (win.main) {
+								win.main.webContents.send('toRender', { command: 'menu_toggle_telemetry' });
+							}
+						}
 					}
 				]
 			},
@@ -201,6 +297,65 @@ module.exports = {
 							}
 						}
 					},
+					{
+						label: 'Reprocess Raw Traces...',
+						click() {
+							if (win.main) {
+								win.main.webContents.send('toRender', { command: 'menu_signal_processing' });
+							}
+						}
+					},
+					{
+						label: 'Mixed Bases (IUPAC)...',
+						click() {
+							if (win.main) {
+								win.main.webContents.send('toRender', { command: 'menu_mixed_bases' });
+							}
+						}
+					},
+					{
+						label: 'Find Heterozygous Positions...',
+						click() {
+							if (win.main) {
+								win.main.webContents.send('toRender', { command: 'menu_het_detection' });
+							}
+						}
+					},
+					{
+						label: 'Decompose Heterozygous Indel...',
+						click() {
+							if (win.main) {
+								win.main.webContents.send('toRender', { command: 'menu_indel_deconvolution' });
+							}
+						}
+					},
+					{ type: 'separator' },
+					{
+						label: 'Instrument Base Calls',
+						type: 'radio',
+						checked: true,
+						click() {
+							if (win.main) {
+								win.main.webContents.send('toRender', { 
+									command: 'menu_call_set', 
+									callSet: 'instrument' 
+								});
+							}
+						}
+					},
+					{
+						label: 'Built-in Base Caller',
+						type: 'radio',
+						click() {
+							if (win.main) {
+								win.main.webContents.send('toRender', { 
+									command: 'menu_call_set', 
+									callSet: 'builtin' 
+								});
+							}
+						}
+					},
+					{ type: 'separator' },
 					{
 						label: 'Reverse Complement',
 						enabled: false,
@@ -237,10 +392,28 @@ module.exports = {
 					},
 					{ type: 'separator' },
 					{
-						label: 'Show All Tags',
+						label: 'Tag Inspector...',
+						accelerator: 'CmdOrCtrl+I',
+						click() {
+							if (win.main) {
+								win.main.webContents.send('toRender', { command: 'menu_tag_inspector' });
+							}
+						}
+					},
+					{
+						label: 'Hex View...',
+						accelerator: 'CmdOrCtrl+Shift+H',
+						click() {
+							if (win.main) {
+								win.main.webContents.send('toRender', { command: 'menu_hex_view' });
+							}
+						}
+					},
+					{
+						label: 'Compare AB1 Files...',
 						click() {
 							if (win.main) {
-								win.main.webContents.send('toRender', { command: 'debug_show_tags' });
+								win.main.webContents.send('toRender', { command: 'menu_compare_files' });
 							}
 						}
 					}
@@ -0,0 +1,216 @@
+///////////////////////////////////////////////////////////////////////////////
+// test/ABIFBuilder.test.js
+// Layout of the files ABIFBuilder writes
+///////////////////////////////////////////////////////////////////////////////
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ABIFBuilder = require('../js/abif/ABIFBuilder.js');
+const ABIFTypes = require('../js/abif/ABIFTypes.js');
+
+/**
+ * Read the header and directory of a built file without ABIFParser
+ */
+function readLayout(buffer) {
+    const dv = new DataView(buffer);
+    const header = {
+        filetype:    ABIFTypes.readString4(dv, 0),
+        version:     dv.getUint16(4, false),
+        name:        ABIFTypes.readString4(dv, 6),
+        elementtype: dv.getUint16(14, false),
+        elementsize: dv.getUint16(16, false),
+        numelements: dv.getUint32(18, false),
+        datasize:    dv.getUint32(22, false),
+        dataoffset:  dv.getUint32(26, false)
+    };
+
+    const entries = [];
+    for (let i = 0; i < header.numelements; i++) {
+        const offset = header.dataoffset + (i * 28);
+        entries.push({
+            name:        ABIFTypes.readString4(dv, offset),
+            number:      dv.getUint32(offset + 4, false),
+            elementtype: dv.getUint16(offset + 8, false),
+            elementsize: dv.getUint16(offset + 10, false),
+            numelements: dv.getUint32(offset + 12, false),
+            datasize:    dv.getUint32(offset + 16, false),
+            dataoffset:  dv.getUint32(offset + 20, false)
+        });
+    }
+    return { header, entries };
+}
+
+describe('ABIFBuilder', () => {
+
+    describe('layout', () => {
+        it('writes the header, data blocks and then the directory', () => {
+            const buffer = new ABIFBuilder()
+                .setTag('DATA', 9, 'short', [1, 2, 3, 4])
+                .setTag('SMPL', 1, 'pString', 'Sample')
+                .build();
+            const { header, entries } = readLayout(buffer);
+
+            assert.equal(header.filetype, 'ABIF');
+            assert.equal(header.version, 101);
+            assert.equal(header.name, 'tdir');
+            assert.equal(header.elementtype, 1023);
+            assert.equal(header.elementsize, 28);
+            assert.equal(header.numelements, 2);
+            assert.equal(header.datasize, 56);
+            assert.equal(header.dataoffset, 128 + 8 + 7);
+            assert.equal(buffer.byteLength, 128 + 8 + 7 + 56);
+
+            assert.deepEqual(entries[0], {
+                name: 'DATA', number: 9, elementtype: 4, elementsize: 2, numelements: 4, datasize: 8, dataoffset: 128
+            });
+            assert.deepEqual(entries[1], {
+                name: 'SMPL', number: 1, elementtype: 18, elementsize: 1, numelements: 7, datasize: 7, dataoffset: 136
+            });
+        });
+
+        it('stores data of up to 4 bytes inline, left-aligned', () => {
+            const buffer = new ABIFBuilder()
+                .setTag('SCAN', 1, 'short', 0x1234)
+                .setTag('LANE', 1, 'long', 0x01020304)
+                .build();
+            const { header, entries } = readLayout(buffer);
+
+            assert.equal(header.dataoffset, 128);
+            assert.equal(entries[0].datasize, 2);
+            assert.equal(entries[0].dataoffset, 0x12340000);
+            assert.equal(entries[1].datasize, 4);
+            assert.equal(entries[1].dataoffset, 0x01020304);
+        });
+
+        it('can write the directory before the data', () => {
+            const buffer = new ABIFBuilder()
+                .setTag('DATA', 9, 'short', [1, 2, 3, 4])
+                .build({ directoryFirst: true });
+            const { header, entries } = readLayout(buffer);
+
+            assert.equal(header.dataoffset, 128);
+            assert.equal(entries[0].dataoffset, 128 + 28);
+        });
+    });
+
+    describe('tags', () => {
+        it('replaces a tag set twice and keeps its position', () => {
+            const builder = new ABIFBuilder()
+                .setTag('PBAS', 1, 'char', 'ACGT')
+                .setTag('PCON', 1, 'char', [10, 20, 30, 40])
+                .setTag('PBAS', 1, 'char', 'GGCCA');
+
+            assert.deepEqual(builder.entries.map(e => `${e.name}_${e.number}`), ['PBAS_1', 'PCON_1']);
+            assert.equal(builder.entries[0].bytes.length, 5);
+        });
+
+        it('adds a duplicate entry with addTag()', () => {
+            const builder = new ABIFBuilder()
+                .setTag('CMNT', 1, 'pString', 'first')
+                .addTag('CMNT', 1, 'pString', 'second');
+
+            assert.equal(builder.entries.length, 2);
+        });
+
+        it('removes a tag', () => {
+            const builder = new ABIFBuilder()
+                .setTag('PBAS', 1, 'char', 'ACGT')
+                .removeTag('PBAS', 1);
+
+            assert.equal(builder.entries.length, 0);
+        });
+
+        it('accepts element types by code or name', () => {
+            assert.equal(ABIFBuilder.typeCode(4), 4);
+            assert.equal(ABIFBuilder.typeCode('short'), 4);
+            assert.equal(ABIFBuilder.typeCode('pString'), 18);
+            assert.equal(ABIFBuilder.typeCode('PSTRING'), 18);
+            assert.throws(() => ABIFBuilder.typeCode('nibble'), /Unknown ABIF element type/);
+        });
+
+        it('rejects tag names that are not 4 characters', () => {
+            assert.throws(() => new ABIFBuilder().setTag('PBAS1', 1, 'char', 'A'), /4 characters/);
+        });
+
+        it('writes directory overrides as given', () => {
+            const buffer = new ABIFBuilder()
+                .setTag('DATA', 9, 'short', [1, 2, 3, 4], { numelements: 40, dataoffset: 9999 })
+                .build();
+            const { entries } = readLayout(buffer);
+
+            assert.equal(entries[0].numelements, 40);
+            assert.equal(entries[0].datasize, 8);
+            assert.equal(entries[0].dataoffset, 9999);
+        });
+    });
+
+    describe('reads', () => {
+        it('maps traces to DATA tags in filter wheel order', () => {
+            const builder = new ABIFBuilder().setTraces({ A: [1], C: [2], G: [3], T: [4] }, { order: 'ACGT' });
+            const keys = builder.entries.map(e => `${e.name}_${e.number}`);
+
+            assert.deepEqual(keys, ['DATA_9', 'DATA_10', 'DATA_11', 'DATA_12', 'FWO__1']);
+            assert.equal(ABIFTypes.charArrayToString(builder.entries[4].bytes), 'ACGT');
+        });
+
+        it('writes raw traces to DATA_1-4', () => {
+            const builder = new ABIFBuilder().setTraces({ A: [1], C: [2], G: [3], T: [4] }, { raw: true });
+
+            assert.deepEqual(builder.entries.slice(0, 4).map(e => e.number), [1, 2, 3, 4]);
+        });
+
+        it('writes calls as PBAS, PCON and PLOC of the given number', () => {
+            const builder = new ABIFBuilder().setCalls({
+                sequence: 'ACG',
+                qualityScores: [30, 31, 32],
+                peakLocations: [5, 17, 29]
+            }, 2);
+
+            assert.deepEqual(builder.entries.map(e => `${e.name}_${e.number}`), ['PBAS_2', 'PCON_2', 'PLOC_2']);
+        });
+
+        it('builds a synthetic read with one peak per base', () => {
+            const builder = ABIFBuilder.syntheticRead('GATC', { spacing: 10 });
+            const data = (number) => builder.entries.find(e => e.name === 'DATA' && e.number === number);
+            const height = (entry, scan) => new DataView(entry.bytes.buffer).getInt16(scan * 2, false);
+
+            // GATC order: DATA_9 is G, the first base, peaking at scan 5
+            assert.equal(height(data(9), 5), 1000);
+            assert.equal(height(data(10), 15), 1000);
+            assert.equal(height(data(9), 15), 0);
+        });
+
+        it('builds from a plain description', () => {
+            const builder = ABIFBuilder.fromObject({
+                calls: { sequence: 'AC' },
+                basecallerCalls: { sequence: 'AG' },
+                tags: [
+                    { name: 'SMPL', number: 1, type: 'pString', value: 'S1' },
+                    { name: 'RAW_', number: 1, type: 1024, bytes: [1, 2, 3, 4, 5] }
+                ]
+            });
+
+            assert.deepEqual(builder.entries.map(e => `${e.name}_${e.number}`), ['PBAS_1', 'PBAS_2', 'SMPL_1', 'RAW__1']);
+            assert.equal(builder.entries[3].elementtype, 1024);
+        });
+    });
+
+    describe('damage', () => {
+        it('overrides header fields', () => {
+            const buffer = new ABIFBuilder()
+                .setTag('PBAS', 1, 'char', 'ACGTACGT')
+                .build({ header: { filetype: 'XXXX', numelements: 7 } });
+            const dv = new DataView(buffer);
+
+            assert.equal(ABIFTypes.readString4(dv, 0), 'XXXX');
+            assert.equal(dv.getUint32(18, false), 7);
+        });
+
+        it('truncates the output', () => {
+            const builder = new ABIFBuilder().setTag('PBAS', 1, 'char', 'ACGTACGT');
+
+            assert.equal(builder.build({ truncate: 10 }).byteLength, builder.build().byteLength - 10);
+        });
+    });
+});
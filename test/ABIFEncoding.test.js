@@ -0,0 +1,113 @@
+///////////////////////////////////////////////////////////////////////////////
+// test/ABIFEncoding.test.js
+// Text encoding detection and decoding of ABIF string tags
+///////////////////////////////////////////////////////////////////////////////
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ABIFBuilder = require('../js/abif/ABIFBuilder.js');
+const ABIFEncoding = require('../js/abif/ABIFEncoding.js');
+const ABIFParser = require('../js/abif/ABIFParser.js');
+
+/**
+ * Bytes from a hex string
+ */
+function hex(text) {
+    return Uint8Array.from(Buffer.from(text.replace(/\s/g, ''), 'hex'));
+}
+
+// 'サンプル1' and '山田' in Shift_JIS, 'Müller Größe' in Windows-1252
+const SJIS_SAMPLE = hex('8354 8393 8376 838b 31');
+const SJIS_NAME = hex('8e52 9363');
+const CP1252_NAME = hex('4d fc 6c 6c 65 72 20 47 72 f6 df 65');
+
+/**
+ * Synthetic read with a sample name and comment stored as raw bytes
+ */
+function fileWith(sample, comment) {
+    const builder = ABIFBuilder.syntheticRead('ACGT')
+        .setRawTag('SMPL', 1, 'pString', 1, Uint8Array.from([sample.length, ...sample]));
+    if (comment) {
+        builder.setRawTag('CMNT', 1, 'char', 1, comment);
+    }
+    return builder.build();
+}
+
+describe('ABIFEncoding', () => {
+
+    it('reports ASCII text as the default encoding', () => {
+        assert.deepEqual(ABIFEncoding.detect([hex('414243')]), { encoding: 'utf-8', detected: false, scores: {} });
+    });
+
+    it('detects UTF-8', () => {
+        const result = ABIFEncoding.detect([new TextEncoder().encode('Müller'), hex('414243')]);
+        assert.equal(result.encoding, 'utf-8');
+        assert.equal(result.detected, true);
+    });
+
+    it('detects Windows-1252', () => {
+        assert.equal(ABIFEncoding.detect([CP1252_NAME]).encoding, 'windows-1252');
+        assert.equal(ABIFEncoding.detect([hex('c4 70 66 65 6c')]).encoding, 'windows-1252');  // Äpfel
+    });
+
+    it('detects Shift_JIS', () => {
+        assert.equal(ABIFEncoding.detect([SJIS_SAMPLE]).encoding, 'shift_jis');
+        assert.equal(ABIFEncoding.detect([SJIS_NAME]).encoding, 'shift_jis');
+        assert.equal(ABIFEncoding.detect([hex('bb dd cc df d9')]).encoding, 'shift_jis');  // ｻﾝﾌﾟﾙ
+    });
+
+    it('detects Shift_JIS in a string cut off inside a character', () => {
+        assert.equal(ABIFEncoding.detect([hex('8354 8393 83')]).encoding, 'shift_jis');
+    });
+
+    it('decodes the Windows-1252 characters that differ from ISO-8859-1', () => {
+        assert.equal(ABIFEncoding.decode(hex('80 93 41 94 96 9f'), 'windows-1252'), '€“A”–Ÿ');
+    });
+});
+
+describe('ABIFParser text encoding', () => {
+
+    it('decodes string tags in the detected encoding', () => {
+        const parser = new ABIFParser(fileWith(SJIS_SAMPLE, SJIS_NAME)).parse();
+
+        assert.deepEqual(parser.textEncoding, { encoding: 'shift_jis', source: 'detected' });
+        assert.equal(parser.getTagData('SMPL', 1), 'サンプル1');
+        assert.equal(parser.getMetadata().sampleName, 'サンプル1');
+        assert.equal(parser.getMetadata().sampleComment, '山田');
+    });
+
+    it('decodes Windows-1252 names', () => {
+        const parser = new ABIFParser(fileWith(CP1252_NAME)).parse();
+
+        assert.equal(parser.textEncoding.encoding, 'windows-1252');
+        assert.equal(parser.getMetadata().sampleName, 'Müller Größe');
+    });
+
+    it('uses an encoding given as an option', () => {
+        const parser = new ABIFParser(fileWith(SJIS_SAMPLE), { encoding: 'windows-1252' }).parse();
+
+        assert.deepEqual(parser.textEncoding, { encoding: 'windows-1252', source: 'override' });
+        assert.equal(parser.getMetadata().sampleName, 'ƒTƒ“ƒvƒ‹1');
+    });
+
+    it('switches encodings after parsing', () => {
+        const parser = new ABIFParser(fileWith(SJIS_SAMPLE)).parse();
+        assert.equal(parser.getTagData('SMPL', 1), 'サンプル1');
+
+        parser.setTextEncoding('windows-1252');
+        assert.equal(parser.getTagData('SMPL', 1), 'ƒTƒ“ƒvƒ‹1');
+
+        parser.setTextEncoding('auto');
+        assert.equal(parser.textEncoding.source, 'detected');
+        assert.equal(parser.getTagData('SMPL', 1), 'サンプル1');
+
+        assert.throws(() => parser.setTextEncoding('koi8-r'), /Unsupported text encoding/);
+    });
+
+    it('ignores quality values when detecting', () => {
+        const parser = new ABIFParser(ABIFBuilder.syntheticRead('ACGT', { quality: 5 }).build()).parse();
+
+        assert.deepEqual(parser.textEncoding, { encoding: 'utf-8', source: 'default' });
+    });
+});
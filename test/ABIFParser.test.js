@@ -0,0 +1,343 @@
+///////////////////////////////////////////////////////////////////////////////
+// test/ABIFParser.test.js
+// Round trips of ABIFBuilder files through ABIFParser, including damaged files
+///////////////////////////////////////////////////////////////////////////////
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ABIFBuilder = require('../js/abif/ABIFBuilder.js');
+const ABIFParser = require('../js/abif/ABIFParser.js');
+
+/**
+ * Parse a built file
+ */
+function parse(builder, buildOptions, parserOptions) {
+    return new ABIFParser(builder.build(buildOptions), parserOptions).parse();
+}
+
+/**
+ * Issue codes of a validation report
+ */
+function codes(report) {
+    return report.issues.map(issue => issue.code);
+}
+
+/**
+ * Value of a tag in a plain form for comparison (typed arrays become arrays)
+ */
+function plain(value) {
+    return ArrayBuffer.isView(value) ? Array.from(value) : value;
+}
+
+describe('ABIFParser round trip', () => {
+
+    describe('element types', () => {
+        // [type, value written, value read back]
+        const cases = [
+            ['byte', [0, 127, 255], [0, 127, 255]],
+            ['char', 'ACGTN', [65, 67, 71, 84, 78]],
+            ['word', [0, 1000, 65535], [0, 1000, 65535]],
+            ['short', [-32768, -1, 0, 32767], [-32768, -1, 0, 32767]],
+            ['long', [-2147483648, 0, 2147483647], [-2147483648, 0, 2147483647]],
+            ['rational', [{ numerator: 1, denominator: 3 }, { numerator: -2, denominator: 5 }],
+                [{ numerator: 1, denominator: 3 }, { numerator: -2, denominator: 5 }]],
+            ['float', [1.5, -0.25, 1024], [1.5, -0.25, 1024]],
+            ['double', [Math.PI, -1e-10], [Math.PI, -1e-10]],
+            ['BCD', 123456, 123456],
+            ['date', { year: 2024, month: 2, day: 29 }, { year: 2024, month: 2, day: 29 }],
+            ['time', { hour: 23, minute: 59, second: 58, hsecond: 99 }, { hour: 23, minute: 59, second: 58, hsecond: 99 }],
+            ['thumb', { d: 123456, u: 654321, c: 7, n: 8 }, { d: 123456, u: 654321, c: 7, n: 8 }],
+            ['bool', [true, false, true, true, false], [true, false, true, true, false]],
+            ['point', [{ v: -5, h: 10 }, { v: 3, h: 4 }], [{ v: -5, h: 10 }, { v: 3, h: 4 }]],
+            ['rect', { top: 1, left: 2, bottom: 300, right: -400 }, { top: 1, left: 2, bottom: 300, right: -400 }],
+            ['vPoint', { v: 100000, h: -100000 }, { v: 100000, h: -100000 }],
+            ['vRect', { top: 1, left: -2, bottom: 300000, right: 400000 }, { top: 1, left: -2, bottom: 300000, right: 400000 }],
+            ['pString', 'Sample name with spaces', 'Sample name with spaces'],
+            ['cString', 'run_2024-02-29', 'run_2024-02-29'],
+            ['tag', [{ name: 'DATA', number: 9 }, { name: 'PBAS', number: 2 }],
+                [{ name: 'DATA', number: 9 }, { name: 'PBAS', number: 2 }]]
+        ];
+
+        for (const [type, written, expected] of cases) {
+            it(`reads back ${type} data`, () => {
+                const parser = parse(new ABIFBuilder().setTag('TEST', 1, type, written));
+                assert.deepEqual(plain(parser.getTagData('TEST', 1)), expected);
+            });
+        }
+
+        it('reads a single numeric element as a number', () => {
+            const parser = parse(new ABIFBuilder()
+                .setTag('SHRT', 1, 'short', -7)
+                .setTag('CHAR', 1, 'char', 'A')
+                .setTag('FLOT', 1, 'float', 0.5));
+
+            assert.equal(parser.getTagData('SHRT', 1), -7);
+            assert.equal(parser.getTagData('CHAR', 1), 65);
+            assert.equal(parser.getTagData('FLOT', 1), 0.5);
+        });
+
+        it('reads user-defined and legacy blocks as opaque data', () => {
+            const xml = '<?xml version="1.0"?><Run><Voltage>8.5</Voltage></Run>';
+            const parser = parse(new ABIFBuilder()
+                .setTag('USER', 1, 1024, xml)
+                .setTag('RMdX', 1, 'char', xml)
+                .setTag('BLOB', 1, 1100, [0x00, 0xFF, 0x10, 0x80, 0x01])
+                .setTag('LZW_', 1, 'LZWComp', [1, 2, 3, 4, 5, 6]));
+
+            const block = parser.getTagData('USER', 1);
+            assert.equal(block.format, 'xml');
+            assert.equal(block.text, xml);
+            assert.equal(parser.getXmlTag('RMdX', 1).name, 'Run');
+
+            assert.equal(parser.getTagData('BLOB', 1).format, 'binary');
+            assert.deepEqual(Array.from(parser.getTagData('BLOB', 1).bytes), [0x00, 0xFF, 0x10, 0x80, 0x01]);
+            assert.equal(parser.getTagData('LZW_', 1).size, 6);
+        });
+
+        it('decodes text tags of every string type', () => {
+            const parser = parse(new ABIFBuilder()
+                .setTag('TXT1', 1, 'char', 'char text')
+                .setTag('TXT2', 1, 'pString', 'pString text')
+                .setTag('TXT3', 1, 'cString', 'cString text'));
+
+            assert.equal(parser.getTagText('TXT1', 1), 'char text');
+            assert.equal(parser.getTagText('TXT2', 1), 'pString text');
+            assert.equal(parser.getTagText('TXT3', 1), 'cString text');
+        });
+    });
+
+    describe('inline data', () => {
+        it('reads data of 1 to 4 bytes stored in the directory entry', () => {
+            const parser = parse(new ABIFBuilder()
+                .setTag('BYT1', 1, 'byte', [9])
+                .setTag('SHR2', 1, 'short', [-2, 3])
+                .setTag('LNG1', 1, 'long', -123456)
+                .setTag('DATE', 1, 'date', { year: 2023, month: 7, day: 14 })
+                .setTag('PSTR', 1, 'pString', 'abc')
+                .setTag('CSTR', 1, 'cString', 'xyz')
+                .setTag('BOOL', 1, 'bool', true));
+
+            assert.equal(parser.getTagData('BYT1', 1), 9);
+            assert.deepEqual(Array.from(parser.getTagData('SHR2', 1)), [-2, 3]);
+            assert.equal(parser.getTagData('LNG1', 1), -123456);
+            assert.deepEqual(parser.getTagData('DATE', 1), { year: 2023, month: 7, day: 14 });
+            assert.equal(parser.getTagData('PSTR', 1), 'abc');
+            assert.equal(parser.getTagData('CSTR', 1), 'xyz');
+            assert.equal(parser.getTagData('BOOL', 1), true);
+        });
+
+        it('keeps inline and offset data apart', () => {
+            const parser = parse(new ABIFBuilder()
+                .setTag('INL_', 1, 'short', [1, 2])
+                .setTag('OFF_', 1, 'short', [3, 4, 5])
+                .setTag('INL_', 2, 'char', 'AB'));
+
+            assert.deepEqual(Array.from(parser.getTagData('INL_', 1)), [1, 2]);
+            assert.deepEqual(Array.from(parser.getTagData('OFF_', 1)), [3, 4, 5]);
+            assert.deepEqual(Array.from(parser.getTagData('INL_', 2)), [65, 66]);
+        });
+    });
+
+    describe('reads', () => {
+        it('reads traces, calls, peaks and qualities of a synthetic read', () => {
+            const parser = parse(ABIFBuilder.syntheticRead('ACGTTGCA', { quality: 35 }));
+            const traces = parser.getTraces();
+
+            assert.equal(parser.validation.valid, true);
+            assert.deepEqual(parser.validation.issues, []);
+            assert.equal(parser.getSequence(), 'ACGTTGCA');
+            assert.deepEqual(Array.from(parser.getPeakLocations()), [6, 18, 30, 42, 54, 66, 78, 90]);
+            assert.deepEqual(Array.from(parser.getQualityScores()), new Array(8).fill(35));
+            assert.deepEqual(parser.getChannelOrder(), ['G', 'A', 'T', 'C']);
+            assert.equal(parser.getTraceLength(), 108);
+
+            // Each base peaks on its own channel
+            const sequence = parser.getSequence();
+            parser.getPeakLocations().forEach((peak, i) => {
+                const heights = Object.entries(traces).map(([base, trace]) => [base, trace[peak]]);
+                heights.sort((a, b) => b[1] - a[1]);
+                assert.equal(heights[0][0], sequence[i]);
+            });
+        });
+
+        it('follows the filter wheel order', () => {
+            const parser = parse(ABIFBuilder.syntheticRead('AAAA', { order: 'ACGT' }));
+
+            assert.deepEqual(parser.getChannelOrder(), ['A', 'C', 'G', 'T']);
+            assert.equal(Math.max(...parser.getTraces().A), 1000);
+            assert.equal(Math.max(...parser.getTraces().G), 0);
+        });
+
+        it('reads the basecaller calls', () => {
+            const builder = ABIFBuilder.syntheticRead('ACGT')
+                .setCalls({ sequence: 'ACCT', qualityScores: [40, 40, 12, 40], peakLocations: [6, 18, 30, 42] }, 2);
+            const calls = parse(builder).getBasecallerCalls();
+
+            assert.equal(calls.sequence, 'ACCT');
+            assert.deepEqual(Array.from(calls.qualityScores), [40, 40, 12, 40]);
+        });
+
+        it('reads a sequencing file without base calls as a read, not a fragment analysis', () => {
+            const parser = parse(ABIFBuilder.syntheticRead('ACGTTGCA').removeTag('PBAS', 1));
+
+            assert.equal(parser.isFragmentFile(), false);
+            assert.equal(parser.getSequence(), '');
+            assert.equal(Math.max(...parser.getTraces().A), 1000);
+        });
+
+        it('recognizes fragment analysis files by their size standard or fifth dye', () => {
+            const traces = () => new ABIFBuilder().setTraces({ G: [0, 5, 0], A: [0, 5, 0], T: [0, 5, 0], C: [0, 5, 0] });
+
+            assert.equal(parse(traces()).isFragmentFile(), false);
+            assert.equal(parse(traces().setTag('StdF', 1, 'pString', 'GS500LIZ')).isFragmentFile(), true);
+            assert.equal(parse(traces().setTag('Dye#', 1, 'short', 5)).isFragmentFile(), true);
+            assert.equal(parse(traces().setTag('Dye#', 1, 'short', 4)).isFragmentFile(), false);
+            assert.equal(parse(traces().setTag('DATA', 105, 'short', [0, 5, 0])).isFragmentFile(), true);
+            assert.equal(parse(traces().setTag('StdF', 1, 'pString', 'GS500LIZ').setCalls({ sequence: 'A' })).isFragmentFile(), false);
+        });
+
+        it('parses a file with the directory before the data', () => {
+            const builder = ABIFBuilder.syntheticRead('GATTACA').setTag('SMPL', 1, 'pString', 'first');
+            const parser = parse(builder, { directoryFirst: true });
+
+            assert.equal(parser.validation.valid, true);
+            assert.equal(parser.getSequence(), 'GATTACA');
+            assert.equal(parser.getTagData('SMPL', 1), 'first');
+        });
+    });
+
+    describe('damaged files', () => {
+        const read = () => ABIFBuilder.syntheticRead('ACGTACGT').setTag('SMPL', 1, 'pString', 'sample');
+
+        it('rejects a file shorter than the header', () => {
+            const buffer = read().build().slice(0, 100);
+
+            assert.throws(() => new ABIFParser(buffer, { salvage: true }).parse(), (error) => {
+                assert.equal(error.report.fatal, true);
+                assert.deepEqual(codes(error.report), ['header_truncated']);
+                return true;
+            });
+        });
+
+        it('rejects a file without the ABIF magic number', () => {
+            assert.throws(() => parse(read(), { header: { filetype: 'RIFF' } }, { salvage: true }), (error) => {
+                assert.equal(error.report.fatal, true);
+                assert.deepEqual(codes(error.report), ['bad_magic']);
+                return true;
+            });
+        });
+
+        it('rejects a directory offset outside the file', () => {
+            assert.throws(() => parse(read(), { header: { dataoffset: 1 << 24 } }, { salvage: true }), (error) => {
+                assert.equal(error.report.fatal, true);
+                assert.ok(codes(error.report).includes('directory_out_of_bounds'));
+                return true;
+            });
+        });
+
+        it('reports a directory cut short by truncation and salvages the entries that remain', () => {
+            const builder = read();
+            const total = builder.entries.length;
+
+            assert.throws(() => parse(builder, { truncate: 30 }), /Invalid ABIF file/);
+
+            const parser = parse(builder, { truncate: 30 }, { salvage: true });
+            assert.ok(codes(parser.validation).includes('directory_truncated'));
+            assert.equal(parser.directory.length, total - 2);
+            assert.equal(parser.getSequence(), 'ACGTACGT');
+        });
+
+        it('reports a directory that lists more entries than it holds', () => {
+            const builder = read();
+            const parser = parse(builder, { header: { numelements: builder.entries.length + 3 } }, { salvage: true });
+
+            assert.ok(codes(parser.validation).includes('directory_truncated'));
+            assert.ok(codes(parser.validation).includes('directory_size_mismatch'));
+            assert.equal(parser.directory.length, builder.entries.length);
+        });
+
+        it('skips data that extends past the end of the file in salvage mode', () => {
+            const builder = read().setTag('PCON', 1, 'char', new Array(8).fill(20), { dataoffset: 1 << 20 });
+
+            assert.throws(() => parse(builder), /Invalid ABIF file/);
+
+            const parser = parse(builder, {}, { salvage: true });
+            assert.ok(codes(parser.validation).includes('data_out_of_bounds'));
+            assert.equal(parser.findEntry('PCON', 1), null);
+            assert.equal(parser.getSequence(), 'ACGTACGT');
+        });
+
+        it('skips entries whose elements need more bytes than stored', () => {
+            const builder = read().setTag('PLOC', 1, 'short', [6, 18, 30, 42, 54, 66, 78, 90], { numelements: 80 });
+            const parser = parse(builder, {}, { salvage: true });
+
+            assert.ok(codes(parser.validation).includes('elements_exceed_data'));
+            assert.equal(parser.findEntry('PLOC', 1), null);
+        });
+
+        it('checks inline entries too', () => {
+            const builder = read().setTag('SCAN', 1, 'long', 5, { numelements: 3 });
+            const parser = parse(builder, {}, { salvage: true });
+
+            assert.ok(codes(parser.validation).includes('elements_exceed_data'));
+            assert.equal(parser.findEntry('SCAN', 1), null);
+        });
+
+        it('warns about inconsistent element sizes but still reads the data', () => {
+            const builder = read().setTag('SPAC', 1, 'float', [12.5, 13], { elementsize: 2 });
+            const parser = parse(builder);
+
+            assert.equal(parser.validation.valid, true);
+            assert.ok(codes(parser.validation).includes('element_size_mismatch'));
+            assert.ok(codes(parser.validation).includes('size_mismatch'));
+            assert.deepEqual(Array.from(parser.getTagData('SPAC', 1)), [12.5, 13]);
+        });
+
+        it('uses the first of duplicate tags', () => {
+            const builder = read()
+                .setTag('CMNT', 1, 'pString', 'first')
+                .addTag('CMNT', 1, 'pString', 'second');
+            const parser = parse(builder);
+
+            assert.ok(codes(parser.validation).includes('duplicate_tag'));
+            assert.equal(parser.getTagData('CMNT', 1), 'first');
+        });
+
+        it('warns about an unexpected version and directory header fields', () => {
+            const parser = parse(read(), { header: { version: 300, name: 'dirx', elementtype: 1 } });
+            const found = codes(parser.validation);
+
+            assert.ok(found.includes('unexpected_version'));
+            assert.ok(found.includes('bad_directory_name'));
+            assert.ok(found.includes('bad_directory_type'));
+            assert.equal(parser.getSequence(), 'ACGTACGT');
+        });
+
+        it('reads 28-byte directory entries whatever the header element size', () => {
+            const parser = parse(read(), { header: { elementsize: 32 } });
+
+            assert.equal(parser.validation.valid, true);
+            assert.ok(codes(parser.validation).includes('bad_directory_element_size'));
+            assert.equal(parser.getSequence(), 'ACGTACGT');
+        });
+
+        it('warns about missing essential tags', () => {
+            const parser = parse(new ABIFBuilder().setTag('SMPL', 1, 'pString', 'empty'));
+
+            assert.equal(parser.validation.valid, true);
+            assert.deepEqual(codes(parser.validation).filter(c => c === 'missing_tag').length, 6);
+        });
+
+        it('reports every damaged entry without throwing in salvage mode', () => {
+            const builder = read()
+                .setTag('BAD1', 1, 'short', [1, 2, 3], { dataoffset: 0xFFFFFF00 })
+                .setTag('BAD2', 1, 'long', [1, 2, 3], { numelements: 1000 });
+            const parser = parse(builder, { truncate: 1 }, { salvage: true });
+
+            assert.equal(parser.salvage, true);
+            assert.ok(parser.validation.errors >= 2);
+            assert.ok(parser.directory.every(e => e.name !== 'BAD1' && e.name !== 'BAD2'));
+        });
+    });
+});
@@ -0,0 +1,50 @@
+///////////////////////////////////////////////////////////////////////////////
+// test/ABIFWriter.test.js
+// Re-serializing ABIFBuilder files with ABIFWriter
+///////////////////////////////////////////////////////////////////////////////
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ABIFBuilder = require('../js/abif/ABIFBuilder.js');
+const ABIFParser = require('../js/abif/ABIFParser.js');
+const ABIFWriter = require('../js/abif/ABIFWriter.js');
+
+describe('ABIFWriter round trip', () => {
+
+    it('writes an unedited file back byte-for-byte', () => {
+        const buffer = ABIFBuilder.syntheticRead('ACGTACGT')
+            .setTag('SMPL', 1, 'pString', 'sample')
+            .setTag('RUND', 1, 'date', { year: 2024, month: 5, day: 6 })
+            .build();
+        const written = new ABIFWriter(new ABIFParser(buffer)).toArrayBuffer();
+
+        assert.deepEqual(new Uint8Array(written), new Uint8Array(buffer));
+    });
+
+    it('applies edits and keeps the original calls as PBAS_2/PCON_2', () => {
+        const buffer = ABIFBuilder.syntheticRead('ACGTACGT', { quality: 30 }).build();
+        const written = new ABIFWriter(new ABIFParser(buffer))
+            .applyEdits({ sequence: 'ACGTTCGT', qualityScores: [30, 30, 30, 30, 5, 30, 30, 30] })
+            .toArrayBuffer();
+        const parser = new ABIFParser(written).parse();
+
+        assert.equal(parser.validation.valid, true);
+        assert.equal(parser.getSequence(), 'ACGTTCGT');
+        assert.equal(parser.getQualityScores()[4], 5);
+        assert.equal(parser.getBasecallerCalls().sequence, 'ACGTACGT');
+        assert.deepEqual(Array.from(parser.getPeakLocations()), [6, 18, 30, 42, 54, 66, 78, 90]);
+    });
+
+    it('writes edited traces to the DATA tags of their channels', () => {
+        const buffer = ABIFBuilder.syntheticRead('AC', { order: 'ACGT' }).build();
+        const source = new ABIFParser(buffer).parse();
+        const traces = source.getTraces();
+        const edited = Object.assign({}, traces, { T: Array.from(traces.T, () => 7) });
+
+        const parser = new ABIFParser(new ABIFWriter(source).applyEdits({ traces: edited }).toArrayBuffer()).parse();
+
+        assert.ok(Array.from(parser.getTagData('DATA', 12)).every(v => v === 7));
+        assert.deepEqual(Array.from(parser.getTagData('DATA', 9)), Array.from(traces.A));
+    });
+});
@@ -0,0 +1,114 @@
+///////////////////////////////////////////////////////////////////////////////
+// test/BaseCaller.test.js
+// Calling bases from the processed traces of synthetic reads
+///////////////////////////////////////////////////////////////////////////////
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ABIFBuilder = require('../js/abif/ABIFBuilder.js');
+const ABIFParser = require('../js/abif/ABIFParser.js');
+const { BaseCaller } = require('../js/analysis/BaseCaller.js');
+const { tracesWith } = require('./helpers/syntheticTraces.js');
+
+const READ = 'ACGTTGCAACGGTACCATGA';
+
+/**
+ * Peaks of READ, 12 scans apart
+ */
+function readPeaks() {
+    return Array.from(READ, (base, i) => [base, 10 + 12 * i, 1000]);
+}
+
+describe('BaseCaller', () => {
+
+    it('calls the bases of a synthetic read at its peaks', () => {
+        const parser = new ABIFParser(ABIFBuilder.syntheticRead(READ).build()).parse();
+        const calls = BaseCaller.call(parser.getTraces());
+
+        assert.equal(calls.sequence, READ);
+        assert.deepEqual(Array.from(calls.peakLocations), Array.from(parser.getPeakLocations()));
+        assert.equal(calls.spacing.mean, 12);
+        assert.ok(Array.from(calls.qualityScores).every(q => q >= 30));
+    });
+
+    it('recovers a read whose stored calls are all N', () => {
+        const buffer = ABIFBuilder.syntheticRead(READ).setTag('PBAS', 1, 'char', 'N'.repeat(READ.length)).build();
+        const parser = new ABIFParser(buffer).parse();
+
+        assert.equal(parser.getSequence(), 'N'.repeat(READ.length));
+        assert.equal(BaseCaller.call(parser.getTraces()).sequence, READ);
+    });
+
+    it('places a call where a compression hides a peak', () => {
+        const peaks = readPeaks();
+        peaks[10][2] = 80;  // G too weak to count as a peak
+
+        const calls = BaseCaller.call(tracesWith(peaks, 260));
+
+        assert.equal(calls.sequence.length, READ.length);
+        assert.equal(calls.counts.inserted, 1);
+        assert.equal(calls.sequence[10], 'G');
+        assert.ok(calls.qualityScores[10] < calls.qualityScores[2]);
+    });
+
+    it('makes one call of a split peak', () => {
+        const peaks = readPeaks().filter((_, i) => i !== 5);
+        peaks.push(['G', 68, 800], ['G', 72, 800]);
+
+        const calls = BaseCaller.call(tracesWith(peaks, 260));
+
+        assert.equal(calls.sequence, READ);
+        assert.equal(calls.counts.inserted, 0);
+    });
+
+    it('reports the secondary peak of a mixed position with a lower quality', () => {
+        const calls = BaseCaller.call(tracesWith(readPeaks().concat([['T', 94, 500]]), 260));
+
+        assert.equal(calls.sequence, READ);
+        assert.equal(calls.secondary.bases[7], 'T');
+        assert.equal(calls.secondary.primaryAmplitudes[7], 1000);
+        assert.equal(calls.secondary.secondaryAmplitudes[7], 500);
+        assert.ok(calls.qualityScores[7] < 15);
+        assert.ok(calls.qualityScores[15] >= 30);
+    });
+
+    it('returns no calls for flat traces', () => {
+        const calls = BaseCaller.call(tracesWith([], 100));
+
+        assert.equal(calls.sequence, '');
+        assert.equal(calls.peakLocations.length, 0);
+    });
+
+    it('calls tied channels once per peak', () => {
+        // A, C and G identical, with a peak every 4π ≈ 12.6 scans
+        const wave = Array.from({ length: 600 }, (_, i) => Math.round(500 + 400 * Math.sin(i / 2)));
+        const traces = { A: Int16Array.from(wave), C: Int16Array.from(wave), G: Int16Array.from(wave), T: new Int16Array(600) };
+
+        const calls = BaseCaller.call(traces);
+
+        assert.equal(calls.sequence, 'A'.repeat(48));
+        assert.equal(calls.counts.inserted, 0);
+        assert.ok(Math.abs(calls.spacing.mean - 4 * Math.PI) < 0.1, `spacing ${calls.spacing.mean}`);
+    });
+
+    it('returns no calls for clipped traces', () => {
+        const clipped = new Int16Array(300).fill(32767);
+        const calls = BaseCaller.call({ A: clipped, C: clipped, G: clipped, T: clipped });
+
+        assert.equal(calls.sequence, '');
+    });
+
+    it('keeps the expected spacing at least 1 scan', () => {
+        const spacing = BaseCaller.estimateSpacing([10, 10, 10, 10, 11, 11, 30], 40);
+
+        assert.ok(Array.from(spacing).every(value => value >= 1));
+    });
+
+    it('needs all four channels', () => {
+        const traces = tracesWith(readPeaks(), 260);
+        delete traces.T;
+
+        assert.throws(() => BaseCaller.call(traces), /missing T/);
+    });
+});
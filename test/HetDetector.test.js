@@ -0,0 +1,106 @@
+///////////////////////////////////////////////////////////////////////////////
+// test/HetDetector.test.js
+// Heterozygous position detection on simulated traces
+///////////////////////////////////////////////////////////////////////////////
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { HetDetector } = require('../js/analysis/HetDetector.js');
+const { seededRandom, addPeak, emptyTraces, toSamples } = require('./helpers/syntheticTraces.js');
+
+const BASES = ['A', 'C', 'G', 'T'];
+
+/**
+ * Traces of a read with peaks 12 scans apart, a low secondary peak under
+ * every call, and a second allele at the given positions
+ * @param {Object} hets - Second allele height (fraction of the call's) by index
+ * @param {Object} [noisy] - { start, end } of a stretch with tall secondary peaks
+ */
+function simulateRead(hets, noisy = null, length = 200) {
+    const random = seededRandom(5);
+    const scans = length * 12 + 40;
+    const sequence = Array.from({ length }, () => BASES[Math.floor(random() * 4)]).join('');
+
+    const traces = emptyTraces(scans);
+    const peakLocations = [];
+    Array.from(sequence).forEach((base, i) => {
+        const center = 20 + 12 * i;
+        const height = 800 + 400 * random();
+        peakLocations.push(center);
+        addPeak(traces[base], center, height);
+
+        const other = BASES[(BASES.indexOf(base) + 1 + Math.floor(random() * 3)) % 4];
+        addPeak(traces[other], center + (random() - 0.5) * 2, height * 0.08 * random());
+
+        if (hets[i]) {
+            addPeak(traces[BASES[(BASES.indexOf(base) + 2) % 4]], center, height * hets[i]);
+        }
+        if (noisy && i >= noisy.start && i < noisy.end) {
+            BASES.filter(b => b !== base).forEach(b => addPeak(traces[b], center + (random() - 0.5) * 3, 400 * random()));
+        }
+    });
+
+    return { sequence, peakLocations, traces: toSamples(traces, () => random() * 10) };
+}
+
+describe('HetDetector', () => {
+
+    it('finds the second alleles with their IUPAC code and allele ratio', () => {
+        const read = simulateRead({ 30: 0.5, 80: 0.3, 150: 0.9 });
+        const { candidates, measured } = HetDetector.detect(read);
+
+        assert.equal(measured, read.sequence.length);
+        assert.deepEqual(candidates.map(c => c.index), [30, 80, 150]);
+
+        const het = candidates[0];
+        const secondary = BASES[(BASES.indexOf(read.sequence[30]) + 2) % 4];
+        assert.equal(het.position, 31);
+        assert.equal(het.base, read.sequence[30]);
+        assert.equal(het.secondaryBase, secondary);
+        assert.equal(het.code, { AG: 'R', CT: 'Y' }[[het.base, secondary].sort().join('')]);
+        assert.ok(Math.abs(het.ratio - 0.5) < 0.1, `ratio ${het.ratio}`);
+        assert.ok(Math.abs(candidates[2].ratio - 0.9) < 0.1, `ratio ${candidates[2].ratio}`);
+        assert.ok(het.confidence > 0.8, `confidence ${het.confidence}`);
+    });
+
+    it('leaves out secondary peaks below the ratio threshold', () => {
+        const read = simulateRead({ 30: 0.5, 80: 0.3, 150: 0.9 });
+        const { candidates } = HetDetector.detect(read, { minRatio: 0.4 });
+
+        assert.deepEqual(candidates.map(c => c.index), [30, 150]);
+    });
+
+    it('measures the local noise so a noisy stretch has no candidates', () => {
+        const read = simulateRead({ 30: 0.5 }, { start: 170, end: 190 });
+        const measurements = HetDetector.measure(read);
+        const { candidates } = HetDetector.detect(read);
+
+        // The secondary peaks of the stretch are as tall as a second allele...
+        assert.ok(Math.max(...measurements.slice(170, 190).map(m => m.ratio)) > 0.25);
+        // ...but do not stand out from each other
+        assert.deepEqual(candidates.map(c => c.index), [30]);
+        assert.ok(measurements[180].noise > 5 * measurements[100].noise);
+    });
+
+    it('skips calls other than A, C, G and T', () => {
+        const read = simulateRead({ 30: 0.5 });
+        read.sequence = read.sequence.slice(0, 30) + 'N' + read.sequence.slice(31);
+
+        const measurements = HetDetector.measure(read);
+        const { candidates, measured } = HetDetector.detect(read);
+
+        assert.equal(measurements[30], null);
+        assert.equal(measured, read.sequence.length - 1);
+        assert.equal(candidates.length, 0);
+    });
+
+    it('returns the defaults it ran with', () => {
+        const read = simulateRead({});
+        const { candidates, options } = HetDetector.detect(read, { minSnr: 5 });
+
+        assert.equal(candidates.length, 0);
+        assert.deepEqual(options, { ...HetDetector.defaults(), minSnr: 5 });
+        assert.notEqual(HetDetector.defaults(), HetDetector.defaults());
+    });
+});
@@ -0,0 +1,112 @@
+///////////////////////////////////////////////////////////////////////////////
+// test/IndelDeconvolver.test.js
+// Decomposing simulated heterozygous indel traces into their alleles
+///////////////////////////////////////////////////////////////////////////////
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { IndelDeconvolver } = require('../js/analysis/IndelDeconvolver.js');
+const { seededRandom, addPeak, emptyTraces, toSamples } = require('./helpers/syntheticTraces.js');
+
+const BASES = ['A', 'C', 'G', 'T'];
+const LENGTH = 250;
+
+/**
+ * Traces of a read that is the sum of two alleles: the reference and the
+ * reference with an edit, with peaks 12 scans apart and low background peaks.
+ * The calls are the tallest channel at each peak.
+ * @param {Function} edit - Reference to second allele
+ */
+function simulateRead(edit) {
+    const random = seededRandom(7);
+    const reference = Array.from({ length: LENGTH + 40 }, () => BASES[Math.floor(random() * 4)]).join('');
+    const alleles = [reference, edit(reference)];
+    const scans = LENGTH * 12 + 40;
+
+    const peaks = emptyTraces(scans);
+    const peakLocations = [];
+    for (let i = 0; i < LENGTH; i++) {
+        const center = 20 + 12 * i;
+        peakLocations.push(center);
+        alleles.forEach(allele => addPeak(peaks[allele[i]], center, 400 + 200 * random()));
+        addPeak(peaks[BASES[Math.floor(random() * 4)]], center + (random() - 0.5) * 2, 60 * random());
+    }
+    const traces = toSamples(peaks, () => random() * 10);
+
+    const sequence = peakLocations.map(scan => BASES.reduce((a, b) => (traces[b][scan] > traces[a][scan] ? b : a))).join('');
+    return { reference, alleles: alleles.map(allele => allele.slice(0, LENGTH)), data: { sequence, peakLocations, traces } };
+}
+
+describe('IndelDeconvolver', () => {
+
+    it('decodes a heterozygous deletion without a reference', () => {
+        const read = simulateRead(ref => ref.slice(0, 100) + ref.slice(104));
+        const result = IndelDeconvolver.deconvolve(read.data);
+
+        assert.equal(result.onset, 100);
+        assert.equal(result.position, 101);
+        assert.equal(result.size, 4);
+        assert.equal(result.type, null);
+        assert.equal(result.indelBases, read.reference.slice(100, 104));
+        assert.deepEqual(result.alleles, read.alleles);
+        assert.equal(result.consistency, 1);
+    });
+
+    it('tells a deletion from an insertion with a reference', () => {
+        const deletion = simulateRead(ref => ref.slice(0, 60) + ref.slice(61));
+        const deleted = IndelDeconvolver.deconvolve(deletion.data, { reference: `>amplicon\n${deletion.reference.toLowerCase()}` });
+
+        assert.equal(deleted.referenceAligned, true);
+        assert.equal(deleted.type, 'deletion');
+        assert.equal(deleted.size, 1);
+        assert.equal(deleted.referencePosition, 61);
+        assert.equal(deleted.indelBases, deletion.reference[60]);
+        assert.deepEqual(deleted.alleles, deletion.alleles);
+
+        const insertion = simulateRead(ref => ref.slice(0, 150) + 'CCCAT' + ref.slice(150));
+        const inserted = IndelDeconvolver.deconvolve(insertion.data, { reference: insertion.reference });
+
+        assert.equal(inserted.type, 'insertion');
+        assert.equal(inserted.size, 5);
+        assert.equal(inserted.referencePosition, inserted.onset + 1);
+        assert.equal(inserted.indelBases, insertion.alleles[1].slice(inserted.onset, inserted.onset + 5));
+        assert.deepEqual(inserted.alleles, insertion.alleles);
+    });
+
+    it('finds no onset in a read of one allele', () => {
+        const read = simulateRead(ref => ref);
+        const result = IndelDeconvolver.deconvolve(read.data, { reference: read.reference });
+
+        assert.equal(result.onset, null);
+        assert.equal(result.alleles, null);
+        assert.equal(result.size, null);
+    });
+
+    it('leaves the size open when no indel up to the largest explains the signal', () => {
+        const read = simulateRead(ref => ref.slice(0, 100) + ref.slice(112));
+        const result = IndelDeconvolver.deconvolve(read.data, { maxIndel: 8 });
+
+        // The first position where the alleles differ
+        let onset = 100;
+        while (read.alleles[0][onset] === read.alleles[1][onset]) onset++;
+        assert.equal(result.onset, onset);
+        assert.equal(result.size, null);
+        assert.equal(result.alleles, null);
+        assert.ok(result.consistency < result.options.minConsistency);
+    });
+
+    it('decodes without the reference when it does not align', () => {
+        const read = simulateRead(ref => ref.slice(0, 100) + ref.slice(104));
+        const result = IndelDeconvolver.deconvolve(read.data, { reference: 'ACGT'.repeat(50) });
+
+        assert.equal(result.referenceAligned, false);
+        assert.equal(result.size, 4);
+        assert.equal(result.type, null);
+    });
+
+    it('reads the first record of a FASTA reference', () => {
+        assert.equal(IndelDeconvolver.cleanReference('>one\nacg t\nNNa\n>two\nGGG'), 'ACGTNNA');
+        assert.equal(IndelDeconvolver.cleanReference(null), '');
+    });
+});
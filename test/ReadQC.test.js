@@ -0,0 +1,106 @@
+///////////////////////////////////////////////////////////////////////////////
+// test/ReadQC.test.js
+// Read QC metrics and their place in the export metadata
+///////////////////////////////////////////////////////////////////////////////
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ReadQC } = require('../js/analysis/ReadQC.js');
+const { FastaExporter } = require('../js/export/FastaExporter.js');
+const { FastqExporter } = require('../js/export/FastqExporter.js');
+const { ScfExporter } = require('../js/export/ScfExporter.js');
+const SCFParser = require('../js/scf/SCFParser.js');
+
+const BASES = ['A', 'C', 'G', 'T'];
+
+/**
+ * A read of 100 bases: peaks 12 scans apart, each channel at its own
+ * height (A 1000, C 800, G 600, T 400) with 50 under the other calls
+ */
+function simulateRead(qualityScores) {
+    const sequence = Array.from({ length: 100 }, (_, i) => BASES[(i * 7 + Math.floor(i / 3)) % 4]).join('');
+    const heights = { A: 1000, C: 800, G: 600, T: 400 };
+    const peakLocations = Array.from(sequence, (_, i) => 10 + 12 * i + (i % 2 ? 1 : -1));
+
+    const traces = {};
+    BASES.forEach(base => {
+        traces[base] = new Int16Array(1220);
+        Array.from(sequence).forEach((call, i) => {
+            traces[base][peakLocations[i]] = call === base ? heights[base] : 50;
+        });
+    });
+    return { sequence, qualityScores, peakLocations, traces };
+}
+
+describe('ReadQC', () => {
+
+    it('finds the contiguous read length with a 20-base window', () => {
+        // 30 bases at QV 10, 40 at QV 35, 30 at QV 10
+        const qualityScores = [...Array(30).fill(10), ...Array(40).fill(35), ...Array(30).fill(10)];
+        const crl = ReadQC.contiguousReadLength(qualityScores);
+
+        // Windows reach an average of 20 while at least 8 of their 20 bases are at QV 35
+        assert.deepEqual(crl, { length: 64, start: 18, end: 81 });
+        assert.deepEqual(ReadQC.contiguousReadLength(Array(100).fill(15)), { length: 0, start: null, end: null });
+        assert.equal(ReadQC.contiguousReadLength([30, 30, 30]).length, 3);
+    });
+
+    it('counts QV20+ bases and scores the clear range', () => {
+        const qualityScores = [...Array(30).fill(10), ...Array(40).fill(35), ...Array(30).fill(10)];
+        const metrics = ReadQC.compute(simulateRead(qualityScores));
+
+        assert.equal(metrics.length, 100);
+        assert.equal(metrics.qv20Count, 40);
+        assert.ok(metrics.clearRange.start >= 25 && metrics.clearRange.end <= 75);
+        assert.ok(metrics.traceScore > 30, `trace score ${metrics.traceScore}`);
+    });
+
+    it('measures signal, signal-to-noise and peak spacing per channel', () => {
+        const metrics = ReadQC.compute(simulateRead(Array(100).fill(40)));
+
+        assert.deepEqual(metrics.signal, { A: 1000, C: 800, G: 600, T: 400 });
+        assert.deepEqual(metrics.snr, { A: 20, C: 16, G: 12, T: 8 });
+        // Gaps alternate between 14 and 10 scans
+        assert.equal(metrics.spacing.mean, (1199 - 9) / 99);
+        assert.ok(Math.abs(metrics.spacing.cv - 2 / 12) < 0.002, `cv ${metrics.spacing.cv}`);
+    });
+
+    it('leaves out what the read has no data for', () => {
+        const metrics = ReadQC.compute({ sequence: 'ACGT', peakLocations: [10] });
+
+        assert.equal(metrics.crl, null);
+        assert.equal(metrics.qv20Count, null);
+        assert.equal(metrics.traceScore, null);
+        assert.equal(metrics.signal, null);
+        assert.equal(metrics.spacing, null);
+        assert.deepEqual(ReadQC.toFields(metrics), {});
+    });
+
+    it('puts the metrics in the FASTA, FASTQ and SCF metadata', () => {
+        const read = simulateRead(Array(100).fill(40));
+        const qc = ReadQC.toFields(ReadQC.compute(read));
+
+        assert.deepEqual(Object.keys(qc), [
+            'CRL', 'QV20PLUS', 'TRACE_SCORE',
+            'SIGNAL_A', 'SIGNAL_C', 'SIGNAL_G', 'SIGNAL_T',
+            'SNR_A', 'SNR_C', 'SNR_G', 'SNR_T', 'SPACING_CV'
+        ]);
+        assert.equal(qc.CRL, 100);
+        assert.equal(qc.SNR_T, '8.0');
+
+        const fileData = { ...read, fileName: 'read.ab1', metadata: { sampleName: 'S1' }, qc };
+        const fasta = FastaExporter.generateFromFileData(fileData, { start: 0, end: 9 });
+        assert.match(fasta.split('\n')[0], /^>S1_1-10 CRL=100 QV20PLUS=100 TRACE_SCORE=40\.0 SIGNAL_A=1000 .* SPACING_CV=0\.166$/);
+
+        const fastq = FastqExporter.generateFromFileData(fileData);
+        assert.match(fastq.split('\n')[0], /^@S1 CRL=100 /);
+
+        const scf = ScfExporter.generateFromFileData(fileData);
+        const parser = new SCFParser(scf.buffer);
+        parser.parse();
+        assert.equal(parser.comments.NAME, 'S1');
+        assert.equal(parser.comments.CRL, '100');
+        assert.equal(parser.comments.SPACING_CV, '0.166');
+    });
+});
@@ -0,0 +1,132 @@
+///////////////////////////////////////////////////////////////////////////////
+// test/SignalProcessor.test.js
+// Processing simulated raw traces into processed traces
+///////////////////////////////////////////////////////////////////////////////
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ABIFBuilder = require('../js/abif/ABIFBuilder.js');
+const ABIFParser = require('../js/abif/ABIFParser.js');
+const { BaseCaller } = require('../js/analysis/BaseCaller.js');
+const { SignalProcessor } = require('../js/analysis/SignalProcessor.js');
+const { seededRandom, addPeak, emptyTraces } = require('./helpers/syntheticTraces.js');
+
+const BASES = ['G', 'A', 'T', 'C'];
+
+// Spectral overlap (observed channel <- dye) and dye mobility of the simulated run
+const OVERLAP = {
+    G: { G: 1, A: 0.2, T: 0, C: 0.05 },
+    A: { G: 0.1, A: 1, T: 0.15, C: 0 },
+    T: { G: 0, A: 0.1, T: 1, C: 0.2 },
+    C: { G: 0.05, A: 0, T: 0.1, C: 1 }
+};
+const MOBILITY = { G: 1.5, A: -1, T: 0.5, C: -1 };
+
+/**
+ * Raw traces of a read: peaks 12 scans apart that fade along the read,
+ * shifted by dye mobility, mixed by spectral overlap, on a drifting baseline
+ */
+function simulateRun(length = 300) {
+    const random = seededRandom(11);
+    const sequence = Array.from({ length }, () => BASES[Math.floor(random() * 4)]).join('');
+    const scans = length * 12 + 200;
+
+    const dyes = emptyTraces(scans, BASES);
+    Array.from(sequence).forEach((base, i) => {
+        const center = 100 + 12 * i + MOBILITY[base];
+        addPeak(dyes[base], center, 2000 * Math.exp(-i / 250) + 300 * random());
+    });
+
+    const raw = {};
+    for (const channel of BASES) {
+        raw[channel] = new Int16Array(scans);
+        for (let x = 0; x < scans; x++) {
+            let value = 400 + 300 * Math.sin(x / 900) + (random() - 0.5) * 30;
+            BASES.forEach(dye => { value += OVERLAP[channel][dye] * dyes[dye][x]; });
+            raw[channel][x] = Math.round(value);
+        }
+    }
+    return { sequence, raw };
+}
+
+describe('SignalProcessor', () => {
+
+    it('estimates the crosstalk matrix and mobility shifts of the run', () => {
+        const { raw } = simulateRun();
+        const { estimated, steps } = SignalProcessor.process(raw);
+
+        assert.deepEqual(steps, ['baseline', 'crosstalk', 'smoothing', 'mobility', 'normalization']);
+        for (const channel of BASES) {
+            for (const dye of BASES) {
+                assert.ok(Math.abs(estimated.matrix[channel][dye] - OVERLAP[channel][dye]) < 0.01, `${channel} <- ${dye}`);
+            }
+            assert.ok(Math.abs(estimated.shifts[channel] + MOBILITY[channel]) < 0.25, `shift of ${channel}`);
+        }
+    });
+
+    it('produces traces the base caller reads correctly', () => {
+        const { sequence, raw } = simulateRun();
+        const calls = BaseCaller.call(SignalProcessor.process(raw).traces);
+
+        assert.equal(calls.sequence.substring(0, sequence.length), sequence);
+    });
+
+    it('removes the baseline and evens out peak heights', () => {
+        const { raw } = simulateRun();
+        const { traces } = SignalProcessor.process(raw);
+        const tallest = (from, to) => Math.max(...BASES.map(base => Math.max(...traces[base].slice(from, to))));
+
+        assert.ok(BASES.every(base => traces[base][20] < 50));
+        assert.ok(tallest(200, 800) > 900);
+        assert.ok(tallest(3000, 3600) > 900);
+    });
+
+    it('reproduces its output from the parameters it reports', () => {
+        const { raw } = simulateRun(100);
+        const first = SignalProcessor.process(raw, { smoothing: { sigma: 2 } });
+        const frozen = SignalProcessor.process(raw, {
+            ...first.params,
+            crosstalk: { matrix: first.estimated.matrix },
+            mobility: { shifts: first.estimated.shifts }
+        });
+
+        assert.equal(first.params.smoothing.sigma, 2);
+        assert.equal(first.params.baseline.window, SignalProcessor.defaults().baseline.window);
+        for (const base of BASES) {
+            assert.deepEqual(frozen.traces[base], first.traces[base]);
+        }
+    });
+
+    it('runs only the enabled steps', () => {
+        const { raw } = simulateRun(50);
+        const result = SignalProcessor.process(raw, {
+            baseline: { enabled: false },
+            crosstalk: { enabled: false },
+            smoothing: { enabled: false },
+            mobility: { enabled: false },
+            normalization: { enabled: false }
+        });
+
+        assert.deepEqual(result.steps, []);
+        assert.deepEqual(result.estimated, { matrix: null, shifts: null });
+        assert.deepEqual(result.traces.A, raw.A);
+    });
+
+    it('processes the raw data of an ABIF file', () => {
+        const { raw } = simulateRun(50);
+        const buffer = ABIFBuilder.syntheticRead('ACGT').setTraces(raw, { raw: true }).build();
+        const result = SignalProcessor.process(new ABIFParser(buffer).parse().getRawTraces());
+
+        assert.deepEqual(Object.keys(result.traces).sort(), ['A', 'C', 'G', 'T']);
+        assert.equal(result.traces.G.length, raw.G.length);
+    });
+
+    it('rejects a crosstalk matrix that cannot be inverted', () => {
+        const { raw } = simulateRun(50);
+        const matrix = {};
+        BASES.forEach(channel => { matrix[channel] = { G: 1, A: 1, T: 1, C: 1 }; });
+
+        assert.throws(() => SignalProcessor.process(raw, { crosstalk: { matrix } }), /cannot be inverted/);
+    });
+});
@@ -0,0 +1,72 @@
+///////////////////////////////////////////////////////////////////////////////
+// test/TraceExportData.test.js
+// Selections and metadata of the SCF and ZTR exports
+///////////////////////////////////////////////////////////////////////////////
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TraceExportData } = require('../js/export/TraceExportData.js');
+const { ScfExporter } = require('../js/export/ScfExporter.js');
+const SCFParser = require('../js/scf/SCFParser.js');
+const ZTRWriter = require('../js/ztr/ZTRWriter.js');
+const ZTRParser = require('../js/ztr/ZTRParser.js');
+
+/**
+ * A read of 10 bases with peaks 12 scans apart; every trace value is its scan
+ */
+function fileData() {
+    const ramp = Uint16Array.from({ length: 130 }, (_, i) => i);
+    return {
+        sequence: 'ACGTACGTAC',
+        qualityScores: [10, 20, 30, 40, 50, 10, 20, 30, 40, 50],
+        peakLocations: Array.from({ length: 10 }, (_, i) => 10 + 12 * i),
+        traces: { A: ramp, C: ramp, G: ramp, T: ramp },
+        fileName: 'read.ab1',
+        metadata: { machineModel: '3730xl', well: 'B07', dyeSet: 'Z' },
+        qc: { CRL: 8 }
+    };
+}
+
+describe('TraceExportData', () => {
+
+    it('cuts the read down to a selection with padding around its traces', () => {
+        const read = TraceExportData.fromFileData(fileData(), { start: 2, end: 4, tracePadding: 5 });
+
+        assert.equal(read.sequence, 'GTA');
+        assert.deepEqual(read.qualityScores, [30, 40, 50]);
+        // Scans 29 to 63 are kept
+        assert.deepEqual(read.peakLocations, [5, 17, 29]);
+        assert.equal(read.traces.A.length, 35);
+        assert.equal(read.traces.A[0], 29);
+    });
+
+    it('keeps the whole read without a selection', () => {
+        const data = fileData();
+        const read = TraceExportData.fromFileData(data);
+
+        assert.equal(read.sequence, data.sequence);
+        assert.equal(read.traces, data.traces);
+        assert.throws(() => TraceExportData.fromFileData({ sequence: 'ACGT' }), /sequence and traces/);
+    });
+
+    it('builds the metadata from the sample, the run and the QC metrics', () => {
+        assert.deepEqual(TraceExportData.metadataFields(fileData()), {
+            NAME: 'read', MACH: '3730xl', TUBE: 'B07', RUNN: undefined, DYEP: 'Z', CONV: 'AB1Reader', CRL: 8
+        });
+    });
+
+    it('gives the SCF and ZTR exports the same selection and metadata', () => {
+        const options = { start: 2, end: 4, tracePadding: 5 };
+        const scf = new SCFParser(ScfExporter.generateFromFileData(fileData(), options).buffer);
+        scf.parse();
+        const ztr = new ZTRParser(ZTRWriter.generateFromFileData(fileData(), options).buffer).parse();
+
+        for (const parser of [scf, ztr]) {
+            assert.equal(parser.getSequence(), 'GTA');
+            assert.deepEqual(Array.from(parser.getPeakLocations()), [5, 17, 29]);
+            assert.equal(parser.comments.NAME, 'read');
+            assert.equal(parser.comments.CRL, '8');
+        }
+    });
+});
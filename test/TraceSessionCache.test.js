@@ -0,0 +1,82 @@
+///////////////////////////////////////////////////////////////////////////////
+// test/TraceSessionCache.test.js
+// Sessions of parsed files: reuse, eviction and refusal once closed
+///////////////////////////////////////////////////////////////////////////////
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { TraceSessionCache } = require('../js/session/TraceSessionCache.js');
+
+/**
+ * A cache whose files are parsed into a numbered version, with a record of
+ * the files opened and the watchers stopped
+ */
+function cache(maxSessions) {
+    const opened = [];
+    const stopped = [];
+    const sessions = new TraceSessionCache({
+        open: async filePath => {
+            opened.push(filePath);
+            return { format: 'abif', parser: { version: opened.length } };
+        },
+        watch: session => ({ stop: () => stopped.push(session.id) }),
+        maxSessions
+    });
+    return { sessions, opened, stopped };
+}
+
+describe('TraceSessionCache', () => {
+
+    it('reuses the session of a path and finds it by ID', async () => {
+        const { sessions, opened } = cache();
+        const session = await sessions.open('read.ab1');
+
+        assert.equal(session.filepath, path.resolve('read.ab1'));
+        assert.equal(await sessions.open('./read.ab1'), session);
+        assert.equal(await sessions.resolve({ sessionId: session.id, filePath: 'read.ab1' }), session);
+        assert.deepEqual(opened, [path.resolve('read.ab1')]);
+    });
+
+    it('refuses a session invalidated by a change on disk instead of reopening its path', async () => {
+        const { sessions, opened, stopped } = cache();
+        const session = await sessions.open('read.ab1');
+
+        assert.equal(sessions.close(session.id, 'modified'), true);
+        assert.deepEqual(stopped, [session.id]);
+
+        await assert.rejects(sessions.resolve({ sessionId: session.id, filePath: 'read.ab1' }), error => {
+            assert.equal(error.code, 'session_expired');
+            assert.equal(error.reason, 'modified');
+            assert.match(error.message, /changed on disk/);
+            return true;
+        });
+        assert.equal(opened.length, 1);
+
+        // Loading the file again opens a new session
+        const reloaded = await sessions.open('read.ab1');
+        assert.notEqual(reloaded.id, session.id);
+        assert.equal(reloaded.parser.version, 2);
+    });
+
+    it('refuses sessions evicted least-recently-used', async () => {
+        const { sessions } = cache(2);
+        const first = await sessions.open('a.ab1');
+        const second = await sessions.open('b.ab1');
+        sessions.get(first.id);
+        await sessions.open('c.ab1');
+
+        assert.equal(sessions.get(second.id), null);
+        assert.ok(sessions.get(first.id));
+        await assert.rejects(sessions.resolve({ sessionId: second.id, filePath: 'b.ab1' }), { code: 'session_expired', reason: 'evicted' });
+    });
+
+    it('opens a path when no session is named', async () => {
+        const { sessions } = cache();
+
+        assert.equal((await sessions.resolve({ filePath: 'read.ab1' })).filepath, path.resolve('read.ab1'));
+        await assert.rejects(sessions.resolve({}), /Session ID or file path is required/);
+        await assert.rejects(sessions.resolve({ sessionId: 'unknown' }), { code: 'session_expired', reason: 'closed' });
+    });
+});
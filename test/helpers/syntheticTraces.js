@@ -0,0 +1,68 @@
+///////////////////////////////////////////////////////////////////////////////
+// test/helpers/syntheticTraces.js
+// Simulated traces shared by the analysis tests
+///////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Repeatable pseudo-random numbers in [0, 1) (Park–Miller)
+ * @param {number} seed - Starting value (1 to 2147483646)
+ * @returns {Function} Generator
+ */
+function seededRandom(seed) {
+    return () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+}
+
+/**
+ * Add a Gaussian peak to a trace, out to 12 scans on either side
+ * @param {Float64Array} trace - Trace added to
+ * @param {number} center - Scan of the top (may be fractional)
+ * @param {number} height - Height of the top
+ * @param {number} [width] - Standard deviation in scans
+ */
+function addPeak(trace, center, height, width = 2.5) {
+    for (let x = Math.max(0, Math.floor(center - 12)); x < Math.min(trace.length, center + 12); x++) {
+        trace[x] += height * Math.exp(-((x - center) ** 2) / (2 * width * width));
+    }
+}
+
+/**
+ * Zeroed floating-point traces to add peaks to
+ * @param {number} scans - Length of every trace
+ * @param {string[]} [bases] - Channels, in key order
+ * @returns {Object} Traces keyed by base
+ */
+function emptyTraces(scans, bases = ['A', 'C', 'G', 'T']) {
+    const traces = {};
+    bases.forEach(base => { traces[base] = new Float64Array(scans); });
+    return traces;
+}
+
+/**
+ * Round traces to 16-bit samples as an instrument stores them
+ * @param {Object} traces - Floating-point traces keyed by base
+ * @param {Function} [noise] - Added to every sample, channel by channel
+ * @returns {Object} Int16Array traces keyed by base
+ */
+function toSamples(traces, noise = () => 0) {
+    const samples = {};
+    for (const [base, trace] of Object.entries(traces)) {
+        samples[base] = Int16Array.from(trace, value => Math.round(value + noise()));
+    }
+    return samples;
+}
+
+/**
+ * Traces with a Gaussian peak per entry
+ * @param {Array[]} peaks - [base, scan, height] per peak
+ * @param {number} length - Scans
+ * @returns {Object} Int16Array traces of A, C, G and T
+ */
+function tracesWith(peaks, length) {
+    const traces = emptyTraces(length);
+    for (const [base, scan, height] of peaks) {
+        addPeak(traces[base], scan, height);
+    }
+    return toSamples(traces);
+}
+
+module.exports = { seededRandom, addPeak, emptyTraces, toSamples, tracesWith };